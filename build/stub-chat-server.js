@@ -0,0 +1,87 @@
+/**
+ * stub-chat-server.js - A stand-in OpenAI-compatible server for testing Codex Chat.
+ *
+ * Answers the two requests the "OpenAI-compatible" provider makes:
+ *
+ *   GET  /v1/models             One model, "stub"
+ *   POST /v1/chat/completions   A chat reply that echoes the prompt, or, when the
+ *                               request asks for structured output (/plan), a
+ *                               ready ArchiChangePlan that creates one Business Actor
+ *
+ * No model is involved, so the chat, /plan, /preview and /apply flow can be
+ * tried without Ollama or llama-server.
+ *
+ * Usage:
+ *   node build/stub-chat-server.js          Listen on http://127.0.0.1:8089/v1
+ *   node build/stub-chat-server.js 9000     Listen on another port
+ *
+ * Then connect Codex Chat to the "OpenAI-compatible" provider at that URL.
+ * Also runs via: npm run stub:chat
+ */
+"use strict";
+
+const http = require("http");
+
+const PORT = Number(process.argv[2]) || 8089;
+const MODEL = "stub";
+
+const PLAN = {
+  schema_version: "3.0",
+  status: "ready",
+  summary: "Add a stub Business Actor",
+  questions: [],
+  actions: [
+    { op: "create_element", type: "Business Actor", name: "Stub Actor", ref_id: "stub_actor" },
+  ],
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function reply(content) {
+  return {
+    id: "chatcmpl-stub",
+    object: "chat.completion",
+    model: MODEL,
+    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+  };
+}
+
+const server = http.createServer((req, res) => {
+  let data = "";
+  req.on("data", chunk => { data += chunk; });
+  req.on("end", () => {
+    console.log(`${req.method} ${req.url}`);
+
+    if (req.method === "GET" && req.url === "/v1/models") {
+      send(res, 200, { object: "list", data: [{ id: MODEL, object: "model", owned_by: "stub" }] });
+      return;
+    }
+
+    if (req.method === "POST" && req.url === "/v1/chat/completions") {
+      let body;
+      try {
+        body = JSON.parse(data);
+      } catch (err) {
+        send(res, 400, { error: { message: "Invalid JSON: " + err.message } });
+        return;
+      }
+      const messages = Array.isArray(body.messages) ? body.messages : [];
+      if (body.response_format && body.response_format.type === "json_schema") {
+        send(res, 200, reply(JSON.stringify(PLAN)));
+      } else {
+        const last = messages.length > 0 ? String(messages[messages.length - 1].content) : "";
+        send(res, 200, reply(`Stub reply to: ${last.slice(0, 200)}`));
+      }
+      return;
+    }
+
+    send(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+  });
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`Stub chat server listening on http://127.0.0.1:${PORT}/v1 (Ctrl+C to stop)`);
+});
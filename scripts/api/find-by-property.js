@@ -0,0 +1,32 @@
+/**
+ * find-by-property.js - POST /scripts/find-by-property
+ *
+ * Lists elements carrying a property (optionally with a given value).
+ * Runs inside the /scripts preamble: `model`, `params` and `__scriptResult`
+ * are provided; see find-by-property.json for the params schema.
+ */
+(function() {
+    "use strict";
+
+    var selector = params.types && params.types.length > 0 ? params.types.join(",") : "element";
+    var matches = [];
+    var total = 0;
+
+    model.find(selector).each(function(e) {
+        var value = e.prop(params.key);
+        if (value === null || value === undefined) return;
+        if (params.value !== undefined && String(value) !== params.value) return;
+        total++;
+        if (matches.length < params.limit) {
+            matches.push({ id: e.id, name: e.name || "", type: e.type, value: String(value) });
+        }
+    });
+
+    console.log("Found " + total + " element(s) with property '" + params.key + "'");
+    __scriptResult.value = {
+        key: params.key,
+        total: total,
+        truncated: total > matches.length,
+        elements: matches
+    };
+})();
@@ -0,0 +1,41 @@
+/**
+ * view-contents.js - POST /scripts/view-contents
+ *
+ * Lists the model elements and relationships referenced by a view's diagram
+ * objects and connections. Runs inside the /scripts preamble: `model`,
+ * `params` and `__scriptResult` are provided; see view-contents.json.
+ */
+(function() {
+    "use strict";
+
+    var view = model.find("#" + params.viewId).first();
+    if (!view || !/-model$/.test(view.type)) {
+        throw new Error("No view with id '" + params.viewId + "'");
+    }
+
+    var elements = {};
+    var relationships = {};
+
+    function count(map, concept) {
+        if (!map[concept.id]) {
+            map[concept.id] = { id: concept.id, name: concept.name || "", type: concept.type, occurrences: 0 };
+        }
+        map[concept.id].occurrences++;
+    }
+
+    view.find("element").each(function(e) {
+        if (e.concept) count(elements, e.concept);
+    });
+    view.find("relationship").each(function(r) {
+        if (r.concept) count(relationships, r.concept);
+    });
+
+    var elementList = Object.keys(elements).map(function(id) { return elements[id]; });
+    var relationshipList = Object.keys(relationships).map(function(id) { return relationships[id]; });
+
+    __scriptResult.value = {
+        view: { id: view.id, name: view.name || "", type: view.type },
+        elements: elementList,
+        relationships: relationshipList
+    };
+})();
@@ -6,12 +6,18 @@
  * - Rich HTML chat display with markdown rendering (via Browser widget)
  * - Streaming responses with live text + cursor, finalized as formatted markdown/JSON
  * - Three tabs: Chat, Configuration, Models
- * - Slash commands: /plan, /apply, /clear, /context, /model, /status, /help
+ * - Slash commands: /plan, /preview, /save, /apply, /revert, /clear, /context, /model, /status, /help
  * - Plan integration via codexClient.askPlan() and planExecutor.execute()
+ * - Visual plan preview on a temporary view via planPreviewView
+ * - Plan export to JSON with a content hash via planFiles
+ * - Provider choice on the Configuration tab: the Codex app-server or any
+ *   provider registered with codexClient (e.g. openaiChatProvider)
  * - Dual-mode fallback: plain Text widget if Browser is unavailable
  *
  * Dependencies (must be loaded before this module):
- *   log, swtImports, planOps, codexClient, planValidator, planExecutor, marked (vendor/marked/marked-sync.js)
+ *   log, swtImports, planOps, codexClient, planValidator, planExecutor, planPreviewView, planFiles,
+ *   marked (vendor/marked/marked-sync.js); elkLayoutEngine and vendor/elkjs/elk-sync.js to lay out previews;
+ *   optional providers such as openaiChatProvider (after codexClient)
  *
  * Usage:
  *   load(__DIR__ + "vendor/marked/marked-sync.js");
@@ -33,6 +39,7 @@
     var Composite = swt.Composite;
     var Label = swt.Label;
     var Text = swt.Text;
+    var Combo = swt.Combo;
     var Button = swt.Button;
     var Group = swt.Group;
     var Table = swt.Table;
@@ -82,6 +89,8 @@
             turnCount: 0,
             modelContextSent: false,
             lastPlan: null,
+            lastApplied: null,      // { plan, result } of the last successful /apply (for /revert)
+            previewView: null,      // "Plan Preview" view of lastPlan, discarded unless kept
             busy: false,
             cancelled: false,
             currentModel: null,
@@ -99,7 +108,8 @@
             configTree: null,
             modelsTable: null,
             statusLabel: null,
-            urlLabel: null,
+            providerCombo: null,
+            urlText: null,
             threadLabel: null,
             modelLabel: null,
             effortLabel: null
@@ -461,6 +471,12 @@
             if (w.statusLabel && !w.statusLabel.isDisposed()) {
                 w.statusLabel.setText(state.connected ? "Connected" : "Disconnected");
             }
+            if (w.providerCombo && !w.providerCombo.isDisposed()) {
+                w.providerCombo.setEnabled(!state.connected && !state.busy);
+            }
+            if (w.urlText && !w.urlText.isDisposed()) {
+                w.urlText.setEnabled(!state.connected && !state.busy);
+            }
             if (w.threadLabel && !w.threadLabel.isDisposed()) {
                 w.threadLabel.setText(state.threadId || "\u2014");
             }
@@ -468,11 +484,24 @@
 
         // ── Connect / Disconnect ─────────────────────────────────────────
 
+        /** Provider chosen on the Configuration tab (the active one if the tab is not built). */
+        function selectedProvider() {
+            var providers = codexClient.listProviders();
+            if (w.providerCombo && !w.providerCombo.isDisposed()) {
+                var idx = w.providerCombo.getSelectionIndex();
+                if (idx >= 0 && idx < providers.length) return providers[idx];
+            }
+            return codexClient.getProvider();
+        }
+
         function doConnect() {
             state.busy = true;
             updateUI();
             try {
-                codexClient.connect();
+                var provider = selectedProvider();
+                var url = (w.urlText && !w.urlText.isDisposed()) ? String(w.urlText.getText()).trim() : "";
+                codexClient.setProvider(provider.name);
+                codexClient.connect(url || provider.defaultUrl);
                 state.connected = true;
 
                 var thread = codexClient.startThread({ approvalPolicy: "never" });
@@ -485,12 +514,15 @@
 
                 // Welcome message with help
                 if (w.chatBrowser && !w.chatBrowser.isDisposed()) {
-                    var welcomeMd = "**Connected to Codex** \u2014 Thread: `" + thread.id + "`\n\n" +
+                    var welcomeMd = "**Connected to " + provider.label + "** \u2014 Thread: `" + thread.id + "`\n\n" +
                         "Ask questions about your ArchiMate model, or use commands:\n\n" +
                         "| Command | Description |\n" +
                         "|---------|-------------|\n" +
                         "| `/plan <description>` | Generate a structured change plan |\n" +
+                        "| `/preview [keep\\|discard]` | Show the last plan as a temporary view |\n" +
+                        "| `/save [path]` | Save the last plan as JSON with a content hash |\n" +
                         "| `/apply` | Execute the last generated plan |\n" +
+                        "| `/revert` | Prepare a plan that reverts the last applied plan |\n" +
                         "| `/clear` | Start a new conversation thread |\n" +
                         "| `/context` | Show model context summary |\n" +
                         "| `/model` | Switch the active model |\n" +
@@ -504,7 +536,7 @@
                         escapeForJs(msg.timestamp) + "','" + escapeForJs(bodyHtml) + "')"
                     );
                 } else {
-                    appendChat("[System]", "Connected to Codex. Thread: " + thread.id);
+                    appendChat("[System]", "Connected to " + provider.label + ". Thread: " + thread.id);
                     appendChat("[System]", "Type a message to chat, or /help for commands.");
                 }
 
@@ -563,6 +595,8 @@
                 modelNode.setText(0, "Model Settings");
 
                 var pairs = [
+                    ["Provider", cfg.model_provider],
+                    ["Base URL", cfg.base_url],
                     ["Model", cfg.model],
                     ["Review Model", cfg.review_model],
                     ["Reasoning Effort", cfg.model_reasoning_effort],
@@ -629,9 +663,6 @@
                     featNode.setExpanded(true);
                 }
 
-                if (w.urlLabel && !w.urlLabel.isDisposed()) {
-                    w.urlLabel.setText("ws://127.0.0.1:19000");
-                }
                 // Set initial model/effort from server config
                 if (!state.currentModel && cfg.model) {
                     state.currentModel = cfg.model;
@@ -803,6 +834,7 @@
 
             try {
                 state.lastPlan = null; // Invalidate any previous plan immediately
+                discardPreview();
 
                 var context = codexClient.buildPlanningContext({
                     maxElements: 100,
@@ -900,7 +932,8 @@
                 for (var p = 0; p < preview.results.length; p++) {
                     md += (p + 1) + ". " + preview.results[p].preview + "\n";
                 }
-                md += "\n*Type `/apply` to execute, or continue chatting.*";
+                md += "\n*Type `/apply` to execute, `/preview` to see the changes on a view, `/save` to export " +
+                    "the plan for review, or continue chatting.*";
 
                 appendChat("[Plan]", md);
                 state.lastPlan = plan;
@@ -928,9 +961,10 @@
             updateUI();
             appendChat("[You]", "/apply");
             appendChat("[System]", "Applying " + state.lastPlan.actions.length + " action(s)...");
+            discardPreview();
 
             try {
-                var result = planExecutor.execute(state.lastPlan, { preview: false, stopOnError: false });
+                var result = planExecutor.execute(state.lastPlan, { preview: false });
 
                 var md = "";
                 var okCount = 0, failCount = 0, skipCount = 0;
@@ -953,6 +987,15 @@
                     if (result.autoConnected > 0) {
                         md += "\n\nAuto-connected " + result.autoConnected + " relationship(s) on view.";
                     }
+                    md += result.undoable
+                        ? "\n\nUndo it in one step with Edit \u2192 Undo, or type `/revert` to review a reverting plan."
+                        : "\n\nType `/revert` to review a reverting plan.";
+                    state.lastApplied = { plan: state.lastPlan, result: result };
+                } else if (result.rolledBack) {
+                    md = "**Plan rolled back \u2014 the model is unchanged.**";
+                    if (failLines.length > 0) {
+                        md += "\n\n**Failure:**\n" + failLines.join("\n");
+                    }
                 } else {
                     md = "**Completed with errors.** Applied: " + okCount +
                         ", Failed: " + failCount + ", Skipped: " + skipCount;
@@ -962,6 +1005,9 @@
                             md += failLines[fl] + "\n";
                         }
                     }
+                    if (result.rollbackError) {
+                        md += "\n**Rollback failed:** " + result.rollbackError;
+                    }
                 }
 
                 appendChat("[System]", md);
@@ -974,6 +1020,133 @@
             updateUI();
         }
 
+        function handleRevert() {
+            appendChat("[You]", "/revert");
+            if (!state.lastApplied) {
+                appendChat("[System]", "No applied plan to revert. Use /apply first.");
+                return;
+            }
+
+            try {
+                discardPreview();
+                var inverse = planExecutor.invert(state.lastApplied.plan, state.lastApplied.result);
+                if (inverse.actions.length === 0) {
+                    appendChat("[System]", "Nothing to revert.\n\n" + inverse.summary);
+                    return;
+                }
+                var preview = planExecutor.execute(inverse, { preview: true });
+                var md = "**Revert plan**\n\n" + inverse.summary + "\n\n**" + inverse.actions.length + " action(s):**\n";
+                for (var p = 0; p < preview.results.length; p++) {
+                    md += (p + 1) + ". " + preview.results[p].preview + "\n";
+                }
+                md += "\n*Type `/apply` to execute, or continue chatting.*";
+
+                appendChat("[Plan]", md);
+                state.lastPlan = inverse;
+                state.lastApplied = null;
+            } catch (e) {
+                appendChat("[Error]", "Revert failed: " + e.message);
+            }
+        }
+
+        /** Delete the current preview view unless it was kept. */
+        function discardPreview() {
+            if (!state.previewView) return;
+            try {
+                planPreviewView.discard(state.previewView);
+            } catch (e) {
+                log.warn("Could not discard plan preview: " + e);
+            }
+            state.previewView = null;
+        }
+
+        function handlePreview(args) {
+            var arg = (args || "").trim().toLowerCase();
+            appendChat("[You]", "/preview" + (arg ? " " + arg : ""));
+
+            if (arg === "keep" || arg === "discard") {
+                if (!state.previewView) {
+                    appendChat("[System]", "No plan preview open. Use /preview first.");
+                } else if (arg === "keep") {
+                    var name = planPreviewView.keep(state.previewView);
+                    state.previewView = null;
+                    appendChat("[System]", "Kept the preview as view \"" + name + "\".");
+                } else {
+                    discardPreview();
+                    appendChat("[System]", "Plan preview discarded.");
+                }
+                return;
+            }
+            if (arg !== "") {
+                appendChat("[System]", "Usage: /preview [keep|discard]");
+                return;
+            }
+            if (!state.lastPlan) {
+                appendChat("[System]", "No plan to preview. Use /plan <description> first.");
+                return;
+            }
+
+            try {
+                discardPreview();
+                var preview = planPreviewView.create(state.lastPlan);
+                var st = preview.stats;
+                if (!preview.view) {
+                    appendChat("[System]", "Nothing in this plan can be drawn: its " + st.notShown +
+                        " action(s) change properties, documentation, folders or views.");
+                    return;
+                }
+                state.previewView = preview.view;
+
+                var md = "**Opened view \"" + planPreviewView.VIEW_NAME + "\"**" +
+                    (st.laidOut ? "" : " (ELK unavailable \u2014 grid layout)") + "\n\n" +
+                    "| Change | Count | Shown as |\n|--------|------:|----------|\n" +
+                    "| New elements | " + st.added + " | Green notes |\n" +
+                    "| New relationships | " + st.relationships + " | Green connections |\n" +
+                    "| Deleted | " + st.deleted + " | Red, hatched |\n" +
+                    "| Renamed | " + st.renamed + " | Orange, with the old name |\n";
+                if (st.notShown > 0) {
+                    md += "\n" + st.notShown + " other action(s) are not drawn.\n";
+                }
+                md += "\n*The view is deleted on `/apply`, the next `/plan` or when the chat closes. " +
+                    "Type `/preview keep` to keep it or `/preview discard` to delete it now.*";
+                appendChat("[System]", md);
+            } catch (e) {
+                appendChat("[Error]", "Preview failed: " + e.message);
+            }
+        }
+
+        function handleSave(args) {
+            var filePath = (args || "").trim();
+            appendChat("[You]", "/save" + (filePath ? " " + filePath : ""));
+            if (!state.lastPlan) {
+                appendChat("[System]", "No plan to save. Use /plan <description> first.");
+                return;
+            }
+
+            if (!filePath) {
+                var FileDialog = Java.type("org.eclipse.swt.widgets.FileDialog");
+                var dialog = new FileDialog(myDialog.dialog.getShell(), SWT.SAVE);
+                dialog.setFilterExtensions(["*.json", "*.*"]);
+                dialog.setFilterNames(["ArchiChangePlan JSON (*.json)", "All Files (*.*)"]);
+                dialog.setFileName(planFiles.defaultFileName());
+                dialog.setOverwrite(true);
+                filePath = dialog.open();
+                if (!filePath) {
+                    appendChat("[System]", "Save cancelled.");
+                    return;
+                }
+            }
+
+            try {
+                var saved = planFiles.save(state.lastPlan, String(filePath));
+                appendChat("[System]", "Saved plan to `" + saved.path + "`\n\n" +
+                    "sha256 `" + saved.hash + "` (in `" + saved.hashPath + "`)\n\n" +
+                    "*Apply it after review with the **Apply Change Plan** script.*");
+            } catch (e) {
+                appendChat("[Error]", "Save failed: " + e.message);
+            }
+        }
+
         function handleClear() {
             appendChat("[You]", "/clear");
             try {
@@ -982,6 +1155,7 @@
                 state.turnCount = 0;
                 state.modelContextSent = false;
                 state.lastPlan = null;
+                discardPreview();
                 if (w.chatBrowser && !w.chatBrowser.isDisposed()) {
                     browserClear();
                 } else if (w.chatDisplay && !w.chatDisplay.isDisposed()) {
@@ -1073,7 +1247,10 @@
                     "| Command | Description |\n" +
                     "|---------|-------------|\n" +
                     "| `/plan <description>` | Generate a structured change plan |\n" +
+                    "| `/preview [keep\\|discard]` | Show the last plan as a temporary view |\n" +
+                    "| `/save [path]` | Save the last plan as JSON with a content hash |\n" +
                     "| `/apply` | Execute the last generated plan |\n" +
+                    "| `/revert` | Prepare a plan that reverts the last applied plan |\n" +
                     "| `/clear` | Start a new conversation thread |\n" +
                     "| `/context` | Show model context summary |\n" +
                     "| `/model` | Switch the active model |\n" +
@@ -1089,7 +1266,10 @@
             } else {
                 appendChat("[System]", "Available commands:");
                 appendChat("[System]", "  /plan <description>  \u2014 Generate a structured change plan");
+                appendChat("[System]", "  /preview [keep|discard] \u2014 Show the last plan as a temporary view");
+                appendChat("[System]", "  /save [path]         \u2014 Save the last plan as JSON with a content hash");
                 appendChat("[System]", "  /apply               \u2014 Execute the last generated plan");
+                appendChat("[System]", "  /revert              \u2014 Prepare a plan that reverts the last applied plan");
                 appendChat("[System]", "  /clear               \u2014 Start a new conversation thread");
                 appendChat("[System]", "  /context             \u2014 Show model context summary");
                 appendChat("[System]", "  /model               \u2014 Switch the active model");
@@ -1212,6 +1392,11 @@
             var idx = popupTable.getSelectionIndex();
             if (idx < 0 || !popupModels || idx >= popupModels.length) return;
             var selected = popupModels[idx];
+            if (selected.supportsReasoningEffort === false) {
+                hidePopup();
+                applyModelSelection(selected, null);
+                return;
+            }
             // Don't hidePopup — transition to effort picker
             popupShell.setVisible(false);
             display.asyncExec(function () {
@@ -1268,6 +1453,7 @@
             if (w.chatBrowser && !w.chatBrowser.isDisposed()) {
                 var md = "| Property | Value |\n|----------|-------|\n" +
                     "| Connected | " + (state.connected ? "Yes" : "No") + " |\n" +
+                    "| Provider | " + codexClient.getProvider().label + " |\n" +
                     "| Model | " + (state.currentModel ? "`" + state.currentModel + "`" : "server default") + " |\n" +
                     "| Thread | `" + (state.threadId || "none") + "` |\n" +
                     "| Turn count | " + state.turnCount + " |\n" +
@@ -1281,6 +1467,7 @@
                 );
             } else {
                 appendChat("[System]", "Connected: " + state.connected +
+                    " | Provider: " + codexClient.getProvider().label +
                     " | Model: " + (state.currentModel || "server default") +
                     " | Thread: " + (state.threadId || "none") +
                     " | Turns: " + state.turnCount +
@@ -1293,7 +1480,10 @@
 
         var COMMANDS = {
             plan: handlePlan,
+            preview: handlePreview,
+            save: handleSave,
             apply: handleApply,
+            revert: handleRevert,
             clear: handleClear,
             context: handleContext,
             model: handleModel,
@@ -1303,7 +1493,10 @@
 
         var COMMAND_META = [
             { name: "plan",    args: " <description>", desc: "Generate a structured change plan" },
+            { name: "preview", args: " [keep|discard]", desc: "Show the last plan as a temporary view" },
+            { name: "save",    args: " [path]",        desc: "Save the last plan as JSON with a content hash" },
             { name: "apply",   args: "",               desc: "Execute the last generated plan" },
+            { name: "revert",  args: "",               desc: "Prepare a plan that reverts the last applied plan" },
             { name: "clear",   args: "",               desc: "Start a new conversation thread" },
             { name: "context", args: "",               desc: "Show model context summary" },
             { name: "model",   args: "",               desc: "Switch the active model" },
@@ -1687,10 +1880,25 @@
                     w.statusLabel.setText("Disconnected");
                     GridDataFactory.fillDefaults().grab(true, false).applyTo(w.statusLabel);
 
+                    var providers = codexClient.listProviders();
+                    var activeProvider = codexClient.getProvider();
+
+                    new Label(connGroup, SWT.NONE).setText("Provider:");
+                    w.providerCombo = new Combo(connGroup, SWT.DROP_DOWN | SWT.READ_ONLY);
+                    for (var pi = 0; pi < providers.length; pi++) {
+                        w.providerCombo.add(providers[pi].label);
+                        if (providers[pi].name === activeProvider.name) w.providerCombo.select(pi);
+                    }
+                    GridDataFactory.fillDefaults().grab(true, false).applyTo(w.providerCombo);
+
                     new Label(connGroup, SWT.NONE).setText("URL:");
-                    w.urlLabel = new Label(connGroup, SWT.NONE);
-                    w.urlLabel.setText("ws://127.0.0.1:19000");
-                    GridDataFactory.fillDefaults().grab(true, false).applyTo(w.urlLabel);
+                    w.urlText = new Text(connGroup, SWT.BORDER | SWT.SINGLE);
+                    w.urlText.setText(activeProvider.defaultUrl);
+                    GridDataFactory.fillDefaults().grab(true, false).applyTo(w.urlText);
+
+                    w.providerCombo.addListener(SWT.Selection, function () {
+                        w.urlText.setText(selectedProvider().defaultUrl);
+                    });
 
                     new Label(connGroup, SWT.NONE).setText("Thread:");
                     w.threadLabel = new Label(connGroup, SWT.NONE);
@@ -1786,6 +1994,7 @@
 
                 close: function () {
                     state.cancelled = true;
+                    discardPreview();
                     if (popupShell && !popupShell.isDisposed()) {
                         popupShell.dispose();
                     }
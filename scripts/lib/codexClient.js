@@ -10,6 +10,12 @@
  * Uses raw java.net.Socket with manual WebSocket handshake and framing
  * to avoid GraalJS cross-thread issues with callback-based APIs.
  *
+ * The connection and conversation functions delegate to the active LLM
+ * provider. The Codex app-server is the built-in "codex" provider; other
+ * backends register with registerProvider() (see openaiChatProvider.js).
+ * buildModelContext, buildPlanningContext and askPlan are shared, so every
+ * provider gets the same model context, plan prompt and output schema.
+ *
  * Usage:
  *   load(__DIR__ + "lib/codexClient.js");
  *
@@ -19,7 +25,11 @@
  *   log.info(result.text);
  *   codexClient.disconnect();
  *
- * @version 1.1.0
+ *   // Another backend, e.g. Ollama or llama.cpp (load openaiChatProvider.js first)
+ *   codexClient.setProvider("openai");
+ *   codexClient.connect("http://127.0.0.1:11434/v1");
+ *
+ * @version 1.2.0
  * @author Thomas Rohde
  */
 (function () {
@@ -516,7 +526,7 @@
         }
     }
 
-    // ── Public API ──────────────────────────────────────────────────────
+    // ── Codex provider ──────────────────────────────────────────────────
 
     /**
      * Connect to the Codex app-server and perform the initialization handshake.
@@ -752,6 +762,106 @@
         return _sendRequest("model/list", {});
     }
 
+    // ── Providers ───────────────────────────────────────────────────────
+
+    /**
+     * Registered LLM providers by name. A provider implements connect,
+     * disconnect, isConnected, startThread, ask, readConfig and listModels
+     * with the signatures of the Codex functions above; resumeThread,
+     * listThreads and interrupt are optional.
+     */
+    var providers = {
+        codex: {
+            label: "Codex app-server",
+            defaultUrl: DEFAULTS.url,
+            connect: connect,
+            disconnect: disconnect,
+            isConnected: isConnected,
+            startThread: startThread,
+            resumeThread: resumeThread,
+            ask: ask,
+            listThreads: listThreads,
+            interrupt: interrupt,
+            readConfig: readConfig,
+            listModels: listModels
+        }
+    };
+    var REQUIRED_METHODS = ["connect", "disconnect", "isConnected", "startThread", "ask", "readConfig", "listModels"];
+    var activeName = "codex";
+
+    function _active() {
+        return providers[activeName];
+    }
+
+    /**
+     * Public function that forwards to the active provider's implementation.
+     * @param {string} method - Provider method name
+     * @returns {Function}
+     */
+    function _delegate(method) {
+        return function () {
+            var provider = _active();
+            if (typeof provider[method] !== "function") {
+                throw new Error("codexClient: provider \"" + activeName + "\" does not support " + method + "()");
+            }
+            return provider[method].apply(provider, arguments);
+        };
+    }
+
+    /**
+     * Register an LLM provider. Registering an existing name replaces it.
+     *
+     * @param {string} name - Provider name used with setProvider()
+     * @param {Object} provider - Implementation, plus label and defaultUrl for the UI
+     */
+    function registerProvider(name, provider) {
+        if (!name || typeof name !== "string") throw new Error("codexClient: provider name is required");
+        REQUIRED_METHODS.forEach(function (method) {
+            if (!provider || typeof provider[method] !== "function") {
+                throw new Error("codexClient: provider \"" + name + "\" must implement " + method + "()");
+            }
+        });
+        if (name === activeName && _active().isConnected()) {
+            throw new Error("codexClient: cannot replace the connected provider \"" + name + "\"");
+        }
+        providers[name] = provider;
+    }
+
+    /**
+     * Select the provider used by connect() and the conversation functions.
+     *
+     * @param {string} name - Registered provider name
+     * @throws {Error} If the name is unknown or the current provider is connected
+     */
+    function setProvider(name) {
+        if (!providers[name]) {
+            throw new Error("codexClient: unknown provider \"" + name + "\" (registered: " + Object.keys(providers).join(", ") + ")");
+        }
+        if (name !== activeName && _active().isConnected()) {
+            throw new Error("codexClient: disconnect from \"" + activeName + "\" before switching provider");
+        }
+        activeName = name;
+    }
+
+    /**
+     * Describe the active provider.
+     * @returns {{ name: string, label: string, defaultUrl: string }}
+     */
+    function getProvider() {
+        var provider = _active();
+        return { name: activeName, label: provider.label || activeName, defaultUrl: provider.defaultUrl || "" };
+    }
+
+    /**
+     * Describe all registered providers, the built-in "codex" provider first.
+     * @returns {Array<{ name: string, label: string, defaultUrl: string }>}
+     */
+    function listProviders() {
+        return Object.keys(providers).map(function (name) {
+            return { name: name, label: providers[name].label || name, defaultUrl: providers[name].defaultUrl || "" };
+        });
+    }
+
     // ── Model context builder ───────────────────────────────────────────
 
     /**
@@ -1061,8 +1171,8 @@
             "2. For existing elements, use their IDs from the context below — never invent IDs for existing elements.\n" +
             "3. For new elements, use create_element with a ref_id (e.g. \"ref-1\", \"ref-2\"). " +
                "Subsequent actions can reference these ref_ids in element_id, source_id, or target_id fields.\n" +
-            "4. For new views, use create_view with a ref_id. " +
-               "Subsequent add_to_view actions can reference this ref_id in the view_id field.\n" +
+            "4. For new views, use create_view (or duplicate_view) with a ref_id. " +
+               "Subsequent view actions can reference this ref_id in the view_id field.\n" +
             "5. Allowed operations: " + context.allowed_ops.join(", ") + "\n" +
             "6. Allowed relationship types: " + context.allowed_relationship_types.join(", ") + "\n" +
             "7. If the request is unclear, set status to \"needs_clarification\" with questions.\n" +
@@ -1078,10 +1188,18 @@
             "15. add_to_view coordinates (x, y, width, height) are optional — omit them for auto-grid layout.\n" +
             "16. Connections between elements on a view are auto-added — do NOT create them manually.\n" +
             "17. move_to_folder uses /-separated paths matching the folder structure (e.g. \"Business/Actors\").\n" +
-            "18. Limit plans to at most 150 actions. For large requests, focus on the most important " +
+            "18. style_view_object and nest_in_view work on elements already on the view (placed by add_to_view " +
+                "or already present); colors are \"#RRGGBB\", opacity is 0-255. " +
+                "nest_in_view parent_id is an element on the view or a create_group ref_id; x/y are relative to the parent.\n" +
+            "19. create_note and create_group take a ref_id that later style_view_object and nest_in_view actions " +
+                "can use in element_id or parent_id.\n" +
+            "20. update_relationship changes an existing relationship: access_type applies to Access only, " +
+                "strength to Influence only.\n" +
+            "21. delete_view and remove_from_view remove views or view objects only — elements stay in the model.\n" +
+            "22. Limit plans to at most 150 actions. For large requests, focus on the most important " +
                 "elements and relationships. Note in the summary what was omitted or simplified, " +
                 "so the user can request follow-up plans for specific areas.\n" +
-            "19. CRITICAL: Before creating any relationship, verify the source type → target type → " +
+            "23. CRITICAL: Before creating any relationship, verify the source type → target type → " +
                 "relationship type combination is valid per the 'Allowed Relationships Reference' below. " +
                 "Invalid relationships will be rejected. Not all relationship types work between all " +
                 "element types — consult the reference for each specific pair.\n\n" +
@@ -1230,7 +1348,7 @@
         var context = options.context || buildPlanningContext();
         var prompt = _buildPlanPrompt(request, context);
 
-        var askResult = ask(threadId, prompt, {
+        var askResult = _active().ask(threadId, prompt, {
             outputSchema: _OUTPUT_SCHEMA,
             timeout: options.timeout,
             onDelta: options.onDelta,
@@ -1265,7 +1383,9 @@
         }
 
         if (!plan) {
-            result.error = "Failed to extract JSON from response";
+            result.error = askResult.error && askResult.error.message
+                ? "Turn " + askResult.status + ": " + askResult.error.message
+                : "Failed to extract JSON from response";
             return result;
         }
 
@@ -1293,17 +1413,21 @@
     // ── Module export ───────────────────────────────────────────────────
 
     var codexClient = {
-        connect: connect,
-        disconnect: disconnect,
-        startThread: startThread,
-        resumeThread: resumeThread,
-        ask: ask,
+        connect: _delegate("connect"),
+        disconnect: _delegate("disconnect"),
+        startThread: _delegate("startThread"),
+        resumeThread: _delegate("resumeThread"),
+        ask: _delegate("ask"),
         askPlan: askPlan,
-        listThreads: listThreads,
-        interrupt: interrupt,
-        isConnected: isConnected,
-        readConfig: readConfig,
-        listModels: listModels,
+        listThreads: _delegate("listThreads"),
+        interrupt: _delegate("interrupt"),
+        isConnected: _delegate("isConnected"),
+        readConfig: _delegate("readConfig"),
+        listModels: _delegate("listModels"),
+        registerProvider: registerProvider,
+        setProvider: setProvider,
+        getProvider: getProvider,
+        listProviders: listProviders,
         buildModelContext: buildModelContext,
         buildPlanningContext: buildPlanningContext
     };
@@ -0,0 +1,373 @@
+/**
+ * @name layerPolicy
+ * @description Strict layering policy (config/layer-policy.json) and the
+ *   relationship check behind the Strict Layer Violation Detector. Flags direct
+ *   relationships between non-adjacent ArchiMate layers, with mediation suggestions.
+ * @version 1.0.0
+ * @author Thomas Rohde
+ * @lastModifiedDate 2026-10-19
+ */
+(function () {
+    "use strict";
+    if (typeof globalThis !== "undefined" && typeof globalThis.layerPolicy !== "undefined") return;
+
+    // =================================================================
+    // Default policy (used when there is no config file)
+    // =================================================================
+
+    function getDefaultPolicy() {
+        return {
+            version: "1.0.0",
+            description: "Default strict layering policy",
+            layers: {
+                "strategy":       { order: 5, crossCutting: false },
+                "business":       { order: 4, crossCutting: false },
+                "application":    { order: 3, crossCutting: false },
+                "technology":     { order: 2, crossCutting: false },
+                "physical":       { order: 1, crossCutting: false },
+                "motivation":     { order: 0, crossCutting: true },
+                "implementation": { order: 0, crossCutting: true }
+            },
+            elementTypeToLayer: {
+                "stakeholder": "motivation", "driver": "motivation", "assessment": "motivation",
+                "goal": "motivation", "outcome": "motivation", "principle": "motivation",
+                "requirement": "motivation", "constraint": "motivation", "meaning": "motivation",
+                "value": "motivation",
+                "resource": "strategy", "capability": "strategy", "course-of-action": "strategy",
+                "value-stream": "strategy",
+                "business-actor": "business", "business-role": "business",
+                "business-collaboration": "business", "business-interface": "business",
+                "business-process": "business", "business-function": "business",
+                "business-interaction": "business", "business-event": "business",
+                "business-service": "business", "business-object": "business",
+                "contract": "business", "representation": "business", "product": "business",
+                "application-component": "application", "application-collaboration": "application",
+                "application-interface": "application", "application-function": "application",
+                "application-process": "application", "application-interaction": "application",
+                "application-event": "application", "application-service": "application",
+                "data-object": "application",
+                "node": "technology", "device": "technology", "system-software": "technology",
+                "technology-collaboration": "technology", "technology-interface": "technology",
+                "path": "technology", "communication-network": "technology",
+                "technology-function": "technology", "technology-process": "technology",
+                "technology-interaction": "technology", "technology-event": "technology",
+                "technology-service": "technology", "artifact": "technology",
+                "equipment": "physical", "facility": "physical",
+                "distribution-network": "physical", "material": "physical",
+                "work-package": "implementation", "deliverable": "implementation",
+                "implementation-event": "implementation", "plateau": "implementation",
+                "gap": "implementation"
+            },
+            allowedTransitions: [
+                { from: "strategy",    to: "business",    direction: "both" },
+                { from: "business",    to: "application",  direction: "both" },
+                { from: "application", to: "technology",   direction: "both" },
+                { from: "technology",  to: "physical",     direction: "both" }
+            ],
+            sameLayerAlwaysAllowed: true,
+            excludedRelationshipTypes: [
+                "association-relationship",
+                "specialization-relationship"
+            ],
+            allowlist: [],
+            mediationSuggestions: {
+                "business->technology": {
+                    description: "Business layer should not connect directly to Technology layer",
+                    suggestion: "Insert an Application layer mediator (e.g., Application Service or Application Component).",
+                    mediatorTypes: ["application-service", "application-component", "application-function"],
+                    pattern: "Business Element -> [Application Service] -> Technology Element"
+                },
+                "strategy->application": {
+                    description: "Strategy layer should not connect directly to Application layer",
+                    suggestion: "Insert a Business layer mediator (e.g., Business Service or Business Process).",
+                    mediatorTypes: ["business-service", "business-process", "business-function"],
+                    pattern: "Strategy Element -> [Business Service] -> Application Element"
+                },
+                "strategy->technology": {
+                    description: "Strategy layer should not connect directly to Technology layer",
+                    suggestion: "Route through Business and Application layers.",
+                    mediatorTypes: ["business-service", "application-service"],
+                    pattern: "Strategy -> [Business Service] -> [Application Service] -> Technology"
+                },
+                "strategy->physical": {
+                    description: "Strategy layer should not connect directly to Physical layer",
+                    suggestion: "Route through Business, Application, and Technology layers.",
+                    mediatorTypes: ["business-service", "application-service", "technology-service"],
+                    pattern: "Strategy -> [Business] -> [Application] -> [Technology] -> Physical"
+                },
+                "business->physical": {
+                    description: "Business layer should not connect directly to Physical layer",
+                    suggestion: "Insert Application and Technology layer mediators.",
+                    mediatorTypes: ["application-service", "technology-service"],
+                    pattern: "Business -> [Application Service] -> [Technology Service] -> Physical"
+                },
+                "application->physical": {
+                    description: "Application layer should not connect directly to Physical layer",
+                    suggestion: "Insert a Technology layer mediator (e.g., Node, Device, or Technology Service).",
+                    mediatorTypes: ["technology-service", "node", "device"],
+                    pattern: "Application -> [Technology Service/Node] -> Physical"
+                }
+            }
+        };
+    }
+
+    // =================================================================
+    // Config loading
+    // =================================================================
+
+    /**
+     * Load a layer policy JSON file, falling back to the built-in default.
+     * @param {string} configPath - Path to layer-policy.json
+     * @returns {Object} { policy, source, error } - source is the file path or "built-in default";
+     *   error is set when the file exists but could not be parsed
+     */
+    function loadPolicy(configPath) {
+        var Files = Java.type("java.nio.file.Files");
+        var Paths = Java.type("java.nio.file.Paths");
+        var JString = Java.type("java.lang.String");
+
+        var path = Paths.get(configPath);
+        if (Files.exists(path)) {
+            try {
+                var content = new JString(Files.readAllBytes(path), "UTF-8");
+                return { policy: JSON.parse(String(content)), source: String(path), error: null };
+            } catch (e) {
+                return { policy: getDefaultPolicy(), source: "built-in default", error: e.toString() };
+            }
+        }
+        return { policy: getDefaultPolicy(), source: "built-in default", error: null };
+    }
+
+    // =================================================================
+    // Checker
+    // =================================================================
+
+    function safeName(obj) {
+        if (!obj) return "(missing)";
+        return obj.name && obj.name.trim() ? obj.name : "(unnamed)";
+    }
+
+    function capitalize(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+
+    /**
+     * Create a checker for one policy.
+     * @param {Object} policy - Parsed layer policy
+     * @returns {Object} Checker with getLayer, isCrossCutting, getRuleLabel,
+     *   getMediationSuggestion and scan
+     */
+    function createChecker(policy) {
+        // Build excluded relationship type set
+        var excludedRelTypes = {};
+        if (policy.excludedRelationshipTypes) {
+            for (var ei = 0; ei < policy.excludedRelationshipTypes.length; ei++) {
+                excludedRelTypes[policy.excludedRelationshipTypes[ei]] = true;
+            }
+        }
+
+        // Build allowed transition set
+        var allowedTransitionSet = {};
+        if (policy.allowedTransitions) {
+            for (var ti = 0; ti < policy.allowedTransitions.length; ti++) {
+                var t = policy.allowedTransitions[ti];
+                allowedTransitionSet[t.from + "->" + t.to] = true;
+                if (t.direction === "both") {
+                    allowedTransitionSet[t.to + "->" + t.from] = true;
+                }
+            }
+        }
+
+        function getLayer(elementType) {
+            return policy.elementTypeToLayer[elementType] || null;
+        }
+
+        function getLayerDef(layerName) {
+            return policy.layers[layerName] || null;
+        }
+
+        function isCrossCutting(layerName) {
+            var def = getLayerDef(layerName);
+            return def ? def.crossCutting === true : false;
+        }
+
+        function isTransitionAllowed(fromLayer, toLayer) {
+            return allowedTransitionSet[fromLayer + "->" + toLayer] === true;
+        }
+
+        function isAllowlisted(sourceType, targetType, relType) {
+            if (!policy.allowlist) return false;
+            for (var ai = 0; ai < policy.allowlist.length; ai++) {
+                var entry = policy.allowlist[ai];
+                if (entry.sourceType === sourceType && entry.targetType === targetType) {
+                    if (!entry.relationshipTypes || entry.relationshipTypes.length === 0) return true;
+                    for (var ri = 0; ri < entry.relationshipTypes.length; ri++) {
+                        if (entry.relationshipTypes[ri] === relType) return true;
+                    }
+                }
+            }
+            return false;
+        }
+
+        function getLayerDistance(layerA, layerB) {
+            var defA = getLayerDef(layerA);
+            var defB = getLayerDef(layerB);
+            if (!defA || !defB) return 0;
+            return Math.abs(defA.order - defB.order);
+        }
+
+        function makeRuleKey(layerA, layerB) {
+            // Normalize so the higher-order layer comes first
+            var defA = getLayerDef(layerA);
+            var defB = getLayerDef(layerB);
+            if (defA && defB && defA.order < defB.order) {
+                return layerB + "->" + layerA;
+            }
+            return layerA + "->" + layerB;
+        }
+
+        function getMediationSuggestion(ruleKey) {
+            if (policy.mediationSuggestions && policy.mediationSuggestions[ruleKey]) {
+                return policy.mediationSuggestions[ruleKey];
+            }
+            // Try reversed key
+            var parts = ruleKey.split("->");
+            if (parts.length === 2) {
+                var reversed = parts[1] + "->" + parts[0];
+                if (policy.mediationSuggestions && policy.mediationSuggestions[reversed]) {
+                    return policy.mediationSuggestions[reversed];
+                }
+            }
+            return null;
+        }
+
+        function getRuleLabel(ruleKey) {
+            var parts = ruleKey.split("->");
+            if (parts.length === 2) {
+                return capitalize(parts[0]) + " \u2192 " + capitalize(parts[1]);
+            }
+            return ruleKey;
+        }
+
+        /**
+         * Scan relationships against the policy.
+         * @param {Object} relationships - jArchi collection of relationships
+         * @returns {Object} { violations, stats }
+         */
+        function scan(relationships) {
+            var violations = [];
+            var stats = {
+                total: 0,
+                checked: 0,
+                skippedUnknown: 0,
+                skippedSameLayer: 0,
+                skippedCrossCutting: 0,
+                skippedExcludedType: 0,
+                skippedAllowlisted: 0
+            };
+
+            relationships.each(function (rel) {
+                stats.total++;
+                if (stats.total % 500 === 0 && typeof log !== "undefined") {
+                    log.detail("  Scanned " + stats.total + " relationships...");
+                }
+
+                var sourceType = rel.source ? rel.source.type : null;
+                var targetType = rel.target ? rel.target.type : null;
+                var relType = rel.type;
+
+                // Skip broken or unknown types (junctions, nested relationships)
+                if (!sourceType || !targetType ||
+                    !relationshipMatrix.isKnownType(sourceType) ||
+                    !relationshipMatrix.isKnownType(targetType)) {
+                    stats.skippedUnknown++;
+                    return;
+                }
+
+                var sourceLayer = getLayer(sourceType);
+                var targetLayer = getLayer(targetType);
+
+                // Skip if we can't determine layers
+                if (!sourceLayer || !targetLayer) {
+                    stats.skippedUnknown++;
+                    return;
+                }
+
+                // Skip same-layer relationships
+                if (sourceLayer === targetLayer && policy.sameLayerAlwaysAllowed) {
+                    stats.skippedSameLayer++;
+                    return;
+                }
+
+                // Skip if either layer is cross-cutting
+                if (isCrossCutting(sourceLayer) || isCrossCutting(targetLayer)) {
+                    stats.skippedCrossCutting++;
+                    return;
+                }
+
+                // Skip excluded relationship types
+                if (excludedRelTypes[relType]) {
+                    stats.skippedExcludedType++;
+                    return;
+                }
+
+                // Check allowlist
+                if (isAllowlisted(sourceType, targetType, relType)) {
+                    stats.skippedAllowlisted++;
+                    return;
+                }
+
+                stats.checked++;
+
+                // Check if transition is allowed
+                if (isTransitionAllowed(sourceLayer, targetLayer)) {
+                    return;
+                }
+
+                // Violation found
+                var ruleKey = makeRuleKey(sourceLayer, targetLayer);
+                var layerDist = getLayerDistance(sourceLayer, targetLayer);
+
+                violations.push({
+                    relId: rel.id,
+                    relType: relType,
+                    relName: rel.name || "",
+                    sourceName: safeName(rel.source),
+                    sourceType: sourceType,
+                    sourceLayer: sourceLayer,
+                    targetName: safeName(rel.target),
+                    targetType: targetType,
+                    targetLayer: targetLayer,
+                    ruleKey: ruleKey,
+                    ruleLabel: getRuleLabel(ruleKey),
+                    layerDistance: layerDist,
+                    severity: layerDist >= 3 ? "Error" : "Warning",
+                    mediation: getMediationSuggestion(ruleKey)
+                });
+            });
+
+            return { violations: violations, stats: stats };
+        }
+
+        return {
+            getLayer: getLayer,
+            isCrossCutting: isCrossCutting,
+            getRuleLabel: getRuleLabel,
+            getMediationSuggestion: getMediationSuggestion,
+            scan: scan
+        };
+    }
+
+    // =================================================================
+    // Public API
+    // =================================================================
+
+    var layerPolicy = {
+        getDefaultPolicy: getDefaultPolicy,
+        loadPolicy: loadPolicy,
+        createChecker: createChecker
+    };
+
+    if (typeof globalThis !== "undefined") globalThis.layerPolicy = layerPolicy;
+    if (typeof module !== "undefined" && module.exports) module.exports = layerPolicy;
+})();
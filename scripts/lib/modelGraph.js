@@ -115,12 +115,16 @@
      * @param {Object} [options.elements] - jArchi collection (when scope="selection")
      * @param {Object} [options.layerFilter] - { "business": true, ... } (when scope="layer")
      * @param {Object} [options.relationshipTypes] - { "serving-relationship": true, ... }
+     * @param {Object} [options.model] - jArchi model proxy to read instead of the current model
      * @returns {Object} Graph object
      */
     function buildGraph(options) {
         options = options || {};
         var scope = options.scope || "model";
         var relTypes = options.relationshipTypes || DEFAULT_DEPENDENCY_TYPES;
+        var find = options.model
+            ? function (selector) { return options.model.find(selector); }
+            : function (selector) { return $(selector); };
 
         var graph = {
             nodes: {},
@@ -137,9 +141,9 @@
             elementCollection = options.elements;
         } else if (scope === "layer" && options.layerFilter) {
             // Build from all elements, filter by layer
-            elementCollection = $("element");
+            elementCollection = find("element");
         } else {
-            elementCollection = $("element");
+            elementCollection = find("element");
         }
 
         // Add nodes
@@ -166,7 +170,7 @@
 
         // Step 2: Add edges from relationships
         var relCount = 0;
-        $("relationship").each(function (rel) {
+        find("relationship").each(function (rel) {
             relCount++;
             if (relCount % 500 === 0 && typeof log !== "undefined") {
                 log.detail("  Processing relationship " + relCount + "...");
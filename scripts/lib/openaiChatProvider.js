@@ -0,0 +1,313 @@
+/**
+ * @module openaiChatProvider
+ * @description codexClient provider for OpenAI-compatible chat-completions servers.
+ *
+ * Talks to any server that implements GET /models and POST /chat/completions
+ * of the OpenAI API: Ollama, llama.cpp's llama-server, vLLM, LM Studio or the
+ * OpenAI API itself. Conversation threads are kept in memory and the whole
+ * message history is sent with every turn, as the chat-completions API is
+ * stateless. Structured output (askPlan) is requested with a json_schema
+ * response_format built from the same schema the Codex provider uses.
+ *
+ * Requests go out through java.net.http.HttpClient.sendAsync() and the
+ * caller's onPoll callback runs while waiting, so the Codex Chat UI stays
+ * responsive; no JavaScript runs on HttpClient threads. Responses are not
+ * streamed: onDelta is called once with the full reply.
+ *
+ * Loading this module registers it with codexClient as "openai".
+ *
+ * Usage:
+ *   load(__DIR__ + "lib/codexClient.js");
+ *   load(__DIR__ + "lib/openaiChatProvider.js");
+ *
+ *   codexClient.setProvider("openai");
+ *   codexClient.connect("http://127.0.0.1:11434/v1", { model: "llama3.1" });
+ *   var thread = codexClient.startThread();
+ *   var result = codexClient.ask(thread.id, "Explain this model");
+ *
+ * @version 1.0.0
+ * @author Thomas Rohde
+ * @lastModifiedDate 2026-10-19
+ */
+(function () {
+    "use strict";
+    if (typeof globalThis !== "undefined" && typeof globalThis.openaiChatProvider !== "undefined") return;
+
+    var URI = Java.type("java.net.URI");
+    var HttpClient = Java.type("java.net.http.HttpClient");
+    var HttpRequest = Java.type("java.net.http.HttpRequest");
+    var BodyPublishers = Java.type("java.net.http.HttpRequest$BodyPublishers");
+    var BodyHandlers = Java.type("java.net.http.HttpResponse$BodyHandlers");
+    var Duration = Java.type("java.time.Duration");
+    var TimeUnit = Java.type("java.util.concurrent.TimeUnit");
+    var JavaSystem = Java.type("java.lang.System");
+    var JThread = Java.type("java.lang.Thread");
+
+    // ── Defaults ────────────────────────────────────────────────────────
+    var DEFAULTS = {
+        url: "http://127.0.0.1:11434/v1",   // Ollama; llama-server uses http://127.0.0.1:8080/v1
+        timeout: 30000,       // 30s for connection + model list
+        turnTimeout: 300000,  // 5 min for a full reply
+        apiKeyEnv: "OPENAI_API_KEY",
+        systemPrompt: "You are an enterprise architecture assistant working on an ArchiMate model " +
+            "open in Archi. Answer questions about the model concisely and use the element " +
+            "names and types from the model context you are given."
+    };
+
+    // ── Internal state ──────────────────────────────────────────────────
+    var httpClient = null;
+    var baseUrl = null;
+    var apiKey = null;
+    var defaultModel = null;
+    var connected = false;
+    var threads = {};
+    var nextThreadId = 1;
+    var nextTurnId = 1;
+
+    // ── HTTP ────────────────────────────────────────────────────────────
+
+    function _request(path, body, timeoutMs) {
+        var builder = HttpRequest.newBuilder(URI.create(baseUrl + path))
+            .timeout(Duration.ofMillis(timeoutMs))
+            .header("Accept", "application/json");
+        if (apiKey) builder.header("Authorization", "Bearer " + apiKey);
+        if (body === undefined) {
+            builder.GET();
+        } else {
+            builder.header("Content-Type", "application/json");
+            builder.POST(BodyPublishers.ofString(JSON.stringify(body)));
+        }
+        return builder.build();
+    }
+
+    /**
+     * Send a request and wait for the response, calling onPoll while waiting.
+     * An exception thrown by onPoll (e.g. "Cancelled") cancels the request.
+     * @returns {{ status: number, body: Object|null, text: string }}
+     */
+    function _send(request, timeoutMs, onPoll) {
+        var future = httpClient.sendAsync(request, BodyHandlers.ofString());
+        var deadline = JavaSystem.currentTimeMillis() + timeoutMs;
+        try {
+            if (onPoll) {
+                while (!future.isDone()) {
+                    if (JavaSystem.currentTimeMillis() >= deadline) {
+                        throw new Error("openaiChatProvider: request timed out after " + timeoutMs + "ms");
+                    }
+                    onPoll();
+                    JThread.sleep(10);
+                }
+            }
+            var response = future.get(Math.max(1, deadline - JavaSystem.currentTimeMillis()), TimeUnit.MILLISECONDS);
+            var text = String(response.body() || "");
+            var parsed = null;
+            try { parsed = JSON.parse(text); } catch (e) { /* not JSON */ }
+            return { status: response.statusCode(), body: parsed, text: text };
+        } catch (e) {
+            if (!future.isDone()) future.cancel(true);
+            if (e instanceof Error) throw e;
+            var cause = e.getCause ? e.getCause() : null;
+            throw new Error("openaiChatProvider: request to " + baseUrl + " failed — " + (cause || e));
+        }
+    }
+
+    /** Error text from an OpenAI-style error body, or the HTTP status. */
+    function _errorMessage(response) {
+        var error = response.body && response.body.error;
+        var message = error ? (typeof error === "string" ? error : error.message) : null;
+        return "HTTP " + response.status + (message ? ": " + message : response.text ? ": " + response.text.substring(0, 200) : "");
+    }
+
+    /** Map a GET /models response to the Codex model/list shape. */
+    function _toModelList(body) {
+        var data = (body && Array.isArray(body.data)) ? body.data : [];
+        return data.map(function (m) {
+            return {
+                id: m.id,
+                displayName: m.id,
+                description: m.owned_by ? "Owned by " + m.owned_by : "",
+                isDefault: m.id === defaultModel,
+                supportsReasoningEffort: false
+            };
+        });
+    }
+
+    // ── Provider API ────────────────────────────────────────────────────
+
+    /**
+     * Connect to a chat-completions server. Lists its models to check the URL.
+     *
+     * @param {string} [url] - API base URL including /v1 (default Ollama on localhost)
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Connection timeout in ms
+     * @param {string} [options.apiKey] - Bearer token (default: the OPENAI_API_KEY environment variable)
+     * @param {string} [options.model] - Default model (default: the first model the server lists)
+     * @returns {{ serverInfo: Object, models: number }}
+     */
+    function connect(url, options) {
+        if (connected) throw new Error("openaiChatProvider: already connected — call disconnect() first");
+
+        options = options || {};
+        url = String(url || DEFAULTS.url).trim().replace(/\/+$/, "");
+        if (!/^https?:\/\/[^\s/]+/.test(url)) throw new Error("openaiChatProvider: invalid HTTP URL: " + url);
+        var timeout = options.timeout || DEFAULTS.timeout;
+
+        baseUrl = url;
+        apiKey = options.apiKey || JavaSystem.getenv(DEFAULTS.apiKeyEnv) || null;
+        if (apiKey) apiKey = String(apiKey);
+        httpClient = HttpClient.newBuilder().connectTimeout(Duration.ofMillis(timeout)).build();
+
+        var response;
+        try {
+            response = _send(_request("/models", undefined, timeout), timeout);
+        } catch (e) {
+            disconnect();
+            throw new Error("openaiChatProvider: failed to connect to " + url + " — " + e.message);
+        }
+        if (response.status !== 200) {
+            disconnect();
+            throw new Error("openaiChatProvider: GET " + url + "/models failed — " + _errorMessage(response));
+        }
+
+        var models = _toModelList(response.body);
+        defaultModel = options.model || (models.length > 0 ? models[0].id : null);
+        connected = true;
+        threads = {};
+        return { serverInfo: { name: "openai-compatible", url: url }, models: models.length };
+    }
+
+    /**
+     * Disconnect and forget all threads.
+     */
+    function disconnect() {
+        httpClient = null;
+        connected = false;
+        threads = {};
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    function isConnected() {
+        return connected;
+    }
+
+    /**
+     * Start a new in-memory conversation thread.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.model] - Model to use (default: the connection's default model)
+     * @param {string} [options.systemPrompt] - System message for the thread
+     * @returns {{ id: string, model: string }}
+     */
+    function startThread(options) {
+        if (!connected) throw new Error("openaiChatProvider: not connected");
+        options = options || {};
+        var model = options.model || defaultModel;
+        if (!model) throw new Error("openaiChatProvider: the server lists no models — pass options.model");
+
+        var id = "thread-" + (nextThreadId++);
+        threads[id] = {
+            id: id,
+            model: model,
+            messages: [{ role: "system", content: options.systemPrompt || DEFAULTS.systemPrompt }]
+        };
+        return { id: id, model: model };
+    }
+
+    /**
+     * Send a user message with the thread's history and return the reply.
+     *
+     * @param {string} threadId - Thread from startThread()
+     * @param {string} text - User prompt text
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Reply timeout in ms (default 5min)
+     * @param {Function} [options.onDelta] - Called once with the full reply text
+     * @param {Function} [options.onPoll] - Called while waiting for event loop pumping
+     * @param {Object} [options.outputSchema] - JSON schema for structured output
+     * @param {string} [options.effort] - Sent as reasoning_effort
+     * @returns {{ text: string, turnId: string, status: string, error: Object|null, items: Array }}
+     */
+    function ask(threadId, text, options) {
+        if (!connected) throw new Error("openaiChatProvider: not connected");
+        var thread = threads[threadId];
+        if (!thread) throw new Error("openaiChatProvider: unknown thread " + threadId);
+        options = options || {};
+
+        var turnId = "turn-" + (nextTurnId++);
+        var messages = thread.messages.concat([{ role: "user", content: text }]);
+        var body = { model: thread.model, messages: messages, stream: false };
+        if (options.outputSchema) {
+            body.response_format = {
+                type: "json_schema",
+                json_schema: { name: "ArchiChangePlan", schema: options.outputSchema, strict: true }
+            };
+        }
+        if (options.effort) body.reasoning_effort = options.effort;
+
+        var timeout = options.timeout || DEFAULTS.turnTimeout;
+        var response = _send(_request("/chat/completions", body, timeout), timeout, options.onPoll);
+        if (response.status !== 200) {
+            return { text: "", turnId: turnId, status: "failed", error: { message: _errorMessage(response) }, items: [] };
+        }
+
+        var choice = response.body && Array.isArray(response.body.choices) ? response.body.choices[0] : null;
+        var reply = choice && choice.message ? choice.message.content : null;
+        if (typeof reply !== "string") {
+            return { text: "", turnId: turnId, status: "failed", error: { message: "Response has no message content" }, items: [] };
+        }
+
+        // Only completed exchanges join the history, so a failed turn can be retried
+        thread.messages = messages.concat([{ role: "assistant", content: reply }]);
+        if (options.onDelta && reply) options.onDelta(reply);
+
+        var truncated = choice.finish_reason === "length";
+        return {
+            text: reply,
+            turnId: turnId,
+            status: "completed",
+            error: truncated ? { message: "Reply cut off at the model's token limit" } : null,
+            items: []
+        };
+    }
+
+    /**
+     * Describe the connection in the shape of the Codex config/read response.
+     * @returns {{ config: Object }}
+     */
+    function readConfig() {
+        return { config: { model: defaultModel, model_provider: "openai-compatible", base_url: baseUrl } };
+    }
+
+    /**
+     * List the server's models (GET /models).
+     * @returns {{ data: Array }}
+     */
+    function listModels() {
+        if (!connected) throw new Error("openaiChatProvider: not connected");
+        var response = _send(_request("/models", undefined, DEFAULTS.timeout), DEFAULTS.timeout);
+        if (response.status !== 200) {
+            throw new Error("openaiChatProvider: GET /models failed — " + _errorMessage(response));
+        }
+        return { data: _toModelList(response.body) };
+    }
+
+    // ── Module export ───────────────────────────────────────────────────
+
+    var openaiChatProvider = {
+        label: "OpenAI-compatible (Ollama, llama.cpp)",
+        defaultUrl: DEFAULTS.url,
+        connect: connect,
+        disconnect: disconnect,
+        isConnected: isConnected,
+        startThread: startThread,
+        ask: ask,
+        readConfig: readConfig,
+        listModels: listModels
+    };
+
+    if (typeof codexClient !== "undefined") codexClient.registerProvider("openai", openaiChatProvider);
+
+    if (typeof globalThis !== "undefined") globalThis.openaiChatProvider = openaiChatProvider;
+    if (typeof module !== "undefined" && module.exports) module.exports = openaiChatProvider;
+})();
@@ -6,11 +6,17 @@
  * Supports preview mode (human-readable descriptions without model changes)
  * and apply mode (actual model mutations).
  *
- * Tracks ref_id mappings from create_element and create_view actions so that
- * subsequent actions can reference newly created elements/views by ref_id.
+ * Tracks ref_id mappings from create_element, create_view, duplicate_view,
+ * create_note and create_group actions so that subsequent actions can reference
+ * newly created elements, views and view objects by ref_id.
  *
- * Post-processing: after all add_to_view actions, auto-connects relationships
- * between elements placed on each view.
+ * Post-processing: after all add_to_view and nest_in_view actions, auto-connects
+ * relationships between elements placed on each view.
+ *
+ * Apply mode makes each change as a GEF command, the way undoableCommands does. A
+ * plan is rolled back as a whole when an action fails; when it succeeds its commands
+ * go on the model's command stack as one command, undone and redone in one step. Results also keep the IDs and previous values invert() needs to build a
+ * reverting plan.
  *
  * Usage:
  *   load(__DIR__ + "lib/planOps.js");
@@ -19,11 +25,12 @@
  *   load(__DIR__ + "lib/planExecutor.js");
  *
  *   var preview = planExecutor.execute(plan, { preview: true });
- *   var result  = planExecutor.execute(plan, { preview: false });
+ *   var result  = planExecutor.execute(plan, { preview: false });  // one undo step, rolled back on failure
+ *   var revert  = planExecutor.invert(plan, result);                // reviewable inverse plan
  *
- * @version 2.0.0
+ * @version 3.2.1
  * @author Thomas Rohde
- * @lastModifiedDate 2026-02-22
+ * @lastModifiedDate 2026-10-19
  */
 (function () {
     "use strict";
@@ -39,6 +46,19 @@
     var DEFAULT_WIDTH = 120;    // Default element width on view
     var DEFAULT_HEIGHT = 55;    // Default element height on view
 
+    // ── Note, group and nesting defaults (match undoableCommands) ────────
+
+    var NOTE_DEFAULTS = { x: 100, y: 100, width: 185, height: 80 };
+    var GROUP_DEFAULTS = { x: 100, y: 100, width: 400, height: 300 };
+    var NEST_OFFSET = 10;       // Default x/y inside the parent
+    var UNDO_LABEL = "Apply Change Plan";
+
+    // style_view_object field → jArchi diagram object property
+    var STYLE_FIELDS = [
+        ["fill_color", "fillColor"], ["line_color", "lineColor"], ["font_color", "fontColor"],
+        ["font_size", "fontSize"], ["opacity", "opacity"]
+    ];
+
     // ── Element resolution ───────────────────────────────────────────────
 
     /**
@@ -65,6 +85,61 @@
         return $("#" + id).first();
     }
 
+    /**
+     * Resolve a diagram object on a view: a note/group ref_id, a diagram object ID,
+     * or the object showing an element (by ID or ref_id) on that view.
+     */
+    function _resolveViewObject(view, id, refIdMap, objectRefIdMap) {
+        if (objectRefIdMap && objectRefIdMap[id]) {
+            return objectRefIdMap[id];
+        }
+        var concept = _resolveElement(id, refIdMap, null);
+        if (!concept) return null;
+        if (concept.view) {
+            return concept.view.id === view.id ? concept : null;
+        }
+
+        var found = null;
+        $(view).find("element").each(function (obj) {
+            if (!found && obj.concept && obj.concept.id === concept.id) {
+                found = obj;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Pick a value from an action field, falling back to a default when null/absent.
+     */
+    function _valueOr(value, fallback) {
+        return (value !== null && value !== undefined) ? value : fallback;
+    }
+
+    /**
+     * Get the /-separated folder path of a concept (the inverse of _resolveFolder).
+     */
+    function _folderPath(concept) {
+        var parts = [];
+        var parent = $(concept).parent().first();
+        while (parent && parent.type === "folder") {
+            parts.unshift(parent.name);
+            parent = $(parent).parent().first();
+        }
+        return parts.join("/");
+    }
+
+    /**
+     * Copy an object's properties into [{ key, value }] pairs.
+     */
+    function _snapshotProperties(obj) {
+        var props = [];
+        var keys = obj.prop();
+        for (var i = 0; i < keys.length; i++) {
+            props.push({ key: keys[i], value: obj.prop(keys[i]) });
+        }
+        return props;
+    }
+
     /**
      * Resolve a folder by /-separated path, walking through the folder hierarchy.
      * Returns the folder object or null if not found.
@@ -106,7 +181,7 @@
 
     // ── Action descriptions (preview mode) ───────────────────────────────
 
-    function _describeAction(action, refIdMap, viewRefIdMap) {
+    function _describeAction(action, refIdMap, viewRefIdMap, objectRefIdMap) {
         switch (action.op) {
             case "create_element": {
                 var refNote = action.ref_id ? ' (ref: ' + action.ref_id + ')' : '';
@@ -180,14 +255,434 @@
                 var elName6 = el6 ? el6.name : "(ref: " + action.element_id + ")";
                 return 'Move "' + elName6 + '" to folder "' + action.folder_path + '"';
             }
+            case "update_relationship": {
+                var updRel = $("#" + action.relationship_id).first();
+                var updName = updRel ? (updRel.name || updRel.source.name + " \u2192 " + updRel.target.name) : action.relationship_id;
+                var changes = [];
+                if (action.name !== null && action.name !== undefined) changes.push('name "' + action.name + '"');
+                if (action.documentation !== null && action.documentation !== undefined) changes.push("documentation");
+                if (action.access_type) changes.push("access type " + action.access_type);
+                if (action.strength) changes.push('strength "' + action.strength + '"');
+                return 'Update relationship "' + updName + '": ' + changes.join(", ");
+            }
+            case "style_view_object": {
+                var styleView = _resolveView(action.view_id, viewRefIdMap);
+                var styleViewName = styleView ? styleView.name : "(ref: " + action.view_id + ")";
+                var styleTarget = (objectRefIdMap && objectRefIdMap[action.element_id]) ||
+                    _resolveElement(action.element_id, refIdMap, viewRefIdMap);
+                var styleName = styleTarget ? styleTarget.name : "(ref: " + action.element_id + ")";
+                var styles = [];
+                if (action.fill_color) styles.push("fill " + action.fill_color);
+                if (action.line_color) styles.push("line " + action.line_color);
+                if (action.font_color) styles.push("font " + action.font_color);
+                if (action.font_size !== null && action.font_size !== undefined) styles.push("font size " + action.font_size);
+                if (action.opacity !== null && action.opacity !== undefined) styles.push("opacity " + action.opacity);
+                return 'Style "' + styleName + '" on view "' + styleViewName + '": ' + styles.join(", ");
+            }
+            case "nest_in_view": {
+                var nestView = _resolveView(action.view_id, viewRefIdMap);
+                var nestViewName = nestView ? nestView.name : "(ref: " + action.view_id + ")";
+                var child = _resolveElement(action.element_id, refIdMap, viewRefIdMap);
+                var childName = child ? child.name : "(ref: " + action.element_id + ")";
+                var parent = (objectRefIdMap && objectRefIdMap[action.parent_id]) ||
+                    _resolveElement(action.parent_id, refIdMap, viewRefIdMap);
+                var parentName = parent ? parent.name : "(ref: " + action.parent_id + ")";
+                return 'Nest "' + childName + '" inside "' + parentName + '" on view "' + nestViewName + '"';
+            }
+            case "create_note": {
+                var noteView = _resolveView(action.view_id, viewRefIdMap);
+                var noteViewName = noteView ? noteView.name : "(ref: " + action.view_id + ")";
+                var notePreview = action.text.length > 60 ? action.text.substring(0, 57) + "..." : action.text;
+                return 'Add note "' + notePreview + '" to view "' + noteViewName + '"';
+            }
+            case "create_group": {
+                var groupView = _resolveView(action.view_id, viewRefIdMap);
+                var groupViewName = groupView ? groupView.name : "(ref: " + action.view_id + ")";
+                var groupRef = action.ref_id ? ' (ref: ' + action.ref_id + ')' : '';
+                return 'Add group "' + action.name + '" to view "' + groupViewName + '"' + groupRef;
+            }
+            case "remove_from_view": {
+                var removeView = _resolveView(action.view_id, viewRefIdMap);
+                var removeViewName = removeView ? removeView.name : "(ref: " + action.view_id + ")";
+                var removeTarget = (objectRefIdMap && objectRefIdMap[action.element_id]) ||
+                    _resolveElement(action.element_id, refIdMap, viewRefIdMap);
+                var removeName = removeTarget ? (removeTarget.name || removeTarget.type) : "(ref: " + action.element_id + ")";
+                return 'Remove "' + removeName + '" from view "' + removeViewName + '" (element is kept)';
+            }
+            case "set_view_router": {
+                var routerView = _resolveView(action.view_id, viewRefIdMap);
+                var routerViewName = routerView ? routerView.name : "(ref: " + action.view_id + ")";
+                return 'Set connection router of view "' + routerViewName + '" to ' + action.router;
+            }
+            case "duplicate_view": {
+                var dupView = _resolveView(action.view_id, viewRefIdMap);
+                var dupViewName = dupView ? dupView.name : "(ref: " + action.view_id + ")";
+                var dupRef = action.ref_id ? ' (ref: ' + action.ref_id + ')' : '';
+                return 'Duplicate view "' + dupViewName + '" as "' + _valueOr(action.name, dupViewName + " (Copy)") + '"' + dupRef;
+            }
+            case "delete_view": {
+                var delView = _resolveView(action.view_id, viewRefIdMap);
+                var delViewName = delView ? delView.name : action.view_id;
+                return 'Delete view "' + delViewName + '" (elements are kept)';
+            }
             default:
                 return "Unknown operation: " + action.op;
         }
     }
 
+    // ── Undoable model changes ───────────────────────────────────────────
+    //
+    // Apply mode changes the model through EMF, one GEF command per change, the
+    // way undoableCommands does for the Model API Server. jArchi proxies are only
+    // used to look objects up, so jArchi's own script command records nothing.
+
+    var IArchimateFactory = Java.type("com.archimatetool.model.IArchimateFactory");
+    var IArchimatePackage = Java.type("com.archimatetool.model.IArchimatePackage");
+    var IAccessRelationship = Java.type("com.archimatetool.model.IAccessRelationship");
+    var IDiagramModel = Java.type("com.archimatetool.model.IDiagramModel");
+    var ArchimateModelUtils = Java.type("com.archimatetool.model.util.ArchimateModelUtils");
+    var EObjectFeatureCommand = Java.type("com.archimatetool.editor.model.commands.EObjectFeatureCommand");
+    var GEFCommand = Java.type("org.eclipse.gef.commands.Command");
+    var GEFCommandStack = Java.type("org.eclipse.gef.commands.CommandStack");
+    var EcoreUtil = Java.type("org.eclipse.emf.ecore.util.EcoreUtil");
+    var UUID = Java.type("java.util.UUID");
+
+    var factory = IArchimateFactory.eINSTANCE;
+    var pkg = IArchimatePackage.eINSTANCE;
+
+    // update_relationship access_type → IAccessRelationship constant
+    var ACCESS_TYPE_VALUES = {
+        write: IAccessRelationship.WRITE_ACCESS,
+        read: IAccessRelationship.READ_ACCESS,
+        access: IAccessRelationship.UNSPECIFIED_ACCESS,
+        readwrite: IAccessRelationship.READ_WRITE_ACCESS
+    };
+
+    // style_view_object field → EMF feature (font_size rewrites the font string)
+    var STYLE_FEATURES = {
+        fill_color: pkg.getDiagramModelObject_FillColor(),
+        line_color: pkg.getLineObject_LineColor(),
+        font_color: pkg.getFontAttribute_FontColor(),
+        font_size: pkg.getFontAttribute_Font(),
+        opacity: pkg.getDiagramModelObject_Alpha()
+    };
+
+    /**
+     * Find the EMF model behind the jArchi `model` proxy.
+     */
+    function _findModel() {
+        var IEditorModelManager = Java.type("com.archimatetool.editor.model.IEditorModelManager");
+        var models = IEditorModelManager.INSTANCE.getModels();
+        for (var i = 0; i < models.size(); i++) {
+            if (models.get(i).getId() === model.id) {
+                return models.get(i);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The EMF object behind a jArchi proxy.
+     */
+    function _eObject(ctx, proxy) {
+        return ArchimateModelUtils.getObjectByID(ctx.model, proxy.id);
+    }
+
+    /**
+     * The jArchi proxy of an EMF object, for the ref_id maps.
+     */
+    function _proxy(eObject) {
+        return $("#" + eObject.getId()).first();
+    }
+
+    /**
+     * The EMF class of a jArchi type, e.g. "business-actor" → BusinessActor.
+     */
+    function _eClass(type) {
+        return pkg.getEClassifier(type.split("-").map(function (part) {
+            return part.charAt(0).toUpperCase() + part.substring(1);
+        }).join(""));
+    }
+
+    /**
+     * A new ID in Archi's format, for copied objects.
+     */
+    function _newId() {
+        return "id-" + UUID.randomUUID().toString().replace(/-/g, "");
+    }
+
+    function _bounds(x, y, width, height) {
+        var bounds = factory.createBounds();
+        bounds.setX(x);
+        bounds.setY(y);
+        bounds.setWidth(width);
+        bounds.setHeight(height);
+        return bounds;
+    }
+
+    /**
+     * The font string jArchi writes for fontSize: the object's font, or the
+     * default view font, with another height.
+     */
+    function _fontWithSize(font, size) {
+        var FontData = Java.type("org.eclipse.swt.graphics.FontData");
+        var fontData = null;
+        if (font) {
+            try {
+                fontData = new FontData(font);
+            } catch (e) { /* not a valid font string */ }
+        }
+        if (!fontData) {
+            var FontFactory = Java.type("com.archimatetool.editor.ui.FontFactory");
+            fontData = new FontData(FontFactory.getDefaultUserViewFontData().toString());
+        }
+        fontData.setHeight(size);
+        return fontData.toString();
+    }
+
+    /**
+     * A GEF command that runs doIt, and undoIt to undo; redo runs doIt again.
+     */
+    function _command(label, doIt, undoIt) {
+        var Step = Java.extend(GEFCommand, {
+            execute: doIt,
+            undo: undoIt,
+            canExecute: function () { return true; },
+            canUndo: function () { return true; },
+            getLabel: function () { return label; }
+        });
+        return new Step();
+    }
+
+    function _setCommand(label, eObject, feature, value) {
+        return new EObjectFeatureCommand(label, eObject, feature, value);
+    }
+
+    function _addCommand(label, list, obj) {
+        return _command(label, function () {
+            list.add(obj);
+        }, function () {
+            list.remove(obj);
+        });
+    }
+
+    /**
+     * Remove an object from an EMF list; undo puts it back at the same index.
+     */
+    function _removeCommand(label, list, obj) {
+        var index = -1;
+        return _command(label, function () {
+            index = list.indexOf(obj);
+            list.remove(obj);
+        }, function () {
+            if (index >= 0) list.add(Math.min(index, list.size()), obj);
+        });
+    }
+
+    /**
+     * Move an object from the list that contains it to another list.
+     */
+    function _moveCommand(label, obj, toList) {
+        var fromList = obj.eContainer().eGet(obj.eContainmentFeature());
+        var index = -1;
+        return _command(label, function () {
+            index = fromList.indexOf(obj);
+            fromList.remove(obj);
+            toList.add(obj);
+        }, function () {
+            toList.remove(obj);
+            fromList.add(Math.min(index, fromList.size()), obj);
+        });
+    }
+
+    /**
+     * Add an element, relationship or view to a folder. A relationship is also
+     * registered with its source and target (reconnect), as jArchi's rels() and
+     * Archi's model tree read it from there.
+     */
+    function _addToFolderCommand(label, folder, concept) {
+        var linked = typeof concept.reconnect === "function";
+        return _command(label, function () {
+            folder.getElements().add(concept);
+            if (linked) concept.reconnect();
+        }, function () {
+            if (linked) concept.disconnect();
+            folder.getElements().remove(concept);
+        });
+    }
+
+    /**
+     * Remove an element, relationship or view from its folder (the inverse of
+     * _addToFolderCommand).
+     */
+    function _removeFromFolderCommand(label, concept) {
+        var folder = concept.eContainer();
+        var linked = typeof concept.disconnect === "function";
+        var index = -1;
+        return _command(label, function () {
+            if (linked) concept.disconnect();
+            index = folder.getElements().indexOf(concept);
+            folder.getElements().remove(concept);
+        }, function () {
+            folder.getElements().add(Math.min(index, folder.getElements().size()), concept);
+            if (linked) concept.reconnect();
+        });
+    }
+
+    function _connectCommand(label, connection, source, target) {
+        return _command(label, function () {
+            connection.connect(source, target);
+        }, function () {
+            connection.disconnect();
+        });
+    }
+
+    function _disconnectCommand(label, connection) {
+        return _command(label, function () {
+            connection.disconnect();
+        }, function () {
+            connection.reconnect();
+        });
+    }
+
+    /**
+     * Remove a diagram object or connection from its view, together with every
+     * connection attached to it, to a connection attached to it, or to an object
+     * nested inside it.
+     */
+    function _removeDiagramComponent(ctx, component) {
+        var connections = [];
+        var seen = {};
+        function collect(connectable) {
+            [connectable.getSourceConnections(), connectable.getTargetConnections()].forEach(function (list) {
+                for (var i = 0; i < list.size(); i++) {
+                    var conn = list.get(i);
+                    if (!seen[conn.getId()]) {
+                        seen[conn.getId()] = true;
+                        connections.push(conn);
+                        collect(conn);
+                    }
+                }
+            });
+            if (typeof connectable.getChildren === "function") {
+                var children = connectable.getChildren();
+                for (var c = 0; c < children.size(); c++) {
+                    collect(children.get(c));
+                }
+            }
+        }
+
+        var isConnection = pkg.getDiagramModelConnection().isInstance(component);
+        if (isConnection) {
+            seen[component.getId()] = true;
+        }
+        collect(component);
+        for (var i = 0; i < connections.length; i++) {
+            ctx.run(_disconnectCommand("Remove Connection", connections[i]));
+        }
+        if (isConnection) {
+            ctx.run(_disconnectCommand("Remove Connection", component));
+        } else {
+            ctx.run(_removeCommand("Remove from View", component.eContainer().getChildren(), component));
+        }
+    }
+
+    /**
+     * Delete a concept from the model: the relationships attached to it first,
+     * then its objects and connections on every view, then the concept itself.
+     *
+     * @returns {number} Number of relationships deleted with it
+     */
+    function _deleteConcept(ctx, concept) {
+        var id = concept.getId();
+        var relationships = [];
+        var all = ctx.model.eAllContents();
+        while (all.hasNext()) {
+            var obj = all.next();
+            if (pkg.getArchimateRelationship().isInstance(obj) &&
+                ((obj.getSource() && obj.getSource().getId() === id) ||
+                 (obj.getTarget() && obj.getTarget().getId() === id))) {
+                relationships.push(obj);
+            }
+        }
+
+        var cascaded = 0;
+        for (var r = 0; r < relationships.length; r++) {
+            // Already gone when it was attached to another deleted relationship
+            if (relationships[r].eContainer()) {
+                cascaded += 1 + _deleteConcept(ctx, relationships[r]);
+            }
+        }
+
+        var components = [];
+        all = ctx.model.eAllContents();
+        while (all.hasNext()) {
+            var component = all.next();
+            if (typeof component.getArchimateConcept === "function" && component.getArchimateConcept() &&
+                component.getArchimateConcept().getId() === id) {
+                components.push(component);
+            }
+        }
+        for (var c = 0; c < components.length; c++) {
+            // A connection may already be gone with a connection it was attached to
+            if (components[c].eContainer()) {
+                _removeDiagramComponent(ctx, components[c]);
+            }
+        }
+
+        ctx.run(_removeFromFolderCommand("Delete " + (concept.getName() || id), concept));
+        return cascaded;
+    }
+
+    /**
+     * Undo the commands of a failed plan, newest first, and mark the results.
+     */
+    function _rollback(commands, output) {
+        var errors = [];
+        for (var i = commands.length - 1; i >= 0; i--) {
+            try {
+                commands[i].undo();
+            } catch (e) {
+                errors.push("Undo failed: " + e);
+            }
+        }
+        output.rolledBack = errors.length === 0;
+        if (errors.length > 0) {
+            output.rollbackError = errors.slice(0, 5).join("; ");
+        }
+        for (var r = 0; r < output.results.length; r++) {
+            if (output.results[r].ok) output.results[r].rolledBack = true;
+        }
+    }
+
+    /**
+     * The command that puts an applied plan on the command stack. Its changes are
+     * already made, so execute() does nothing; undo and redo run the plan's
+     * commands as one step.
+     */
+    function _appliedPlanCommand(label, commands) {
+        var AppliedPlan = Java.extend(GEFCommand, {
+            execute: function () { },
+            undo: function () {
+                for (var i = commands.length - 1; i >= 0; i--) {
+                    commands[i].undo();
+                }
+            },
+            redo: function () {
+                for (var i = 0; i < commands.length; i++) {
+                    commands[i].redo();
+                }
+            },
+            canExecute: function () { return true; },
+            canUndo: function () { return true; },
+            getLabel: function () { return label; }
+        });
+        return new AppliedPlan();
+    }
+
     // ── Action application (apply mode) ──────────────────────────────────
 
-    function _applyAction(action, result, refIdMap, viewRefIdMap, gridState, viewsTouched) {
+    function _applyAction(ctx, action, result, refIdMap, viewRefIdMap, gridState, viewsTouched, objectRefIdMap) {
         switch (action.op) {
             case "create_element": {
                 var elType = planValidator.elementLabelToType(action.type);
@@ -196,13 +691,15 @@
                     result.error = 'Unknown element type "' + action.type + '"';
                     return;
                 }
-                var newEl = model.createElement(elType, action.name);
+                var newEl = factory.create(_eClass(elType));
+                newEl.setName(action.name);
+                ctx.run(_addToFolderCommand("Create " + action.name, ctx.model.getDefaultFolderForObject(newEl), newEl));
                 result.ok = true;
-                result.elementId = newEl.id;
+                result.elementId = newEl.getId();
                 result.elementType = elType;
                 result.elementName = action.name;
                 if (action.ref_id && refIdMap) {
-                    refIdMap[action.ref_id] = newEl;
+                    refIdMap[action.ref_id] = _proxy(newEl);
                 }
                 break;
             }
@@ -214,8 +711,10 @@
                     return;
                 }
                 var oldName = el.name;
-                el.name = action.new_name;
+                ctx.run(_setCommand("Rename", _eObject(ctx, el), pkg.getNameable_Name(), action.new_name));
                 result.ok = true;
+                result.elementId = el.id;
+                result.elementType = el.type;
                 result.oldName = oldName;
                 result.newName = action.new_name;
                 break;
@@ -228,9 +727,23 @@
                     return;
                 }
                 var oldValue = el2.prop(action.key);
-                el2.prop(action.key, action.value);
+                var propOwner = _eObject(ctx, el2);
+                var props = propOwner.getProperties();
+                var prop = null;
+                for (var pi = 0; pi < props.size() && !prop; pi++) {
+                    if (props.get(pi).getKey() === action.key) prop = props.get(pi);
+                }
+                if (prop) {
+                    ctx.run(_setCommand("Set Property", prop, pkg.getProperty_Value(), action.value));
+                } else {
+                    prop = factory.createProperty();
+                    prop.setKey(action.key);
+                    prop.setValue(action.value);
+                    ctx.run(_addCommand("Add Property", props, prop));
+                }
                 result.ok = true;
-                result.oldValue = oldValue || null;
+                result.elementId = el2.id;
+                result.oldValue = (oldValue === undefined || oldValue === null) ? null : oldValue;
                 result.newValue = action.value;
                 break;
             }
@@ -253,10 +766,13 @@
                     result.error = 'Unknown relationship type "' + action.relationship_type + '"';
                     return;
                 }
-                var relName = (action.name && action.name !== null) ? action.name : "";
-                var rel = model.createRelationship(relType, relName, source, target);
+                var rel = factory.create(_eClass(relType));
+                rel.setName((action.name && action.name !== null) ? action.name : "");
+                rel.setSource(_eObject(ctx, source));
+                rel.setTarget(_eObject(ctx, target));
+                ctx.run(_addToFolderCommand("Create Relationship", ctx.model.getDefaultFolderForObject(rel), rel));
                 result.ok = true;
-                result.relationshipId = rel.id;
+                result.relationshipId = rel.getId();
                 break;
             }
             case "set_documentation": {
@@ -266,8 +782,10 @@
                     result.error = 'Element "' + action.element_id + '" not found';
                     return;
                 }
-                el3.documentation = action.documentation;
+                result.oldDocumentation = el3.documentation || "";
+                ctx.run(_setCommand("Set Documentation", _eObject(ctx, el3), pkg.getDocumentable_Documentation(), action.documentation));
                 result.ok = true;
+                result.elementId = el3.id;
                 break;
             }
             case "delete_element": {
@@ -277,15 +795,28 @@
                     result.error = 'Element "' + action.element_id + '" not found';
                     return;
                 }
-                // Cascade: delete all relationships first
-                var relCount = 0;
+                // Snapshot for invert(); the delete cascades to relationships and view objects
+                var deleted = {
+                    id: el4.id,
+                    type: el4.type,
+                    name: el4.name,
+                    documentation: el4.documentation || "",
+                    properties: _snapshotProperties(el4),
+                    folderPath: _folderPath(el4),
+                    relationships: []
+                };
                 $(el4).rels().each(function (r) {
-                    r.delete();
-                    relCount++;
+                    deleted.relationships.push({
+                        id: r.id,
+                        type: r.type,
+                        name: r.name || "",
+                        sourceId: r.source.id,
+                        targetId: r.target.id
+                    });
                 });
-                el4.delete();
+                result.cascadedRelationships = _deleteConcept(ctx, _eObject(ctx, el4));
                 result.ok = true;
-                result.cascadedRelationships = relCount;
+                result.deleted = deleted;
                 break;
             }
             case "delete_relationship": {
@@ -295,7 +826,16 @@
                     result.error = 'Relationship "' + action.relationship_id + '" not found';
                     return;
                 }
-                delRel.delete();
+                result.deleted = {
+                    id: delRel.id,
+                    type: delRel.type,
+                    name: delRel.name || "",
+                    sourceId: delRel.source.id,
+                    targetId: delRel.target.id,
+                    documentation: delRel.documentation || "",
+                    properties: _snapshotProperties(delRel)
+                };
+                _deleteConcept(ctx, _eObject(ctx, delRel));
                 result.ok = true;
                 break;
             }
@@ -306,17 +846,27 @@
                     result.error = 'Element "' + action.element_id + '" not found';
                     return;
                 }
-                el5.prop(action.key, null);
+                var removedValue = el5.prop(action.key);
+                var ownerProps = _eObject(ctx, el5).getProperties();
+                for (var rp = ownerProps.size() - 1; rp >= 0; rp--) {
+                    if (ownerProps.get(rp).getKey() === action.key) {
+                        ctx.run(_removeCommand("Remove Property", ownerProps, ownerProps.get(rp)));
+                    }
+                }
                 result.ok = true;
+                result.elementId = el5.id;
+                result.oldValue = (removedValue === undefined || removedValue === null) ? null : removedValue;
                 break;
             }
             case "create_view": {
-                var newView = model.createArchimateView(action.name);
+                var newView = factory.createArchimateDiagramModel();
+                newView.setName(action.name);
+                ctx.run(_addToFolderCommand("Create View", ctx.model.getDefaultFolderForObject(newView), newView));
                 result.ok = true;
-                result.viewId = newView.id;
+                result.viewId = newView.getId();
                 result.viewName = action.name;
                 if (action.ref_id && viewRefIdMap) {
-                    viewRefIdMap[action.ref_id] = newView;
+                    viewRefIdMap[action.ref_id] = _proxy(newView);
                 }
                 break;
             }
@@ -356,9 +906,13 @@
                     gridState[viewId].count++;
                 }
 
-                view.add(addEl, x, y, w, h);
+                var added = factory.createDiagramModelArchimateObject();
+                added.setArchimateElement(_eObject(ctx, addEl));
+                added.setBounds(_bounds(x, y, w, h));
+                ctx.run(_addCommand("Add to View", _eObject(ctx, view).getChildren(), added));
                 result.ok = true;
                 result.viewId = view.id;
+                result.objectId = added.getId();
 
                 // Track this view for auto-connect post-processing
                 if (viewsTouched) {
@@ -379,8 +933,259 @@
                     result.error = 'Folder "' + action.folder_path + '" not found';
                     return;
                 }
-                folder.add(el6);
+                result.oldFolderPath = _folderPath(el6);
+                ctx.run(_moveCommand("Move to Folder", _eObject(ctx, el6), _eObject(ctx, folder).getElements()));
+                result.ok = true;
+                result.elementId = el6.id;
+                break;
+            }
+            case "update_relationship": {
+                var updRel = $("#" + action.relationship_id).first();
+                if (!updRel) {
+                    result.ok = false;
+                    result.error = 'Relationship "' + action.relationship_id + '" not found';
+                    return;
+                }
+                var relObj = _eObject(ctx, updRel);
+                var oldRel = {};
+                if (action.name !== null && action.name !== undefined) {
+                    oldRel.name = updRel.name || "";
+                    ctx.run(_setCommand("Rename Relationship", relObj, pkg.getNameable_Name(), action.name));
+                }
+                if (action.documentation !== null && action.documentation !== undefined) {
+                    oldRel.documentation = updRel.documentation || "";
+                    ctx.run(_setCommand("Set Documentation", relObj, pkg.getDocumentable_Documentation(), action.documentation));
+                }
+                if (action.access_type && updRel.type === "access-relationship") {
+                    oldRel.access_type = updRel.accessType;
+                    ctx.run(_setCommand("Set Access Type", relObj, pkg.getAccessRelationship_AccessType(),
+                        ACCESS_TYPE_VALUES[action.access_type]));
+                }
+                if (action.strength && updRel.type === "influence-relationship") {
+                    oldRel.strength = updRel.influenceStrength || "";
+                    ctx.run(_setCommand("Set Influence Strength", relObj, pkg.getInfluenceRelationship_Strength(), action.strength));
+                }
+                result.ok = true;
+                result.relationshipId = updRel.id;
+                result.old = oldRel;
+                break;
+            }
+            case "style_view_object": {
+                var styleView = _resolveView(action.view_id, viewRefIdMap);
+                if (!styleView) {
+                    result.ok = false;
+                    result.error = 'View "' + action.view_id + '" not found';
+                    return;
+                }
+                var styled = _resolveViewObject(styleView, action.element_id, refIdMap, objectRefIdMap);
+                if (!styled) {
+                    result.ok = false;
+                    result.error = 'Element "' + action.element_id + '" is not on view "' + styleView.name + '"';
+                    return;
+                }
+                var styledObj = _eObject(ctx, styled);
+                var oldStyle = {};
+                for (var sf = 0; sf < STYLE_FIELDS.length; sf++) {
+                    var field = STYLE_FIELDS[sf];
+                    var value = action[field[0]];
+                    if (value !== null && value !== undefined) {
+                        oldStyle[field[0]] = styled[field[1]];
+                        if (field[0] === "font_size") {
+                            value = _fontWithSize(styledObj.getFont(), value);
+                        } else if (typeof value === "string") {
+                            value = value.toLowerCase();
+                        }
+                        ctx.run(_setCommand("Set " + field[1], styledObj, STYLE_FEATURES[field[0]], value));
+                    }
+                }
+                result.ok = true;
+                result.viewId = styleView.id;
+                result.objectId = styled.id;
+                result.old = oldStyle;
+                break;
+            }
+            case "nest_in_view": {
+                var nestView = _resolveView(action.view_id, viewRefIdMap);
+                if (!nestView) {
+                    result.ok = false;
+                    result.error = 'View "' + action.view_id + '" not found';
+                    return;
+                }
+                var child = _resolveElement(action.element_id, refIdMap, viewRefIdMap);
+                if (!child) {
+                    result.ok = false;
+                    result.error = 'Element "' + action.element_id + '" not found';
+                    return;
+                }
+                var parentObj = _resolveViewObject(nestView, action.parent_id, refIdMap, objectRefIdMap);
+                if (!parentObj) {
+                    result.ok = false;
+                    result.error = 'Parent "' + action.parent_id + '" is not on view "' + nestView.name + '"';
+                    return;
+                }
+                var parentEObj = _eObject(ctx, parentObj);
+                var nestX = _valueOr(action.x, NEST_OFFSET);
+                var nestY = _valueOr(action.y, NEST_OFFSET);
+
+                // An object already on the view moves with its nested objects and connections
+                var existing = _resolveViewObject(nestView, action.element_id, refIdMap, null);
+                if (existing) {
+                    var existingObj = _eObject(ctx, existing);
+                    for (var anc = parentEObj; anc; anc = anc.eContainer()) {
+                        if (anc === existingObj) {
+                            result.ok = false;
+                            result.error = 'Cannot nest "' + existing.name + '" inside itself or an object nested in it';
+                            return;
+                        }
+                    }
+                    var oldContainer = existingObj.eContainer();
+                    result.previousBounds = existing.bounds;
+                    result.previousParentId = oldContainer === _eObject(ctx, nestView) ? null : oldContainer.getId();
+                    result.childCount = $(existing).children().size();
+                    ctx.run(_moveCommand("Nest in View", existingObj, parentEObj.getChildren()));
+                    ctx.run(_setCommand("Nest in View", existingObj, pkg.getDiagramModelObject_Bounds(), _bounds(nestX, nestY,
+                        _valueOr(action.width, existing.bounds.width), _valueOr(action.height, existing.bounds.height))));
+                    result.objectId = existing.id;
+                } else {
+                    var nested = factory.createDiagramModelArchimateObject();
+                    nested.setArchimateElement(_eObject(ctx, child));
+                    nested.setBounds(_bounds(nestX, nestY, _valueOr(action.width, DEFAULT_WIDTH), _valueOr(action.height, DEFAULT_HEIGHT)));
+                    ctx.run(_addCommand("Nest in View", parentEObj.getChildren(), nested));
+                    result.objectId = nested.getId();
+                }
+                result.ok = true;
+                result.viewId = nestView.id;
+                result.elementId = child.id;
+                result.moved = !!existing;
+                if (viewsTouched) {
+                    viewsTouched[nestView.id] = nestView;
+                }
+                break;
+            }
+            case "create_note":
+            case "create_group": {
+                var isNote = action.op === "create_note";
+                var objView = _resolveView(action.view_id, viewRefIdMap);
+                if (!objView) {
+                    result.ok = false;
+                    result.error = 'View "' + action.view_id + '" not found';
+                    return;
+                }
+                var defaults = isNote ? NOTE_DEFAULTS : GROUP_DEFAULTS;
+                var obj = isNote ? factory.createDiagramModelNote() : factory.createDiagramModelGroup();
+                if (isNote) {
+                    obj.setContent(action.text);
+                } else {
+                    obj.setName(action.name);
+                }
+                obj.setBounds(_bounds(_valueOr(action.x, defaults.x), _valueOr(action.y, defaults.y),
+                    _valueOr(action.width, defaults.width), _valueOr(action.height, defaults.height)));
+                ctx.run(_addCommand(isNote ? "Add Note" : "Add Group", _eObject(ctx, objView).getChildren(), obj));
+                result.ok = true;
+                result.viewId = objView.id;
+                result.objectId = obj.getId();
+                if (action.ref_id && objectRefIdMap) {
+                    objectRefIdMap[action.ref_id] = _proxy(obj);
+                }
+                break;
+            }
+            case "remove_from_view": {
+                var removeView = _resolveView(action.view_id, viewRefIdMap);
+                if (!removeView) {
+                    result.ok = false;
+                    result.error = 'View "' + action.view_id + '" not found';
+                    return;
+                }
+                var removed = _resolveViewObject(removeView, action.element_id, refIdMap, objectRefIdMap);
+                if (!removed) {
+                    result.ok = false;
+                    result.error = '"' + action.element_id + '" is not on view "' + removeView.name + '"';
+                    return;
+                }
+                var removedParent = $(removed).parent().first();
+                result.removed = {
+                    kind: removed.type === "diagram-model-note" ? "note"
+                        : (removed.type === "diagram-model-group" ? "group" : "element"),
+                    elementId: removed.concept ? removed.concept.id : null,
+                    name: removed.name,
+                    text: removed.type === "diagram-model-note" ? removed.text : null,
+                    bounds: removed.bounds,
+                    nested: !!(removedParent && removedParent.id !== removeView.id),
+                    childCount: $(removed).children().size()
+                };
+                _removeDiagramComponent(ctx, _eObject(ctx, removed));
+                result.ok = true;
+                result.viewId = removeView.id;
+                break;
+            }
+            case "set_view_router": {
+                var routerView = _resolveView(action.view_id, viewRefIdMap);
+                if (!routerView) {
+                    result.ok = false;
+                    result.error = 'View "' + action.view_id + '" not found';
+                    return;
+                }
+                // jArchi names the bendpoint router "manual"
+                result.oldRouter = routerView.routerType === "manual" ? "bendpoint" : routerView.routerType;
+                ctx.run(_setCommand("Set Connection Router", _eObject(ctx, routerView), pkg.getDiagramModel_ConnectionRouterType(),
+                    action.router === "manhattan" ? IDiagramModel.CONNECTION_ROUTER_MANHATTAN : IDiagramModel.CONNECTION_ROUTER_BENDPOINT));
                 result.ok = true;
+                result.viewId = routerView.id;
+                break;
+            }
+            case "duplicate_view": {
+                var srcView = _resolveView(action.view_id, viewRefIdMap);
+                if (!srcView) {
+                    result.ok = false;
+                    result.error = 'View "' + action.view_id + '" not found';
+                    return;
+                }
+                var srcViewObj = _eObject(ctx, srcView);
+                var copy = EcoreUtil.copy(srcViewObj);
+                // EcoreUtil.copy() keeps the IDs of the view, its objects and its connections
+                copy.setId(_newId());
+                var copied = copy.eAllContents();
+                while (copied.hasNext()) {
+                    var copiedObj = copied.next();
+                    if (typeof copiedObj.setId === "function") copiedObj.setId(_newId());
+                }
+                copy.setName(_valueOr(action.name, srcView.name + " (Copy)"));
+                ctx.run(_addToFolderCommand("Duplicate View", srcViewObj.eContainer(), copy));
+                result.ok = true;
+                result.viewId = copy.getId();
+                result.viewName = copy.getName();
+                if (action.ref_id && viewRefIdMap) {
+                    viewRefIdMap[action.ref_id] = _proxy(copy);
+                }
+                break;
+            }
+            case "delete_view": {
+                var delView = _resolveView(action.view_id, viewRefIdMap);
+                if (!delView) {
+                    result.ok = false;
+                    result.error = 'View "' + action.view_id + '" not found';
+                    return;
+                }
+                result.deletedViewName = delView.name;
+                var delViewObj = _eObject(ctx, delView);
+                // View references to it on other views go with it
+                var viewRefs = [];
+                var contents = ctx.model.eAllContents();
+                while (contents.hasNext()) {
+                    var ref = contents.next();
+                    if (typeof ref.getReferencedModel === "function" && ref.getReferencedModel() &&
+                        ref.getReferencedModel().getId() === delView.id) {
+                        viewRefs.push(ref);
+                    }
+                }
+                for (var vr = 0; vr < viewRefs.length; vr++) {
+                    _removeDiagramComponent(ctx, viewRefs[vr]);
+                }
+                ctx.run(_removeFromFolderCommand("Delete View", delViewObj));
+                result.ok = true;
+                if (viewsTouched) {
+                    delete viewsTouched[delView.id];
+                }
                 break;
             }
             default:
@@ -392,10 +1197,10 @@
     // ── Auto-connect post-processing ─────────────────────────────────────
 
     /**
-     * For each view touched by add_to_view actions, find relationships between
+     * For each view touched by add_to_view or nest_in_view actions, find relationships between
      * elements on the view and add visual connections for them.
      */
-    function _autoConnectViews(viewsTouched) {
+    function _autoConnectViews(ctx, viewsTouched) {
         var viewIds = Object.keys(viewsTouched);
         var totalConnections = 0;
 
@@ -403,8 +1208,9 @@
             var view = viewsTouched[viewIds[v]];
 
             // Build a map of concept ID → diagram object for elements on this view
+            // (including elements nested inside groups or other elements)
             var conceptToObj = {};
-            $(view).children().each(function (child) {
+            $(view).find("element").each(function (child) {
                 if (child.concept) {
                     conceptToObj[child.concept.id] = child;
                 }
@@ -431,9 +1237,10 @@
 
                     // Both source and target must be on the view
                     if (sourceId && targetId && conceptToObj[sourceId] && conceptToObj[targetId]) {
-                        var sourceObj = conceptToObj[sourceId];
-                        var targetObj = conceptToObj[targetId];
-                        view.add(rel, sourceObj, targetObj);
+                        var connection = factory.createDiagramModelArchimateConnection();
+                        connection.setArchimateRelationship(_eObject(ctx, rel));
+                        ctx.run(_connectCommand("Add Connection", connection,
+                            _eObject(ctx, conceptToObj[sourceId]), _eObject(ctx, conceptToObj[targetId])));
                         existingConnections[rel.id] = true;
                         totalConnections++;
                     }
@@ -444,22 +1251,229 @@
         return totalConnections;
     }
 
+    // ── Inverse plans ────────────────────────────────────────────────────
+
+    /**
+     * Convert jArchi bounds to optional add_to_view/create_note coordinates.
+     * Default sizes (-1) are left out so the executor applies its defaults.
+     */
+    function _boundsFields(action, bounds) {
+        if (!bounds) return action;
+        action.x = bounds.x;
+        action.y = bounds.y;
+        if (bounds.width >= planOps.MIN_DIMENSION) action.width = bounds.width;
+        if (bounds.height >= planOps.MIN_DIMENSION) action.height = bounds.height;
+        return action;
+    }
+
+    /**
+     * Append the actions that undo one applied action to ctx.actions, and note
+     * anything that cannot be restored in ctx.notes. ctx.restored maps IDs of
+     * deleted elements to the ref_ids that recreate them.
+     */
+    function _invertResult(action, res, ctx) {
+        function id(originalId) {
+            return ctx.restored[originalId] || originalId;
+        }
+        function note(text) {
+            ctx.notes.push("#" + (res.index + 1) + " " + action.op + ": " + text);
+        }
+        var out = ctx.actions;
+
+        switch (action.op) {
+            case "create_element":
+                out.push({ op: "delete_element", element_id: id(res.elementId) });
+                break;
+            case "rename_element":
+                if (res.oldName) {
+                    out.push({ op: "rename_element", element_id: id(res.elementId), new_name: res.oldName });
+                } else if (res.elementType && res.elementType.indexOf("-relationship") >= 0) {
+                    out.push({ op: "update_relationship", relationship_id: res.elementId, name: "" });
+                } else {
+                    note("the previous name was empty and cannot be restored");
+                }
+                break;
+            case "set_property":
+                if (res.oldValue === null) {
+                    out.push({ op: "remove_property", element_id: id(res.elementId), key: action.key });
+                } else {
+                    out.push({ op: "set_property", element_id: id(res.elementId), key: action.key, value: res.oldValue });
+                }
+                break;
+            case "create_relationship":
+                out.push({ op: "delete_relationship", relationship_id: res.relationshipId });
+                break;
+            case "set_documentation":
+                out.push({ op: "set_documentation", element_id: id(res.elementId), documentation: res.oldDocumentation });
+                break;
+            case "delete_element": {
+                var d = res.deleted;
+                var label = d ? planValidator.elementTypeToLabel(d.type) : null;
+                if (!label || !d.name) {
+                    note('"' + (d ? d.name || d.id : action.element_id) + '" cannot be recreated');
+                    break;
+                }
+                var refId = "restored-" + (++ctx.counter);
+                ctx.restored[d.id] = refId;
+                out.push({ op: "create_element", type: label, name: d.name, ref_id: refId });
+                if (d.documentation) {
+                    out.push({ op: "set_documentation", element_id: refId, documentation: d.documentation });
+                }
+                for (var p = 0; p < d.properties.length; p++) {
+                    out.push({ op: "set_property", element_id: refId, key: d.properties[p].key, value: d.properties[p].value });
+                }
+                if (d.folderPath) {
+                    out.push({ op: "move_to_folder", element_id: refId, folder_path: d.folderPath });
+                }
+                for (var r = 0; r < d.relationships.length; r++) {
+                    var rel = d.relationships[r];
+                    out.push({
+                        op: "create_relationship",
+                        source_id: id(rel.sourceId),
+                        target_id: id(rel.targetId),
+                        relationship_type: planValidator.typeToLabel(rel.type),
+                        name: rel.name || null
+                    });
+                }
+                note('"' + d.name + '" is recreated with a new ID; its view placements' +
+                    (d.relationships.length > 0 ? " and relationship documentation/properties" : "") + " are not restored");
+                break;
+            }
+            case "delete_relationship": {
+                var dr = res.deleted;
+                out.push({
+                    op: "create_relationship",
+                    source_id: id(dr.sourceId),
+                    target_id: id(dr.targetId),
+                    relationship_type: planValidator.typeToLabel(dr.type),
+                    name: dr.name || null
+                });
+                note("the relationship is recreated with a new ID" +
+                    (dr.documentation || dr.properties.length > 0 ? "; its documentation and properties are not restored" : ""));
+                break;
+            }
+            case "remove_property":
+                if (res.oldValue !== null) {
+                    out.push({ op: "set_property", element_id: id(res.elementId), key: action.key, value: res.oldValue });
+                }
+                break;
+            case "create_view":
+            case "duplicate_view":
+                out.push({ op: "delete_view", view_id: res.viewId });
+                break;
+            case "add_to_view":
+            case "create_note":
+            case "create_group":
+                out.push({ op: "remove_from_view", view_id: res.viewId, element_id: res.objectId });
+                break;
+            case "move_to_folder":
+                if (res.oldFolderPath) {
+                    out.push({ op: "move_to_folder", element_id: id(res.elementId), folder_path: res.oldFolderPath });
+                } else {
+                    note("the previous folder is unknown");
+                }
+                break;
+            case "update_relationship": {
+                var oldRel = res.old || {};
+                if (oldRel.access_type !== undefined && planOps.ACCESS_TYPES.indexOf(oldRel.access_type) === -1) {
+                    note("previous access type " + JSON.stringify(oldRel.access_type) + " cannot be restored");
+                    delete oldRel.access_type;
+                }
+                if (oldRel.strength === "") {
+                    note("the relationship had no influence strength; the new strength is kept");
+                    delete oldRel.strength;
+                }
+                if (Object.keys(oldRel).length > 0) {
+                    var updRel = { op: "update_relationship", relationship_id: res.relationshipId };
+                    Object.keys(oldRel).forEach(function (k) { updRel[k] = oldRel[k]; });
+                    out.push(updRel);
+                }
+                break;
+            }
+            case "style_view_object": {
+                var style = { op: "style_view_object", view_id: res.viewId, element_id: res.objectId };
+                var restorable = 0;
+                Object.keys(res.old || {}).forEach(function (k) {
+                    var value = res.old[k];
+                    var valid = (k === "font_size" || k === "opacity")
+                        ? typeof value === "number"
+                        : typeof value === "string" && /^#[0-9a-fA-F]{6}$/.test(value);
+                    if (valid) {
+                        style[k] = value;
+                        restorable++;
+                    } else {
+                        note(k + " was the default and is not reset");
+                    }
+                });
+                if (restorable > 0) out.push(style);
+                break;
+            }
+            case "nest_in_view":
+                if (res.moved && res.previousParentId) {
+                    out.push(_boundsFields({
+                        op: "nest_in_view", view_id: res.viewId, element_id: id(res.elementId), parent_id: res.previousParentId
+                    }, res.previousBounds));
+                    break;
+                }
+                out.push({ op: "remove_from_view", view_id: res.viewId, element_id: res.objectId });
+                if (res.moved) {
+                    out.push(_boundsFields({ op: "add_to_view", view_id: res.viewId, element_id: id(res.elementId) }, res.previousBounds));
+                    note("the element is put back at the top level of the view; its connections are added back" +
+                        (res.childCount > 0 ? " but " + res.childCount + " nested object(s) are not restored" : ""));
+                }
+                break;
+            case "remove_from_view": {
+                var rm = res.removed;
+                if (rm.kind === "element") {
+                    out.push(_boundsFields({ op: "add_to_view", view_id: res.viewId, element_id: id(rm.elementId) }, rm.bounds));
+                } else if (rm.kind === "note") {
+                    out.push(_boundsFields({ op: "create_note", view_id: res.viewId, text: rm.text || "" }, rm.bounds));
+                } else {
+                    out.push(_boundsFields({ op: "create_group", view_id: res.viewId, name: rm.name || "Group" }, rm.bounds));
+                }
+                if (rm.nested) note("the object is put back at the top level of the view");
+                if (rm.childCount > 0) note(rm.childCount + " nested object(s) are not restored");
+                break;
+            }
+            case "set_view_router":
+                if (planOps.ROUTER_TYPES.indexOf(res.oldRouter) !== -1) {
+                    out.push({ op: "set_view_router", view_id: res.viewId, router: res.oldRouter });
+                } else {
+                    note("previous router " + JSON.stringify(res.oldRouter) + " cannot be restored");
+                }
+                break;
+            case "delete_view":
+                note('view "' + (res.deletedViewName || action.view_id) + '" cannot be restored');
+                break;
+        }
+    }
+
     // ── Public API ───────────────────────────────────────────────────────
 
     var planExecutor = {
         /**
          * Execute (or preview) an ArchiChangePlan.
          *
+         * In apply mode every change is a GEF command. Once the plan has run, its commands
+         * go on the model's command stack as one command: a single undo step labelled
+         * undoLabel in Archi's Edit menu. The plan is atomic by default: if any action
+         * fails, the changes already made are undone, the command stack is not touched
+         * and the result reports rolledBack: true.
+         *
          * @param {Object} plan - Validated ArchiChangePlan object
          * @param {Object} [options]
          * @param {boolean} [options.preview=true] - If true, describe actions without applying
-         * @param {boolean} [options.stopOnError=true] - If true, stop on first error
-         * @returns {{ ok: boolean, applied: number, failed: number, skipped: number, results: Array, autoConnected: number }}
+         * @param {boolean} [options.stopOnError=true] - If true, stop on first error (always true when atomic)
+         * @param {boolean} [options.atomic=true] - Roll back on failure; otherwise the actions applied before the failure stay, as one undo step
+         * @param {string} [options.undoLabel="Apply Change Plan"] - Undo step label
+         * @returns {{ ok: boolean, applied: number, failed: number, skipped: number, results: Array,
+         *   autoConnected: number, rolledBack: boolean, undoable: boolean, refIds: Object }}
          */
         execute: function (plan, options) {
             options = options || {};
             var preview = options.preview !== false;
-            var stopOnError = options.stopOnError !== false;
+            var atomic = !preview && options.atomic !== false;
+            var stopOnError = atomic || options.stopOnError !== false;
 
             var output = {
                 ok: true,
@@ -467,7 +1481,10 @@
                 failed: 0,
                 skipped: 0,
                 results: [],
-                autoConnected: 0
+                autoConnected: 0,
+                rolledBack: false,
+                undoable: false,
+                refIds: {}
             };
 
             // Non-ready plans: return immediately
@@ -486,71 +1503,182 @@
 
             // ref_id → element proxy mapping (populated during apply by create_element)
             var refIdMap = {};
-            // view ref_id → view proxy mapping (populated during apply by create_view)
+            // view ref_id → view proxy mapping (populated during apply by create_view, duplicate_view)
             var viewRefIdMap = {};
+            // note/group ref_id → diagram object mapping (populated during apply by create_note, create_group)
+            var objectRefIdMap = {};
             // Auto-grid state per view
             var gridState = {};
-            // Views touched by add_to_view (for auto-connect post-processing)
+            // Views touched by add_to_view / nest_in_view (for auto-connect post-processing)
             var viewsTouched = {};
-            var stopped = false;
-
-            for (var i = 0; i < plan.actions.length; i++) {
-                var action = plan.actions[i];
-                var result = { index: i, op: action.op };
 
-                if (stopped) {
-                    result.ok = false;
-                    result.skipped = true;
-                    output.skipped++;
-                    output.results.push(result);
-                    continue;
+            // Apply mode: the EMF model, and the change commands run so far in order
+            var commands = [];
+            var ctx = null;
+            if (!preview) {
+                var emfModel = _findModel();
+                if (!emfModel) {
+                    throw new Error("planExecutor: model " + model.name + " is not open in Archi");
                 }
-
-                if (preview) {
-                    // Track ref_ids with placeholder objects so later actions
-                    // can resolve human-readable names in preview descriptions
-                    if (action.op === "create_element" && action.ref_id) {
-                        refIdMap[action.ref_id] = { name: action.name, id: action.ref_id, type: action.type };
-                    }
-                    if (action.op === "create_view" && action.ref_id) {
-                        viewRefIdMap[action.ref_id] = { name: action.name, id: action.ref_id };
+                ctx = {
+                    model: emfModel,
+                    run: function (command) {
+                        command.execute();
+                        commands.push(command);
                     }
-                    result.ok = true;
-                    result.preview = _describeAction(action, refIdMap, viewRefIdMap);
-                    output.applied++;
-                } else {
-                    try {
-                        _applyAction(action, result, refIdMap, viewRefIdMap, gridState, viewsTouched);
-                    } catch (e) {
+                };
+            }
+
+            function runActions() {
+                var stopped = false;
+                for (var i = 0; i < plan.actions.length; i++) {
+                    var action = plan.actions[i];
+                    var result = { index: i, op: action.op };
+
+                    if (stopped) {
                         result.ok = false;
-                        result.error = String(e);
+                        result.skipped = true;
+                        output.skipped++;
+                        output.results.push(result);
+                        continue;
                     }
 
-                    if (result.ok) {
+                    if (preview) {
+                        // Track ref_ids with placeholder objects so later actions
+                        // can resolve human-readable names in preview descriptions
+                        if (action.op === "create_element" && action.ref_id) {
+                            refIdMap[action.ref_id] = { name: action.name, id: action.ref_id, type: action.type };
+                        }
+                        if (action.op === "create_view" && action.ref_id) {
+                            viewRefIdMap[action.ref_id] = { name: action.name, id: action.ref_id };
+                        }
+                        if (action.op === "duplicate_view" && action.ref_id) {
+                            var srcView = _resolveView(action.view_id, viewRefIdMap);
+                            var copyName = _valueOr(action.name, (srcView ? srcView.name : action.view_id) + " (Copy)");
+                            viewRefIdMap[action.ref_id] = { name: copyName, id: action.ref_id };
+                        }
+                        if ((action.op === "create_note" || action.op === "create_group") && action.ref_id) {
+                            var objName = action.op === "create_note"
+                                ? (action.text.length > 30 ? action.text.substring(0, 27) + "..." : action.text)
+                                : action.name;
+                            objectRefIdMap[action.ref_id] = { name: objName, id: action.ref_id };
+                        }
+                        result.ok = true;
+                        result.preview = _describeAction(action, refIdMap, viewRefIdMap, objectRefIdMap);
                         output.applied++;
                     } else {
-                        output.failed++;
-                        output.ok = false;
-                        if (stopOnError) {
-                            stopped = true;
+                        try {
+                            _applyAction(ctx, action, result, refIdMap, viewRefIdMap, gridState, viewsTouched, objectRefIdMap);
+                        } catch (e) {
+                            result.ok = false;
+                            result.error = String(e);
+                        }
+
+                        if (result.ok) {
+                            output.applied++;
+                        } else {
+                            output.failed++;
+                            output.ok = false;
+                            if (stopOnError) {
+                                stopped = true;
+                            }
                         }
                     }
+
+                    output.results.push(result);
                 }
 
-                output.results.push(result);
+                // Auto-connect post-processing (apply mode only, skipped when rolling back)
+                if (!preview && (output.ok || !atomic) && Object.keys(viewsTouched).length > 0) {
+                    try {
+                        output.autoConnected = _autoConnectViews(ctx, viewsTouched);
+                    } catch (e) {
+                        // Non-fatal: log but don't fail the plan
+                        output.autoConnectError = String(e);
+                    }
+                }
+            }
+
+            if (preview) {
+                runActions();
+                return output;
             }
 
-            // Auto-connect post-processing (apply mode only)
-            if (!preview && Object.keys(viewsTouched).length > 0) {
-                try {
-                    output.autoConnected = _autoConnectViews(viewsTouched);
-                } catch (e) {
-                    // Non-fatal: log but don't fail the plan
-                    output.autoConnectError = String(e);
+            // Changes are made first; only a plan that leaves changes behind goes on
+            // the command stack, as an already executed command
+            var failure = null;     // unexpected error outside the actions
+            try {
+                runActions();
+            } catch (e) {
+                output.ok = false;
+                failure = e;
+            }
+            if (atomic && !output.ok) {
+                _rollback(commands, output);
+            } else if (commands.length > 0) {
+                var commandStack = ctx.model.getAdapter(GEFCommandStack.class);
+                if (commandStack) {
+                    commandStack.execute(_appliedPlanCommand(options.undoLabel || UNDO_LABEL, commands));
+                    output.undoable = true;
                 }
             }
+            if (failure) throw failure;
+
+            // Final ref_id → ID mapping of everything the plan created
+            if (!output.rolledBack) {
+                [refIdMap, viewRefIdMap, objectRefIdMap].forEach(function (map) {
+                    Object.keys(map).forEach(function (ref) {
+                        output.refIds[ref] = map[ref].id;
+                    });
+                });
+            }
 
             return output;
+        },
+
+        /**
+         * Build the ArchiChangePlan that reverts an applied plan.
+         *
+         * Works from the IDs and previous values recorded in the execute() result, so
+         * it needs the result of an apply, not a preview. Actions are inverted newest
+         * first; deleted elements are recreated under "restored-N" ref_ids. Anything
+         * that cannot be restored exactly (deleted views, view placements of deleted
+         * elements, ...) is listed in the summary for review.
+         *
+         * @param {Object} plan - The applied ArchiChangePlan
+         * @param {Object} result - Result of execute(plan, { preview: false })
+         * @returns {Object} Inverse ArchiChangePlan (schema_version planOps.SCHEMA_VERSION)
+         */
+        invert: function (plan, result) {
+            var ctx = { actions: [], notes: [], restored: {}, counter: 0 };
+            var results = (result && result.results) || [];
+
+            for (var i = results.length - 1; i >= 0; i--) {
+                var res = results[i];
+                if (!res.ok || res.preview !== undefined || res.rolledBack) continue;
+                _invertResult(plan.actions[res.index], res, ctx);
+            }
+
+            var summary;
+            if (result && result.rolledBack) {
+                summary = "Nothing to revert: the plan was rolled back.";
+            } else {
+                summary = "Revert: " + plan.summary;
+                if (ctx.notes.length > 0) {
+                    summary += "\n\nNot fully reverted:\n- " + ctx.notes.join("\n- ");
+                }
+            }
+            if (summary.length > planOps.MAX_SUMMARY_LENGTH) {
+                summary = summary.substring(0, planOps.MAX_SUMMARY_LENGTH - 3) + "...";
+            }
+
+            return {
+                schema_version: planOps.SCHEMA_VERSION,
+                status: "ready",
+                summary: summary,
+                actions: ctx.actions,
+                questions: null
+            };
         }
     };
 
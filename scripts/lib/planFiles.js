@@ -0,0 +1,173 @@
+/**
+ * @module planFiles
+ * @description Reads and writes ArchiChangePlan files with a SHA-256 content hash.
+ *
+ * A plan is saved as pretty-printed JSON next to a "<file>.sha256" file in
+ * sha256sum format ("<hex>  <file name>"), so a plan can be committed, reviewed
+ * in git and checked with `sha256sum -c` before anyone applies it. The hash
+ * covers the exact bytes of the plan file; load() reports whether they still
+ * match.
+ *
+ * Saved plans are written in file form: null-valued action fields (structured
+ * output fills every field of every op) are dropped, which keeps diffs readable
+ * and is equivalent for planValidator and planExecutor.
+ *
+ * Usage:
+ *   load(__DIR__ + "lib/planFiles.js");
+ *
+ *   var saved = planFiles.save(plan, "/path/to/plan.json");   // { path, hashPath, hash }
+ *   var file  = planFiles.load("/path/to/plan.json");         // { plan, hash, expectedHash, verified }
+ *
+ * @version 1.0.0
+ * @author Thomas Rohde
+ * @lastModifiedDate 2026-10-19
+ */
+(function () {
+    "use strict";
+    if (typeof globalThis !== "undefined" && typeof globalThis.planFiles !== "undefined") return;
+
+    var Files = Java.type("java.nio.file.Files");
+    var Paths = Java.type("java.nio.file.Paths");
+    var JavaString = Java.type("java.lang.String");
+    var StandardCharsets = Java.type("java.nio.charset.StandardCharsets");
+    var MessageDigest = Java.type("java.security.MessageDigest");
+
+    var HASH_EXTENSION = ".sha256";
+
+    // ── Helpers ──────────────────────────────────────────────────────────
+
+    function _sha256(bytes) {
+        var hashBytes = MessageDigest.getInstance("SHA-256").digest(bytes);
+        var hex = "";
+        for (var i = 0; i < hashBytes.length; i++) {
+            var h = (hashBytes[i] & 255).toString(16);
+            hex += h.length === 1 ? "0" + h : h;
+        }
+        return hex;
+    }
+
+    function _toBytes(text) {
+        return new JavaString(text).getBytes(StandardCharsets.UTF_8);
+    }
+
+    function _readText(path) {
+        return String(new JavaString(Files.readAllBytes(path), StandardCharsets.UTF_8));
+    }
+
+    /**
+     * Read the expected hash from a sha256sum-format file ("<hex>  <name>" or just "<hex>").
+     * Returns null when the file does not exist or holds no hash.
+     */
+    function _readExpectedHash(hashPath) {
+        if (!Files.exists(hashPath)) return null;
+        var match = /^\s*([0-9a-fA-F]{64})\b/.exec(_readText(hashPath));
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────
+
+    var planFiles = {
+        HASH_EXTENSION: HASH_EXTENSION,
+
+        /**
+         * Copy of a plan in file form: null-valued action fields removed.
+         * @param {Object} plan - ArchiChangePlan
+         * @returns {Object} New plan object
+         */
+        toFileForm: function (plan) {
+            var copy = JSON.parse(JSON.stringify(plan));
+            (copy.actions || []).forEach(function (action) {
+                Object.keys(action).forEach(function (key) {
+                    if (action[key] === null) delete action[key];
+                });
+            });
+            return copy;
+        },
+
+        /**
+         * The text save() writes for a plan (file form, 2-space indent, trailing newline).
+         * @param {Object} plan - ArchiChangePlan
+         * @returns {string}
+         */
+        serialize: function (plan) {
+            return JSON.stringify(planFiles.toFileForm(plan), null, 2) + "\n";
+        },
+
+        /**
+         * SHA-256 of a string's UTF-8 bytes, as lowercase hex.
+         * @param {string} text
+         * @returns {string}
+         */
+        hashText: function (text) {
+            return _sha256(_toBytes(text));
+        },
+
+        /**
+         * Default file name for a plan saved now, e.g. "change-plan-20261019-143005.json".
+         * @returns {string}
+         */
+        defaultFileName: function () {
+            var d = new Date();
+            function pad(n) { return String(n).padStart(2, "0"); }
+            return "change-plan-" + d.getFullYear() + pad(d.getMonth() + 1) + pad(d.getDate()) + "-" +
+                pad(d.getHours()) + pad(d.getMinutes()) + pad(d.getSeconds()) + ".json";
+        },
+
+        /**
+         * Write a plan and its ".sha256" file. Existing files are overwritten.
+         * @param {Object} plan - ArchiChangePlan
+         * @param {string} filePath - Target plan file path
+         * @returns {{ path: string, hashPath: string, hash: string }}
+         */
+        save: function (plan, filePath) {
+            var path = Paths.get(filePath);
+            var bytes = _toBytes(planFiles.serialize(plan));
+            var hash = _sha256(bytes);
+            var hashPath = Paths.get(filePath + HASH_EXTENSION);
+
+            Files.write(path, bytes);
+            Files.write(hashPath, _toBytes(hash + "  " + path.getFileName().toString() + "\n"));
+
+            if (typeof log !== "undefined") log.detail("  Saved plan " + filePath + " (sha256 " + hash + ")");
+            return { path: String(filePath), hashPath: String(hashPath.toString()), hash: hash };
+        },
+
+        /**
+         * Read a plan file and check it against its ".sha256" file.
+         * @param {string} filePath - Plan file path
+         * @returns {{ plan: Object, hash: string, expectedHash: string|null, verified: boolean|null }}
+         *   verified is null when there is no hash file, false when the hash does not match
+         * @throws {Error} If the file cannot be read or is not a JSON object
+         */
+        load: function (filePath) {
+            var path = Paths.get(filePath);
+            if (!Files.exists(path)) {
+                throw new Error("Plan file not found: " + filePath);
+            }
+            var bytes = Files.readAllBytes(path);
+            var text = String(new JavaString(bytes, StandardCharsets.UTF_8));
+
+            var plan;
+            try {
+                plan = JSON.parse(text);
+            } catch (e) {
+                throw new Error("Plan file is not valid JSON: " + e.message);
+            }
+            if (!plan || typeof plan !== "object" || Array.isArray(plan)) {
+                throw new Error("Plan file must contain a JSON object");
+            }
+
+            var hash = _sha256(bytes);
+            var expectedHash = _readExpectedHash(Paths.get(filePath + HASH_EXTENSION));
+            return {
+                plan: plan,
+                hash: hash,
+                expectedHash: expectedHash,
+                verified: expectedHash === null ? null : expectedHash === hash
+            };
+        }
+    };
+
+    if (typeof globalThis !== "undefined") globalThis.planFiles = planFiles;
+    if (typeof module !== "undefined" && module.exports) module.exports = planFiles;
+})();
@@ -9,13 +9,14 @@
  * Usage:
  *   load(__DIR__ + "lib/planOps.js");
  *
- *   planOps.SCHEMA_VERSION     // "2.0"
+ *   planOps.SCHEMA_VERSION     // "3.0"
  *   planOps.getValidOps()      // ["create_element", "rename_element", ...]
+ *   planOps.getOpsForVersion("2.0") // ops a v2 plan may use
  *   planOps.buildOutputSchema() // flat nullable schema for Codex structured output
  *
- * @version 1.0.0
+ * @version 1.1.0
  * @author Thomas Rohde
- * @lastModifiedDate 2026-02-22
+ * @lastModifiedDate 2026-10-19
  */
 (function () {
     "use strict";
@@ -23,8 +24,8 @@
 
     // ── Version constants ────────────────────────────────────────────────
 
-    var SCHEMA_VERSION = "2.0";
-    var ACCEPTED_VERSIONS = ["1.0", "2.0"];
+    var SCHEMA_VERSION = "3.0";
+    var ACCEPTED_VERSIONS = ["1.0", "2.0", "3.0"];
 
     // ── Limits ───────────────────────────────────────────────────────────
 
@@ -36,6 +37,9 @@
     var MAX_REF_ID_LENGTH = 100;
     var MAX_DOC_LENGTH = 10000;
     var MAX_FOLDER_PATH_LENGTH = 500;
+    var MAX_NOTE_LENGTH = 10000;
+    var MAX_FONT_SIZE = 100;
+    var MAX_OPACITY = 255;
 
     // ── Element type labels ──────────────────────────────────────────────
 
@@ -69,9 +73,15 @@
         "Specialization", "Association"
     ];
 
+    // ── View option values ───────────────────────────────────────────────
+
+    var ACCESS_TYPES = ["write", "read", "access", "readwrite"];
+    var ROUTER_TYPES = ["bendpoint", "manhattan"];
+
     // ── Operation definitions ────────────────────────────────────────────
     //
-    // Each op maps to { required, optional, fields }.
+    // Each op maps to { required, optional, fields } plus an optional "since"
+    // schema version (ops without one exist in every version).
     // fields: { fieldName: { type, nullable, enum, maxLength, description } }
 
     var OP_DEFS = {
@@ -179,6 +189,119 @@
                 element_id: { type: "string", description: "ID of element/relationship, or a ref_id" },
                 folder_path: { type: "string", maxLength: MAX_FOLDER_PATH_LENGTH, description: "Folder path separated by / (e.g. 'Business/Actors')" }
             }
+        },
+        update_relationship: {
+            since: "3.0",
+            required: ["op", "relationship_id"],
+            optional: ["name", "documentation", "access_type", "strength"],
+            fields: {
+                op: { type: "string", const: "update_relationship" },
+                relationship_id: { type: "string", description: "ID of relationship to update" },
+                name: { type: "string", maxLength: MAX_NAME_LENGTH, nullable: true, description: "New relationship name" },
+                documentation: { type: "string", maxLength: MAX_DOC_LENGTH, nullable: true, description: "New documentation text" },
+                access_type: { type: "string", enum: ACCESS_TYPES, nullable: true, description: "Access relationships only" },
+                strength: { type: "string", maxLength: MAX_KEY_LENGTH, nullable: true, description: "Influence relationships only (e.g. '+', '++', '-')" }
+            }
+        },
+        style_view_object: {
+            since: "3.0",
+            required: ["op", "view_id", "element_id"],
+            optional: ["fill_color", "line_color", "font_color", "font_size", "opacity"],
+            fields: {
+                op: { type: "string", const: "style_view_object" },
+                view_id: { type: "string", description: "ID of view or ref_id" },
+                element_id: { type: "string", description: "ID or ref_id of an element on the view, or a note/group ref_id" },
+                fill_color: { type: "string", nullable: true, description: "Fill color as #RRGGBB" },
+                line_color: { type: "string", nullable: true, description: "Line color as #RRGGBB" },
+                font_color: { type: "string", nullable: true, description: "Font color as #RRGGBB" },
+                font_size: { type: "integer", nullable: true, description: "Font size in points (1-" + MAX_FONT_SIZE + ")" },
+                opacity: { type: "integer", nullable: true, description: "Fill opacity (0-" + MAX_OPACITY + ")" }
+            }
+        },
+        nest_in_view: {
+            since: "3.0",
+            required: ["op", "view_id", "element_id", "parent_id"],
+            optional: ["x", "y", "width", "height"],
+            fields: {
+                op: { type: "string", const: "nest_in_view" },
+                view_id: { type: "string", description: "ID of view or ref_id" },
+                element_id: { type: "string", description: "ID of element or ref_id to place inside the parent" },
+                parent_id: { type: "string", description: "ID or ref_id of an element on the view, or a group ref_id" },
+                x: { type: "integer", nullable: true, description: "X coordinate relative to the parent (default 10)" },
+                y: { type: "integer", nullable: true, description: "Y coordinate relative to the parent (default 10)" },
+                width: { type: "integer", nullable: true, description: "Width (default 120)" },
+                height: { type: "integer", nullable: true, description: "Height (default 55)" }
+            }
+        },
+        create_note: {
+            since: "3.0",
+            required: ["op", "view_id", "text"],
+            optional: ["x", "y", "width", "height", "ref_id"],
+            fields: {
+                op: { type: "string", const: "create_note" },
+                view_id: { type: "string", description: "ID of view or ref_id" },
+                text: { type: "string", maxLength: MAX_NOTE_LENGTH, description: "Note text" },
+                x: { type: "integer", nullable: true, description: "X coordinate (default 100)" },
+                y: { type: "integer", nullable: true, description: "Y coordinate (default 100)" },
+                width: { type: "integer", nullable: true, description: "Width (default 185)" },
+                height: { type: "integer", nullable: true, description: "Height (default 80)" },
+                ref_id: { type: "string", maxLength: MAX_REF_ID_LENGTH, nullable: true, description: "Reference ID for use by later style_view_object actions" }
+            }
+        },
+        create_group: {
+            since: "3.0",
+            required: ["op", "view_id", "name"],
+            optional: ["x", "y", "width", "height", "ref_id"],
+            fields: {
+                op: { type: "string", const: "create_group" },
+                view_id: { type: "string", description: "ID of view or ref_id" },
+                name: { type: "string", maxLength: MAX_NAME_LENGTH, description: "Group label" },
+                x: { type: "integer", nullable: true, description: "X coordinate (default 100)" },
+                y: { type: "integer", nullable: true, description: "Y coordinate (default 100)" },
+                width: { type: "integer", nullable: true, description: "Width (default 400)" },
+                height: { type: "integer", nullable: true, description: "Height (default 300)" },
+                ref_id: { type: "string", maxLength: MAX_REF_ID_LENGTH, nullable: true, description: "Reference ID for use as a nest_in_view parent" }
+            }
+        },
+        remove_from_view: {
+            since: "3.0",
+            required: ["op", "view_id", "element_id"],
+            optional: [],
+            fields: {
+                op: { type: "string", const: "remove_from_view" },
+                view_id: { type: "string", description: "ID of view or ref_id" },
+                element_id: { type: "string", description: "ID or ref_id of an element on the view, a note/group ref_id, or a diagram object ID (the model element is kept)" }
+            }
+        },
+        set_view_router: {
+            since: "3.0",
+            required: ["op", "view_id", "router"],
+            optional: [],
+            fields: {
+                op: { type: "string", const: "set_view_router" },
+                view_id: { type: "string", description: "ID of view or ref_id" },
+                router: { type: "string", enum: ROUTER_TYPES, description: "Connection router" }
+            }
+        },
+        duplicate_view: {
+            since: "3.0",
+            required: ["op", "view_id"],
+            optional: ["name", "ref_id"],
+            fields: {
+                op: { type: "string", const: "duplicate_view" },
+                view_id: { type: "string", description: "ID of view to copy" },
+                name: { type: "string", maxLength: MAX_NAME_LENGTH, nullable: true, description: "Name of the copy (default '<name> (Copy)')" },
+                ref_id: { type: "string", maxLength: MAX_REF_ID_LENGTH, nullable: true, description: "Reference ID for use by later view actions" }
+            }
+        },
+        delete_view: {
+            since: "3.0",
+            required: ["op", "view_id"],
+            optional: [],
+            fields: {
+                op: { type: "string", const: "delete_view" },
+                view_id: { type: "string", description: "ID of view to delete (model elements are kept)" }
+            }
         }
     };
 
@@ -192,6 +315,19 @@
         return Object.keys(OP_DEFS);
     }
 
+    /**
+     * Get the operations a plan declaring the given schema version may use.
+     * Ops introduced in a later version than the plan's are excluded.
+     * @param {string} version - e.g. "2.0"
+     * @returns {string[]}
+     */
+    function getOpsForVersion(version) {
+        return getValidOps().filter(function (opName) {
+            var since = OP_DEFS[opName].since;
+            return !since || parseFloat(since) <= parseFloat(version);
+        });
+    }
+
     /**
      * Get the definition for a specific operation.
      * @param {string} opName
@@ -244,8 +380,9 @@
             } else if (fieldDef.type === "integer") {
                 prop.type = ["integer", "null"];
             } else if (fieldDef.enum) {
+                // null must be listed too, or actions of other ops could never validate
                 prop.type = ["string", "null"];
-                prop.enum = fieldDef.enum;
+                prop.enum = fieldDef.enum.concat([null]);
             } else {
                 prop.type = ["string", "null"];
             }
@@ -298,6 +435,7 @@
      * @returns {Object} The same plan object, normalized
      */
     var MIN_DIMENSION = 10;
+    var SIZED_OPS = ["add_to_view", "nest_in_view", "create_note", "create_group"];
 
     function normalizeActions(plan) {
         if (!plan || !Array.isArray(plan.actions)) return plan;
@@ -318,8 +456,8 @@
                 }
             }
 
-            // Clamp undersized dimensions on add_to_view actions
-            if (action.op === "add_to_view") {
+            // Clamp undersized dimensions on actions that place objects on a view
+            if (SIZED_OPS.indexOf(action.op) !== -1) {
                 if (typeof action.width === "number" && action.width < MIN_DIMENSION) {
                     action.width = null; // let executor apply default
                 }
@@ -344,10 +482,17 @@
         MAX_REF_ID_LENGTH: MAX_REF_ID_LENGTH,
         MAX_DOC_LENGTH: MAX_DOC_LENGTH,
         MAX_FOLDER_PATH_LENGTH: MAX_FOLDER_PATH_LENGTH,
+        MAX_NOTE_LENGTH: MAX_NOTE_LENGTH,
+        MAX_FONT_SIZE: MAX_FONT_SIZE,
+        MAX_OPACITY: MAX_OPACITY,
+        MIN_DIMENSION: MIN_DIMENSION,
         ELEMENT_TYPE_LABELS: ELEMENT_TYPE_LABELS,
         RELATIONSHIP_LABELS: RELATIONSHIP_LABELS,
+        ACCESS_TYPES: ACCESS_TYPES,
+        ROUTER_TYPES: ROUTER_TYPES,
         OP_DEFS: OP_DEFS,
         getValidOps: getValidOps,
+        getOpsForVersion: getOpsForVersion,
         getOpDef: getOpDef,
         buildOutputSchema: buildOutputSchema,
         normalizeActions: normalizeActions
@@ -0,0 +1,431 @@
+/**
+ * @module planPreviewView
+ * @description Draws an ArchiChangePlan as a temporary "Plan Preview" view.
+ *
+ * The preview view shows what a plan will do to the model before it is applied:
+ * - New elements: green notes labelled with their type and name (they do not exist yet)
+ * - Deleted elements and relationships: red, elements hatched
+ * - Renamed elements and relationships: orange, labelled with the new and old name
+ * - New relationships: green connections labelled with their type and name
+ * Existing elements a change refers to are added with their normal appearance for
+ * context. Other actions (properties, documentation, folders, view changes) are only
+ * counted in the legend note. The view is laid out with ELK when elkLayout is loaded,
+ * otherwise the initial grid is kept.
+ *
+ * Drawing the preview changes nothing but the preview view itself: elements are only
+ * referenced, never created, renamed or deleted.
+ *
+ * Usage:
+ *   load(__DIR__ + "lib/planValidator.js");
+ *   load(__DIR__ + "lib/elkLayoutEngine.js");
+ *   load(__DIR__ + "vendor/elkjs/elk-sync.js");   // optional, for ELK layout
+ *   load(__DIR__ + "lib/planPreviewView.js");
+ *
+ *   var preview = planPreviewView.create(plan);   // { view, stats }
+ *   planPreviewView.keep(preview.view);           // or planPreviewView.discard(preview.view)
+ *
+ * @version 1.0.0
+ * @author Thomas Rohde
+ * @lastModifiedDate 2026-10-19
+ */
+(function () {
+    "use strict";
+    if (typeof globalThis !== "undefined" && typeof globalThis.planPreviewView !== "undefined") return;
+
+    // ── Constants ────────────────────────────────────────────────────────
+
+    var VIEW_NAME = "Plan Preview";
+    var NODE_WIDTH = 120;           // Element and new-element note size
+    var NODE_HEIGHT = 55;
+    var LABEL_WIDTH = 100;          // Relationship label notes (see _connect)
+    var LABEL_HEIGHT = 30;
+    var GRID_COLUMNS = 6;           // Initial grid, kept when ELK is not loaded
+    var GRID_SPACING_X = 170;
+    var GRID_SPACING_Y = 100;
+    var LEGEND_WIDTH = 520;
+    var LEGEND_HEIGHT = 90;
+    var MARGIN = 20;
+
+    var BORDER_RECTANGLE = 1;
+    var IMAGE_SOURCE_CUSTOM = 1;
+    var IMAGE_POSITION_FILL = 9;
+
+    var STYLES = {
+        added:   { fill: "#c8e6c9", line: "#2e7d32", font: "#1b5e20" },
+        deleted: { fill: "#ffcdd2", line: "#c62828", font: "#b71c1c" },
+        renamed: { fill: "#ffe0b2", line: "#ef6c00", font: "#e65100" }
+    };
+
+    // Hatch image added to each model, by model ID, reused by later previews
+    var hatchImages = {};
+
+    // ── Styling ──────────────────────────────────────────────────────────
+
+    function _style(obj, style) {
+        obj.fillColor = style.fill;
+        obj.lineColor = style.line;
+        obj.fontColor = style.font;
+    }
+
+    function _styleConnection(conn, style) {
+        conn.lineColor = style.line;
+        conn.fontColor = style.font;
+        conn.lineWidth = 2;
+    }
+
+    /**
+     * Write a transparent PNG with red diagonal hatching at element size and add it
+     * to the model's images, once per model. Returns null when Java2D is unavailable;
+     * deleted elements are then drawn red without hatching. Archi does not save an
+     * image that no object uses, so the image goes away with the discarded previews.
+     */
+    function _hatchImage() {
+        if (hatchImages[model.id]) return hatchImages[model.id];
+        try {
+            var BufferedImage = Java.type("java.awt.image.BufferedImage");
+            var AwtColor = Java.type("java.awt.Color");
+            var ImageIO = Java.type("javax.imageio.ImageIO");
+            var JFile = Java.type("java.io.File");
+
+            var img = new BufferedImage(NODE_WIDTH, NODE_HEIGHT, BufferedImage.TYPE_INT_ARGB);
+            var g = img.createGraphics();
+            g.setColor(new AwtColor(198, 40, 40, 110));
+            for (var x = -NODE_HEIGHT; x < NODE_WIDTH; x += 10) {
+                g.drawLine(x, NODE_HEIGHT, x + NODE_HEIGHT, 0);
+            }
+            g.dispose();
+
+            var tmpFile = JFile.createTempFile("plan-preview-hatch-", ".png");
+            tmpFile.deleteOnExit();
+            ImageIO.write(img, "png", tmpFile);
+            hatchImages[model.id] = model.createImage(tmpFile.getAbsolutePath());
+            return hatchImages[model.id];
+        } catch (e) {
+            if (typeof log !== "undefined") log.warn("planPreviewView: hatching unavailable: " + e);
+            return null;
+        }
+    }
+
+    // ── Drawing ──────────────────────────────────────────────────────────
+
+    /**
+     * Build the preview drawing state for one view. Nodes are keyed by element ID
+     * or, for new elements, by ref_id.
+     */
+    function _createCanvas(view) {
+        var canvas = {
+            view: view,
+            nodes: {},          // element ID / ref_id → diagram object
+            connections: {},    // relationship ID → diagram connection
+            count: 0
+        };
+
+        canvas.nextPosition = function () {
+            var i = canvas.count++;
+            return {
+                x: MARGIN + (i % GRID_COLUMNS) * GRID_SPACING_X,
+                y: MARGIN + LEGEND_HEIGHT + MARGIN + Math.floor(i / GRID_COLUMNS) * GRID_SPACING_Y
+            };
+        };
+
+        /** Existing model element on the preview view (added on first use). */
+        canvas.element = function (element) {
+            if (!canvas.nodes[element.id]) {
+                var pos = canvas.nextPosition();
+                canvas.nodes[element.id] = view.add(element, pos.x, pos.y, NODE_WIDTH, NODE_HEIGHT);
+            }
+            return canvas.nodes[element.id];
+        };
+
+        /** Diagram object for a plan reference: a new element's ref_id or an existing element ID. */
+        canvas.node = function (id) {
+            if (canvas.nodes[id]) return canvas.nodes[id];
+            var concept = $("#" + id).first();
+            if (!concept || !_isElement(concept)) return null;
+            return canvas.element(concept);
+        };
+
+        /** Existing relationship on the preview view, with both ends. */
+        canvas.relationship = function (rel) {
+            if (canvas.connections[rel.id]) return canvas.connections[rel.id];
+            if (!_isElement(rel.source) || !_isElement(rel.target)) return null;
+            var conn = view.add(rel, canvas.element(rel.source), canvas.element(rel.target));
+            canvas.connections[rel.id] = conn;
+            return conn;
+        };
+
+        return canvas;
+    }
+
+    function _isElement(concept) {
+        var type = String(concept.type);
+        return type.indexOf("-relationship") < 0 && type !== "archimate-diagram-model" &&
+            type !== "sketch-model" && type !== "canvas-model" && type !== "folder";
+    }
+
+    /**
+     * Draw a plain labelled connection between two preview objects. Archi only allows
+     * plain connections when a note or group is involved, so a connection between two
+     * existing elements goes through a small label note instead.
+     */
+    function _connect(canvas, source, target, label, style) {
+        try {
+            var conn = canvas.view.createConnection(source, target);
+            conn.name = label;
+            _styleConnection(conn, style);
+            return conn;
+        } catch (e) {
+            var pos = canvas.nextPosition();
+            var labelNote = canvas.view.createObject("note", pos.x, pos.y, LABEL_WIDTH, LABEL_HEIGHT);
+            labelNote.setText(label);
+            labelNote.borderType = BORDER_RECTANGLE;
+            _style(labelNote, style);
+            _styleConnection(canvas.view.createConnection(source, labelNote), style);
+            _styleConnection(canvas.view.createConnection(labelNote, target), style);
+            return labelNote;
+        }
+    }
+
+    /**
+     * Draw one plan action. Returns false when the action has no visual form.
+     */
+    function _drawAction(canvas, action, ctx) {
+        var concept, obj, label;
+
+        switch (action.op) {
+            case "create_element": {
+                var pos = canvas.nextPosition();
+                var note = canvas.view.createObject("note", pos.x, pos.y, NODE_WIDTH, NODE_HEIGHT);
+                note.setText("«" + action.type + "»\n" + action.name);
+                note.borderType = BORDER_RECTANGLE;
+                _style(note, STYLES.added);
+                if (action.ref_id) canvas.nodes[action.ref_id] = note;
+                ctx.stats.added++;
+                return true;
+            }
+
+            case "create_relationship": {
+                var source = canvas.node(action.source_id);
+                var target = canvas.node(action.target_id);
+                if (!source || !target) return false;
+                label = action.relationship_type + (action.name ? ": " + action.name : "");
+                _connect(canvas, source, target, label, STYLES.added);
+                ctx.stats.relationships++;
+                return true;
+            }
+
+            case "rename_element":
+            case "update_relationship": {
+                var id = action.element_id || action.relationship_id;
+                var newName = action.op === "rename_element" ? action.new_name : action.name;
+                if (newName === null || newName === undefined) return false;
+
+                obj = canvas.nodes[id];
+                if (obj && obj.type === "diagram-model-note") {
+                    // Renaming an element the plan creates: just show the final name
+                    obj.setText(String(obj.text).split("\n")[0] + "\n" + newName);
+                    return true;
+                }
+                concept = $("#" + id).first();
+                if (!concept) return false;
+                if (_isElement(concept)) {
+                    obj = canvas.element(concept);
+                    _style(obj, STYLES.renamed);
+                } else {
+                    obj = canvas.relationship(concept);
+                    if (!obj) return false;
+                    _styleConnection(obj, STYLES.renamed);
+                }
+                obj.labelExpression = newName + "\n(was: " + (concept.name || "unnamed") + ")";
+                ctx.stats.renamed++;
+                return true;
+            }
+
+            case "delete_element": {
+                concept = $("#" + action.element_id).first();
+                if (!concept || !_isElement(concept)) return false;
+                obj = canvas.element(concept);
+                _style(obj, STYLES.deleted);
+                if (ctx.hatch === undefined) ctx.hatch = _hatchImage();
+                if (ctx.hatch) {
+                    obj.imageSource = IMAGE_SOURCE_CUSTOM;
+                    obj.image = ctx.hatch;
+                    obj.imagePosition = IMAGE_POSITION_FILL;
+                }
+                ctx.deletedElements.push(concept);
+                ctx.stats.deleted++;
+                return true;
+            }
+
+            case "delete_relationship": {
+                concept = $("#" + action.relationship_id).first();
+                if (!concept) return false;
+                obj = canvas.relationship(concept);
+                if (!obj) return false;
+                _styleConnection(obj, STYLES.deleted);
+                ctx.stats.deleted++;
+                return true;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Relationships removed together with deleted elements are drawn red when the
+     * element at the other end is already on the preview.
+     */
+    function _drawCascade(canvas, deletedElements) {
+        deletedElements.forEach(function (element) {
+            $(element).rels().each(function (rel) {
+                var otherId = rel.source.id === element.id ? rel.target.id : rel.source.id;
+                if (!canvas.nodes[otherId] || canvas.connections[rel.id]) return;
+                var conn = canvas.relationship(rel);
+                if (conn) _styleConnection(conn, STYLES.deleted);
+            });
+        });
+    }
+
+    // ── Layout ───────────────────────────────────────────────────────────
+
+    /**
+     * Lay the preview out with ELK (layered, left to right), leaving room for the
+     * legend at the top. Returns false when ELK is not loaded.
+     */
+    function _layout(view) {
+        if (typeof elkLayout === "undefined" || typeof elkLayoutEngine === "undefined") return false;
+
+        var build = elkLayoutEngine.buildElkGraph(view, {
+            hierarchy: "flat",
+            portAssignment: "none",
+            portConstraints: "FREE"
+        });
+        var layoutOptions = elkLayoutEngine.buildLayoutOptions({
+            algorithm: "layered",
+            direction: "RIGHT",
+            edgeRouting: "ORTHOGONAL",
+            nodeNodeSpacing: 40,
+            betweenLayerSpacing: 60,
+            separateComponents: true
+        });
+        layoutOptions["elk.padding"] = "[top=" + (MARGIN + LEGEND_HEIGHT + MARGIN) + ",left=" + MARGIN +
+            ",bottom=" + MARGIN + ",right=" + MARGIN + "]";
+
+        var result = elkLayout(build.graph, layoutOptions);
+        elkLayoutEngine.applyElkLayout(view, result, build.maps, {
+            applyBendpoints: true,
+            setManualRouter: true,
+            preserveSizes: true,
+            connectionStyle: "none"
+        });
+        return true;
+    }
+
+    function _legendText(plan, stats) {
+        var lines = [VIEW_NAME + ": " + plan.summary];
+        lines.push("Green: " + stats.added + " new element(s), " + stats.relationships + " new relationship(s)" +
+            "  |  Red: " + stats.deleted + " deleted  |  Orange: " + stats.renamed + " renamed");
+        if (stats.notShown > 0) {
+            lines.push(stats.notShown + " other action(s) not drawn (properties, documentation, folders, views)");
+        }
+        return lines.join("\n");
+    }
+
+    function _timestamp() {
+        var now = new Date();
+        function pad(n) { return String(n).padStart(2, "0"); }
+        return now.getFullYear() + "-" + pad(now.getMonth() + 1) + "-" + pad(now.getDate()) +
+            " " + pad(now.getHours()) + ":" + pad(now.getMinutes());
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────
+
+    var planPreviewView = {
+        VIEW_NAME: VIEW_NAME,
+
+        /**
+         * Draw a plan on a new "Plan Preview" view in the current model.
+         *
+         * @param {Object} plan - A validated ArchiChangePlan
+         * @param {Object} [options]
+         * @param {boolean} [options.layout=true] - Lay the view out with ELK when available
+         * @param {boolean} [options.open=true] - Open the view in the editor
+         * @returns {{ view: Object|null, stats: Object }} view is null when nothing in the
+         *   plan can be drawn; stats counts added, deleted, renamed, relationships, notShown
+         */
+        create: function (plan, options) {
+            var opts = options || {};
+            var stats = { added: 0, deleted: 0, renamed: 0, relationships: 0, notShown: 0, laidOut: false };
+            var actions = (plan && plan.actions) || [];
+
+            var drawable = actions.some(function (a) {
+                return ["create_element", "create_relationship", "rename_element", "update_relationship",
+                    "delete_element", "delete_relationship"].indexOf(a.op) >= 0;
+            });
+            if (!drawable) {
+                stats.notShown = actions.length;
+                return { view: null, stats: stats };
+            }
+
+            var view = model.createArchimateView(VIEW_NAME);
+            var canvas = _createCanvas(view);
+            var ctx = { stats: stats, deletedElements: [], hatch: undefined };
+
+            for (var i = 0; i < actions.length; i++) {
+                var drawn = false;
+                try {
+                    drawn = _drawAction(canvas, actions[i], ctx);
+                } catch (e) {
+                    if (typeof log !== "undefined") {
+                        log.warn("planPreviewView: could not draw action " + (i + 1) + " (" + actions[i].op + "): " + e);
+                    }
+                }
+                if (!drawn) stats.notShown++;
+            }
+            _drawCascade(canvas, ctx.deletedElements);
+
+            if (opts.layout !== false) {
+                try {
+                    stats.laidOut = _layout(view);
+                } catch (e) {
+                    if (typeof log !== "undefined") log.warn("planPreviewView: ELK layout failed, keeping grid: " + e);
+                }
+            }
+
+            var legend = view.createObject("note", MARGIN, MARGIN, LEGEND_WIDTH, LEGEND_HEIGHT);
+            legend.setText(_legendText(plan, stats));
+            legend.borderType = BORDER_RECTANGLE;
+
+            if (opts.open !== false) {
+                try { view.openInUI(); } catch (e) { /* no editor available */ }
+            }
+            return { view: view, stats: stats };
+        },
+
+        /**
+         * Keep a preview view: rename it with a timestamp so later previews do not
+         * replace it.
+         * @param {Object} view - View returned by create()
+         * @returns {string} The new view name
+         */
+        keep: function (view) {
+            view.name = VIEW_NAME + " (" + _timestamp() + ")";
+            return view.name;
+        },
+
+        /**
+         * Delete a preview view. Elements shown on it stay in the model.
+         * @param {Object} view - View returned by create()
+         * @returns {boolean} false if the view was already deleted
+         */
+        discard: function (view) {
+            if (!view || !$("#" + view.id).first()) return false;
+            view.delete();
+            return true;
+        }
+    };
+
+    if (typeof globalThis !== "undefined") globalThis.planPreviewView = planPreviewView;
+    if (typeof module !== "undefined" && module.exports) module.exports = planPreviewView;
+})();
@@ -15,9 +15,9 @@
  *   var result = planValidator.validate(plan, { scope: scopeMap });
  *   if (!result.schemaValid) log.error("Schema errors: " + result.errors.join(", "));
  *
- * @version 2.0.0
+ * @version 3.0.0
  * @author Thomas Rohde
- * @lastModifiedDate 2026-02-22
+ * @lastModifiedDate 2026-10-19
  */
 (function () {
     "use strict";
@@ -35,8 +35,15 @@
     var MAX_REF_ID_LENGTH = planOps.MAX_REF_ID_LENGTH;
     var MAX_DOC_LENGTH = planOps.MAX_DOC_LENGTH;
     var MAX_FOLDER_PATH_LENGTH = planOps.MAX_FOLDER_PATH_LENGTH;
+    var MAX_NOTE_LENGTH = planOps.MAX_NOTE_LENGTH;
+    var MAX_FONT_SIZE = planOps.MAX_FONT_SIZE;
+    var MAX_OPACITY = planOps.MAX_OPACITY;
+    var MIN_DIMENSION = planOps.MIN_DIMENSION;
 
     var RELATIONSHIP_LABELS = planOps.RELATIONSHIP_LABELS;
+    var ACCESS_TYPES = planOps.ACCESS_TYPES;
+    var ROUTER_TYPES = planOps.ROUTER_TYPES;
+    var COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
 
     // ── Relationship label-to-type mapping ────────────────────────────────
 
@@ -166,7 +173,7 @@
         }
 
         for (var a = 0; a < plan.actions.length; a++) {
-            var actionErrors = _validateAction(plan.actions[a], a);
+            var actionErrors = _validateAction(plan.actions[a], a, plan.schema_version);
             for (var ae = 0; ae < actionErrors.length; ae++) {
                 errors.push(actionErrors[ae]);
             }
@@ -175,7 +182,7 @@
         return errors;
     }
 
-    function _validateAction(action, index) {
+    function _validateAction(action, index, schemaVersion) {
         var prefix = "actions[" + index + "]: ";
         var errors = [];
 
@@ -194,6 +201,14 @@
             return errors;
         }
 
+        // Ops added in a later schema version are not available to older plans
+        if (planOps.ACCEPTED_VERSIONS.indexOf(schemaVersion) !== -1 &&
+            planOps.getOpsForVersion(schemaVersion).indexOf(action.op) === -1) {
+            errors.push(prefix + 'op "' + action.op + '" requires schema_version ' +
+                planOps.getOpDef(action.op).since + ' (plan declares ' + schemaVersion + ')');
+            return errors;
+        }
+
         switch (action.op) {
             case "create_element":
                 errors = errors.concat(_validateCreateElement(action, prefix));
@@ -228,6 +243,33 @@
             case "move_to_folder":
                 errors = errors.concat(_validateMoveToFolder(action, prefix));
                 break;
+            case "update_relationship":
+                errors = errors.concat(_validateUpdateRelationship(action, prefix));
+                break;
+            case "style_view_object":
+                errors = errors.concat(_validateStyleViewObject(action, prefix));
+                break;
+            case "nest_in_view":
+                errors = errors.concat(_validateNestInView(action, prefix));
+                break;
+            case "create_note":
+                errors = errors.concat(_validateCreateNote(action, prefix));
+                break;
+            case "create_group":
+                errors = errors.concat(_validateCreateGroup(action, prefix));
+                break;
+            case "remove_from_view":
+                errors = errors.concat(_validateRemoveFromView(action, prefix));
+                break;
+            case "set_view_router":
+                errors = errors.concat(_validateSetViewRouter(action, prefix));
+                break;
+            case "duplicate_view":
+                errors = errors.concat(_validateDuplicateView(action, prefix));
+                break;
+            case "delete_view":
+                errors = errors.concat(_validateDeleteView(action, prefix));
+                break;
         }
 
         return errors;
@@ -425,6 +467,149 @@
         return errors;
     }
 
+    // ── v3 op validators ─────────────────────────────────────────────────
+
+    function _validateUpdateRelationship(action, prefix) {
+        var errors = [];
+        var allowed = ["op", "relationship_id", "name", "documentation", "access_type", "strength"];
+
+        _checkExtraProps(action, allowed, prefix, errors);
+        _checkRequiredString(action, "relationship_id", prefix, errors, 1);
+        _checkOptionalString(action, "name", prefix, errors, MAX_NAME_LENGTH);
+        _checkOptionalString(action, "documentation", prefix, errors, MAX_DOC_LENGTH);
+        _checkOptionalString(action, "strength", prefix, errors, MAX_KEY_LENGTH);
+
+        if ("access_type" in action && action.access_type !== null &&
+            ACCESS_TYPES.indexOf(action.access_type) === -1) {
+            errors.push(prefix + '"access_type" must be one of: ' + ACCESS_TYPES.join(", ") +
+                '; got: ' + JSON.stringify(action.access_type));
+        }
+
+        if (!_hasAnyField(action, ["name", "documentation", "access_type", "strength"])) {
+            errors.push(prefix + "at least one of name, documentation, access_type or strength is required");
+        }
+
+        return errors;
+    }
+
+    function _validateStyleViewObject(action, prefix) {
+        var errors = [];
+        var styleFields = ["fill_color", "line_color", "font_color", "font_size", "opacity"];
+        var allowed = ["op", "view_id", "element_id"].concat(styleFields);
+
+        _checkExtraProps(action, allowed, prefix, errors);
+        _checkRequiredString(action, "view_id", prefix, errors, 1);
+        _checkRequiredString(action, "element_id", prefix, errors, 1);
+
+        var colorFields = ["fill_color", "line_color", "font_color"];
+        for (var c = 0; c < colorFields.length; c++) {
+            var value = action[colorFields[c]];
+            if (colorFields[c] in action && value !== null &&
+                (typeof value !== "string" || !COLOR_PATTERN.test(value))) {
+                errors.push(prefix + '"' + colorFields[c] + '" must be a color in #RRGGBB format; got: ' + JSON.stringify(value));
+            }
+        }
+        _checkOptionalInteger(action, "font_size", prefix, errors, 1, MAX_FONT_SIZE);
+        _checkOptionalInteger(action, "opacity", prefix, errors, 0, MAX_OPACITY);
+
+        if (!_hasAnyField(action, styleFields)) {
+            errors.push(prefix + "at least one of " + styleFields.join(", ") + " is required");
+        }
+
+        return errors;
+    }
+
+    function _validateNestInView(action, prefix) {
+        var errors = [];
+        var allowed = ["op", "view_id", "element_id", "parent_id", "x", "y", "width", "height"];
+
+        _checkExtraProps(action, allowed, prefix, errors);
+        _checkRequiredString(action, "view_id", prefix, errors, 1);
+        _checkRequiredString(action, "element_id", prefix, errors, 1);
+        _checkRequiredString(action, "parent_id", prefix, errors, 1);
+        _checkBounds(action, prefix, errors);
+
+        if (action.element_id && action.element_id === action.parent_id) {
+            errors.push(prefix + "an element cannot be nested inside itself");
+        }
+
+        return errors;
+    }
+
+    function _validateCreateNote(action, prefix) {
+        var errors = [];
+        var allowed = ["op", "view_id", "text", "x", "y", "width", "height", "ref_id"];
+
+        _checkExtraProps(action, allowed, prefix, errors);
+        _checkRequiredString(action, "view_id", prefix, errors, 1);
+        _checkRequiredString(action, "text", prefix, errors, 0, MAX_NOTE_LENGTH);
+        _checkBounds(action, prefix, errors);
+        _checkOptionalRefId(action, prefix, errors);
+
+        return errors;
+    }
+
+    function _validateCreateGroup(action, prefix) {
+        var errors = [];
+        var allowed = ["op", "view_id", "name", "x", "y", "width", "height", "ref_id"];
+
+        _checkExtraProps(action, allowed, prefix, errors);
+        _checkRequiredString(action, "view_id", prefix, errors, 1);
+        _checkRequiredString(action, "name", prefix, errors, 1, MAX_NAME_LENGTH);
+        _checkBounds(action, prefix, errors);
+        _checkOptionalRefId(action, prefix, errors);
+
+        return errors;
+    }
+
+    function _validateRemoveFromView(action, prefix) {
+        var errors = [];
+        var allowed = ["op", "view_id", "element_id"];
+
+        _checkExtraProps(action, allowed, prefix, errors);
+        _checkRequiredString(action, "view_id", prefix, errors, 1);
+        _checkRequiredString(action, "element_id", prefix, errors, 1);
+
+        return errors;
+    }
+
+    function _validateSetViewRouter(action, prefix) {
+        var errors = [];
+        var allowed = ["op", "view_id", "router"];
+
+        _checkExtraProps(action, allowed, prefix, errors);
+        _checkRequiredString(action, "view_id", prefix, errors, 1);
+
+        if (typeof action.router !== "string" || ROUTER_TYPES.indexOf(action.router) === -1) {
+            errors.push(prefix + '"router" must be one of: ' + ROUTER_TYPES.join(", ") +
+                '; got: ' + JSON.stringify(action.router));
+        }
+
+        return errors;
+    }
+
+    function _validateDuplicateView(action, prefix) {
+        var errors = [];
+        var allowed = ["op", "view_id", "name", "ref_id"];
+
+        _checkExtraProps(action, allowed, prefix, errors);
+        _checkRequiredString(action, "view_id", prefix, errors, 1);
+        _checkOptionalString(action, "name", prefix, errors, MAX_NAME_LENGTH);
+        _checkOptionalRefId(action, prefix, errors);
+
+        return errors;
+    }
+
+    function _validateDeleteView(action, prefix) {
+        var errors = [];
+        var allowed = ["op", "view_id"];
+
+        _checkExtraProps(action, allowed, prefix, errors);
+        _checkRequiredString(action, "view_id", prefix, errors, 1);
+
+        return errors;
+    }
+
     // ── Helper: check for extra properties ───────────────────────────────
 
     function _checkExtraProps(obj, allowed, prefix, errors) {
@@ -451,6 +636,63 @@
         }
     }
 
+    function _checkOptionalString(obj, field, prefix, errors, maxLen) {
+        if (!(field in obj) || obj[field] === null) return;
+        if (typeof obj[field] !== "string") {
+            errors.push(prefix + '"' + field + '" must be a string');
+        } else if (maxLen && obj[field].length > maxLen) {
+            errors.push(prefix + '"' + field + '" exceeds ' + maxLen + " characters");
+        }
+    }
+
+    function _checkOptionalInteger(obj, field, prefix, errors, min, max) {
+        if (!(field in obj) || obj[field] === null) return;
+        if (typeof obj[field] !== "number" || Math.floor(obj[field]) !== obj[field]) {
+            errors.push(prefix + '"' + field + '" must be an integer');
+        } else if (obj[field] < min || obj[field] > max) {
+            errors.push(prefix + '"' + field + '" must be between ' + min + " and " + max);
+        }
+    }
+
+    function _checkOptionalRefId(obj, prefix, errors) {
+        if (!("ref_id" in obj) || obj.ref_id === null) return;
+        if (typeof obj.ref_id !== "string") {
+            errors.push(prefix + '"ref_id" must be a string');
+        } else if (obj.ref_id.length === 0) {
+            errors.push(prefix + '"ref_id" must be non-empty');
+        } else if (obj.ref_id.length > MAX_REF_ID_LENGTH) {
+            errors.push(prefix + '"ref_id" exceeds ' + MAX_REF_ID_LENGTH + " characters");
+        }
+    }
+
+    /**
+     * Check optional x/y/width/height fields on actions that place objects on a view.
+     */
+    function _checkBounds(obj, prefix, errors) {
+        if ("x" in obj && obj.x !== null && typeof obj.x !== "number") {
+            errors.push(prefix + '"x" must be a number');
+        }
+        if ("y" in obj && obj.y !== null && typeof obj.y !== "number") {
+            errors.push(prefix + '"y" must be a number');
+        }
+        var dims = ["width", "height"];
+        for (var d = 0; d < dims.length; d++) {
+            if (!(dims[d] in obj) || obj[dims[d]] === null) continue;
+            if (typeof obj[dims[d]] !== "number") {
+                errors.push(prefix + '"' + dims[d] + '" must be a number');
+            } else if (obj[dims[d]] < MIN_DIMENSION) {
+                errors.push(prefix + '"' + dims[d] + '" must be at least ' + MIN_DIMENSION);
+            }
+        }
+    }
+
+    function _hasAnyField(obj, fields) {
+        for (var i = 0; i < fields.length; i++) {
+            if (fields[i] in obj && obj[fields[i]] !== null) return true;
+        }
+        return false;
+    }
+
     // ── Semantic validation ──────────────────────────────────────────────
 
     function _validateSemantics(plan, options) {
@@ -465,8 +707,44 @@
         // Track duplicates
         var renameTargets = {};
         var propTargets = {};
-        // Track deleted element IDs (to catch use-after-delete)
+        // Track ref_ids declared by create_note / create_group actions
+        var declaredObjectRefIds = {};
+        // Track deleted element and view IDs (to catch use-after-delete)
         var deletedIds = {};
+        // Track "viewId|elementId" pairs placed on a view by earlier actions
+        var placed = {};
+
+        function isDeclaredRef(refId) {
+            return !!(declaredRefIds[refId] || declaredViewRefIds[refId] || declaredObjectRefIds[refId]);
+        }
+
+        // Resolve an object on a view: a note/group ref_id, a diagram object ID, or an
+        // element (ID or ref_id) shown on the view. Returns "note", "group", "element" or null.
+        function resolveViewObject(viewId, id, prefix) {
+            var objRef = declaredObjectRefIds[id];
+            if (objRef) {
+                if (objRef.viewId !== viewId) {
+                    errors.push(prefix + '"' + id + '" was created on view "' + objRef.viewId + '"');
+                    return null;
+                }
+                return objRef.kind;
+            }
+            var diagramObj = $("#" + id).first();
+            if (diagramObj && diagramObj.view) {
+                if (diagramObj.view.id !== viewId) {
+                    errors.push(prefix + 'diagram object "' + id + '" is not on view "' + viewId + '"');
+                    return null;
+                }
+                if (diagramObj.type === "diagram-model-note") return "note";
+                if (diagramObj.type === "diagram-model-group") return "group";
+                return "element";
+            }
+            if (!_semanticResolveId(id, prefix, scope, declaredRefIds, deletedIds, errors, declaredViewRefIds)) {
+                return null;
+            }
+            _semanticCheckOnView(viewId, id, prefix, placed, errors);
+            return "element";
+        }
 
         for (var i = 0; i < plan.actions.length; i++) {
             var action = plan.actions[i];
@@ -481,7 +759,7 @@
                     }
                     // Track ref_id for forward references
                     if (action.ref_id) {
-                        if (declaredRefIds[action.ref_id] || declaredViewRefIds[action.ref_id]) {
+                        if (isDeclaredRef(action.ref_id)) {
                             errors.push(prefix + 'duplicate ref_id "' + action.ref_id + '"');
                         }
                         declaredRefIds[action.ref_id] = { index: i, type: resolvedType };
@@ -578,7 +856,7 @@
 
                 case "create_view": {
                     if (action.ref_id) {
-                        if (declaredRefIds[action.ref_id] || declaredViewRefIds[action.ref_id]) {
+                        if (isDeclaredRef(action.ref_id)) {
                             errors.push(prefix + 'duplicate ref_id "' + action.ref_id + '"');
                         }
                         declaredViewRefIds[action.ref_id] = { index: i };
@@ -588,9 +866,10 @@
 
                 case "add_to_view": {
                     // Resolve view_id from view ref_ids or model
-                    _semanticResolveViewId(action.view_id, prefix, declaredViewRefIds, errors);
+                    _semanticResolveViewId(action.view_id, prefix, declaredViewRefIds, errors, deletedIds);
                     // Resolve element_id from element ref_ids or model
                     _semanticResolveId(action.element_id, prefix + "element: ", scope, declaredRefIds, deletedIds, errors, declaredViewRefIds);
+                    placed[action.view_id + "|" + action.element_id] = true;
                     break;
                 }
 
@@ -602,6 +881,89 @@
                     }
                     break;
                 }
+
+                case "update_relationship": {
+                    if (deletedIds[action.relationship_id]) {
+                        errors.push(prefix + 'relationship "' + action.relationship_id + '" was deleted by a prior action');
+                        break;
+                    }
+                    var updRel = $("#" + action.relationship_id).first();
+                    if (!updRel) {
+                        errors.push(prefix + 'relationship "' + action.relationship_id + '" not found in model');
+                    } else if (!updRel.type || updRel.type.indexOf("-relationship") < 0) {
+                        errors.push(prefix + '"' + action.relationship_id + '" is not a relationship, use rename_element or set_documentation instead');
+                    } else {
+                        if (action.access_type && updRel.type !== "access-relationship") {
+                            warnings.push(prefix + 'access_type is ignored on ' + updRel.type);
+                        }
+                        if (action.strength && updRel.type !== "influence-relationship") {
+                            warnings.push(prefix + 'strength is ignored on ' + updRel.type);
+                        }
+                    }
+                    break;
+                }
+
+                case "style_view_object": {
+                    _semanticResolveViewId(action.view_id, prefix, declaredViewRefIds, errors, deletedIds);
+                    resolveViewObject(action.view_id, action.element_id, prefix + "element: ");
+                    break;
+                }
+
+                case "nest_in_view": {
+                    _semanticResolveViewId(action.view_id, prefix, declaredViewRefIds, errors, deletedIds);
+                    _semanticResolveId(action.element_id, prefix + "element: ", scope, declaredRefIds, deletedIds, errors, declaredViewRefIds);
+                    if (resolveViewObject(action.view_id, action.parent_id, prefix + "parent: ") === "note") {
+                        errors.push(prefix + 'parent "' + action.parent_id + '" is a note; only groups and elements can contain other objects');
+                    }
+                    placed[action.view_id + "|" + action.element_id] = true;
+                    break;
+                }
+
+                case "remove_from_view": {
+                    _semanticResolveViewId(action.view_id, prefix, declaredViewRefIds, errors, deletedIds);
+                    resolveViewObject(action.view_id, action.element_id, prefix + "element: ");
+                    delete placed[action.view_id + "|" + action.element_id];
+                    break;
+                }
+
+                case "create_note":
+                case "create_group": {
+                    _semanticResolveViewId(action.view_id, prefix, declaredViewRefIds, errors, deletedIds);
+                    if (action.ref_id) {
+                        if (isDeclaredRef(action.ref_id)) {
+                            errors.push(prefix + 'duplicate ref_id "' + action.ref_id + '"');
+                        }
+                        declaredObjectRefIds[action.ref_id] = {
+                            index: i,
+                            kind: action.op === "create_note" ? "note" : "group",
+                            viewId: action.view_id
+                        };
+                    }
+                    break;
+                }
+
+                case "set_view_router": {
+                    _semanticResolveViewId(action.view_id, prefix, declaredViewRefIds, errors, deletedIds);
+                    break;
+                }
+
+                case "duplicate_view": {
+                    _semanticResolveViewId(action.view_id, prefix, declaredViewRefIds, errors, deletedIds);
+                    if (action.ref_id) {
+                        if (isDeclaredRef(action.ref_id)) {
+                            errors.push(prefix + 'duplicate ref_id "' + action.ref_id + '"');
+                        }
+                        declaredViewRefIds[action.ref_id] = { index: i };
+                    }
+                    break;
+                }
+
+                case "delete_view": {
+                    if (_semanticResolveViewId(action.view_id, prefix, declaredViewRefIds, errors, deletedIds)) {
+                        deletedIds[action.view_id] = true;
+                    }
+                    break;
+                }
             }
         }
 
@@ -646,7 +1008,13 @@
      * Resolve a view ID — either from view ref_ids or from the model.
      * Returns true if resolved, false otherwise.
      */
-    function _semanticResolveViewId(viewId, prefix, declaredViewRefIds, errors) {
+    function _semanticResolveViewId(viewId, prefix, declaredViewRefIds, errors, deletedIds) {
+        // Check if referencing a view deleted by a prior delete_view
+        if (deletedIds && deletedIds[viewId]) {
+            errors.push(prefix + 'view "' + viewId + '" was deleted by a prior action');
+            return false;
+        }
+
         // Check if it's a ref_id from a prior create_view
         if (declaredViewRefIds[viewId]) {
             return true;
@@ -666,6 +1034,28 @@
         return true;
     }
 
+    /**
+     * Check that an existing element already appears on an existing view, unless an
+     * earlier action placed it there. Views and elements created by the plan itself
+     * cannot be checked against the model and are accepted.
+     */
+    function _semanticCheckOnView(viewId, elementId, prefix, placed, errors) {
+        if (placed[viewId + "|" + elementId]) return;
+
+        var view = $("#" + viewId).first();
+        var el = $("#" + elementId).first();
+        if (!view || !el) return;
+
+        var onView = false;
+        $(el).objectRefs().each(function (ref) {
+            if (ref.view && ref.view.id === viewId) onView = true;
+        });
+        if (!onView) {
+            errors.push(prefix + '"' + (el.name || elementId) + '" is not on view "' + (view.name || viewId) +
+                '" (add it with add_to_view first)');
+        }
+    }
+
     // ── Public API ───────────────────────────────────────────────────────
 
     var planValidator = {
@@ -0,0 +1,246 @@
+/**
+ * @name relationshipCompliance
+ * @description Relationship checks behind the Relationship Compliance Checker:
+ *   relationships the ArchiMate 3.1 matrix does not allow (errors) and weak
+ *   modeling patterns such as association overuse, duplicates, bidirectional
+ *   serving/flow and self-relationships (warnings).
+ * @version 1.0.0
+ * @author Thomas Rohde
+ * @lastModifiedDate 2026-10-19
+ */
+(function () {
+    "use strict";
+    if (typeof globalThis !== "undefined" && typeof globalThis.relationshipCompliance !== "undefined") return;
+
+    function safeName(obj) {
+        if (!obj) return "(missing)";
+        return obj.name && obj.name.trim() ? obj.name : "(unnamed)";
+    }
+
+    /**
+     * Check relationships against the specification matrix and warning heuristics.
+     * Issues carry severity ("Error"/"Warning"), ruleId, relId, relType, relName,
+     * sourceName/sourceType, targetName/targetType, message and remediation.
+     * @param {Object} relationships - jArchi collection of relationships
+     * @returns {Object} { errors, warnings, warningBreakdown, relCount, skippedCount }
+     */
+    function scan(relationships) {
+        // =================================================================
+        // Phase 1: Scan all relationships against the spec matrix
+        // =================================================================
+
+        var errors = [];
+        var allRels = [];
+        var relCount = 0;
+        var skippedCount = 0;
+
+        relationships.each(function (rel) {
+            relCount++;
+            if (relCount % 500 === 0 && typeof log !== "undefined") {
+                log.detail("  Scanned " + relCount + " relationships...");
+            }
+
+            var sourceType = rel.source ? rel.source.type : null;
+            var targetType = rel.target ? rel.target.type : null;
+            var relType = rel.type;
+
+            // Skip broken relationships
+            if (!sourceType || !targetType) {
+                errors.push({
+                    severity: "Error",
+                    ruleId: "relationship.missingEndpoint",
+                    relId: rel.id,
+                    relType: relType || "(unknown)",
+                    relName: rel.name || "",
+                    sourceName: safeName(rel.source),
+                    sourceType: sourceType || "(missing)",
+                    targetName: safeName(rel.target),
+                    targetType: targetType || "(missing)",
+                    message: "Missing source or target",
+                    remediation: "Delete or reconnect to valid elements."
+                });
+                return;
+            }
+
+            // Skip junctions and relationship-on-relationship
+            if (!relationshipMatrix.isKnownType(sourceType) || !relationshipMatrix.isKnownType(targetType)) {
+                skippedCount++;
+                return;
+            }
+
+            // Store for Phase 2 analysis
+            allRels.push({
+                id: rel.id,
+                type: relType,
+                name: rel.name || "",
+                sourceId: rel.source.id,
+                sourceName: safeName(rel.source),
+                sourceType: sourceType,
+                targetId: rel.target.id,
+                targetName: safeName(rel.target),
+                targetType: targetType
+            });
+
+            // Check against matrix
+            if (!relationshipMatrix.isAllowed(sourceType, targetType, relType)) {
+                var allowed = relationshipMatrix.getAllowed(sourceType, targetType);
+                var remediation;
+                if (allowed.length === 0) {
+                    remediation = "No relationships allowed from " + sourceType + " to " + targetType + ". Consider restructuring.";
+                } else {
+                    remediation = "Allowed: " + allowed.map(function (t) {
+                        return relationshipMatrix.getRelationshipLabel(t);
+                    }).join(", ") + ".";
+                }
+
+                errors.push({
+                    severity: "Error",
+                    ruleId: "relationship.notAllowed",
+                    relId: rel.id,
+                    relType: relType,
+                    relName: rel.name || "",
+                    sourceName: safeName(rel.source),
+                    sourceType: sourceType,
+                    targetName: safeName(rel.target),
+                    targetType: targetType,
+                    message: relationshipMatrix.getRelationshipLabel(relType) + " not allowed from " + sourceType + " to " + targetType,
+                    remediation: remediation
+                });
+            }
+        });
+
+        // =================================================================
+        // Phase 2: Warning heuristics
+        // =================================================================
+
+        var warnings = [];
+        var warningBreakdown = {
+            associationOveruse: 0,
+            duplicateRelationships: 0,
+            bidirectionalDirected: 0,
+            selfRelationships: 0
+        };
+
+        // 2a: Association overuse
+        for (var i = 0; i < allRels.length; i++) {
+            var r = allRels[i];
+            if (r.type !== "association-relationship") continue;
+            var allowed = relationshipMatrix.getAllowed(r.sourceType, r.targetType);
+            var specific = allowed.filter(function (t) {
+                return t !== "association-relationship" && t !== "influence-relationship";
+            });
+            if (specific.length > 0) {
+                warningBreakdown.associationOveruse++;
+                warnings.push({
+                    severity: "Warning",
+                    ruleId: "relationship.associationOveruse",
+                    relId: r.id,
+                    relType: r.type,
+                    relName: r.name,
+                    sourceName: r.sourceName,
+                    sourceType: r.sourceType,
+                    targetName: r.targetName,
+                    targetType: r.targetType,
+                    message: "Association where specific types available",
+                    remediation: "Consider: " + specific.map(function (t) {
+                        return relationshipMatrix.getRelationshipLabel(t);
+                    }).join(", ") + "."
+                });
+            }
+        }
+
+        // 2b: Duplicate relationships (same type, same source+target)
+        var relKeyMap = {};
+        for (var i = 0; i < allRels.length; i++) {
+            var r = allRels[i];
+            var key = r.sourceId + "|" + r.targetId + "|" + r.type;
+            if (!relKeyMap[key]) relKeyMap[key] = [];
+            relKeyMap[key].push(r);
+        }
+        var dupKeys = Object.keys(relKeyMap);
+        for (var k = 0; k < dupKeys.length; k++) {
+            var group = relKeyMap[dupKeys[k]];
+            if (group.length >= 2) {
+                for (var d = 1; d < group.length; d++) {
+                    var r = group[d];
+                    warningBreakdown.duplicateRelationships++;
+                    warnings.push({
+                        severity: "Warning",
+                        ruleId: "relationship.duplicate",
+                        relId: r.id,
+                        relType: r.type,
+                        relName: r.name,
+                        sourceName: r.sourceName,
+                        sourceType: r.sourceType,
+                        targetName: r.targetName,
+                        targetType: r.targetType,
+                        message: "Duplicate: " + group.length + "x " + relationshipMatrix.getRelationshipLabel(r.type) + " between same elements",
+                        remediation: "Remove duplicates. Keep the one with documentation or more view references."
+                    });
+                }
+            }
+        }
+
+        // 2c: Bidirectional serving/flow
+        var directedPairs = {};
+        for (var i = 0; i < allRels.length; i++) {
+            var r = allRels[i];
+            if (r.type !== "serving-relationship" && r.type !== "flow-relationship") continue;
+            var fwdKey = r.sourceId + "|" + r.targetId + "|" + r.type;
+            var revKey = r.targetId + "|" + r.sourceId + "|" + r.type;
+            if (directedPairs[revKey]) {
+                warningBreakdown.bidirectionalDirected++;
+                warnings.push({
+                    severity: "Warning",
+                    ruleId: "relationship.bidirectional",
+                    relId: r.id,
+                    relType: r.type,
+                    relName: r.name,
+                    sourceName: r.sourceName,
+                    sourceType: r.sourceType,
+                    targetName: r.targetName,
+                    targetType: r.targetType,
+                    message: "Bidirectional " + relationshipMatrix.getRelationshipLabel(r.type),
+                    remediation: "Review direction. Serving = provider to consumer. Flow = data/material direction."
+                });
+            }
+            directedPairs[fwdKey] = r;
+        }
+
+        // 2d: Self-relationships
+        for (var i = 0; i < allRels.length; i++) {
+            var r = allRels[i];
+            if (r.sourceId === r.targetId) {
+                warningBreakdown.selfRelationships++;
+                warnings.push({
+                    severity: "Warning",
+                    ruleId: "relationship.self",
+                    relId: r.id,
+                    relType: r.type,
+                    relName: r.name,
+                    sourceName: r.sourceName,
+                    sourceType: r.sourceType,
+                    targetName: r.targetName,
+                    targetType: r.targetType,
+                    message: "Self-relationship on " + r.sourceName,
+                    remediation: "Self-relationships are rarely intentional. Consider removing."
+                });
+            }
+        }
+
+        return {
+            errors: errors,
+            warnings: warnings,
+            warningBreakdown: warningBreakdown,
+            relCount: relCount,
+            skippedCount: skippedCount
+        };
+    }
+
+    var relationshipCompliance = {
+        scan: scan
+    };
+
+    if (typeof globalThis !== "undefined") globalThis.relationshipCompliance = relationshipCompliance;
+    if (typeof module !== "undefined" && module.exports) module.exports = relationshipCompliance;
+})();
@@ -9,13 +9,29 @@
  *   - healthEndpoints: /health, /test, /shutdown
  *   - modelEndpoints: /model/query, /model/plan, /model/apply
  *   - operationEndpoints: /ops/status, /ops/list
- *   - scriptEndpoints: /scripts/run
+ *   - scriptEndpoints: /scripts/run, /scripts, /scripts/{name}
+ *   - eventEndpoints: /events
+ *   - graphqlEndpoints: /graphql
+ *   - historyEndpoints: /model/history, /model/undo, /model/redo
+ *   - docsEndpoints: /openapi.json, /docs
+ *   - modelsEndpoints: /models, /models/{id}, /models/open, /models/new, /models/{id}/close
+ *   - analysisEndpoints: /analysis/cycles, /analysis/impact
+ *   - complianceEndpoints: /analysis/compliance
+ *   - metricsEndpoints: /metrics
  *
  * @module server/apiEndpoints
  * @requires server/endpoints/healthEndpoints
  * @requires server/endpoints/modelEndpoints
  * @requires server/endpoints/operationEndpoints
  * @requires server/endpoints/scriptEndpoints
+ * @requires server/endpoints/eventEndpoints
+ * @requires server/endpoints/graphqlEndpoints
+ * @requires server/endpoints/historyEndpoints
+ * @requires server/endpoints/docsEndpoints
+ * @requires server/endpoints/modelsEndpoints
+ * @requires server/endpoints/analysisEndpoints
+ * @requires server/endpoints/complianceEndpoints
+ * @requires server/endpoints/metricsEndpoints
  */
 
 (function() {
@@ -42,6 +58,14 @@
     load(endpointsDir + "operationEndpoints.js");
     load(endpointsDir + "scriptEndpoints.js");
     load(endpointsDir + "viewEndpoints.js");
+    load(endpointsDir + "eventEndpoints.js");
+    load(endpointsDir + "graphqlEndpoints.js");
+    load(endpointsDir + "historyEndpoints.js");
+    load(endpointsDir + "docsEndpoints.js");
+    load(endpointsDir + "modelsEndpoints.js");
+    load(endpointsDir + "analysisEndpoints.js");
+    load(endpointsDir + "complianceEndpoints.js");
+    load(endpointsDir + "metricsEndpoints.js");
 
     /**
      * Combined API endpoint handlers - delegates to specialized modules
@@ -88,6 +112,12 @@
         handleScriptRun: function(request, response, serverState, scriptsDir) {
             return scriptEndpoints.handleScriptRun(request, response, serverState, scriptsDir);
         },
+        handleListScripts: function(request, response, serverState, scriptsDir) {
+            return scriptEndpoints.handleListScripts(request, response, serverState, scriptsDir);
+        },
+        handleNamedScriptRun: function(request, response, serverState, scriptsDir, name) {
+            return scriptEndpoints.handleNamedScriptRun(request, response, serverState, scriptsDir, name);
+        },
 
         // View management endpoints
         handleListViews: function(request, response, serverState) {
@@ -96,12 +126,21 @@
         handleGetView: function(request, response, serverState) {
             return viewEndpoints.handleGetView(request, response, serverState);
         },
+        handleBatchGetViews: function(request, response, serverState) {
+            return viewEndpoints.handleBatchGetViews(request, response, serverState);
+        },
+        handleViewDiff: function(request, response, serverState) {
+            return viewEndpoints.handleViewDiff(request, response, serverState);
+        },
         handleCreateView: function(request, response, serverState) {
             return viewEndpoints.handleCreateView(request, response, serverState);
         },
         handleExportView: function(request, response, serverState) {
             return viewEndpoints.handleExportView(request, response, serverState);
         },
+        handleExportAllViews: function(request, response, serverState) {
+            return viewEndpoints.handleExportAllViews(request, response, serverState);
+        },
         handleDeleteView: function(request, response, serverState) {
             return viewEndpoints.handleDeleteView(request, response, serverState);
         },
@@ -125,11 +164,79 @@
         handleGetElement: function(request, response, serverState) {
             return modelEndpoints.handleGetElement(request, response, serverState);
         },
+        handleGetElementProvenance: function(request, response, serverState) {
+            return modelEndpoints.handleGetElementProvenance(request, response, serverState);
+        },
         handleListFolders: function(request, response, serverState) {
             return modelEndpoints.handleListFolders(request, response, serverState);
         },
         handleSave: function(request, response, serverState) {
             return modelEndpoints.handleSave(request, response, serverState);
+        },
+
+        // Event stream endpoint
+        handleEvents: function(request, response, serverState) {
+            return eventEndpoints.handleEvents(request, response, serverState);
+        },
+
+        // GraphQL endpoints
+        handleGraphql: function(request, response, serverState) {
+            return graphqlEndpoints.handleGraphql(request, response, serverState);
+        },
+        handleGraphqlSchema: function(request, response, serverState) {
+            return graphqlEndpoints.handleGraphqlSchema(request, response, serverState);
+        },
+
+        // Command history endpoints
+        handleHistory: function(request, response, serverState) {
+            return historyEndpoints.handleHistory(request, response, serverState);
+        },
+        handleUndo: function(request, response, serverState) {
+            return historyEndpoints.handleUndo(request, response, serverState);
+        },
+        handleRedo: function(request, response, serverState) {
+            return historyEndpoints.handleRedo(request, response, serverState);
+        },
+
+        // Generated documentation endpoints
+        handleOpenApi: function(request, response, serverState) {
+            return docsEndpoints.handleOpenApi(request, response, serverState);
+        },
+        handleDocs: function(request, response, serverState) {
+            return docsEndpoints.handleDocs(request, response, serverState);
+        },
+
+        // Loaded model endpoints
+        handleListModels: function(request, response, serverState) {
+            return modelsEndpoints.handleListModels(request, response, serverState);
+        },
+        handleGetModel: function(request, response, serverState) {
+            return modelsEndpoints.handleGetModel(request, response, serverState);
+        },
+        handleOpenModel: function(request, response, serverState) {
+            return modelsEndpoints.handleOpenModel(request, response, serverState);
+        },
+        handleNewModel: function(request, response, serverState) {
+            return modelsEndpoints.handleNewModel(request, response, serverState);
+        },
+        handleCloseModel: function(request, response, serverState) {
+            return modelsEndpoints.handleCloseModel(request, response, serverState);
+        },
+
+        // Graph analysis endpoints
+        handleAnalysisCycles: function(request, response, serverState) {
+            return analysisEndpoints.handleCycles(request, response, serverState);
+        },
+        handleAnalysisImpact: function(request, response, serverState) {
+            return analysisEndpoints.handleImpact(request, response, serverState);
+        },
+        handleCompliance: function(request, response, serverState, scriptsDir) {
+            return complianceEndpoints.handleCompliance(request, response, serverState, scriptsDir);
+        },
+
+        // Metrics endpoint
+        handleMetrics: function(request, response, serverState) {
+            return metricsEndpoints.handleMetrics(request, response, serverState);
         }
     };
 
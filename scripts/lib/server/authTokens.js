@@ -0,0 +1,380 @@
+/**
+ * authTokens.js - Optional bearer-token authentication for Model API Server
+ *
+ * Tokens live in a JSON config file (default: scripts/config/api-tokens.json):
+ *
+ *   {
+ *     "enabled": true,
+ *     "tokens": [
+ *       { "name": "ci", "tokenHash": "<sha-256 hex>", "prefix": "jas_1a2b", "scopes": ["read", "write"] },
+ *       { "name": "local-dev", "token": "plain-text-token", "scopes": ["admin"] }
+ *     ]
+ *   }
+ *
+ * Tokens created from the monitor Settings tab are stored as SHA-256 hashes only;
+ * hand-written entries may use a plain "token" value instead. When the file is
+ * missing or "enabled" is false, the server accepts unauthenticated requests
+ * (localhost-only binding is the sole protection, as before).
+ *
+ * Scopes: read, write, script, admin. "admin" grants every scope and "write"
+ * also grants "read". serverCore asks this module to authorize each request
+ * against the scope declared for the route.
+ *
+ * @module server/authTokens
+ * @requires server/loggingQueue (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.authTokens !== "undefined") {
+        return;
+    }
+
+    var MessageDigest = Java.type("java.security.MessageDigest");
+    var SecureRandom = Java.type("java.security.SecureRandom");
+    var StandardCharsets = Java.type("java.nio.charset.StandardCharsets");
+    var JavaString = Java.type("java.lang.String");
+    var Files = Java.type("java.nio.file.Files");
+    var Paths = Java.type("java.nio.file.Paths");
+    var ByteArray = Java.type("byte[]");
+
+    var SCOPES = ["read", "write", "script", "admin"];
+    var NAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+    var TOKEN_PREFIX = "jas_";
+
+    var filePath = null;
+    var enabled = false;
+    var tokens = [];
+    var secureRandom = new SecureRandom();
+
+    function logInfo(message) {
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.log(message);
+        }
+    }
+
+    function logWarn(message) {
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.warn(message);
+        }
+    }
+
+    function hashToken(token) {
+        var digest = MessageDigest.getInstance("SHA-256");
+        var hashBytes = digest.digest(new JavaString(token).getBytes(StandardCharsets.UTF_8));
+        var hex = "";
+        for (var i = 0; i < hashBytes.length; i++) {
+            var h = (hashBytes[i] & 255).toString(16);
+            if (h.length === 1) h = "0" + h;
+            hex += h;
+        }
+        return hex;
+    }
+
+    /**
+     * Constant-time comparison of two hex digests
+     */
+    function digestsEqual(a, b) {
+        return MessageDigest.isEqual(
+            new JavaString(a).getBytes(StandardCharsets.UTF_8),
+            new JavaString(b).getBytes(StandardCharsets.UTF_8)
+        );
+    }
+
+    function generateSecret() {
+        var bytes = new ByteArray(24);
+        secureRandom.nextBytes(bytes);
+        var hex = "";
+        for (var i = 0; i < bytes.length; i++) {
+            var h = (bytes[i] & 255).toString(16);
+            if (h.length === 1) h = "0" + h;
+            hex += h;
+        }
+        return TOKEN_PREFIX + hex;
+    }
+
+    function normalizeScopes(scopes) {
+        var result = [];
+        var list = Array.isArray(scopes) ? scopes : [];
+        for (var i = 0; i < list.length; i++) {
+            var scope = String(list[i]).trim().toLowerCase();
+            if (SCOPES.indexOf(scope) !== -1 && result.indexOf(scope) === -1) {
+                result.push(scope);
+            }
+        }
+        return result;
+    }
+
+    function findIndex(name) {
+        for (var i = 0; i < tokens.length; i++) {
+            if (tokens[i].name === name) return i;
+        }
+        return -1;
+    }
+
+    function toSummary(entry) {
+        return {
+            name: entry.name,
+            scopes: entry.scopes.slice(),
+            prefix: entry.prefix || null,
+            createdAt: entry.createdAt || null,
+            lastUsedAt: entry.lastUsedAt || null
+        };
+    }
+
+    var authTokens = {
+        /** Known scope names */
+        SCOPES: SCOPES,
+
+        /**
+         * Load the token config file. A missing file leaves authentication disabled.
+         * @param {string} path - Absolute path of the token config file
+         * @returns {{ enabled: boolean, tokenCount: number, error: string|null }}
+         */
+        load: function(path) {
+            filePath = path;
+            enabled = false;
+            tokens = [];
+
+            var nioPath = Paths.get(path);
+            if (!Files.exists(nioPath)) {
+                return { enabled: false, tokenCount: 0, error: null };
+            }
+
+            try {
+                var content = new JavaString(Files.readAllBytes(nioPath), "UTF-8");
+                var parsed = JSON.parse(String(content));
+                var entries = Array.isArray(parsed.tokens) ? parsed.tokens : [];
+                for (var i = 0; i < entries.length; i++) {
+                    var raw = entries[i] || {};
+                    if (!raw.name || (!raw.token && !raw.tokenHash)) {
+                        logWarn("Auth config: skipping token entry " + i + " (needs name and token or tokenHash)");
+                        continue;
+                    }
+                    tokens.push({
+                        name: String(raw.name),
+                        tokenHash: raw.tokenHash ? String(raw.tokenHash).toLowerCase() : hashToken(String(raw.token)),
+                        plainToken: raw.token ? String(raw.token) : null,
+                        prefix: raw.prefix || (raw.token ? String(raw.token).substring(0, 8) : null),
+                        scopes: normalizeScopes(raw.scopes),
+                        createdAt: raw.createdAt || null,
+                        lastUsedAt: null
+                    });
+                }
+                enabled = parsed.enabled === true;
+                return { enabled: enabled, tokenCount: tokens.length, error: null };
+            } catch (e) {
+                // Fail closed: a broken config file must not silently disable auth
+                enabled = true;
+                tokens = [];
+                logWarn("Auth config could not be read (" + e + "); all requests will be rejected");
+                return { enabled: true, tokenCount: 0, error: String(e) };
+            }
+        },
+
+        /**
+         * Persist the current token set to the config file.
+         * Plain tokens from hand-written entries are written back unchanged.
+         */
+        save: function() {
+            if (!filePath) {
+                throw new Error("Auth config path not set (call authTokens.load first)");
+            }
+            var data = {
+                enabled: enabled,
+                tokens: tokens.map(function(entry) {
+                    var out = { name: entry.name };
+                    if (entry.plainToken) {
+                        out.token = entry.plainToken;
+                    } else {
+                        out.tokenHash = entry.tokenHash;
+                    }
+                    if (entry.prefix) out.prefix = entry.prefix;
+                    out.scopes = entry.scopes;
+                    if (entry.createdAt) out.createdAt = entry.createdAt;
+                    return out;
+                })
+            };
+            var nioPath = Paths.get(filePath);
+            if (nioPath.getParent() !== null) {
+                Files.createDirectories(nioPath.getParent());
+            }
+            Files.write(nioPath, new JavaString(JSON.stringify(data, null, 2) + "\n").getBytes(StandardCharsets.UTF_8));
+        },
+
+        /**
+         * @returns {string|null} Path of the token config file
+         */
+        getFilePath: function() {
+            return filePath;
+        },
+
+        /**
+         * @returns {boolean} True when requests must carry a bearer token
+         */
+        isEnabled: function() {
+            return enabled;
+        },
+
+        /**
+         * Turn token enforcement on or off (call save() to persist)
+         * @param {boolean} value
+         */
+        setEnabled: function(value) {
+            enabled = value === true;
+            logInfo("Token authentication " + (enabled ? "enabled" : "disabled"));
+        },
+
+        /**
+         * List configured tokens without secrets
+         * @returns {Array<Object>} { name, scopes, prefix, createdAt, lastUsedAt }
+         */
+        listTokens: function() {
+            return tokens.map(toSummary);
+        },
+
+        /**
+         * Create a new token. The secret is returned once and only its hash is kept.
+         * @param {string} name - Unique client name
+         * @param {Array<string>} scopes - Granted scopes
+         * @returns {{ token: string, summary: Object }}
+         */
+        createToken: function(name, scopes) {
+            var cleanName = String(name || "").trim();
+            if (!NAME_PATTERN.test(cleanName)) {
+                throw new Error("Token name must be 1-64 characters of letters, digits, '.', '_' or '-'");
+            }
+            if (findIndex(cleanName) !== -1) {
+                throw new Error("A token named '" + cleanName + "' already exists");
+            }
+            var granted = normalizeScopes(scopes);
+            if (granted.length === 0) {
+                throw new Error("At least one scope is required (" + SCOPES.join(", ") + ")");
+            }
+
+            var secret = generateSecret();
+            var entry = {
+                name: cleanName,
+                tokenHash: hashToken(secret),
+                plainToken: null,
+                prefix: secret.substring(0, TOKEN_PREFIX.length + 4),
+                scopes: granted,
+                createdAt: new Date().toISOString(),
+                lastUsedAt: null
+            };
+            tokens.push(entry);
+            logInfo("API token created: " + cleanName + " [" + granted.join(", ") + "]");
+            return { token: secret, summary: toSummary(entry) };
+        },
+
+        /**
+         * Replace the scopes of an existing token
+         * @param {string} name - Token name
+         * @param {Array<string>} scopes - New scopes
+         * @returns {Object} Updated token summary
+         */
+        setScopes: function(name, scopes) {
+            var index = findIndex(name);
+            if (index === -1) {
+                throw new Error("Unknown token: " + name);
+            }
+            var granted = normalizeScopes(scopes);
+            if (granted.length === 0) {
+                throw new Error("At least one scope is required (" + SCOPES.join(", ") + ")");
+            }
+            tokens[index].scopes = granted;
+            logInfo("API token scopes updated: " + name + " [" + granted.join(", ") + "]");
+            return toSummary(tokens[index]);
+        },
+
+        /**
+         * Remove a token
+         * @param {string} name - Token name
+         * @returns {boolean} True if a token was removed
+         */
+        revokeToken: function(name) {
+            var index = findIndex(name);
+            if (index === -1) return false;
+            tokens.splice(index, 1);
+            logInfo("API token revoked: " + name);
+            return true;
+        },
+
+        /**
+         * Check whether a set of granted scopes satisfies a required scope
+         * @param {Array<string>} granted - Scopes held by the client
+         * @param {string} required - Scope required by the route
+         * @returns {boolean}
+         */
+        hasScope: function(granted, required) {
+            if (!required) return true;
+            if (!granted) return false;
+            if (granted.indexOf("admin") !== -1) return true;
+            if (granted.indexOf(required) !== -1) return true;
+            return required === "read" && granted.indexOf("write") !== -1;
+        },
+
+        /**
+         * Authorize a request for a route scope
+         * @param {string|null} authorizationHeader - Raw Authorization header value
+         * @param {string} requiredScope - Scope declared for the route
+         * @returns {{ allowed: boolean, status: number, code: string|null, message: string|null, client: string|null, scopes: Array<string> }}
+         */
+        authorize: function(authorizationHeader, requiredScope) {
+            if (!enabled) {
+                return { allowed: true, status: 200, code: null, message: null, client: null, scopes: SCOPES.slice() };
+            }
+
+            var match = authorizationHeader ? /^Bearer\s+(\S+)\s*$/i.exec(String(authorizationHeader)) : null;
+            if (!match) {
+                return {
+                    allowed: false, status: 401, code: "Unauthorized",
+                    message: "Missing bearer token. Send 'Authorization: Bearer <token>'",
+                    client: null, scopes: []
+                };
+            }
+
+            var presentedHash = hashToken(match[1]);
+            var entry = null;
+            for (var i = 0; i < tokens.length; i++) {
+                if (digestsEqual(tokens[i].tokenHash, presentedHash)) {
+                    entry = tokens[i];
+                    break;
+                }
+            }
+            if (!entry) {
+                return {
+                    allowed: false, status: 401, code: "Unauthorized",
+                    message: "Invalid bearer token",
+                    client: null, scopes: []
+                };
+            }
+
+            entry.lastUsedAt = new Date().toISOString();
+            if (!this.hasScope(entry.scopes, requiredScope)) {
+                return {
+                    allowed: false, status: 403, code: "InsufficientScope",
+                    message: "Token '" + entry.name + "' lacks the '" + requiredScope + "' scope required for this endpoint",
+                    client: entry.name, scopes: entry.scopes.slice()
+                };
+            }
+
+            return { allowed: true, status: 200, code: null, message: null, client: entry.name, scopes: entry.scopes.slice() };
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.authTokens = authTokens;
+    } else if (typeof global !== "undefined") {
+        global.authTokens = authTokens;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = authTokens;
+    }
+
+})();
@@ -0,0 +1,394 @@
+/**
+ * analysisEndpoints.js - Graph analysis endpoints
+ *
+ * Handles POST /analysis/cycles and POST /analysis/impact. Both build a
+ * directed graph with modelGraph (the library behind the Dependency Cycle
+ * Analyzer and Impact Path Explorer scripts) and accept the filters those
+ * dialogs offer: relationship types, layers and depth. Paths are returned
+ * with element names and types so clients do not need a second lookup.
+ *
+ * @module server/endpoints/analysisEndpoints
+ * @requires modelGraph
+ * @requires server/modelRegistry
+ * @requires server/serverConfig (optional)
+ * @requires server/loggingQueue (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.analysisEndpoints !== "undefined") {
+        return;
+    }
+
+    var DIRECTIONS = ["downstream", "upstream", "both"];
+
+    function getConfig() {
+        var cfg = (typeof serverConfig !== "undefined" && serverConfig.analysis) ? serverConfig.analysis : {};
+        return {
+            maxDepth: cfg.maxDepth || 15,
+            maxPaths: cfg.maxPaths || 5000,
+            maxCycles: cfg.maxCycles || 500,
+            maxPathsPerCycle: cfg.maxPathsPerCycle || 20
+        };
+    }
+
+    function validationError(response, message) {
+        response.statusCode = 400;
+        response.body = { error: { code: "ValidationError", message: message } };
+    }
+
+    /**
+     * Turn the relationshipTypes request field into a buildGraph type map.
+     * Entries may be full types ("serving-relationship"), short names
+     * ("serving") or modelGraph group names ("structural", "dependency",
+     * "dynamic", "other").
+     * @param {Array|undefined} value - Request value
+     * @param {Object} defaults - Type map used when value is omitted
+     * @returns {Object} { types } or { error }
+     */
+    function parseRelationshipTypes(value, defaults) {
+        if (value === undefined || value === null) {
+            return { types: defaults };
+        }
+        if (!Array.isArray(value) || value.length === 0) {
+            return { error: "'relationshipTypes' must be a non-empty array" };
+        }
+        var types = {};
+        for (var i = 0; i < value.length; i++) {
+            var entry = value[i];
+            if (typeof entry !== "string") {
+                return { error: "'relationshipTypes' entries must be strings" };
+            }
+            var group = modelGraph.RELATIONSHIP_GROUPS[entry];
+            if (group) {
+                for (var gi = 0; gi < group.length; gi++) {
+                    types[group[gi]] = true;
+                }
+                continue;
+            }
+            var type = /-relationship$/.test(entry) ? entry : entry + "-relationship";
+            if (!modelGraph.RELATIONSHIP_LABELS[type]) {
+                return {
+                    error: "Unknown relationship type or group '" + entry + "'. Groups: " +
+                        Object.keys(modelGraph.RELATIONSHIP_GROUPS).join(", ")
+                };
+            }
+            types[type] = true;
+        }
+        return { types: types };
+    }
+
+    /**
+     * Turn the layers request field into a buildGraph layer filter
+     * @param {Array|undefined} value - Request value
+     * @returns {Object} { layerFilter } (null for all layers) or { error }
+     */
+    function parseLayers(value) {
+        if (value === undefined || value === null) {
+            return { layerFilter: null };
+        }
+        if (!Array.isArray(value) || value.length === 0) {
+            return { error: "'layers' must be a non-empty array" };
+        }
+        var layerFilter = {};
+        for (var i = 0; i < value.length; i++) {
+            if (modelGraph.LAYER_ORDER.indexOf(value[i]) === -1) {
+                return { error: "Unknown layer '" + value[i] + "'. Valid layers: " + modelGraph.LAYER_ORDER.join(", ") };
+            }
+            layerFilter[value[i]] = true;
+        }
+        return { layerFilter: layerFilter };
+    }
+
+    /**
+     * Read an optional integer field within [min, max]
+     * @returns {Object} { value } or { error }
+     */
+    function parseInteger(body, field, defaultValue, min, max) {
+        var value = body[field];
+        if (value === undefined || value === null) {
+            return { value: defaultValue };
+        }
+        if (typeof value !== "number" || Math.floor(value) !== value || value < min || value > max) {
+            return { error: "'" + field + "' must be an integer between " + min + " and " + max };
+        }
+        return { value: value };
+    }
+
+    function buildGraph(serverState, relationshipTypes, layerFilter) {
+        var options = {
+            scope: layerFilter ? "layer" : "model",
+            relationshipTypes: relationshipTypes,
+            model: modelRegistry.toProxy(serverState.modelRef)
+        };
+        if (layerFilter) {
+            options.layerFilter = layerFilter;
+        }
+        return modelGraph.buildGraph(options);
+    }
+
+    function describeNode(graph, nodeId) {
+        var node = graph.nodes[nodeId];
+        return {
+            id: nodeId,
+            name: node ? node.name : null,
+            type: node ? node.type : null,
+            layer: node ? node.layer : null
+        };
+    }
+
+    function describeEdge(graph, edgeId) {
+        var edge = graph.edges[edgeId];
+        return {
+            id: edgeId,
+            type: edge ? edge.type : null,
+            label: edge ? modelGraph.getRelationshipLabel(edge.type) : null,
+            sourceId: edge ? edge.sourceId : null,
+            targetId: edge ? edge.targetId : null
+        };
+    }
+
+    /**
+     * Serialize a modelGraph path (nodeIds/edgeIds) with names and types
+     */
+    function describePath(graph, path) {
+        return {
+            length: path.edgeIds.length,
+            elements: path.nodeIds.map(function(id) { return describeNode(graph, id); }),
+            relationships: path.edgeIds.map(function(id) { return describeEdge(graph, id); })
+        };
+    }
+
+    function layerKeys(layerFilter) {
+        return layerFilter ? Object.keys(layerFilter) : null;
+    }
+
+    function analysisFailed(request, response, what, e) {
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.error("[" + request.requestId + "] " + what + " failed: " + e);
+        }
+        response.statusCode = 500;
+        response.body = {
+            error: {
+                code: "AnalysisFailed",
+                message: String(e)
+            }
+        };
+    }
+
+    /**
+     * Graph analysis endpoint handlers
+     */
+    var analysisEndpoints = {
+        /**
+         * Handle POST /analysis/cycles - Find dependency cycles (Tarjan SCCs)
+         * Body: { relationshipTypes?, layers?, maxDepth?, maxPathsPerCycle?, limit? }
+         * Cycles are ranked like the Dependency Cycle Analyzer: size, edge count,
+         * layers crossed and average degree.
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with modelRef
+         */
+        handleCycles: function(request, response, serverState) {
+            var body = request.body || {};
+            var config = getConfig();
+
+            var rel = parseRelationshipTypes(body.relationshipTypes, modelGraph.DEFAULT_DEPENDENCY_TYPES);
+            if (rel.error) return validationError(response, rel.error);
+            var layers = parseLayers(body.layers);
+            if (layers.error) return validationError(response, layers.error);
+            var maxDepth = parseInteger(body, "maxDepth", null, 1, 1000);
+            if (maxDepth.error) return validationError(response, maxDepth.error);
+            var maxPathsPerCycle = parseInteger(body, "maxPathsPerCycle", 3, 1, config.maxPathsPerCycle);
+            if (maxPathsPerCycle.error) return validationError(response, maxPathsPerCycle.error);
+            var limit = parseInteger(body, "limit", 100, 1, config.maxCycles);
+            if (limit.error) return validationError(response, limit.error);
+
+            try {
+                var startTime = Date.now();
+                var graph = buildGraph(serverState, rel.types, layers.layerFilter);
+                var sccs = modelGraph.findSCCs(graph);
+
+                var cycles = sccs.map(function(scc) {
+                    var layerSet = {};
+                    var totalDegree = 0;
+                    for (var i = 0; i < scc.nodes.length; i++) {
+                        var node = graph.nodes[scc.nodes[i]];
+                        if (node && node.layer) layerSet[node.layer] = true;
+                        totalDegree += (graph.adjacency[scc.nodes[i]] || []).length;
+                        totalDegree += (graph.reverseAdj[scc.nodes[i]] || []).length;
+                    }
+                    var crossLayerCount = Object.keys(layerSet).length;
+                    var avgDegree = scc.nodes.length > 0 ? totalDegree / scc.nodes.length : 0;
+                    return {
+                        scc: scc,
+                        layers: Object.keys(layerSet),
+                        crossLayerCount: crossLayerCount,
+                        impact: scc.nodes.length * 3 + scc.edges.length + crossLayerCount * 5 + Math.round(avgDegree * 2)
+                    };
+                });
+                cycles.sort(function(a, b) { return b.impact - a.impact; });
+
+                var results = cycles.slice(0, limit.value).map(function(cycle, index) {
+                    var paths = modelGraph.extractCyclePaths(graph, cycle.scc, maxPathsPerCycle.value);
+                    if (maxDepth.value !== null) {
+                        paths = paths.filter(function(p) { return p.edgeIds.length <= maxDepth.value; });
+                    }
+                    return {
+                        index: index + 1,
+                        impact: cycle.impact,
+                        elementCount: cycle.scc.nodes.length,
+                        relationshipCount: cycle.scc.edges.length,
+                        layers: cycle.layers,
+                        crossLayerCount: cycle.crossLayerCount,
+                        elements: cycle.scc.nodes.map(function(id) { return describeNode(graph, id); }),
+                        paths: paths.map(function(p) { return describePath(graph, p); })
+                    };
+                });
+
+                response.body = {
+                    cycles: results,
+                    total: cycles.length,
+                    truncated: cycles.length > results.length,
+                    graph: { elements: graph.nodeCount, relationships: graph.edgeCount },
+                    filters: {
+                        relationshipTypes: Object.keys(rel.types),
+                        layers: layerKeys(layers.layerFilter),
+                        maxDepth: maxDepth.value
+                    },
+                    durationMs: Date.now() - startTime
+                };
+            } catch (e) {
+                analysisFailed(request, response, "Cycle analysis", e);
+            }
+        },
+
+        /**
+         * Handle POST /analysis/impact - Trace paths from seed elements (BFS)
+         * Body: { elementIds, direction?, maxDepth?, maxPaths?, relationshipTypes?, layers? }
+         * Defaults match the Impact Path Explorer: downstream, depth 5, all
+         * relationship types except influence, specialization and association.
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with modelRef
+         */
+        handleImpact: function(request, response, serverState) {
+            var body = request.body || {};
+            var config = getConfig();
+
+            if (!Array.isArray(body.elementIds) || body.elementIds.length === 0) {
+                return validationError(response, "'elementIds' must be a non-empty array of element IDs");
+            }
+            for (var i = 0; i < body.elementIds.length; i++) {
+                if (typeof body.elementIds[i] !== "string" || body.elementIds[i] === "") {
+                    return validationError(response, "'elementIds' entries must be non-empty strings");
+                }
+            }
+            var direction = body.direction === undefined ? "downstream" : body.direction;
+            if (DIRECTIONS.indexOf(direction) === -1) {
+                return validationError(response, "'direction' must be one of: " + DIRECTIONS.join(", "));
+            }
+
+            var defaultTypes = {};
+            Object.keys(modelGraph.RELATIONSHIP_LABELS).forEach(function(type) {
+                defaultTypes[type] = true;
+            });
+            delete defaultTypes["influence-relationship"];
+            delete defaultTypes["specialization-relationship"];
+            delete defaultTypes["association-relationship"];
+
+            var rel = parseRelationshipTypes(body.relationshipTypes, defaultTypes);
+            if (rel.error) return validationError(response, rel.error);
+            var layers = parseLayers(body.layers);
+            if (layers.error) return validationError(response, layers.error);
+            var maxDepth = parseInteger(body, "maxDepth", 5, 1, config.maxDepth);
+            if (maxDepth.error) return validationError(response, maxDepth.error);
+            var maxPaths = parseInteger(body, "maxPaths", 500, 1, config.maxPaths);
+            if (maxPaths.error) return validationError(response, maxPaths.error);
+
+            try {
+                var startTime = Date.now();
+                var graph = buildGraph(serverState, rel.types, layers.layerFilter);
+
+                var missing = body.elementIds.filter(function(id) { return !graph.nodes[id]; });
+                if (missing.length > 0) {
+                    response.statusCode = 404;
+                    response.body = {
+                        error: {
+                            code: "NotFound",
+                            message: "Element(s) not found or excluded by 'layers': " + missing.join(", ")
+                        }
+                    };
+                    return;
+                }
+
+                var paths = modelGraph.findPathsBFS(graph, body.elementIds, {
+                    direction: direction,
+                    maxDepth: maxDepth.value,
+                    maxPaths: maxPaths.value
+                });
+
+                // Endpoint statistics, seeds excluded (as in the Impact Path Explorer)
+                var endpointMap = {};
+                var endpoints = [];
+                paths.forEach(function(p) {
+                    if (body.elementIds.indexOf(p.endpointId) !== -1) return;
+                    var ep = endpointMap[p.endpointId];
+                    if (!ep) {
+                        ep = describeNode(graph, p.endpointId);
+                        ep.pathCount = 0;
+                        ep.minDepth = p.length;
+                        ep.maxDepth = p.length;
+                        ep.directions = [];
+                        endpointMap[p.endpointId] = ep;
+                        endpoints.push(ep);
+                    }
+                    ep.pathCount++;
+                    ep.minDepth = Math.min(ep.minDepth, p.length);
+                    ep.maxDepth = Math.max(ep.maxDepth, p.length);
+                    if (ep.directions.indexOf(p.direction) === -1) ep.directions.push(p.direction);
+                });
+                endpoints.sort(function(a, b) { return b.pathCount - a.pathCount; });
+
+                response.body = {
+                    seeds: body.elementIds.map(function(id) { return describeNode(graph, id); }),
+                    paths: paths.map(function(p) {
+                        var described = describePath(graph, p);
+                        described.seedId = p.seedId;
+                        described.direction = p.direction;
+                        described.endpointId = p.endpointId;
+                        return described;
+                    }),
+                    endpoints: endpoints,
+                    total: paths.length,
+                    truncated: paths.length >= maxPaths.value,
+                    graph: { elements: graph.nodeCount, relationships: graph.edgeCount },
+                    filters: {
+                        direction: direction,
+                        maxDepth: maxDepth.value,
+                        relationshipTypes: Object.keys(rel.types),
+                        layers: layerKeys(layers.layerFilter)
+                    },
+                    durationMs: Date.now() - startTime
+                };
+            } catch (e) {
+                analysisFailed(request, response, "Impact analysis", e);
+            }
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.analysisEndpoints = analysisEndpoints;
+    } else if (typeof global !== "undefined") {
+        global.analysisEndpoints = analysisEndpoints;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = analysisEndpoints;
+    }
+
+})();
@@ -0,0 +1,325 @@
+/**
+ * complianceEndpoints.js - Model compliance report
+ *
+ * Handles GET /analysis/compliance. Runs the checks behind three dialogs and
+ * merges their results into one findings list:
+ *   - naming, properties, documentation: modelPolicies.validateModel with
+ *     config/naming-standards.json (Naming and Property Standards Enforcer)
+ *   - layers: layerPolicy with config/layer-policy.json (Strict Layer Violation Detector)
+ *   - relationships: relationshipCompliance against the ArchiMate matrix
+ *     (Relationship Compliance Checker)
+ * With ?format=sarif the report is a SARIF 2.1.0 log, so CI can gate model
+ * changes with standard code-scanning tooling.
+ *
+ * @module server/endpoints/complianceEndpoints
+ * @requires modelPolicies
+ * @requires layerPolicy
+ * @requires relationshipCompliance
+ * @requires server/modelRegistry
+ * @requires server/serverConfig (optional)
+ * @requires server/loggingQueue (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.complianceEndpoints !== "undefined") {
+        return;
+    }
+
+    var CHECKS = ["naming", "properties", "documentation", "layers", "relationships"];
+    var SEVERITIES = ["error", "warning", "info"];
+    var SARIF_LEVELS = { error: "error", warning: "warning", info: "note" };
+
+    function validationError(response, message) {
+        response.statusCode = 400;
+        response.body = { error: { code: "ValidationError", message: message } };
+    }
+
+    /**
+     * Parse a comma-separated query value against a list of allowed values
+     * @returns {Object} { values } or { error }
+     */
+    function parseList(value, allowed, field) {
+        if (!value) {
+            return { values: allowed.slice() };
+        }
+        var values = String(value).split(",").map(function(v) { return v.trim(); }).filter(Boolean);
+        for (var i = 0; i < values.length; i++) {
+            if (allowed.indexOf(values[i]) === -1) {
+                return { error: "Unknown " + field + " '" + values[i] + "'. Valid values: " + allowed.join(", ") };
+            }
+        }
+        return { values: values };
+    }
+
+    // =================================================================
+    // Checks -> findings
+    // =================================================================
+
+    /**
+     * modelPolicies violations (naming, properties, documentation)
+     */
+    function policyFindings(modelProxy, scriptsDir, checks) {
+        var standards = modelPolicies.loadStandards(scriptsDir + "config/naming-standards.json") ||
+            modelPolicies.getDefaultStandards();
+        var result = modelPolicies.validateModel(modelProxy.find("element"), standards);
+        var findings = [];
+        result.violations.forEach(function(v) {
+            if (checks.indexOf(v.category) === -1) return;
+            var fix = null;
+            if (v.fix && v.fix.type === "rename") {
+                fix = {
+                    description: "Rename to '" + v.fix.proposedValue + "'",
+                    change: { op: "updateElement", id: v.elementId, name: v.fix.proposedValue }
+                };
+            } else if (v.fix && v.fix.type === "setProperty") {
+                fix = {
+                    description: "Set property '" + v.fix.key + "' to '" + v.fix.proposedValue + "'",
+                    change: { op: "setProperty", id: v.elementId, key: v.fix.key, value: v.fix.proposedValue }
+                };
+            }
+            findings.push({
+                ruleId: v.ruleId,
+                severity: v.severity,
+                check: v.category,
+                conceptId: v.elementId,
+                conceptType: v.elementType,
+                conceptName: v.elementName || "",
+                message: v.message,
+                suggestedFix: fix
+            });
+        });
+        return findings;
+    }
+
+    /**
+     * layerPolicy violations
+     */
+    function layerFindings(modelProxy, scriptsDir) {
+        var loaded = layerPolicy.loadPolicy(scriptsDir + "config/layer-policy.json");
+        if (loaded.error && typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.warn("Failed to parse layer-policy.json, using built-in default: " + loaded.error);
+        }
+        var scan = layerPolicy.createChecker(loaded.policy).scan(modelProxy.find("relationship"));
+        return scan.violations.map(function(v) {
+            var fix = null;
+            if (v.mediation) {
+                fix = {
+                    description: v.mediation.suggestion + (v.mediation.pattern ? " Pattern: " + v.mediation.pattern : ""),
+                    change: null
+                };
+            }
+            return {
+                ruleId: "layer." + v.ruleKey,
+                severity: v.severity.toLowerCase(),
+                check: "layers",
+                conceptId: v.relId,
+                conceptType: v.relType,
+                conceptName: v.relName,
+                message: v.ruleLabel + ": " + v.sourceName + " (" + v.sourceType + ") to " +
+                    v.targetName + " (" + v.targetType + ") skips " + (v.layerDistance - 1) + " layer(s)",
+                suggestedFix: fix
+            };
+        });
+    }
+
+    /**
+     * relationshipCompliance errors and warnings
+     */
+    function relationshipFindings(modelProxy) {
+        var scan = relationshipCompliance.scan(modelProxy.find("relationship"));
+        return scan.errors.concat(scan.warnings).map(function(issue) {
+            return {
+                ruleId: issue.ruleId,
+                severity: issue.severity.toLowerCase(),
+                check: "relationships",
+                conceptId: issue.relId,
+                conceptType: issue.relType,
+                conceptName: issue.relName,
+                message: issue.message + " (" + issue.sourceName + " to " + issue.targetName + ")",
+                suggestedFix: issue.remediation ? { description: issue.remediation, change: null } : null
+            };
+        });
+    }
+
+    // =================================================================
+    // SARIF
+    // =================================================================
+
+    /**
+     * Build a SARIF 2.1.0 log from a compliance report. Every finding points at
+     * the model file; the concept is given as a logical location.
+     * @param {Object} report - Report body (findings, model)
+     * @returns {Object} SARIF log
+     */
+    function toSarif(report) {
+        var version = (typeof serverConfig !== "undefined" && serverConfig.server) ? serverConfig.server.version : null;
+        var rules = [];
+        var ruleIndex = {};
+        var results = report.findings.map(function(f) {
+            if (ruleIndex[f.ruleId] === undefined) {
+                ruleIndex[f.ruleId] = rules.length;
+                rules.push({
+                    id: f.ruleId,
+                    shortDescription: { text: f.ruleId },
+                    defaultConfiguration: { level: SARIF_LEVELS[f.severity] },
+                    properties: { check: f.check }
+                });
+            }
+            var location = {
+                logicalLocations: [{
+                    name: f.conceptName || f.conceptId,
+                    fullyQualifiedName: f.conceptId,
+                    kind: f.check === "layers" || f.check === "relationships" ? "relationship" : "element"
+                }]
+            };
+            if (report.model.file) {
+                location.physicalLocation = { artifactLocation: { uri: report.model.fileName } };
+            }
+            return {
+                ruleId: f.ruleId,
+                ruleIndex: ruleIndex[f.ruleId],
+                level: SARIF_LEVELS[f.severity],
+                message: { text: f.message },
+                locations: [location],
+                properties: {
+                    conceptId: f.conceptId,
+                    conceptType: f.conceptType,
+                    suggestedFix: f.suggestedFix
+                }
+            };
+        });
+        return {
+            $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+            version: "2.1.0",
+            runs: [{
+                tool: {
+                    driver: {
+                        name: "jArchi Model API compliance",
+                        version: version,
+                        rules: rules
+                    }
+                },
+                results: results,
+                invocations: [{ executionSuccessful: true }],
+                properties: {
+                    modelId: report.model.id,
+                    modelName: report.model.name,
+                    checks: report.checks,
+                    summary: report.summary
+                }
+            }]
+        };
+    }
+
+    /**
+     * Compliance endpoint handlers
+     */
+    var complianceEndpoints = {
+        /**
+         * Handle GET /analysis/compliance - Unified compliance findings
+         * Query: checks (comma-separated, default all), severity (minimum, default info),
+         * format (json | sarif)
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with modelRef
+         * @param {string} scriptsDir - Path to scripts directory (__DIR__ from main script)
+         */
+        handleCompliance: function(request, response, serverState, scriptsDir) {
+            var query = request.query || {};
+
+            var checks = parseList(query.checks, CHECKS, "check");
+            if (checks.error) return validationError(response, checks.error);
+            var minSeverity = query.severity || "info";
+            if (SEVERITIES.indexOf(minSeverity) === -1) {
+                return validationError(response, "'severity' must be one of: " + SEVERITIES.join(", "));
+            }
+            var format = query.format || "json";
+            if (format !== "json" && format !== "sarif") {
+                return validationError(response, "'format' must be json or sarif");
+            }
+
+            try {
+                var startTime = Date.now();
+                var modelRef = serverState.modelRef;
+                var modelProxy = modelRegistry.toProxy(modelRef);
+                var findings = [];
+
+                var policyChecks = checks.values.filter(function(c) {
+                    return c === "naming" || c === "properties" || c === "documentation";
+                });
+                if (policyChecks.length > 0) {
+                    findings = findings.concat(policyFindings(modelProxy, scriptsDir, policyChecks));
+                }
+                if (checks.values.indexOf("layers") !== -1) {
+                    findings = findings.concat(layerFindings(modelProxy, scriptsDir));
+                }
+                if (checks.values.indexOf("relationships") !== -1) {
+                    findings = findings.concat(relationshipFindings(modelProxy));
+                }
+
+                var maxRank = SEVERITIES.indexOf(minSeverity);
+                findings = findings.filter(function(f) { return SEVERITIES.indexOf(f.severity) <= maxRank; });
+                findings.sort(function(a, b) {
+                    return SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+                        (a.ruleId < b.ruleId ? -1 : a.ruleId > b.ruleId ? 1 : 0);
+                });
+
+                var summary = { total: findings.length, error: 0, warning: 0, info: 0, byCheck: {} };
+                findings.forEach(function(f) {
+                    summary[f.severity]++;
+                    summary.byCheck[f.check] = (summary.byCheck[f.check] || 0) + 1;
+                });
+
+                var file = modelRef.getFile ? modelRef.getFile() : null;
+                var report = {
+                    model: {
+                        id: String(modelRef.getId()),
+                        name: modelRef.getName() || "",
+                        file: file ? String(file.getAbsolutePath()) : null,
+                        fileName: file ? String(file.getName()) : null
+                    },
+                    checks: checks.values,
+                    severity: minSeverity,
+                    summary: summary,
+                    findings: findings,
+                    durationMs: Date.now() - startTime
+                };
+
+                if (format === "sarif") {
+                    // Serialized here so serverCore does not add requestId to the log
+                    response.contentType = "application/sarif+json";
+                    response.body = JSON.stringify(toSarif(report), null, 2);
+                    return;
+                }
+                response.body = report;
+            } catch (e) {
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.error("[" + request.requestId + "] Compliance check failed: " + e);
+                }
+                response.statusCode = 500;
+                response.body = {
+                    error: {
+                        code: "AnalysisFailed",
+                        message: String(e)
+                    }
+                };
+            }
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.complianceEndpoints = complianceEndpoints;
+    } else if (typeof global !== "undefined") {
+        global.complianceEndpoints = complianceEndpoints;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = complianceEndpoints;
+    }
+
+})();
@@ -0,0 +1,153 @@
+/**
+ * docsEndpoints.js - Generated API documentation
+ *
+ * GET /openapi.json returns the OpenAPI 3.1 document built by openapiBuilder
+ * from the routes registered on the running server. GET /docs serves a small
+ * self-contained page that fetches it and renders the operations by tag; it
+ * has no external assets, so it works offline.
+ *
+ * @module server/endpoints/docsEndpoints
+ * @requires server/openapiBuilder
+ * @requires server/serverConfig (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.docsEndpoints !== "undefined") {
+        return;
+    }
+
+    var DOCS_PAGE = [
+        "<!DOCTYPE html>",
+        "<html lang=\"en\">",
+        "<head>",
+        "<meta charset=\"utf-8\">",
+        "<title>Archi Model API</title>",
+        "<style>",
+        "body{font-family:system-ui,sans-serif;margin:0;display:flex;color:#222}",
+        "nav{width:230px;padding:16px;background:#f4f5f7;height:100vh;overflow:auto;position:sticky;top:0;box-sizing:border-box}",
+        "nav a{display:block;color:#333;text-decoration:none;padding:2px 0}",
+        "main{flex:1;padding:16px 32px;max-width:1000px}",
+        "details{border:1px solid #ddd;border-radius:4px;margin:6px 0}",
+        "summary{padding:6px 10px;cursor:pointer}",
+        "details>div{padding:4px 14px 12px}",
+        ".m{display:inline-block;width:64px;font-weight:bold;font-family:monospace}",
+        ".get{color:#1565c0}.post{color:#2e7d32}.put{color:#ef6c00}.delete{color:#c62828}",
+        ".scope{float:right;font-size:12px;color:#666}",
+        "code,pre{font-family:monospace;font-size:13px}",
+        "pre{background:#f7f7f7;padding:8px;overflow:auto;max-height:400px}",
+        "table{border-collapse:collapse}td,th{border:1px solid #ddd;padding:3px 8px;text-align:left;font-size:14px}",
+        "#auth{margin:8px 0}#error{color:#c62828}",
+        "</style>",
+        "</head>",
+        "<body>",
+        "<nav id=\"nav\"><strong>Archi Model API</strong><div id=\"tags\"></div><p><a href=\"/openapi.json\">openapi.json</a></p></nav>",
+        "<main>",
+        "<h1 id=\"title\">Archi Model API</h1>",
+        "<div id=\"auth\" hidden>Token required: <input id=\"token\" type=\"password\" size=\"40\"> <button id=\"load\">Load</button></div>",
+        "<p id=\"error\"></p>",
+        "<div id=\"content\"></div>",
+        "</main>",
+        "<script>",
+        "(function(){",
+        "var spec=null;",
+        "function el(tag,attrs,text){var e=document.createElement(tag);for(var k in attrs||{})e.setAttribute(k,attrs[k]);if(text!==undefined)e.textContent=text;return e;}",
+        "function resolve(schema,depth){",
+        "  if(!schema||depth>12)return schema;",
+        "  if(schema.$ref){var name=schema.$ref.split('/').pop();var target=spec.components.schemas[name];",
+        "    if(name==='ChangeOperation'&&depth>0)return {'$ref':name,description:'see ChangeOperation (one of: '+Object.keys(target.discriminator.mapping).join(', ')+')'};",
+        "    return resolve(target,depth+1);}",
+        "  var out={};for(var k in schema){var v=schema[k];",
+        "    if(Array.isArray(v))out[k]=v.map(function(x){return x&&typeof x==='object'?resolve(x,depth+1):x;});",
+        "    else if(v&&typeof v==='object')out[k]=resolve(v,depth+1);",
+        "    else out[k]=v;}",
+        "  return out;}",
+        "function renderOp(path,method,op){",
+        "  var d=el('details',{id:op.operationId});var s=el('summary');",
+        "  s.appendChild(el('span',{'class':'m '+method},method.toUpperCase()));s.appendChild(el('code',{},path));",
+        "  s.appendChild(document.createTextNode(' '+(op.summary||'')));s.appendChild(el('span',{'class':'scope'},'scope: '+op['x-required-scope']));",
+        "  d.appendChild(s);var body=el('div');",
+        "  if(op.description)body.appendChild(el('p',{},op.description));",
+        "  if(op.parameters){var t=el('table');var h=el('tr');['Parameter','In','Type','Required','Description'].forEach(function(c){h.appendChild(el('th',{},c));});t.appendChild(h);",
+        "    op.parameters.forEach(function(p){var r=el('tr');[p.name,p['in'],p.schema.type+(p.schema['enum']?' ('+p.schema['enum'].join('|')+')':''),p.required?'yes':'',p.description||''].forEach(function(c){r.appendChild(el('td',{},c));});t.appendChild(r);});",
+        "    body.appendChild(el('h4',{},'Parameters'));body.appendChild(t);}",
+        "  if(op.requestBody){body.appendChild(el('h4',{},'Request body'));body.appendChild(el('pre',{},JSON.stringify(resolve(op.requestBody.content['application/json'].schema,0),null,2)));}",
+        "  body.appendChild(el('h4',{},'Responses'));var ul=el('ul');",
+        "  Object.keys(op.responses).forEach(function(code){ul.appendChild(el('li',{},code+' - '+op.responses[code].description));});",
+        "  body.appendChild(ul);d.appendChild(body);return d;}",
+        "function render(){",
+        "  document.getElementById('title').textContent=spec.info.title+' '+spec.info.version;",
+        "  var content=document.getElementById('content'),tags=document.getElementById('tags');content.innerHTML='';tags.innerHTML='';",
+        "  content.appendChild(el('p',{},spec.info.description));",
+        "  var byTag={};Object.keys(spec.paths).sort().forEach(function(path){Object.keys(spec.paths[path]).forEach(function(m){var op=spec.paths[path][m];(byTag[op.tags[0]]=byTag[op.tags[0]]||[]).push([path,m,op]);});});",
+        "  Object.keys(byTag).sort().forEach(function(tag){tags.appendChild(el('a',{href:'#tag-'+tag},tag));content.appendChild(el('h2',{id:'tag-'+tag},tag));",
+        "    byTag[tag].forEach(function(e){content.appendChild(renderOp(e[0],e[1],e[2]));});});",
+        "  content.appendChild(el('h2',{id:'changes'},'Change operations (/model/apply)'));",
+        "  Object.keys(spec.components.schemas.ChangeOperation.discriminator.mapping).forEach(function(op){var name=op.charAt(0).toUpperCase()+op.slice(1)+'Op';",
+        "    var d=el('details');d.appendChild(el('summary',{},op));var b=el('div');b.appendChild(el('pre',{},JSON.stringify(spec.components.schemas[name],null,2)));d.appendChild(b);content.appendChild(d);});",
+        "  tags.appendChild(el('a',{href:'#changes'},'Change operations'));}",
+        "function load(){",
+        "  var headers={};var token=sessionStorage.getItem('jarchiApiToken');if(token)headers.Authorization='Bearer '+token;",
+        "  fetch('/openapi.json',{headers:headers}).then(function(r){",
+        "    if(r.status===401||r.status===403){document.getElementById('auth').hidden=false;throw new Error('The API requires a token with the read scope.');}",
+        "    if(!r.ok)throw new Error('GET /openapi.json returned HTTP '+r.status);return r.json();",
+        "  }).then(function(json){spec=json;document.getElementById('error').textContent='';document.getElementById('auth').hidden=true;render();",
+        "  }).catch(function(e){document.getElementById('error').textContent=e.message;});}",
+        "document.getElementById('load').onclick=function(){sessionStorage.setItem('jarchiApiToken',document.getElementById('token').value);load();};",
+        "load();",
+        "})();",
+        "</script>",
+        "</body>",
+        "</html>"
+    ].join("\n");
+
+    /**
+     * Documentation endpoint handlers
+     */
+    var docsEndpoints = {
+        /**
+         * Handle GET /openapi.json - OpenAPI document for the running server
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with serverInstance
+         */
+        handleOpenApi: function(request, response, serverState) {
+            var host = (typeof serverConfig !== "undefined" && serverConfig.server) ? serverConfig.server.host : "127.0.0.1";
+            var port = (typeof serverConfig !== "undefined" && serverConfig.server) ? serverConfig.server.port : 8765;
+            var modelPrefix = (typeof serverConfig !== "undefined" && serverConfig.server) ? serverConfig.server.modelPrefix : null;
+            var doc = openapiBuilder.build(serverState.serverInstance.getRoutes(), {
+                serverUrl: "http://" + host + ":" + port,
+                modelPrefix: modelPrefix || null
+            });
+            // Serialized here so serverCore does not add requestId to the document
+            response.contentType = "application/json";
+            response.body = JSON.stringify(doc, null, 2);
+        },
+
+        /**
+         * Handle GET /docs - HTML page rendering /openapi.json
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state (unused)
+         */
+        handleDocs: function(request, response, serverState) {
+            response.contentType = "text/html; charset=utf-8";
+            response.body = DOCS_PAGE;
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.docsEndpoints = docsEndpoints;
+    } else if (typeof global !== "undefined") {
+        global.docsEndpoints = docsEndpoints;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = docsEndpoints;
+    }
+
+})();
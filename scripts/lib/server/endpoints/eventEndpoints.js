@@ -0,0 +1,176 @@
+/**
+ * eventEndpoints.js - Model change event stream endpoint
+ *
+ * Handles GET /events: a Server-Sent Events stream of model changes and
+ * operation lifecycle events, backed by the eventBus ring buffer. With
+ * stream=false the buffered events are returned as a plain JSON page instead,
+ * for clients that cannot hold a connection open.
+ *
+ * @module server/endpoints/eventEndpoints
+ * @requires server/eventBus
+ * @requires server/serverConfig (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.eventEndpoints !== "undefined") {
+        return;
+    }
+
+    /**
+     * Event stream endpoint handlers
+     */
+    var eventEndpoints = {
+        _parseBooleanQuery: function(rawValue, defaultValue) {
+            if (rawValue === undefined || rawValue === null || String(rawValue).trim() === "") {
+                return defaultValue;
+            }
+            var normalized = String(rawValue).trim().toLowerCase();
+            if (normalized === "1" || normalized === "true" || normalized === "yes") return true;
+            if (normalized === "0" || normalized === "false" || normalized === "no") return false;
+            return null;
+        },
+
+        _parseIntegerQuery: function(rawValue, defaultValue, min, max) {
+            if (rawValue === undefined || rawValue === null || String(rawValue).trim() === "") {
+                return defaultValue;
+            }
+            var parsed = parseInt(String(rawValue), 10);
+            if (!isFinite(parsed) || String(parsed) !== String(rawValue).trim() || parsed < min || parsed > max) {
+                return null;
+            }
+            return parsed;
+        },
+
+        _badRequest: function(response, message) {
+            response.statusCode = 400;
+            response.body = {
+                error: {
+                    code: "BadRequest",
+                    message: message
+                }
+            };
+        },
+
+        /**
+         * Handle GET /events - Stream model change events (text/event-stream)
+         *
+         * Query parameters:
+         *   since  - Last event ID seen; buffered events after it are replayed first.
+         *            The Last-Event-ID header (sent by EventSource on reconnect) is used
+         *            when the parameter is absent.
+         *   types  - Comma-separated event type prefixes (e.g. "element,operation")
+         *   stream - false to return buffered events as JSON instead of streaming
+         *   limit  - Max events in JSON mode (1-1000, default 100)
+         *
+         * Requests addressed to a model (/models/{id}/events or X-Model-Id) only
+         * receive that model's events plus events that are not tied to a model.
+         *
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state object (unused)
+         */
+        handleEvents: function(request, response, serverState) {
+            if (typeof eventBus === "undefined" || !eventBus.isEnabled()) {
+                response.statusCode = 503;
+                response.body = {
+                    error: {
+                        code: "ServiceUnavailable",
+                        message: "Event stream is disabled (serverConfig.events.enabled)"
+                    }
+                };
+                return;
+            }
+
+            var rawSince = request.query.since;
+            if ((rawSince === undefined || rawSince === "") && request.headers) {
+                rawSince = request.headers["last-event-id"];
+            }
+            var since = this._parseIntegerQuery(rawSince, null, 0, Number.MAX_SAFE_INTEGER);
+            if (since === null && rawSince !== undefined && String(rawSince).trim() !== "") {
+                this._badRequest(response, "Invalid 'since' cursor. Must be an integer event ID >= 0");
+                return;
+            }
+
+            var types = null;
+            if (request.query.types) {
+                types = String(request.query.types).split(",")
+                    .map(function(t) { return t.trim(); })
+                    .filter(function(t) { return t.length > 0; });
+            }
+
+            var modelId = request.modelId || null;
+
+            var streamMode = this._parseBooleanQuery(request.query.stream, true);
+            if (streamMode === null) {
+                this._badRequest(response, "Invalid 'stream' query parameter. Use true/false");
+                return;
+            }
+
+            if (!streamMode) {
+                var limit = this._parseIntegerQuery(request.query.limit, 100, 1, 1000);
+                if (limit === null) {
+                    this._badRequest(response, "Invalid 'limit' query parameter. Must be an integer 1-1000");
+                    return;
+                }
+                var stats = eventBus.getStats();
+                var cursor = since !== null ? since : 0;
+                var expired = since !== null && stats.oldestEventId !== null && since < stats.oldestEventId - 1;
+                var page = eventBus.getEventsSince(cursor, stats.bufferedEvents || 1).filter(function(event) {
+                    if (modelId && event.data && event.data.modelId && event.data.modelId !== modelId) return false;
+                    if (!types) return true;
+                    for (var i = 0; i < types.length; i++) {
+                        if (event.type === types[i] || event.type.indexOf(types[i] + ".") === 0) return true;
+                    }
+                    return false;
+                }).slice(0, limit);
+                response.body = {
+                    events: page,
+                    since: cursor,
+                    latest: stats.latestEventId,
+                    oldestAvailable: stats.oldestEventId,
+                    cursorExpired: expired
+                };
+                return;
+            }
+
+            var maxSubscribers = (typeof serverConfig !== "undefined" && serverConfig.events &&
+                serverConfig.events.maxSubscribers) || 10;
+            if (eventBus.getSubscriberCount() >= maxSubscribers) {
+                response.statusCode = 503;
+                response.body = {
+                    error: {
+                        code: "TooManySubscribers",
+                        message: "Maximum concurrent event streams reached (" + maxSubscribers + ")"
+                    }
+                };
+                return;
+            }
+
+            response.stream = {
+                contentType: "text/event-stream; charset=utf-8",
+                onOpen: function(stream) {
+                    eventBus.subscribe(stream, { since: since, types: types, modelId: modelId });
+                },
+                onClose: function(stream) {
+                    eventBus.unsubscribe(stream.id);
+                }
+            };
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.eventEndpoints = eventEndpoints;
+    } else if (typeof global !== "undefined") {
+        global.eventEndpoints = eventEndpoints;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = eventEndpoints;
+    }
+
+})();
@@ -0,0 +1,134 @@
+/**
+ * graphqlEndpoints.js - Read-only GraphQL endpoint over the model snapshot
+ *
+ * Handles POST /graphql (execute a query) and GET /graphql (schema as SDL).
+ * Responses follow the GraphQL-over-HTTP convention: `{ data, errors }`, with
+ * HTTP 400 when the document cannot be parsed or validated and HTTP 200 when
+ * execution ran (individual field errors are reported in `errors`).
+ *
+ * @module server/endpoints/graphqlEndpoints
+ * @requires server/graphqlEngine
+ * @requires server/graphqlSchema
+ * @requires server/serverConfig (optional)
+ * @requires server/loggingQueue (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.graphqlEndpoints !== "undefined") {
+        return;
+    }
+
+    function getConfig() {
+        var cfg = (typeof serverConfig !== "undefined" && serverConfig.graphql) ? serverConfig.graphql : {};
+        return {
+            enabled: cfg.enabled !== false,
+            maxDepth: cfg.maxDepth || 10,
+            maxNodes: cfg.maxNodes || 50000,
+            maxQueryLength: cfg.maxQueryLength || 20000
+        };
+    }
+
+    function graphqlError(response, statusCode, message) {
+        response.statusCode = statusCode;
+        response.body = { data: null, errors: [{ message: message }] };
+    }
+
+    /**
+     * GraphQL endpoint handlers
+     */
+    var graphqlEndpoints = {
+        /**
+         * Handle POST /graphql - Execute a read-only GraphQL query
+         * Body: { query: string, variables?: object, operationName?: string }
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with modelRef
+         */
+        handleGraphql: function(request, response, serverState) {
+            var config = getConfig();
+            if (!config.enabled) {
+                graphqlError(response, 503, "GraphQL endpoint is disabled (serverConfig.graphql.enabled)");
+                return;
+            }
+
+            var body = request.body || {};
+            if (typeof body.query !== "string" || body.query.trim() === "") {
+                graphqlError(response, 400, "Request body must contain a 'query' string");
+                return;
+            }
+            if (body.query.length > config.maxQueryLength) {
+                graphqlError(response, 400, "Query exceeds maximum length of " + config.maxQueryLength + " characters");
+                return;
+            }
+            if (body.variables !== undefined && body.variables !== null &&
+                (typeof body.variables !== "object" || Array.isArray(body.variables))) {
+                graphqlError(response, 400, "'variables' must be an object");
+                return;
+            }
+
+            var context;
+            try {
+                context = graphqlSchema.createContext(serverState.modelRef);
+            } catch (ctxErr) {
+                graphqlError(response, 500, String(ctxErr.message || ctxErr));
+                return;
+            }
+
+            var startTime = Date.now();
+            var result = graphqlEngine.execute(graphqlSchema.schema, {
+                query: body.query,
+                variables: body.variables || {},
+                operationName: body.operationName || null
+            }, context, {
+                maxDepth: config.maxDepth,
+                maxNodes: config.maxNodes
+            });
+
+            if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                loggingQueue.log("[" + request.requestId + "] GraphQL: " +
+                    (body.operationName ? body.operationName + " " : "") +
+                    (result.errors ? result.errors.length + " error(s)" : "ok") +
+                    " in " + (Date.now() - startTime) + "ms");
+            }
+
+            response.statusCode = result.requestError ? 400 : 200;
+            response.body = { data: result.data };
+            if (result.errors) {
+                response.body.errors = result.errors;
+            }
+        },
+
+        /**
+         * Handle GET /graphql - Return the schema in SDL form
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state (unused)
+         */
+        handleGraphqlSchema: function(request, response, serverState) {
+            if (!getConfig().enabled) {
+                graphqlError(response, 503, "GraphQL endpoint is disabled (serverConfig.graphql.enabled)");
+                return;
+            }
+            response.body = {
+                sdl: graphqlEngine.printSchema(graphqlSchema.schema),
+                usage: "POST /graphql with { \"query\": \"{ elements(type: \\\"capability\\\") { id name } }\" }"
+            };
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.graphqlEndpoints = graphqlEndpoints;
+    } else if (typeof global !== "undefined") {
+        global.graphqlEndpoints = graphqlEndpoints;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = graphqlEndpoints;
+    }
+
+})();
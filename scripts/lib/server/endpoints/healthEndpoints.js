@@ -7,6 +7,7 @@
  * @requires server/serverConfig (optional)
  * @requires server/operationQueue (optional)
  * @requires server/modelSnapshot (optional)
+ * @requires server/eventBus (optional)
  * @requires server/loggingQueue
  */
 
@@ -62,7 +63,7 @@
                     }
                     // Add snapshot stats if available
                     if (typeof modelSnapshot !== "undefined" && modelSnapshot.getSnapshot) {
-                        var snapshot = modelSnapshot.getSnapshot();
+                        var snapshot = modelSnapshot.getSnapshot(serverState.modelRef);
                         if (snapshot) {
                             modelInfo.elements = snapshot.elements ? snapshot.elements.length : 0;
                             modelInfo.relationships = snapshot.relationships ? snapshot.relationships.length : 0;
@@ -74,6 +75,24 @@
                 }
             }
 
+            // Get event stream statistics
+            var eventStats = null;
+            if (typeof eventBus !== "undefined" && eventBus.getStats) {
+                eventStats = eventBus.getStats();
+            }
+
+            // Get webhook delivery statistics
+            var webhookStats = null;
+            if (typeof webhookDispatcher !== "undefined" && webhookDispatcher.getStats) {
+                webhookStats = webhookDispatcher.getStats();
+            }
+
+            // Get persistence journal statistics
+            var persistenceStats = null;
+            if (typeof persistentStore !== "undefined" && persistentStore.getStats) {
+                persistenceStats = persistentStore.getStats();
+            }
+
             // Get memory info
             var runtime = Runtime.getRuntime();
             var memoryInfo = {
@@ -92,6 +111,9 @@
                     uptime: serverState.startTime ? Date.now() - serverState.startTime : null
                 },
                 operations: queueStats,
+                events: eventStats,
+                webhooks: webhookStats,
+                persistence: persistenceStats,
                 model: modelInfo,
                 memory: memoryInfo,
                 timestamp: new Date().toISOString()
@@ -165,7 +187,7 @@
 
             // Include snapshot summary
             if (typeof modelSnapshot !== "undefined" && modelSnapshot.getSummary) {
-                result.snapshot = modelSnapshot.getSummary();
+                result.snapshot = modelSnapshot.getSummary(serverState.modelRef);
             }
 
             response.body = result;
@@ -0,0 +1,291 @@
+/**
+ * historyEndpoints.js - Command stack history, undo and redo
+ *
+ * Handles GET /model/history, POST /model/undo and POST /model/redo over the
+ * model's GEF command stack. Commands issued by /model/apply are labelled
+ * "API Operation <opId>" (plus " [chunk n]" / " [op i/n]" when a batch was
+ * split), so each history entry can be traced back to the operation that
+ * produced it. Undo and redo work on whole operations: all chunks of one
+ * operation are undone or redone together.
+ *
+ * Changes made in Archi itself are listed too, but the API only undoes them
+ * when the caller passes `force: true`.
+ *
+ * @module server/endpoints/historyEndpoints
+ * @requires server/undoableCommands
+ * @requires server/operationQueue
+ * @requires server/loggingQueue (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.historyEndpoints !== "undefined") {
+        return;
+    }
+
+    var API_LABEL_PATTERN = /^API Operation (op_[0-9]+_[0-9]+)/;
+    var MAX_STEPS = 20;
+
+    function errorResponse(response, statusCode, code, message) {
+        response.statusCode = statusCode;
+        response.body = { error: { code: code, message: message } };
+    }
+
+    function describe(command) {
+        var label = command && command.getLabel() ? String(command.getLabel()) : null;
+        var match = label ? label.match(API_LABEL_PATTERN) : null;
+        return {
+            label: label,
+            operationId: match ? match[1] : null,
+            source: match ? "api" : "external"
+        };
+    }
+
+    /**
+     * Read the command stack as { done, undone } lists of commands.
+     * done is newest first (done[0] is the next undo), undone is next-redo first.
+     * GEF's getCommands() returns the undo stack oldest first followed by the redo
+     * stack next-redo first; getUndoCommand() marks where one ends.
+     */
+    function readStack(commandStack) {
+        var all = [];
+        if (typeof commandStack.getCommands === "function") {
+            var commands = commandStack.getCommands();
+            for (var i = 0; i < commands.length; i++) {
+                all.push(commands[i]);
+            }
+        } else {
+            // Fallback: only the top of each stack is visible
+            if (commandStack.getUndoCommand()) all.push(commandStack.getUndoCommand());
+            if (commandStack.getRedoCommand()) all.push(commandStack.getRedoCommand());
+        }
+
+        var top = commandStack.getUndoCommand();
+        var split = 0;
+        if (top) {
+            for (var j = 0; j < all.length; j++) {
+                if (all[j] === top) {
+                    split = j + 1;
+                    break;
+                }
+            }
+        }
+        return {
+            done: all.slice(0, split).reverse(),
+            undone: all.slice(split)
+        };
+    }
+
+    /**
+     * Leading commands of a list that belong to the same unit: one API operation
+     * (all of its chunks) or a single external command
+     */
+    function leadingGroup(commands) {
+        if (commands.length === 0) return [];
+        var first = describe(commands[0]);
+        var group = [commands[0]];
+        if (!first.operationId) return group;
+        for (var i = 1; i < commands.length; i++) {
+            if (describe(commands[i]).operationId !== first.operationId) break;
+            group.push(commands[i]);
+        }
+        return group;
+    }
+
+    function stackState(commandStack) {
+        var undoCmd = commandStack.getUndoCommand();
+        var redoCmd = commandStack.getRedoCommand();
+        return {
+            canUndo: commandStack.canUndo(),
+            canRedo: commandStack.canRedo(),
+            nextUndo: undoCmd ? describe(undoCmd) : null,
+            nextRedo: redoCmd ? describe(redoCmd) : null
+        };
+    }
+
+    function getCommandStackOrFail(serverState, response) {
+        try {
+            return undoableCommands.getCommandStack(serverState.modelRef);
+        } catch (e) {
+            errorResponse(response, 409, "CommandStackUnavailable",
+                String(e.message || e) + ". Open a view of the model in Archi so it has an undo history.");
+            return null;
+        }
+    }
+
+    /**
+     * Shared implementation of POST /model/undo and POST /model/redo
+     */
+    function runHistoryAction(action, request, response, serverState) {
+        var body = request.body || {};
+        var isUndo = action === "undo";
+
+        var steps = 1;
+        if (body.steps !== undefined && body.steps !== null) {
+            steps = parseInt(String(body.steps), 10);
+            if (!isFinite(steps) || steps < 1 || steps > MAX_STEPS) {
+                errorResponse(response, 400, "ValidationError",
+                    "Invalid 'steps'. Must be an integer between 1 and " + MAX_STEPS + ".");
+                return;
+            }
+        }
+        var operationId = null;
+        if (body.operationId !== undefined && body.operationId !== null) {
+            if (typeof body.operationId !== "string" || !/^op_[0-9]+_[0-9]+$/.test(body.operationId)) {
+                errorResponse(response, 400, "ValidationError", "Invalid 'operationId'. Expected an ID like op_1700000000000_42.");
+                return;
+            }
+            operationId = body.operationId;
+            steps = 1;
+        }
+        var force = body.force === true;
+
+        var commandStack = getCommandStackOrFail(serverState, response);
+        if (!commandStack) return;
+
+        // Plan every step before touching the stack, so a refusal changes nothing
+        var stack = readStack(commandStack);
+        var pending = isUndo ? stack.done : stack.undone;
+        var groups = [];
+        while (groups.length < steps && pending.length > 0) {
+            var group = leadingGroup(pending);
+            var info = describe(group[0]);
+            if (operationId && info.operationId !== operationId) {
+                errorResponse(response, 409, "HistoryConflict",
+                    "Operation " + operationId + " is not the next " + action + " step" +
+                    " (next is '" + info.label + "'). Undo and redo only work from the top of the stack.");
+                return;
+            }
+            if (!info.operationId && !force) {
+                errorResponse(response, 409, "ExternalCommand",
+                    "The next " + action + " step '" + info.label + "' was not made through the API. " +
+                    "Pass force: true to " + action + " it anyway.");
+                return;
+            }
+            groups.push(group);
+            pending = pending.slice(group.length);
+        }
+
+        if (groups.length === 0) {
+            errorResponse(response, 409, isUndo ? "NothingToUndo" : "NothingToRedo",
+                "There is nothing to " + action + ".");
+            return;
+        }
+
+        var applied = [];
+        try {
+            operationQueue.runCommandStackChange(action, describe(groups[0][0]).label, function() {
+                for (var g = 0; g < groups.length; g++) {
+                    for (var c = 0; c < groups[g].length; c++) {
+                        var expected = isUndo ? commandStack.getUndoCommand() : commandStack.getRedoCommand();
+                        if (expected !== groups[g][c]) {
+                            throw new Error("Command stack changed during " + action);
+                        }
+                        if (isUndo) {
+                            commandStack.undo();
+                        } else {
+                            commandStack.redo();
+                        }
+                    }
+                    var groupInfo = describe(groups[g][0]);
+                    groupInfo.commands = groups[g].length;
+                    applied.push(groupInfo);
+                }
+            }, serverState.modelRef);
+        } catch (e) {
+            if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                loggingQueue.error("[" + request.requestId + "] " + action + " failed: " + e);
+            }
+            response.statusCode = 500;
+            response.body = {
+                error: {
+                    code: isUndo ? "UndoFailed" : "RedoFailed",
+                    message: String(e.message || e)
+                },
+                applied: applied
+            };
+            return;
+        }
+
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.log("[" + request.requestId + "] " + (isUndo ? "Undo" : "Redo") + ": " +
+                applied.map(function(a) { return a.operationId || a.label; }).join(", "));
+        }
+
+        var result = stackState(commandStack);
+        result[isUndo ? "undone" : "redone"] = applied;
+        response.body = result;
+    }
+
+    /**
+     * History endpoint handlers
+     */
+    var historyEndpoints = {
+        /**
+         * Handle GET /model/history - List the undo and redo stacks
+         * Query: limit (1-500, default 50) applied to each list
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with modelRef
+         */
+        handleHistory: function(request, response, serverState) {
+            var query = request.query || {};
+            var limit = 50;
+            if (query.limit !== undefined && query.limit !== null && String(query.limit).trim() !== "") {
+                limit = parseInt(String(query.limit), 10);
+                if (!isFinite(limit) || limit < 1 || limit > 500) {
+                    errorResponse(response, 400, "BadRequest", "Invalid 'limit' query parameter. Must be an integer 1-500");
+                    return;
+                }
+            }
+
+            var commandStack = getCommandStackOrFail(serverState, response);
+            if (!commandStack) return;
+
+            var stack = readStack(commandStack);
+            var result = stackState(commandStack);
+            result.undo = stack.done.slice(0, limit).map(describe);
+            result.redo = stack.undone.slice(0, limit).map(describe);
+            result.undoCount = stack.done.length;
+            result.redoCount = stack.undone.length;
+            response.body = result;
+        },
+
+        /**
+         * Handle POST /model/undo - Undo the most recent operation(s)
+         * Body: { steps?: number, operationId?: string, force?: boolean }
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with modelRef
+         */
+        handleUndo: function(request, response, serverState) {
+            runHistoryAction("undo", request, response, serverState);
+        },
+
+        /**
+         * Handle POST /model/redo - Redo the most recently undone operation(s)
+         * Body: { steps?: number, operationId?: string, force?: boolean }
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with modelRef
+         */
+        handleRedo: function(request, response, serverState) {
+            runHistoryAction("redo", request, response, serverState);
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.historyEndpoints = historyEndpoints;
+    } else if (typeof global !== "undefined") {
+        global.historyEndpoints = historyEndpoints;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = historyEndpoints;
+    }
+
+})();
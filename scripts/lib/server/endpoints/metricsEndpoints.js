@@ -0,0 +1,94 @@
+/**
+ * metricsEndpoints.js - Prometheus metrics
+ *
+ * GET /metrics returns the counters and histograms collected by serverMetrics
+ * (requests, rate-limit rejections, idempotency keys, operations) in the
+ * Prometheus text format, plus gauges sampled at scrape time: queue depth,
+ * tracked operations by status, open event streams and rate-limited clients.
+ *
+ * @module server/endpoints/metricsEndpoints
+ * @requires server/serverMetrics
+ * @requires server/operationQueue (optional)
+ * @requires server/serverConfig (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.metricsEndpoints !== "undefined") {
+        return;
+    }
+
+    /**
+     * Sample the gauges reported with every scrape
+     * @param {Object} serverState - Server state with serverInstance
+     * @returns {Array<Object>} { name, help, value, labels }
+     */
+    function sampleGauges(serverState) {
+        var gauges = [];
+        var version = (typeof serverConfig !== "undefined" && serverConfig.server) ? serverConfig.server.version : "unknown";
+        gauges.push({ name: "info", help: "Server version", value: 1, labels: { version: version } });
+
+        if (typeof operationQueue !== "undefined" && operationQueue && operationQueue.getQueueStats) {
+            var stats = operationQueue.getQueueStats();
+            gauges.push({ name: "operation_queue_depth", help: "Operations waiting in the queue", value: stats.queueSize });
+            ["queued", "processing", "completed", "error"].forEach(function(status) {
+                gauges.push({
+                    name: "operations_tracked",
+                    help: "Operations kept for /ops/status, by status",
+                    value: stats[status],
+                    labels: { status: status === "completed" ? "complete" : status }
+                });
+            });
+        }
+
+        var server = serverState.serverInstance;
+        if (server) {
+            gauges.push({ name: "event_streams_open", help: "Open /events streams", value: server.getOpenStreamCount() });
+            var rateLimit = server.getRateLimitStats();
+            gauges.push({ name: "rate_limit_clients", help: "Client IPs tracked by the rate limiter", value: rateLimit.totalTrackedClients });
+            gauges.push({ name: "rate_limit_blocked_clients", help: "Client IPs currently blocked by the rate limiter", value: rateLimit.blockedClients });
+        }
+        return gauges;
+    }
+
+    /**
+     * Metrics endpoint handlers
+     */
+    var metricsEndpoints = {
+        /**
+         * Handle GET /metrics - Prometheus text exposition
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with serverInstance
+         */
+        handleMetrics: function(request, response, serverState) {
+            if (!serverMetrics.isEnabled()) {
+                response.statusCode = 404;
+                response.body = {
+                    error: {
+                        code: "NotFound",
+                        message: "Metrics are disabled (serverConfig.metrics.enabled)"
+                    }
+                };
+                return;
+            }
+            response.contentType = "text/plain; version=0.0.4; charset=utf-8";
+            response.body = serverMetrics.render(sampleGauges(serverState));
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.metricsEndpoints = metricsEndpoints;
+    } else if (typeof global !== "undefined") {
+        global.metricsEndpoints = metricsEndpoints;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = metricsEndpoints;
+    }
+
+})();
@@ -9,6 +9,9 @@
  * @requires server/operationQueue
  * @requires server/operationValidation
  * @requires server/loggingQueue
+ * @requires server/pagination
+ * @requires server/undoableCommands
+ * @requires server/modelRegistry
  */
 
 (function() {
@@ -163,6 +166,10 @@
                     result.matchedPropertyKey = propertyKey;
                     result.matchedPropertyValue = matchedPropertyValue;
                 }
+
+                if (criteria.withProperties) {
+                    result.properties = getPropertiesMap(element);
+                }
                 
                 results.push(result);
             }
@@ -360,18 +367,118 @@
         return result;
     }
 
+    /**
+     * Build an id -> properties map for every concept and view in the model
+     * (used when paginated queries sort or project on properties)
+     * @param {Object} model - IArchimateModel
+     * @returns {Object} Map of id to property map
+     */
+    function collectPropertiesIndex(model) {
+        var index = {};
+
+        function processFolder(folder) {
+            var elements = folder.getElements();
+            for (var i = 0; i < elements.size(); i++) {
+                var element = elements.get(i);
+                index[element.getId()] = getPropertiesMap(element);
+            }
+            var subfolders = folder.getFolders();
+            for (var j = 0; j < subfolders.size(); j++) {
+                processFolder(subfolders.get(j));
+            }
+        }
+
+        var folders = model.getFolders();
+        for (var i = 0; i < folders.size(); i++) {
+            processFolder(folders.get(i));
+        }
+        return index;
+    }
+
+    /**
+     * Fields accepted by the `fields` projection, per result kind
+     */
+    var SEARCH_FIELDS = ["id", "name", "type", "documentation", "sourceId", "targetId",
+        "matchedPropertyKey", "matchedPropertyValue", "properties"];
+    var QUERY_FIELDS = {
+        elements: ["id", "name", "type", "documentation", "properties"],
+        relationships: ["id", "name", "type", "source", "target", "accessType", "strength", "properties"],
+        views: ["id", "name", "type", "properties"]
+    };
+
+    /**
+     * Parse pageSize/sort/cursor for a paginated request
+     * @param {Object} body - Request body
+     * @param {Array<string>} sortable - Attributes allowed in `sort`
+     * @returns {{pageSize: number, sort: Object, cursor: string|null}|{error: string}}
+     */
+    function parsePaging(body, sortable) {
+        var pageSizeResult = pagination.parsePageSize(body.pageSize);
+        if (pageSizeResult.error) return { error: pageSizeResult.error };
+        var sortResult = pagination.parseSort(body.sort, sortable);
+        if (sortResult.error) return { error: sortResult.error };
+        if (body.cursor !== undefined && body.cursor !== null && typeof body.cursor !== "string") {
+            return { error: "Invalid 'cursor'. Must be the 'nextCursor' string from a previous response." };
+        }
+        return {
+            pageSize: pageSizeResult.pageSize,
+            sort: sortResult.sort,
+            cursor: body.cursor || null
+        };
+    }
+
+    /**
+     * Sort-value accessor for a parsed sort
+     */
+    function sortValueGetter(sort, propertiesIndex) {
+        if (sort.by === "property") {
+            return function(item) {
+                var props = item.properties || (propertiesIndex && propertiesIndex[item.id]) || {};
+                return props[sort.key];
+            };
+        }
+        return function(item) {
+            return item[sort.by];
+        };
+    }
+
+    /**
+     * Provenance context for an apply request when serverConfig.provenance is enabled.
+     * The client is the configured header's value, or the API token name without it.
+     * @returns {Object|null} { client } or null when provenance is off
+     */
+    function resolveProvenance(request) {
+        var cfg = typeof serverConfig !== "undefined" ? serverConfig.provenance : null;
+        if (!cfg || !cfg.enabled) {
+            return null;
+        }
+        var headerName = String(cfg.clientHeader || "X-Client-Id").toLowerCase();
+        var headerValue = request.headers ? request.headers[headerName] : null;
+        var client = headerValue ? String(headerValue).trim().substring(0, 128) : "";
+        if (!client && request.auth && request.auth.client) {
+            client = String(request.auth.client);
+        }
+        return { client: client || null };
+    }
+
     /**
      * Model operation endpoint handlers
      */
     var modelEndpoints = {
         /**
          * Handle POST /model/query - Query model snapshot
-         * @param {Object} request - HTTP request object with body.limit
+         * Returns a sample (limit/relationshipLimit) by default. When pageSize,
+         * cursor or sort is given, pages through one `collection` instead.
+         * @param {Object} request - HTTP request object with body.limit or paging options
          * @param {Object} response - HTTP response object
-         * @param {Object} serverState - Server state object (unused)
+         * @param {Object} serverState - Server state object with modelRef
          */
         handleQuery: function(request, response, serverState) {
             var body = request.body || {};
+            if (pagination.isRequested(body) || body.fields !== undefined) {
+                this._handlePagedQuery(request, response, serverState);
+                return;
+            }
             var limit = body.limit !== undefined ? parseInt(String(body.limit), 10) : 10;
             if (!isFinite(limit) || limit < 1) limit = 10;
 
@@ -388,18 +495,18 @@
             }
 
             try {
-                if (!modelSnapshot || !modelSnapshot.getSnapshot()) {
+                if (!modelSnapshot || !modelSnapshot.getSnapshot(serverState.modelRef)) {
                     throw new Error("No model snapshot available");
                 }
 
-                var snapshot = modelSnapshot.getSnapshot();
+                var snapshot = modelSnapshot.getSnapshot(serverState.modelRef);
                 if (typeof loggingQueue !== "undefined" && loggingQueue) {
                     loggingQueue.log("[" + request.requestId + "] Model name: " + snapshot.name);
                 }
 
-                var elements = modelSnapshot.getElements();
-                var relationships = modelSnapshot.getRelationships();
-                var views = modelSnapshot.getViews();
+                var elements = modelSnapshot.getElements(serverState.modelRef);
+                var relationships = modelSnapshot.getRelationships(serverState.modelRef);
+                var views = modelSnapshot.getViews(serverState.modelRef);
 
                 var summary = {
                     elements: elements.length,
@@ -449,6 +556,127 @@
             }
         },
 
+        /**
+         * Paginated POST /model/query over one snapshot collection
+         * Body: { collection?, pageSize?, cursor?, sort?, fields? }
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state object with modelRef
+         */
+        _handlePagedQuery: function(request, response, serverState) {
+            var body = request.body || {};
+            var collection = body.collection !== undefined ? body.collection : "elements";
+            if (!QUERY_FIELDS.hasOwnProperty(collection)) {
+                response.statusCode = 400;
+                response.body = {
+                    error: {
+                        code: "ValidationError",
+                        message: "Invalid 'collection'. Must be one of: elements, relationships, views."
+                    }
+                };
+                return;
+            }
+
+            var fieldsResult = pagination.parseFields(body.fields, QUERY_FIELDS[collection]);
+            var paging = fieldsResult.error ? fieldsResult : parsePaging(body, ["id", "name", "type"]);
+            if (paging.error) {
+                response.statusCode = 400;
+                response.body = {
+                    error: {
+                        code: "ValidationError",
+                        message: paging.error
+                    }
+                };
+                return;
+            }
+            var fields = fieldsResult.fields;
+            var wantsProperties = !!fields && fields.indexOf("properties") !== -1;
+
+            if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                loggingQueue.log("[" + request.requestId + "] Query: collection=" + collection +
+                    ", pageSize=" + paging.pageSize + ", sort=" + (paging.sort.order === "desc" ? "-" : "") +
+                    (paging.sort.by === "property" ? "property:" + paging.sort.key : paging.sort.by) +
+                    (paging.cursor ? ", cursor" : ""));
+            }
+
+            try {
+                if (!modelSnapshot || !modelSnapshot.getSnapshot(serverState.modelRef)) {
+                    throw new Error("No model snapshot available");
+                }
+
+                var source = collection === "relationships" ? modelSnapshot.getRelationships(serverState.modelRef) :
+                    collection === "views" ? modelSnapshot.getViews(serverState.modelRef) : modelSnapshot.getElements(serverState.modelRef);
+
+                var propertiesIndex = null;
+                if (wantsProperties || paging.sort.by === "property") {
+                    if (!serverState.modelRef) {
+                        throw new Error("No model reference available");
+                    }
+                    propertiesIndex = collectPropertiesIndex(serverState.modelRef);
+                }
+
+                var page = pagination.paginate(source, {
+                    endpoint: "model/query",
+                    criteria: { collection: collection, sort: paging.sort },
+                    sort: paging.sort,
+                    getSortValue: sortValueGetter(paging.sort, propertiesIndex),
+                    cursor: paging.cursor,
+                    pageSize: paging.pageSize,
+                    modelId: serverState.modelRef ? String(serverState.modelRef.getId()) : null
+                });
+                if (page.error) {
+                    response.statusCode = page.error.status;
+                    response.body = {
+                        error: {
+                            code: page.error.code,
+                            message: page.error.message
+                        }
+                    };
+                    return;
+                }
+
+                var items = page.items.map(function(item) {
+                    if (wantsProperties) {
+                        var copy = {};
+                        for (var key in item) {
+                            if (item.hasOwnProperty(key)) copy[key] = item[key];
+                        }
+                        copy.properties = propertiesIndex[item.id] || {};
+                        item = copy;
+                    }
+                    return pagination.project(item, fields);
+                });
+
+                var responseBody = {
+                    summary: modelSnapshot.getSummary(serverState.modelRef),
+                    collection: collection,
+                    total: page.total,
+                    nextCursor: page.nextCursor,
+                    page: {
+                        pageSize: paging.pageSize,
+                        returned: items.length,
+                        hasMore: page.hasMore,
+                        sort: paging.sort,
+                        fields: fields
+                    }
+                };
+                responseBody[collection] = items;
+                response.body = responseBody;
+
+            } catch (e) {
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.error("[" + request.requestId + "] Query failed: " + e);
+                }
+                response.statusCode = 500;
+                response.body = {
+                    error: {
+                        code: "QueryFailed",
+                        message: String(e)
+                    }
+                };
+            }
+        },
+
         /**
          * Handle GET /model/stats - Get model statistics with type-level breakdowns
          * @param {Object} request - HTTP request object
@@ -461,13 +689,13 @@
             }
 
             try {
-                if (!modelSnapshot || !modelSnapshot.getSnapshot()) {
+                if (!modelSnapshot || !modelSnapshot.getSnapshot(serverState.modelRef)) {
                     throw new Error("No model snapshot available");
                 }
 
-                var elements = modelSnapshot.getElements();
-                var relationships = modelSnapshot.getRelationships();
-                var views = modelSnapshot.getViews();
+                var elements = modelSnapshot.getElements(serverState.modelRef);
+                var relationships = modelSnapshot.getRelationships(serverState.modelRef);
+                var views = modelSnapshot.getViews(serverState.modelRef);
 
                 // Count elements by type
                 var elementsByType = {};
@@ -585,9 +813,12 @@
 
         /**
          * Handle POST /model/apply - Apply changes asynchronously
+         * body.atomic rolls back every committed chunk if any change fails;
+         * body.dryRun builds the batch without executing it (see /ops/status changeSet);
+         * body.callbackUrl receives the final /ops/status body (see webhookDispatcher)
          * @param {Object} request - HTTP request object with body.changes
          * @param {Object} response - HTTP response object
-         * @param {Object} serverState - Server state object (unused)
+         * @param {Object} serverState - Server state with modelRef (the model the changes apply to)
          */
         handleApply: function(request, response, serverState) {
             var body = request.body || {};
@@ -595,7 +826,7 @@
             // Get current model snapshot for duplicate checking
             var snapshot = null;
             if (typeof modelSnapshot !== "undefined" && modelSnapshot) {
-                snapshot = modelSnapshot.getSnapshot();
+                snapshot = modelSnapshot.getSnapshot(serverState.modelRef);
             }
 
             try {
@@ -611,9 +842,38 @@
                 return;
             }
 
+            var callbackUrl = null;
+            if (body.callbackUrl !== undefined && body.callbackUrl !== null && body.callbackUrl !== "") {
+                if (typeof webhookDispatcher === "undefined" || !webhookDispatcher) {
+                    response.statusCode = 400;
+                    response.body = {
+                        error: {
+                            code: "ValidationError",
+                            message: "'callbackUrl' is not supported: webhook dispatcher not loaded"
+                        }
+                    };
+                    return;
+                }
+                try {
+                    callbackUrl = webhookDispatcher.validateCallbackUrl(body.callbackUrl);
+                } catch (callbackErr) {
+                    response.statusCode = 400;
+                    response.body = {
+                        error: {
+                            code: callbackErr && callbackErr.code ? String(callbackErr.code) : "ValidationError",
+                            message: String(callbackErr.message || callbackErr)
+                        }
+                    };
+                    return;
+                }
+            }
+
             var changes = body.changes;
             var duplicateStrategy = body.duplicateStrategy || "error";
-            var idempotencyKey = body.idempotencyKey || null;
+            var atomic = body.atomic === true;
+            var dryRun = body.dryRun === true;
+            // Dry runs change nothing, so they never claim (or replay) an idempotency key
+            var idempotencyKey = dryRun ? null : (body.idempotencyKey || null);
             var idempotencyReservation = null;
             var idempotencyMeta = null;
 
@@ -625,7 +885,8 @@
                 typeof idempotencyStore.reserve === "function") {
                 try {
                     idempotencyKey = idempotencyStore.validateKey(idempotencyKey);
-                    var payloadHash = idempotencyStore.hashApplyRequestBody(body);
+                    var payloadHash = idempotencyStore.hashApplyRequestBody(body,
+                        serverState.modelRef ? serverState.modelRef.getId() : null);
                     idempotencyReservation = idempotencyStore.reserve(idempotencyKey, payloadHash);
                 } catch (idempotencyErr) {
                     response.statusCode = 400;
@@ -677,13 +938,20 @@
             }
 
             if (typeof loggingQueue !== "undefined" && loggingQueue) {
-                loggingQueue.log("[" + request.requestId + "] Apply: Queuing " + changes.length + " change(s) for processing");
+                loggingQueue.log("[" + request.requestId + "] Apply: Queuing " + changes.length + " change(s) for processing" +
+                    (dryRun ? " (dry run)" : "") + (atomic ? " (atomic)" : ""));
             }
 
             // Create operation descriptor
             var operation = operationQueue.createOperation(changes, {
                 idempotencyKey: idempotencyKey || null,
-                duplicateStrategy: duplicateStrategy
+                duplicateStrategy: duplicateStrategy,
+                atomic: atomic,
+                dryRun: dryRun,
+                callbackUrl: callbackUrl,
+                planId: body.planId || null,
+                provenance: resolveProvenance(request),
+                modelRef: serverState.modelRef
             });
             operation.requestId = request.requestId;  // Track originating request
 
@@ -720,7 +988,9 @@
             response.body = {
                 operationId: operation.id,
                 status: "queued",
-                message: "Operation queued for processing. Poll /ops/status?opId=" + operation.id,
+                message: (dryRun ? "Dry run" : "Operation") + " queued for processing. Poll /ops/status?opId=" + operation.id,
+                atomic: atomic,
+                dryRun: dryRun,
                 digest: {
                     totals: {
                         requested: changes.length,
@@ -816,9 +1086,27 @@
                 }
             }
 
+            var paged = pagination.isRequested(body);
+            var fieldsResult = pagination.parseFields(body.fields, SEARCH_FIELDS);
+            var paging = fieldsResult.error ? fieldsResult :
+                (paged ? parsePaging(body, ["id", "name", "type"]) : {});
+            if (paging.error) {
+                response.statusCode = 400;
+                response.body = {
+                    error: {
+                        code: "ValidationError",
+                        message: paging.error
+                    }
+                };
+                return;
+            }
+            var fields = fieldsResult.fields;
+            var wantsProperties = !!fields && fields.indexOf("properties") !== -1;
+
             if (typeof loggingQueue !== "undefined" && loggingQueue) {
                 loggingQueue.log("[" + request.requestId + "] Search: type=" + (body.type || '*') + 
-                    ", namePattern=" + (body.namePattern || '*'));
+                    ", namePattern=" + (body.namePattern || '*') +
+                    (paged ? ", pageSize=" + paging.pageSize + (paging.cursor ? ", cursor" : "") : ""));
             }
 
             try {
@@ -834,7 +1122,9 @@
                     propertyKey: body.propertyKey || null,
                     propertyValue: body.propertyValue != null ? body.propertyValue : null,
                     includeRelationships: body.includeRelationships !== false,
-                    limit: limit
+                    // Paginated mode collects every match; pageSize bounds the response instead
+                    limit: paged ? Infinity : limit,
+                    withProperties: wantsProperties || (paged && paging.sort.by === "property")
                 };
 
                 var results = searchElements(serverState.modelRef, criteria);
@@ -843,17 +1133,67 @@
                     loggingQueue.log("[" + request.requestId + "] Search found " + results.length + " results");
                 }
 
-                response.body = {
-                    results: results,
-                    total: results.length,
+                var echoedCriteria = {
+                    type: criteria.type,
+                    namePattern: criteria.namePattern,
+                    propertyKey: criteria.propertyKey,
+                    propertyValue: criteria.propertyValue,
+                    includeRelationships: criteria.includeRelationships
+                };
+
+                if (!paged) {
+                    echoedCriteria.limit = criteria.limit;
+                    response.body = {
+                        results: fields ? results.map(function(r) { return pagination.project(r, fields); }) : results,
+                        total: results.length,
+                        criteria: echoedCriteria
+                    };
+                    return;
+                }
+
+                var page = pagination.paginate(results, {
+                    endpoint: "model/search",
                     criteria: {
                         type: criteria.type,
                         namePattern: criteria.namePattern,
+                        caseSensitive: criteria.caseSensitive,
                         propertyKey: criteria.propertyKey,
                         propertyValue: criteria.propertyValue,
                         includeRelationships: criteria.includeRelationships,
-                        limit: criteria.limit
-                    }
+                        sort: paging.sort
+                    },
+                    sort: paging.sort,
+                    getSortValue: sortValueGetter(paging.sort, null),
+                    cursor: paging.cursor,
+                    pageSize: paging.pageSize,
+                    modelId: String(serverState.modelRef.getId())
+                });
+                if (page.error) {
+                    response.statusCode = page.error.status;
+                    response.body = {
+                        error: {
+                            code: page.error.code,
+                            message: page.error.message
+                        }
+                    };
+                    return;
+                }
+
+                response.body = {
+                    results: page.items.map(function(r) {
+                        if (!wantsProperties) delete r.properties;
+                        return pagination.project(r, fields);
+                    }),
+                    total: page.total,
+                    nextCursor: page.nextCursor,
+                    page: {
+                        pageSize: paging.pageSize,
+                        returned: page.items.length,
+                        hasMore: page.hasMore,
+                        sort: paging.sort,
+                        fields: fields
+                    },
+                    criteria: echoedCriteria
                 };
 
             } catch (e) {
@@ -971,6 +1311,82 @@
             }
         },
 
+        /**
+         * Handle GET /model/element/:id/provenance - Provenance properties stamped by the API
+         * @param {Object} request - HTTP request with params.id
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with modelRef
+         */
+        handleGetElementProvenance: function(request, response, serverState) {
+            var elementId = request.params && request.params.id;
+
+            if (!elementId) {
+                response.statusCode = 400;
+                response.body = {
+                    error: {
+                        code: "ValidationError",
+                        message: "Missing element ID parameter"
+                    }
+                };
+                return;
+            }
+
+            try {
+                if (!serverState.modelRef) {
+                    throw new Error("No model reference available");
+                }
+
+                var element = findElementById(serverState.modelRef, elementId);
+                if (!element || !(element instanceof IArchimateElement || element instanceof IArchimateRelationship)) {
+                    response.statusCode = 404;
+                    response.body = {
+                        error: {
+                            code: "NotFound",
+                            message: "Element not found: " + elementId
+                        }
+                    };
+                    return;
+                }
+
+                var provenance = undoableCommands.readProvenance(element);
+
+                // The last operation, while /ops/status still knows it
+                var operation = null;
+                var tracked = provenance.opId ? operationQueue.getOperationStatus(provenance.opId) : null;
+                if (tracked) {
+                    operation = {
+                        id: tracked.id,
+                        status: tracked.status,
+                        createdAt: tracked.createdAt,
+                        completedAt: tracked.completedAt,
+                        requestId: tracked.requestId || null
+                    };
+                }
+
+                response.body = {
+                    id: element.getId(),
+                    name: element.getName() || '',
+                    type: getTypeString(element),
+                    enabled: !!(typeof serverConfig !== "undefined" && serverConfig.provenance && serverConfig.provenance.enabled),
+                    provenance: provenance,
+                    properties: undoableCommands.getProvenanceProperties(),
+                    operation: operation
+                };
+
+            } catch (e) {
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.error("[" + request.requestId + "] Get provenance failed: " + e);
+                }
+                response.statusCode = 500;
+                response.body = {
+                    error: {
+                        code: "GetProvenanceFailed",
+                        message: String(e)
+                    }
+                };
+            }
+        },
+
         /**
          * Handle GET /folders - List all folders in model
          * @param {Object} request - HTTP request object
@@ -1010,6 +1426,8 @@
 
         /**
          * Handle POST /model/save - Save model to disk
+         * body.path saves to (and rebinds the model to) another file; an existing file
+         * needs body.overwrite, and a file open as another model is refused (409)
          * @param {Object} request - HTTP request object
          * @param {Object} response - HTTP response object
          * @param {Object} serverState - Server state with modelRef
@@ -1028,7 +1446,6 @@
                 var requestedPath = body.path || null;
                 var IEditorModelManager = Java.type("com.archimatetool.editor.model.IEditorModelManager");
                 var modelManager = IEditorModelManager.INSTANCE;
-                var File = Java.type("java.io.File");
 
                 // Resolve current file from the EMF model reference captured at server startup.
                 var currentFile = null;
@@ -1063,12 +1480,35 @@
                 var autoGenerated = (!hasExistingFile && !body.path);
 
                 // If a path was provided (or auto-generated), set the file on the model before saving
+                var previousPath = hasExistingFile ? String(currentFile.getAbsolutePath()) : null;
                 if (requestedPath) {
-                    var targetFile = new File(String(requestedPath));
-                    // Ensure .archimate extension
-                    if (!String(requestedPath).endsWith(".archimate")) {
-                        targetFile = new File(String(requestedPath) + ".archimate");
+                    // Absolute, with .archimate extension
+                    var targetFile = modelRegistry.toModelFile(requestedPath);
+
+                    // Never overwrite another open model's file, or an unrelated file unless asked to
+                    var owner = modelRegistry.findByFile(targetFile);
+                    if (owner && owner !== serverState.modelRef) {
+                        response.statusCode = 409;
+                        response.body = {
+                            error: {
+                                code: "FileInUse",
+                                message: "File is open as model '" + owner.getName() + "': " + targetFile.getPath()
+                            },
+                            modelId: String(owner.getId())
+                        };
+                        return;
+                    }
+                    if (!owner && targetFile.exists() && body.overwrite !== true) {
+                        response.statusCode = 409;
+                        response.body = {
+                            error: {
+                                code: "FileExists",
+                                message: "File already exists: " + targetFile.getPath() + ". Send \"overwrite\": true to replace it."
+                            }
+                        };
+                        return;
                     }
+
                     // Ensure parent directory exists
                     var parentDir = targetFile.getParentFile();
                     if (parentDir && !parentDir.exists()) {
@@ -1108,6 +1548,9 @@
                 if (autoGenerated) {
                     responseBody.autoGeneratedPath = true;
                 }
+                if (previousPath && savedPath && previousPath !== savedPath) {
+                    responseBody.previousPath = previousPath;
+                }
 
                 response.body = responseBody;
 
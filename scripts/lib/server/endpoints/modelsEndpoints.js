@@ -0,0 +1,313 @@
+/**
+ * modelsEndpoints.js - Loaded model listing and lifecycle endpoints
+ *
+ * Handles GET /models and GET /models/{id}. Any other endpoint can be run
+ * against one of the listed models with the /models/{id}/... prefix or the
+ * X-Model-Id header; see modelRegistry.
+ *
+ * POST /models/open, POST /models/new and POST /models/{id}/close open, create
+ * and close models. None of them discards unsaved changes: a dirty model or a
+ * file bound to another model is reported as 409 unless the request says how
+ * to resolve it.
+ *
+ * @module server/endpoints/modelsEndpoints
+ * @requires server/modelRegistry
+ * @requires server/operationQueue
+ * @requires server/undoableCommands
+ * @requires server/loggingQueue
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.modelsEndpoints !== "undefined") {
+        return;
+    }
+
+    var IEditorModelManager = Java.type("com.archimatetool.editor.model.IEditorModelManager");
+    var IArchimateFactory = Java.type("com.archimatetool.model.IArchimateFactory");
+
+    function logInfo(request, message) {
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.log("[" + request.requestId + "] " + message);
+        }
+    }
+
+    function fail(response, statusCode, code, message, extra) {
+        response.statusCode = statusCode;
+        response.body = { error: { code: code, message: message } };
+        if (extra) {
+            Object.keys(extra).forEach(function(key) { response.body[key] = extra[key]; });
+        }
+    }
+
+    /**
+     * Check that a file can be written for a model: not bound to another open
+     * model, and not an existing file unless overwrite is set
+     * @returns {boolean} true when the response was set to a 409
+     */
+    function rejectFileConflict(response, file, modelRef, overwrite) {
+        var owner = modelRegistry.findByFile(file);
+        if (owner && owner !== modelRef) {
+            fail(response, 409, "FileInUse", "File is open as model '" + owner.getName() + "': " + file.getPath(),
+                { modelId: String(owner.getId()) });
+            return true;
+        }
+        if (!owner && file.exists() && overwrite !== true) {
+            fail(response, 409, "FileExists", "File already exists: " + file.getPath() +
+                ". Send \"overwrite\": true to replace it.");
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Model listing and lifecycle endpoint handlers
+     */
+    var modelsEndpoints = {
+        /**
+         * Handle GET /models - List models loaded in Archi
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state (unused)
+         */
+        handleListModels: function(request, response, serverState) {
+            var models = modelRegistry.list();
+            var defaultModel = modelRegistry.getDefault();
+            response.body = {
+                models: models,
+                total: models.length,
+                defaultModelId: defaultModel ? String(defaultModel.getId()) : null
+            };
+        },
+
+        /**
+         * Handle GET /models/{id} - Describe one loaded model
+         * @param {Object} request - HTTP request object with params.id
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state (unused)
+         */
+        handleGetModel: function(request, response, serverState) {
+            var modelRef = modelRegistry.resolve(request.params.id);
+            if (!modelRef) {
+                response.statusCode = 404;
+                response.body = {
+                    error: {
+                        code: "ModelNotFound",
+                        message: "No model with ID '" + request.params.id + "' is open in Archi"
+                    }
+                };
+                return;
+            }
+            response.body = modelRegistry.describe(modelRef);
+        },
+
+        /**
+         * Handle POST /models/open - Open an .archimate file in Archi
+         * body.path (required); body.allowDirty returns an already open model
+         * even when it has unsaved changes (its content then differs from the file)
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state (unused)
+         */
+        handleOpenModel: function(request, response, serverState) {
+            var body = request.body || {};
+            if (!body.path || typeof body.path !== "string") {
+                fail(response, 400, "ValidationError", "Missing required field: path");
+                return;
+            }
+
+            var file = modelRegistry.toModelFile(body.path);
+            var open = modelRegistry.findByFile(file);
+            if (open) {
+                var dirty = IEditorModelManager.INSTANCE.isModelDirty(open) === true;
+                if (dirty && body.allowDirty !== true) {
+                    fail(response, 409, "ModelDirty", "Model '" + open.getName() + "' is already open with unsaved changes. " +
+                        "Save or close it first, or send \"allowDirty\": true to use the open model.",
+                        { modelId: String(open.getId()) });
+                    return;
+                }
+                modelRegistry.resolve(String(open.getId()));
+                response.body = { alreadyOpen: true, model: modelRegistry.describe(open) };
+                return;
+            }
+
+            if (!file.isFile()) {
+                fail(response, 404, "FileNotFound", "Model file not found: " + file.getPath());
+                return;
+            }
+
+            logInfo(request, "Open model: " + file.getPath());
+            var modelRef;
+            try {
+                modelRef = IEditorModelManager.INSTANCE.openModel(file);
+            } catch (e) {
+                fail(response, 400, "InvalidModelFile", "Could not open " + file.getPath() + ": " + e);
+                return;
+            }
+            if (!modelRef) {
+                fail(response, 400, "InvalidModelFile", "Archi could not open " + file.getPath());
+                return;
+            }
+
+            modelRegistry.resolve(String(modelRef.getId()));
+            response.body = { alreadyOpen: false, model: modelRegistry.describe(modelRef) };
+        },
+
+        /**
+         * Handle POST /models/new - Create an empty model
+         * body.name (default "New Model"); body.path saves it there right away
+         * (409 when the file exists, unless body.overwrite)
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state (unused)
+         */
+        handleNewModel: function(request, response, serverState) {
+            var body = request.body || {};
+            if (body.name !== undefined && (typeof body.name !== "string" || !body.name.trim())) {
+                fail(response, 400, "ValidationError", "'name' must be a non-empty string");
+                return;
+            }
+            if (body.path !== undefined && body.path !== null && typeof body.path !== "string") {
+                fail(response, 400, "ValidationError", "'path' must be a string");
+                return;
+            }
+
+            var file = body.path ? modelRegistry.toModelFile(body.path) : null;
+            if (file && rejectFileConflict(response, file, null, body.overwrite)) {
+                return;
+            }
+
+            var name = body.name ? body.name.trim() : "New Model";
+            logInfo(request, "New model: " + name + (file ? " at " + file.getPath() : ""));
+
+            try {
+                var modelRef = IArchimateFactory.eINSTANCE.createArchimateModel();
+                modelRef.setDefaults();
+                modelRef.setName(name);
+                IEditorModelManager.INSTANCE.registerModel(modelRef);
+
+                if (file) {
+                    var parentDir = file.getParentFile();
+                    if (parentDir && !parentDir.exists()) {
+                        parentDir.mkdirs();
+                    }
+                    modelRef.setFile(file);
+                    IEditorModelManager.INSTANCE.saveModel(modelRef);
+                }
+
+                modelRegistry.resolve(String(modelRef.getId()));
+                response.body = { model: modelRegistry.describe(modelRef) };
+            } catch (e) {
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.error("[" + request.requestId + "] New model failed: " + e);
+                }
+                fail(response, 500, "NewModelFailed", String(e));
+            }
+        },
+
+        /**
+         * Handle POST /models/{id}/close - Close a model in Archi
+         * A model with unsaved changes needs body.save (saved to its file, or to
+         * body.path) or body.discard; otherwise 409 ModelDirty. The default model
+         * and models with queued or running operations cannot be closed.
+         * @param {Object} request - HTTP request object with params.id
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state (unused)
+         */
+        handleCloseModel: function(request, response, serverState) {
+            var body = request.body || {};
+            var modelId = request.params.id;
+            var modelRef = modelRegistry.resolve(modelId);
+            if (!modelRef) {
+                fail(response, 404, "ModelNotFound", "No model with ID '" + modelId + "' is open in Archi");
+                return;
+            }
+            modelId = String(modelRef.getId());
+
+            if (body.save === true && body.discard === true) {
+                fail(response, 400, "ValidationError", "Send either \"save\" or \"discard\", not both");
+                return;
+            }
+            if (modelRegistry.isDefault(modelId)) {
+                fail(response, 409, "DefaultModel", "The server's default model cannot be closed while the server is running");
+                return;
+            }
+            var inFlight = operationQueue.getInFlightCount(modelId);
+            if (inFlight > 0) {
+                fail(response, 409, "OperationsPending", inFlight + " operation(s) are queued or running against this model",
+                    { modelId: modelId });
+                return;
+            }
+
+            var manager = IEditorModelManager.INSTANCE;
+            var dirty = manager.isModelDirty(modelRef) === true;
+            var saved = false;
+            var discarded = false;
+
+            if (dirty && body.save !== true && body.discard !== true) {
+                fail(response, 409, "ModelDirty", "Model '" + modelRef.getName() + "' has unsaved changes. " +
+                    "Send \"save\": true or \"discard\": true.", { modelId: modelId });
+                return;
+            }
+
+            try {
+                if (dirty && body.save === true) {
+                    if (body.path) {
+                        var file = modelRegistry.toModelFile(body.path);
+                        if (rejectFileConflict(response, file, modelRef, body.overwrite)) {
+                            return;
+                        }
+                        modelRef.setFile(file);
+                    } else if (!modelRef.getFile()) {
+                        fail(response, 409, "NoFile", "Model '" + modelRef.getName() + "' has never been saved. " +
+                            "Send \"path\" to save it, or \"discard\": true.", { modelId: modelId });
+                        return;
+                    }
+                    manager.saveModel(modelRef);
+                    saved = true;
+                } else if (dirty) {
+                    // Mark the command stack clean so Archi does not ask to save
+                    undoableCommands.getCommandStack(modelRef).markSaveLocation();
+                    discarded = true;
+                }
+
+                logInfo(request, "Close model: " + modelRef.getName() + " (" + modelId + ")" +
+                    (saved ? " [saved]" : "") + (discarded ? " [changes discarded]" : ""));
+                var closed = manager.closeModel(modelRef);
+                if (closed === false) {
+                    fail(response, 409, "CloseCancelled", "Archi did not close the model", { modelId: modelId });
+                    return;
+                }
+                modelRegistry.release(modelId);
+
+                response.body = {
+                    closed: true,
+                    modelId: modelId,
+                    name: modelRef.getName() || "",
+                    saved: saved,
+                    discarded: discarded
+                };
+            } catch (e) {
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.error("[" + request.requestId + "] Close model failed: " + e);
+                }
+                fail(response, 500, "CloseModelFailed", String(e));
+            }
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.modelsEndpoints = modelsEndpoints;
+    } else if (typeof global !== "undefined") {
+        global.modelsEndpoints = modelsEndpoints;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = modelsEndpoints;
+    }
+
+})();
@@ -128,12 +128,36 @@
                 return;
             }
 
-            // Return operation status
+            response.body = this.buildStatusBody(operation, {
+                summaryOnly: summaryOnly,
+                cursor: cursor,
+                pageSize: pageSize
+            });
+        },
+
+        /**
+         * Build the /ops/status response body for an operation. Also used as the
+         * webhook payload when the operation reaches a terminal state.
+         * @param {Object} operation - Operation descriptor from operationQueue
+         * @param {Object} [options] - { summaryOnly, cursor, pageSize } for result paging
+         * @returns {Object} Status body
+         */
+        buildStatusBody: function(operation, options) {
+            options = options || {};
+            var opId = operation.id;
+            var summaryOnly = options.summaryOnly === true;
+            var cursor = options.cursor || 0;
+            var pageSize = options.pageSize || 200;
+            var body;
+
             if (operation.status === "complete") {
                 var pagedResult = this._paginateArray(operation.result, cursor, pageSize);
-                response.body = {
+                body = {
                     operationId: opId,
                     status: "complete",
+                    atomic: operation.atomic === true,
+                    dryRun: operation.dryRun === true,
+                    changeSet: operation.changeSet || null,
                     result: summaryOnly ? undefined : pagedResult.page,
                     totalResultCount: pagedResult.total,
                     cursor: pagedResult.cursor,
@@ -153,9 +177,11 @@
                         new Date(operation.completedAt).getTime() - new Date(operation.startedAt).getTime() : null
                 };
             } else if (operation.status === "error") {
-                response.body = {
+                body = {
                     operationId: opId,
                     status: "error",
+                    atomic: operation.atomic === true,
+                    dryRun: operation.dryRun === true,
                     error: operation.error,
                     errorDetails: operation.errorDetails || null,
                     summaryOnly: summaryOnly,
@@ -171,7 +197,7 @@
                         new Date(operation.completedAt).getTime() - new Date(operation.startedAt).getTime() : null
                 };
             } else {
-                response.body = {
+                body = {
                     operationId: opId,
                     status: operation.status,
                     message: "Operation in progress",
@@ -184,10 +210,19 @@
                     startedAt: operation.startedAt
                 };
             }
+
+            if (operation.modelId) {
+                body.modelId = operation.modelId;
+            }
+            if (operation.webhook) {
+                body.webhook = operation.webhook;
+            }
+            return body;
         },
 
         /**
          * Handle GET /ops/list - List recent operations
+         * Requests addressed to a model (/models/{id}/ops/list or X-Model-Id) only list its operations.
          * @param {Object} request - HTTP request object with optional query.limit and query.status
          * @param {Object} response - HTTP response object
          * @param {Object} serverState - Server state object (unused)
@@ -267,7 +302,8 @@
                 limit: limit,
                 status: status || undefined,
                 cursor: cursor,
-                summaryOnly: summaryOnly
+                summaryOnly: summaryOnly,
+                modelId: request.modelId || undefined
             });
 
             response.body = {
@@ -278,7 +314,8 @@
                 cursor: listResult.cursor,
                 hasMore: listResult.hasMore,
                 nextCursor: listResult.nextCursor,
-                summaryOnly: listResult.summaryOnly
+                summaryOnly: listResult.summaryOnly,
+                modelId: request.modelId || null
             };
         }
     };
@@ -1,12 +1,18 @@
 /**
  * scriptEndpoints.js - Custom script execution endpoint
  *
- * Handles executing arbitrary JArchi code via POST /scripts/run.
- * Includes temp file management and console output capture.
+ * Handles executing arbitrary JArchi code via POST /scripts/run, and stored
+ * scripts (scripts/api/ and opted-in registry scripts, see scriptLibrary) via
+ * GET /scripts and POST /scripts/{name}.
+ * Includes temp file management and console output capture. Run time,
+ * read-only mode and the Java.type allowlist are enforced by scriptSandbox.
  *
  * @module server/endpoints/scriptEndpoints
  * @requires server/loggingQueue
  * @requires server/modelSnapshot
+ * @requires server/scriptSandbox
+ * @requires server/scriptLibrary
+ * @requires server/serverConfig (optional)
  */
 
 (function() {
@@ -66,11 +72,28 @@
         });
     }
 
+    /**
+     * Script limits from serverConfig.scripts, with defaults
+     * @returns {Object} { timeoutMs, maxTimeoutMs, readOnlyDefault, maxOutputEntries, javaTypeAllowlist }
+     */
+    function getScriptSettings() {
+        var cfg = (typeof serverConfig !== "undefined" && serverConfig.scripts) ? serverConfig.scripts : {};
+        return {
+            timeoutMs: cfg.timeoutMs || 30000,
+            maxTimeoutMs: cfg.maxTimeoutMs || 300000,
+            readOnlyDefault: cfg.readOnlyDefault === true,
+            maxOutputEntries: cfg.maxOutputEntries || 5000,
+            javaTypeAllowlist: Array.isArray(cfg.javaTypeAllowlist) ? cfg.javaTypeAllowlist : null
+        };
+    }
+
     function cleanupScriptRunGlobals() {
         try { delete globalThis.__apiScriptOutput; } catch (_e1) {}
         try { delete globalThis.__apiScriptResult; } catch (_e2) {}
         try { delete globalThis.__apiScriptsDir; } catch (_e3) {}
         try { delete globalThis.__apiServerModelId; } catch (_e3b) {}
+        try { delete globalThis.__apiScriptOutputLimit; } catch (_e3c) {}
+        try { delete globalThis.__apiScriptParams; } catch (_e3d) {}
         try { delete globalThis.__origConsoleLog; } catch (_e4) {}
         try { delete globalThis.__origConsolePrint; } catch (_e5) {}
         try { delete globalThis.__origConsolePrintln; } catch (_e6) {}
@@ -84,6 +107,558 @@
         } catch (_e8) {}
     }
 
+    /**
+     * Parse the run options shared by POST /scripts/run and POST /scripts/{name}
+     * @param {Object} body - Request body
+     * @param {Object} defaults - { timeoutMs, readOnly } used when the body omits them
+     * @returns {Object} { timeoutMs, readOnly } or { error }
+     */
+    function parseRunOptions(body, defaults) {
+        var settings = getScriptSettings();
+        var timeoutMs = defaults.timeoutMs;
+        if (body.timeoutMs !== undefined) {
+            var requested = body.timeoutMs;
+            if (typeof requested !== "number" || requested !== Math.floor(requested) || requested < 1 ||
+                requested > settings.maxTimeoutMs) {
+                return { error: "'timeoutMs' must be an integer between 1 and " + settings.maxTimeoutMs };
+            }
+            timeoutMs = requested;
+        }
+        var readOnly = defaults.readOnly;
+        if (body.readOnly !== undefined) {
+            if (typeof body.readOnly !== "boolean") {
+                return { error: "'readOnly' must be a boolean" };
+            }
+            readOnly = body.readOnly;
+        }
+        return { timeoutMs: Math.min(timeoutMs, settings.maxTimeoutMs), readOnly: readOnly };
+    }
+
+    /**
+     * Run script code with the preamble, sandbox limits and output capture, and
+     * write the result to the response
+     * @param {Object} request - HTTP request object
+     * @param {Object} response - HTTP response object
+     * @param {Object} serverState - Server state object
+     * @param {string} scriptsDir - Path to scripts directory
+     * @param {Object} run - { code, timeoutMs, readOnly, params, name }
+     * @param {number} startTime - Request start (ms)
+     */
+    function runScript(request, response, serverState, scriptsDir, run, startTime) {
+        var settings = getScriptSettings();
+        var timeoutMs = run.timeoutMs;
+        var readOnly = run.readOnly;
+
+        // Clean stale globals from any previous interrupted execution.
+        cleanupScriptRunGlobals();
+
+        // Initialize global result containers BEFORE any output is captured
+        // These must be on globalThis to survive across load() boundary
+        globalThis.__apiScriptOutput = [];
+        globalThis.__apiScriptResult = { files: [], value: null };
+        globalThis.__apiScriptsDir = scriptsDir;
+        globalThis.__apiScriptOutputLimit = settings.maxOutputEntries;
+        globalThis.__apiScriptParams = run.params || {};
+
+        // Store the server's bound model ID so preamble helpers target the
+        // correct model, not just getLoadedModels().get(0).
+        globalThis.__apiServerModelId = serverState.modelRef ? serverState.modelRef.getId() : null;
+
+        // Save original console methods on globalThis BEFORE the wrapper file
+        // is loaded. Inside the wrapper, `var console = {...}` is hoisted,
+        // which would shadow the host `console` object.  By stashing the
+        // originals here (outside the `load()` boundary) we guarantee the
+        // references point at the real host methods and can never re-enter
+        // through the shadowed object.
+        globalThis.__origConsoleLog      = console.log;
+        globalThis.__origConsolePrint    = console.print;
+        globalThis.__origConsolePrintln  = console.println;
+        globalThis.__origConsoleError    = console.error;
+
+        var scriptCode = run.code;
+        if (/\b__DIR__\b/.test(scriptCode)) {
+            scriptCode = scriptCode.replace(/\b__DIR__\b/g, "__scriptsDir__");
+            if (!run.name) {
+                globalThis.__apiScriptOutput.push({
+                    level: "log",
+                    message: "__DIR__ replaced with __scriptsDir__ for API execution."
+                });
+            }
+        }
+        
+        // Add a deadline check to every loop and function (see scriptSandbox.instrumentScript)
+        var instrumented = scriptSandbox.instrumentScript(scriptCode);
+        scriptCode = instrumented.code;
+
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.log("[" + request.requestId + "] Script run: " + (run.name ? "'" + run.name + "', " : "") + run.code.length + " chars, " +
+                instrumented.loops + " loop(s), " + instrumented.functions + " function(s), timeout " + timeoutMs + "ms" + (readOnly ? ", read-only" : ""));
+        }
+
+        var session = scriptSandbox.createSession({
+            timeoutMs: timeoutMs,
+            readOnly: readOnly,
+            javaTypeAllowlist: settings.javaTypeAllowlist,
+            modelRef: serverState.modelRef
+        });
+
+        // Create temp file for script
+        var tempDir = new File(System.getProperty("java.io.tmpdir"));
+        var scriptId = UUID.randomUUID().toString().substring(0, 8);
+        var tempFile = new File(tempDir, "jarchi_script_" + scriptId + ".ajs");
+        
+        if (/__scriptResult\s*=/.test(scriptCode)) {
+            globalThis.__apiScriptOutput.push({
+                level: "log",
+                message: "__scriptResult reassignment detected; mutate properties instead."
+            });
+        }
+        
+        try {
+            // Wrap script code to capture output and results
+            // Use globalThis for all shared state to survive load() boundary
+            var wrappedCode = [
+                "// Auto-generated wrapper for API script execution",
+                "// Original console methods were saved to globalThis BEFORE this",
+                "// file was loaded — see scriptEndpoints.js.  We reference them",
+                "// via globalThis so the var-hoisted `console` shadow below can",
+                "// never cause infinite recursion.",
+                "var __originalConsoleLog     = globalThis.__origConsoleLog;",
+                "var __originalConsolePrint   = globalThis.__origConsolePrint;",
+                "var __originalConsolePrintln = globalThis.__origConsolePrintln;",
+                "var __originalConsoleError   = globalThis.__origConsoleError;",
+                "",
+                "// Re-entrancy guard: in GraalVM, load() runs in the global scope so",
+                "// 'var console = {...}' replaces the global console.  If the host's",
+                "// original console.log internally calls console.log, it hits our",
+                "// wrapper again causing infinite recursion.  The guard prevents this.",
+                "var __consoleGuard = false;",
+                "",
+                "// Captured output is capped at serverConfig.scripts.maxOutputEntries",
+                "function __apiPushOutput(level, message) {",
+                "    var out = globalThis.__apiScriptOutput;",
+                "    if (out.length < globalThis.__apiScriptOutputLimit) {",
+                "        out.push({ level: level, message: message });",
+                "    } else if (out.length === globalThis.__apiScriptOutputLimit) {",
+                "        out.push({ level: 'warn', message: 'Output limit reached; further console output dropped.' });",
+                "    }",
+                "}",
+                "",
+                "// Shadow the entire console binding with a plain JS object.",
+                "// GraalVM's host-backed console object silently ignores property",
+                "// assignment, so patching individual methods (console.log = fn) fails.",
+                "// A var declaration in the wrapper scope shadows the host binding.",
+                "var console = {",
+                "    log: function() {",
+                "        if (__consoleGuard) return;",
+                "        __consoleGuard = true;",
+                "        try {",
+                "            var args = Array.prototype.slice.call(arguments);",
+                "            var msg = args.map(function(a) { return String(a); }).join(' ');",
+                "            __apiPushOutput('log', msg);",
+                "            __originalConsoleLog.apply(null, args);",
+                "        } finally { __consoleGuard = false; }",
+                "    },",
+                "    print: function() {",
+                "        if (__consoleGuard) return;",
+                "        __consoleGuard = true;",
+                "        try {",
+                "            var args = Array.prototype.slice.call(arguments);",
+                "            var msg = args.map(function(a) { return String(a); }).join('');",
+                "            __apiPushOutput('print', msg);",
+                "            __originalConsolePrint.apply(null, args);",
+                "        } finally { __consoleGuard = false; }",
+                "    },",
+                "    println: function() {",
+                "        if (__consoleGuard) return;",
+                "        __consoleGuard = true;",
+                "        try {",
+                "            var args = Array.prototype.slice.call(arguments);",
+                "            var msg = args.map(function(a) { return String(a); }).join('');",
+                "            __apiPushOutput('println', msg);",
+                "            __originalConsolePrintln.apply(null, args);",
+                "        } finally { __consoleGuard = false; }",
+                "    },",
+                "    error: function() {",
+                "        if (__consoleGuard) return;",
+                "        __consoleGuard = true;",
+                "        try {",
+                "            var args = Array.prototype.slice.call(arguments);",
+                "            var msg = args.map(function(a) { return String(a); }).join(' ');",
+                "            __apiPushOutput('error', msg);",
+                "            __originalConsoleError.apply(null, args);",
+                "        } finally { __consoleGuard = false; }",
+                "    },",
+                "    warn: function() {",
+                "        if (__consoleGuard) return;",
+                "        __consoleGuard = true;",
+                "        try {",
+                "            var args = Array.prototype.slice.call(arguments);",
+                "            var msg = args.map(function(a) { return String(a); }).join(' ');",
+                "            __apiPushOutput('warn', msg);",
+                "            __originalConsoleLog.apply(null, args);",
+                "        } finally { __consoleGuard = false; }",
+                "    },",
+                "    // Console window calls made by registry scripts have no effect here",
+                "    clear: function() {},",
+                "    show: function() {},",
+                "    hide: function() {},",
+                "    setDefaultTextColor: function() {},",
+                "    setTextColor: function() {}",
+                "};",
+                "",
+                "// Provide __scriptsDir__ for loading libs (JArchi overrides __DIR__)",
+                "var __scriptsDir__ = globalThis.__apiScriptsDir;",
+                "",
+                "// Validated request parameters for stored scripts (POST /scripts/{name}); {} for /scripts/run",
+                "var params = globalThis.__apiScriptParams;",
+                "",
+                "// Provide __scriptResult for user scripts to set output",
+                "try {",
+                "    var __desc = Object.getOwnPropertyDescriptor(globalThis, '__scriptResult');",
+                "    if (!__desc || __desc.configurable) {",
+                "        Object.defineProperty(globalThis, '__scriptResult', {",
+                "            configurable: true,",
+                "            get: function() { return globalThis.__apiScriptResult; },",
+                "            set: function(_) {",
+                "                globalThis.__apiScriptOutput.push({ level: 'log', message: '__scriptResult reassignment ignored; mutate properties instead.' });",
+                "            }",
+                "        });",
+                "    }",
+                "} catch (e) {",
+                "    // Ignore defineProperty errors",
+                "}",
+                "var __scriptResult = globalThis.__apiScriptResult;",
+                "",
+                "// === API Helper Functions (Preamble) ===",
+                "// These helpers provide model access without requiring UI selection context",
+                "",
+                "/**",
+                " * Get the server's bound model. Matches by model ID stored on globalThis",
+                " * so multi-model sessions target the correct model.",
+                " * @returns {Object|null} The server's model, or null if not found.",
+                " */",
+                "function getModel() {",
+                "    var models = $.model.getLoadedModels();",
+                "    if (!models || models.size() === 0) return null;",
+                "    var targetId = globalThis.__apiServerModelId;",
+                "    if (targetId) {",
+                "        for (var i = 0; i < models.size(); i++) {",
+                "            if (models.get(i).getId() === targetId) return models.get(i);",
+                "        }",
+                "    }",
+                "    return models.get(0);",
+                "}",
+                "",
+                "/**",
+                " * Find elements in the model, with safe handling of no-argument case.",
+                " * @param {string} [type] - Element type selector (e.g., 'business-actor', 'application-component').",
+                " *                          If omitted, returns all elements.",
+                " * @returns {Array} Array of matching elements with id, name, type properties.",
+                " */",
+                "function findElements(type) {",
+                "    var model = getModel();",
+                "    if (!model) return [];",
+                "    var selector = type ? type : 'element';",
+                "    var results = [];",
+                "    var elements = model.find(selector);",
+                "    elements.each(function(e) {",
+                "        results.push({",
+                "            id: e.id,",
+                "            name: e.name || '',",
+                "            type: e.type,",
+                "            documentation: e.documentation || ''",
+                "        });",
+                "    });",
+                "    return results;",
+                "}",
+                "",
+                "/**",
+                " * Find views in the model, with safe handling of no-argument case.",
+                " * @param {string} [name] - Optional name pattern to filter views.",
+                " * @returns {Array} Array of matching views with id, name, type properties.",
+                " */",
+                "function findViews(name) {",
+                "    var model = getModel();",
+                "    if (!model) return [];",
+                "    var results = [];",
+                "    var views = model.find('view');",
+                "    views.each(function(v) {",
+                "        if (!name || v.name.indexOf(name) !== -1) {",
+                "            results.push({",
+                "                id: v.id,",
+                "                name: v.name || '',",
+                "                type: v.type",
+                "            });",
+                "        }",
+                "    });",
+                "    return results;",
+                "}",
+                "",
+                "/**",
+                " * Find relationships in the model.",
+                " * @param {string} [type] - Relationship type selector (e.g., 'serving-relationship').",
+                " *                          If omitted, returns all relationships.",
+                " * @returns {Array} Array of matching relationships.",
+                " */",
+                "function findRelationships(type) {",
+                "    var model = getModel();",
+                "    if (!model) return [];",
+                "    var selector = type ? type : 'relationship';",
+                "    var results = [];",
+                "    var rels = model.find(selector);",
+                "    rels.each(function(r) {",
+                "        results.push({",
+                "            id: r.id,",
+                "            name: r.name || '',",
+                "            type: r.type,",
+                "            sourceId: r.source ? r.source.id : null,",
+                "            targetId: r.target ? r.target.id : null",
+                "        });",
+                "    });",
+                "    return results;",
+                "}",
+                "",
+                "// Auto-bind $ to the server's model so $() selectors work",
+                "// without requiring UI selection context.",
+                "var __autoModel = (function() {",
+                "    try {",
+                "        var models = $.model.getLoadedModels();",
+                "        if (!models || models.size() === 0) return null;",
+                "        var targetId = globalThis.__apiServerModelId;",
+                "        if (targetId) {",
+                "            for (var i = 0; i < models.size(); i++) {",
+                "                if (models.get(i).getId() === targetId) return models.get(i);",
+                "            }",
+                "        }",
+                "        return models.get(0);",
+                "    } catch(e) { return null; }",
+                "})();",
+                "if (__autoModel) {",
+                "    var __original$ = $;",
+                "    var __$Guard = false;",
+                "    $ = function(selector) {",
+                "        if (__$Guard) {",
+                "            return __original$.apply(null, arguments);",
+                "        }",
+                "        __$Guard = true;",
+                "        try {",
+                "            if (arguments.length === 1) {",
+                "                return __original$(selector, __autoModel);",
+                "            }",
+                "            return __original$.apply(null, arguments);",
+                "        } finally { __$Guard = false; }",
+                "    };",
+                "    // Copy static properties (e.g. $.model)",
+                "    for (var __k in __original$) {",
+                "        if (__original$.hasOwnProperty(__k)) { $[__k] = __original$[__k]; }",
+                "    }",
+                "}",
+                "",
+                "// Read-only mode: $.fs, $.child_process and the writing $.model calls are",
+                "// refused; the host $ is not modified (it is restored after the run).",
+                "if (globalThis.__apiReadOnly) {",
+                "    var __readWrite$ = $;",
+                "    $ = function() { return __readWrite$.apply(null, arguments); };",
+                "    for (var __k in __readWrite$) {",
+                "        if (__readWrite$.hasOwnProperty(__k)) { $[__k] = __readWrite$[__k]; }",
+                "    }",
+                "    var __denyWrite = function(name) {",
+                "        return function() { globalThis.__apiDeny('ReadOnlyViolation', name + ' is not available in read-only mode'); };",
+                "    };",
+                "    var __hostModelApi = __readWrite$.model;",
+                "    $.model = {",
+                "        getLoadedModels: function() { return __hostModelApi.getLoadedModels(); },",
+                "        isAllowedRelationship: function() { return __hostModelApi.isAllowedRelationship.apply(__hostModelApi, arguments); },",
+                "        renderViewAsBase64: function() { return __hostModelApi.renderViewAsBase64.apply(__hostModelApi, arguments); },",
+                "        renderViewAsSVGString: function() { return __hostModelApi.renderViewAsSVGString.apply(__hostModelApi, arguments); },",
+                "        create: __denyWrite('$.model.create'),",
+                "        load: __denyWrite('$.model.load'),",
+                "        renderViewToFile: __denyWrite('$.model.renderViewToFile'),",
+                "        renderViewToPDF: __denyWrite('$.model.renderViewToPDF'),",
+                "        renderViewToSVG: __denyWrite('$.model.renderViewToSVG')",
+                "    };",
+                "    $.fs = { writeFile: __denyWrite('$.fs.writeFile') };",
+                "    $.child_process = { exec: __denyWrite('$.child_process.exec') };",
+                "}",
+                "",
+                "// Pre-bind 'model' for convenience — scripts can use model.find() directly",
+                "var model = getModel();",
+                "",
+                "// Execute user script — last expression value is captured by load()",
+                scriptCode,
+                ""
+            ].join("\n");
+            
+            // Write to temp file
+            Files.write(tempFile.toPath(), 
+                new JavaString(wrappedCode).getBytes(StandardCharsets.UTF_8));
+            
+            if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                loggingQueue.log("[" + request.requestId + "] Temp script: " + tempFile.getAbsolutePath());
+            }
+            
+            // NOTE: JArchi proxy property setters (element.name = "...") will fail with NPE
+            // because CommandHandler.compoundcommands is private and cannot be initialized.
+            // Use /model/apply with updateElement operation for property modifications.
+            
+            // Execute script using load()
+            // GraalVM's load() returns the completion value of the last expression,
+            // so we capture it to populate the result field.
+            // Save $ before load() — the preamble wraps it, and load() runs in
+            // global scope, so without restoring it each call compounds wrappers.
+            var __saved$ = typeof $ !== "undefined" ? $ : undefined;
+            var execError = null;
+            var loadResult;
+            try {
+                session.install();
+                loadResult = load(tempFile.getAbsolutePath());
+            } catch (e) {
+                execError = e;
+            } finally {
+                // Restore original $ to prevent cross-request side effects
+                if (__saved$ !== undefined) {
+                    try { $ = __saved$; } catch (_e) {}
+                }
+                session.restore();
+            }
+            var rollback = session.rollback();
+            var violations = session.violations();
+            
+            // Capture load() return value if script didn't explicitly set result
+            if (loadResult !== undefined && loadResult !== null) {
+                if (globalThis.__apiScriptResult && 
+                    (globalThis.__apiScriptResult.value === undefined || globalThis.__apiScriptResult.value === null)) {
+                    globalThis.__apiScriptResult.value = loadResult;
+                }
+            }
+            
+            // Collect results from globalThis
+            var output = globalThis.__apiScriptOutput || [];
+            var files = globalThis.__apiScriptResult ? (globalThis.__apiScriptResult.files || []) : [];
+            var resultValue = globalThis.__apiScriptResult ? globalThis.__apiScriptResult.value : null;
+
+            // Refresh model snapshot after script execution
+            if (typeof modelSnapshot !== "undefined" && modelSnapshot && serverState.modelRef) {
+                try {
+                    modelSnapshot.refreshSnapshot(serverState.modelRef);
+                } catch (e) {
+                    if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                        loggingQueue.warn("[" + request.requestId + "] Failed to refresh snapshot: " + e);
+                    }
+                }
+            }
+            
+            var durationMs = Date.now() - startTime;
+            
+            if (violations.count > 0 || rollback) {
+                var readOnlyViolation = rollback !== null || violations.items.some(function(v) {
+                    return v.code === "ReadOnlyViolation";
+                });
+                var violationMsg = violations.items.length > 0 ? violations.items[0].message : "Model changed in read-only mode";
+                if (rollback) {
+                    violationMsg += " (rolled back " + rollback.undoneCommands + " command(s) and " +
+                        rollback.revertedChanges + " direct change(s))";
+                }
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.warn("[" + request.requestId + "] Script refused: " + violationMsg);
+                }
+                appendSummary(output, false, durationMs);
+                response.statusCode = 403;
+                response.body = {
+                    success: false,
+                    error: {
+                        code: readOnlyViolation ? "ReadOnlyViolation" : "SandboxViolation",
+                        message: violationMsg
+                    },
+                    violations: violations.items,
+                    rollback: rollback,
+                    output: output,
+                    files: files,
+                    durationMs: durationMs
+                };
+            } else if (session.timedOut()) {
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.warn("[" + request.requestId + "] Script timed out after " + durationMs + "ms");
+                }
+                appendSummary(output, false, durationMs);
+                response.statusCode = 408;
+                response.body = {
+                    success: false,
+                    error: {
+                        code: "ScriptTimeout",
+                        message: "Script exceeded its " + timeoutMs + " ms timeout and was stopped; output up to that point is included"
+                    },
+                    output: output,
+                    files: files,
+                    durationMs: durationMs
+                };
+            } else if (execError) {
+                // Provide more helpful error message for common $() selector failure
+                var errorMsg = formatScriptError(execError);
+                if (errorMsg.indexOf("Could not get the currently selected model") !== -1) {
+                    var detailedError = errorMsg;
+                    errorMsg = "$() requires UI selection context which is not available via API. " +
+                        "Use the pre-bound helpers instead: 'model' (pre-bound to loaded model), " +
+                        "getModel(), findElements(type), findViews(name), findRelationships(type). " +
+                        "Example: model.find('element').each(function(e) { console.log(e.name); });";
+                    output.push({ level: "error", message: detailedError });
+                }
+                
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.error("[" + request.requestId + "] Script error: " + execError);
+                }
+                
+                appendSummary(output, false, durationMs);
+                response.body = {
+                    success: false,
+                    error: errorMsg,
+                    output: output,
+                    files: files,
+                    durationMs: durationMs
+                };
+            } else {
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.log("[" + request.requestId + "] Script completed in " + durationMs + "ms");
+                }
+                appendSummary(output, true, durationMs);
+                response.body = {
+                    success: true,
+                    output: output,
+                    files: files,
+                    result: resultValue,
+                    durationMs: durationMs
+                };
+            }
+            
+        } catch (e) {
+            var durationMs = Date.now() - startTime;
+            
+            if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                loggingQueue.error("[" + request.requestId + "] Script execution failed: " + e);
+            }
+            
+            response.statusCode = 500;
+            response.body = {
+                success: false,
+                error: {
+                    code: "ScriptExecutionError",
+                    message: formatScriptError(e)
+                },
+                durationMs: durationMs
+            };
+        } finally {
+            // Cleanup temp file
+            try {
+                if (tempFile.exists()) {
+                    tempFile.delete();
+                }
+            } catch (e) { /* ignore cleanup errors */ }
+
+            cleanupScriptRunGlobals();
+        }
+    }
+
     /**
      * Script execution endpoint handlers
      */
@@ -96,6 +671,15 @@
          * 
          * Request body:
          *   - code: string (required) - JavaScript code to execute
+         *   - timeoutMs: number (optional) - Run time budget (default serverConfig.scripts.timeoutMs)
+         *   - readOnly: boolean (optional) - Refuse model changes and file writes
+         *     (default serverConfig.scripts.readOnlyDefault)
+         * 
+         * Loops are instrumented with a deadline check, so a runaway loop ends
+         * with 408 ScriptTimeout and the output captured so far. In read-only mode
+         * model changes are rolled back and the run ends with 403 ReadOnlyViolation;
+         * a class outside serverConfig.scripts.javaTypeAllowlist gives 403
+         * SandboxViolation.
          * 
          * Response:
          *   - success: boolean - Whether execution completed without error
@@ -155,405 +739,136 @@
                 return;
             }
 
-            // Clean stale globals from any previous interrupted execution.
-            cleanupScriptRunGlobals();
+            var settings = getScriptSettings();
+            var options = parseRunOptions(request.body, {
+                timeoutMs: settings.timeoutMs,
+                readOnly: settings.readOnlyDefault
+            });
+            if (options.error) {
+                response.statusCode = 400;
+                response.body = {
+                    error: {
+                        code: "ValidationError",
+                        message: options.error
+                    }
+                };
+                return;
+            }
 
-            // Initialize global result containers BEFORE any output is captured
-            // These must be on globalThis to survive across load() boundary
-            globalThis.__apiScriptOutput = [];
-            globalThis.__apiScriptResult = { files: [], value: null };
-            globalThis.__apiScriptsDir = scriptsDir;
-
-            // Store the server's bound model ID so preamble helpers target the
-            // correct model, not just getLoadedModels().get(0).
-            globalThis.__apiServerModelId = serverState.modelRef ? serverState.modelRef.getId() : null;
-
-            // Save original console methods on globalThis BEFORE the wrapper file
-            // is loaded. Inside the wrapper, `var console = {...}` is hoisted,
-            // which would shadow the host `console` object.  By stashing the
-            // originals here (outside the `load()` boundary) we guarantee the
-            // references point at the real host methods and can never re-enter
-            // through the shadowed object.
-            globalThis.__origConsoleLog      = console.log;
-            globalThis.__origConsolePrint    = console.print;
-            globalThis.__origConsolePrintln  = console.println;
-            globalThis.__origConsoleError    = console.error;
-
-            var scriptCode = request.body.code;
-            if (/\b__DIR__\b/.test(scriptCode)) {
-                scriptCode = scriptCode.replace(/\b__DIR__\b/g, "__scriptsDir__");
-                globalThis.__apiScriptOutput.push({
-                    level: "log",
-                    message: "__DIR__ replaced with __scriptsDir__ for API execution."
+            runScript(request, response, serverState, scriptsDir, {
+                code: request.body.code,
+                timeoutMs: options.timeoutMs,
+                readOnly: options.readOnly,
+                params: {},
+                name: null
+            }, startTime);
+        },
+
+        /**
+         * Handle GET /scripts - List stored scripts callable via POST /scripts/{name}
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state object (unused)
+         * @param {string} scriptsDir - Path to scripts directory (__DIR__ from main script)
+         */
+        handleListScripts: function(request, response, serverState, scriptsDir) {
+            var listed = scriptLibrary.listScripts(scriptsDir);
+            if (listed.errors.length > 0 && typeof loggingQueue !== "undefined" && loggingQueue) {
+                listed.errors.forEach(function(err) {
+                    loggingQueue.warn("[" + request.requestId + "] Stored script skipped: " + err);
                 });
             }
-            
-            if (typeof loggingQueue !== "undefined" && loggingQueue) {
-                loggingQueue.log("[" + request.requestId + "] Script run: " + scriptCode.length + " chars");
+            response.body = {
+                scripts: listed.scripts.map(function(script) {
+                    return {
+                        name: script.name,
+                        title: script.title,
+                        description: script.description,
+                        source: script.source,
+                        path: script.path,
+                        readOnly: script.readOnly,
+                        timeoutMs: script.timeoutMs,
+                        params: script.params
+                    };
+                }),
+                total: listed.scripts.length,
+                errors: listed.errors
+            };
+        },
+
+        /**
+         * Handle POST /scripts/{name} - Run a stored script
+         *
+         * Request body (optional):
+         *   - params: object - Checked against the script's declared params schema
+         *   - timeoutMs: number - Run time budget (default: manifest, then serverConfig)
+         *   - readOnly: boolean - Run read-only (a read-only manifest cannot be overridden)
+         *
+         * The response is the same as for POST /scripts/run, plus `script`.
+         *
+         * @param {Object} request - HTTP request object
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state object
+         * @param {string} scriptsDir - Path to scripts directory (__DIR__ from main script)
+         * @param {string} name - Script name from the path
+         */
+        handleNamedScriptRun: function(request, response, serverState, scriptsDir, name) {
+            var startTime = Date.now();
+            var body = request.body || {};
+            if (typeof body !== "object" || Array.isArray(body)) {
+                response.statusCode = 400;
+                response.body = { error: { code: "ValidationError", message: "Request body must be a JSON object" } };
+                return;
             }
 
-            // Create temp file for script
-            var tempDir = new File(System.getProperty("java.io.tmpdir"));
-            var scriptId = UUID.randomUUID().toString().substring(0, 8);
-            var tempFile = new File(tempDir, "jarchi_script_" + scriptId + ".ajs");
-            
-            if (/__scriptResult\s*=/.test(scriptCode)) {
-                globalThis.__apiScriptOutput.push({
-                    level: "log",
-                    message: "__scriptResult reassignment detected; mutate properties instead."
-                });
+            var script = scriptLibrary.findScript(scriptsDir, name);
+            if (!script) {
+                response.statusCode = 404;
+                response.body = { error: { code: "NotFound", message: "Unknown script '" + name + "'. GET /scripts lists the available scripts." } };
+                return;
             }
-            
-            try {
-                // Wrap script code to capture output and results
-                // Use globalThis for all shared state to survive load() boundary
-                var wrappedCode = [
-                    "// Auto-generated wrapper for API script execution",
-                    "// Original console methods were saved to globalThis BEFORE this",
-                    "// file was loaded — see scriptEndpoints.js.  We reference them",
-                    "// via globalThis so the var-hoisted `console` shadow below can",
-                    "// never cause infinite recursion.",
-                    "var __originalConsoleLog     = globalThis.__origConsoleLog;",
-                    "var __originalConsolePrint   = globalThis.__origConsolePrint;",
-                    "var __originalConsolePrintln = globalThis.__origConsolePrintln;",
-                    "var __originalConsoleError   = globalThis.__origConsoleError;",
-                    "",
-                    "// Re-entrancy guard: in GraalVM, load() runs in the global scope so",
-                    "// 'var console = {...}' replaces the global console.  If the host's",
-                    "// original console.log internally calls console.log, it hits our",
-                    "// wrapper again causing infinite recursion.  The guard prevents this.",
-                    "var __consoleGuard = false;",
-                    "",
-                    "// Shadow the entire console binding with a plain JS object.",
-                    "// GraalVM's host-backed console object silently ignores property",
-                    "// assignment, so patching individual methods (console.log = fn) fails.",
-                    "// A var declaration in the wrapper scope shadows the host binding.",
-                    "var console = {",
-                    "    log: function() {",
-                    "        if (__consoleGuard) return;",
-                    "        __consoleGuard = true;",
-                    "        try {",
-                    "            var args = Array.prototype.slice.call(arguments);",
-                    "            var msg = args.map(function(a) { return String(a); }).join(' ');",
-                    "            globalThis.__apiScriptOutput.push({ level: 'log', message: msg });",
-                    "            __originalConsoleLog.apply(null, args);",
-                    "        } finally { __consoleGuard = false; }",
-                    "    },",
-                    "    print: function() {",
-                    "        if (__consoleGuard) return;",
-                    "        __consoleGuard = true;",
-                    "        try {",
-                    "            var args = Array.prototype.slice.call(arguments);",
-                    "            var msg = args.map(function(a) { return String(a); }).join('');",
-                    "            globalThis.__apiScriptOutput.push({ level: 'print', message: msg });",
-                    "            __originalConsolePrint.apply(null, args);",
-                    "        } finally { __consoleGuard = false; }",
-                    "    },",
-                    "    println: function() {",
-                    "        if (__consoleGuard) return;",
-                    "        __consoleGuard = true;",
-                    "        try {",
-                    "            var args = Array.prototype.slice.call(arguments);",
-                    "            var msg = args.map(function(a) { return String(a); }).join('');",
-                    "            globalThis.__apiScriptOutput.push({ level: 'println', message: msg });",
-                    "            __originalConsolePrintln.apply(null, args);",
-                    "        } finally { __consoleGuard = false; }",
-                    "    },",
-                    "    error: function() {",
-                    "        if (__consoleGuard) return;",
-                    "        __consoleGuard = true;",
-                    "        try {",
-                    "            var args = Array.prototype.slice.call(arguments);",
-                    "            var msg = args.map(function(a) { return String(a); }).join(' ');",
-                    "            globalThis.__apiScriptOutput.push({ level: 'error', message: msg });",
-                    "            __originalConsoleError.apply(null, args);",
-                    "        } finally { __consoleGuard = false; }",
-                    "    },",
-                    "    warn: function() {",
-                    "        if (__consoleGuard) return;",
-                    "        __consoleGuard = true;",
-                    "        try {",
-                    "            var args = Array.prototype.slice.call(arguments);",
-                    "            var msg = args.map(function(a) { return String(a); }).join(' ');",
-                    "            globalThis.__apiScriptOutput.push({ level: 'warn', message: msg });",
-                    "            __originalConsoleLog.apply(null, args);",
-                    "        } finally { __consoleGuard = false; }",
-                    "    }",
-                    "};",
-                    "",
-                    "// Provide __scriptsDir__ for loading libs (JArchi overrides __DIR__)",
-                    "var __scriptsDir__ = globalThis.__apiScriptsDir;",
-                    "",
-                    "// Provide __scriptResult for user scripts to set output",
-                    "try {",
-                    "    var __desc = Object.getOwnPropertyDescriptor(globalThis, '__scriptResult');",
-                    "    if (!__desc || __desc.configurable) {",
-                    "        Object.defineProperty(globalThis, '__scriptResult', {",
-                    "            configurable: true,",
-                    "            get: function() { return globalThis.__apiScriptResult; },",
-                    "            set: function(_) {",
-                    "                globalThis.__apiScriptOutput.push({ level: 'log', message: '__scriptResult reassignment ignored; mutate properties instead.' });",
-                    "            }",
-                    "        });",
-                    "    }",
-                    "} catch (e) {",
-                    "    // Ignore defineProperty errors",
-                    "}",
-                    "var __scriptResult = globalThis.__apiScriptResult;",
-                    "",
-                    "// === API Helper Functions (Preamble) ===",
-                    "// These helpers provide model access without requiring UI selection context",
-                    "",
-                    "/**",
-                    " * Get the server's bound model. Matches by model ID stored on globalThis",
-                    " * so multi-model sessions target the correct model.",
-                    " * @returns {Object|null} The server's model, or null if not found.",
-                    " */",
-                    "function getModel() {",
-                    "    var models = $.model.getLoadedModels();",
-                    "    if (!models || models.size() === 0) return null;",
-                    "    var targetId = globalThis.__apiServerModelId;",
-                    "    if (targetId) {",
-                    "        for (var i = 0; i < models.size(); i++) {",
-                    "            if (models.get(i).getId() === targetId) return models.get(i);",
-                    "        }",
-                    "    }",
-                    "    return models.get(0);",
-                    "}",
-                    "",
-                    "/**",
-                    " * Find elements in the model, with safe handling of no-argument case.",
-                    " * @param {string} [type] - Element type selector (e.g., 'business-actor', 'application-component').",
-                    " *                          If omitted, returns all elements.",
-                    " * @returns {Array} Array of matching elements with id, name, type properties.",
-                    " */",
-                    "function findElements(type) {",
-                    "    var model = getModel();",
-                    "    if (!model) return [];",
-                    "    var selector = type ? type : 'element';",
-                    "    var results = [];",
-                    "    var elements = model.find(selector);",
-                    "    elements.each(function(e) {",
-                    "        results.push({",
-                    "            id: e.id,",
-                    "            name: e.name || '',",
-                    "            type: e.type,",
-                    "            documentation: e.documentation || ''",
-                    "        });",
-                    "    });",
-                    "    return results;",
-                    "}",
-                    "",
-                    "/**",
-                    " * Find views in the model, with safe handling of no-argument case.",
-                    " * @param {string} [name] - Optional name pattern to filter views.",
-                    " * @returns {Array} Array of matching views with id, name, type properties.",
-                    " */",
-                    "function findViews(name) {",
-                    "    var model = getModel();",
-                    "    if (!model) return [];",
-                    "    var results = [];",
-                    "    var views = model.find('view');",
-                    "    views.each(function(v) {",
-                    "        if (!name || v.name.indexOf(name) !== -1) {",
-                    "            results.push({",
-                    "                id: v.id,",
-                    "                name: v.name || '',",
-                    "                type: v.type",
-                    "            });",
-                    "        }",
-                    "    });",
-                    "    return results;",
-                    "}",
-                    "",
-                    "/**",
-                    " * Find relationships in the model.",
-                    " * @param {string} [type] - Relationship type selector (e.g., 'serving-relationship').",
-                    " *                          If omitted, returns all relationships.",
-                    " * @returns {Array} Array of matching relationships.",
-                    " */",
-                    "function findRelationships(type) {",
-                    "    var model = getModel();",
-                    "    if (!model) return [];",
-                    "    var selector = type ? type : 'relationship';",
-                    "    var results = [];",
-                    "    var rels = model.find(selector);",
-                    "    rels.each(function(r) {",
-                    "        results.push({",
-                    "            id: r.id,",
-                    "            name: r.name || '',",
-                    "            type: r.type,",
-                    "            sourceId: r.source ? r.source.id : null,",
-                    "            targetId: r.target ? r.target.id : null",
-                    "        });",
-                    "    });",
-                    "    return results;",
-                    "}",
-                    "",
-                    "// Auto-bind $ to the server's model so $() selectors work",
-                    "// without requiring UI selection context.",
-                    "var __autoModel = (function() {",
-                    "    try {",
-                    "        var models = $.model.getLoadedModels();",
-                    "        if (!models || models.size() === 0) return null;",
-                    "        var targetId = globalThis.__apiServerModelId;",
-                    "        if (targetId) {",
-                    "            for (var i = 0; i < models.size(); i++) {",
-                    "                if (models.get(i).getId() === targetId) return models.get(i);",
-                    "            }",
-                    "        }",
-                    "        return models.get(0);",
-                    "    } catch(e) { return null; }",
-                    "})();",
-                    "if (__autoModel) {",
-                    "    var __original$ = $;",
-                    "    var __$Guard = false;",
-                    "    $ = function(selector) {",
-                    "        if (__$Guard) {",
-                    "            return __original$.apply(null, arguments);",
-                    "        }",
-                    "        __$Guard = true;",
-                    "        try {",
-                    "            if (arguments.length === 1) {",
-                    "                return __original$(selector, __autoModel);",
-                    "            }",
-                    "            return __original$.apply(null, arguments);",
-                    "        } finally { __$Guard = false; }",
-                    "    };",
-                    "    // Copy static properties (e.g. $.model)",
-                    "    for (var __k in __original$) {",
-                    "        if (__original$.hasOwnProperty(__k)) { $[__k] = __original$[__k]; }",
-                    "    }",
-                    "}",
-                    "",
-                    "// Pre-bind 'model' for convenience — scripts can use model.find() directly",
-                    "var model = getModel();",
-                    "",
-                    "// Execute user script — last expression value is captured by load()",
-                    scriptCode,
-                    ""
-                ].join("\n");
-                
-                // Write to temp file
-                Files.write(tempFile.toPath(), 
-                    new JavaString(wrappedCode).getBytes(StandardCharsets.UTF_8));
-                
-                if (typeof loggingQueue !== "undefined" && loggingQueue) {
-                    loggingQueue.log("[" + request.requestId + "] Temp script: " + tempFile.getAbsolutePath());
-                }
-                
-                // NOTE: JArchi proxy property setters (element.name = "...") will fail with NPE
-                // because CommandHandler.compoundcommands is private and cannot be initialized.
-                // Use /model/apply with updateElement operation for property modifications.
-                
-                // Execute script using load()
-                // GraalVM's load() returns the completion value of the last expression,
-                // so we capture it to populate the result field.
-                // Save $ before load() — the preamble wraps it, and load() runs in
-                // global scope, so without restoring it each call compounds wrappers.
-                var __saved$ = typeof $ !== "undefined" ? $ : undefined;
-                var execError = null;
-                var loadResult;
-                try {
-                    loadResult = load(tempFile.getAbsolutePath());
-                } catch (e) {
-                    execError = e;
-                } finally {
-                    // Restore original $ to prevent cross-request side effects
-                    if (__saved$ !== undefined) {
-                        try { $ = __saved$; } catch (_e) {}
-                    }
-                }
-                
-                // Capture load() return value if script didn't explicitly set result
-                if (loadResult !== undefined && loadResult !== null) {
-                    if (globalThis.__apiScriptResult && 
-                        (globalThis.__apiScriptResult.value === undefined || globalThis.__apiScriptResult.value === null)) {
-                        globalThis.__apiScriptResult.value = loadResult;
-                    }
-                }
-                
-                // Collect results from globalThis
-                var output = globalThis.__apiScriptOutput || [];
-                var files = globalThis.__apiScriptResult ? (globalThis.__apiScriptResult.files || []) : [];
-                var resultValue = globalThis.__apiScriptResult ? globalThis.__apiScriptResult.value : null;
-
-                // Refresh model snapshot after script execution
-                if (typeof modelSnapshot !== "undefined" && modelSnapshot && serverState.modelRef) {
-                    try {
-                        modelSnapshot.refreshSnapshot(serverState.modelRef);
-                    } catch (e) {
-                        if (typeof loggingQueue !== "undefined" && loggingQueue) {
-                            loggingQueue.warn("[" + request.requestId + "] Failed to refresh snapshot: " + e);
-                        }
-                    }
-                }
-                
-                var durationMs = Date.now() - startTime;
-                
-                if (execError) {
-                    // Provide more helpful error message for common $() selector failure
-                    var errorMsg = formatScriptError(execError);
-                    if (errorMsg.indexOf("Could not get the currently selected model") !== -1) {
-                        var detailedError = errorMsg;
-                        errorMsg = "$() requires UI selection context which is not available via API. " +
-                            "Use the pre-bound helpers instead: 'model' (pre-bound to loaded model), " +
-                            "getModel(), findElements(type), findViews(name), findRelationships(type). " +
-                            "Example: model.find('element').each(function(e) { console.log(e.name); });";
-                        output.push({ level: "error", message: detailedError });
-                    }
-                    
-                    if (typeof loggingQueue !== "undefined" && loggingQueue) {
-                        loggingQueue.error("[" + request.requestId + "] Script error: " + execError);
-                    }
-                    
-                    appendSummary(output, false, durationMs);
-                    response.body = {
-                        success: false,
-                        error: errorMsg,
-                        output: output,
-                        files: files,
-                        durationMs: durationMs
-                    };
-                } else {
-                    if (typeof loggingQueue !== "undefined" && loggingQueue) {
-                        loggingQueue.log("[" + request.requestId + "] Script completed in " + durationMs + "ms");
-                    }
-                    appendSummary(output, true, durationMs);
-                    response.body = {
-                        success: true,
-                        output: output,
-                        files: files,
-                        result: resultValue,
-                        durationMs: durationMs
-                    };
-                }
-                
-            } catch (e) {
-                var durationMs = Date.now() - startTime;
-                
-                if (typeof loggingQueue !== "undefined" && loggingQueue) {
-                    loggingQueue.error("[" + request.requestId + "] Script execution failed: " + e);
-                }
-                
-                response.statusCode = 500;
+
+            var settings = getScriptSettings();
+            var options = parseRunOptions(body, {
+                timeoutMs: script.timeoutMs || settings.timeoutMs,
+                readOnly: script.readOnly || settings.readOnlyDefault
+            });
+            if (options.error) {
+                response.statusCode = 400;
+                response.body = { error: { code: "ValidationError", message: options.error } };
+                return;
+            }
+
+            var checked = scriptLibrary.validateParams(script.params, body.params);
+            if (checked.errors.length > 0) {
+                response.statusCode = 400;
                 response.body = {
-                    success: false,
                     error: {
-                        code: "ScriptExecutionError",
-                        message: formatScriptError(e)
-                    },
-                    durationMs: durationMs
-                };
-            } finally {
-                // Cleanup temp file
-                try {
-                    if (tempFile.exists()) {
-                        tempFile.delete();
+                        code: "ValidationError",
+                        message: "Invalid params for script '" + name + "': " + checked.errors.join("; ")
                     }
-                } catch (e) { /* ignore cleanup errors */ }
+                };
+                return;
+            }
+
+            var code;
+            try {
+                code = scriptLibrary.readSource(script);
+            } catch (e) {
+                response.statusCode = 500;
+                response.body = { error: { code: "ScriptExecutionError", message: "Failed to read " + script.path + ": " + e } };
+                return;
+            }
 
-                cleanupScriptRunGlobals();
+            runScript(request, response, serverState, scriptsDir, {
+                code: code,
+                timeoutMs: options.timeoutMs,
+                readOnly: options.readOnly || script.readOnly,
+                params: checked.params,
+                name: name
+            }, startTime);
+            if (response.body && typeof response.body === "object") {
+                response.body.script = name;
             }
         }
     };
@@ -1,19 +1,24 @@
 /**
  * viewEndpoints.js - View management and export endpoints
  *
- * Handles view listing, details, creation, and export operations (PNG, JPEG).
- * All export operations return absolute file paths for local filesystem access.
+ * Handles view listing, details, creation, and export operations (PNG, JPEG,
+ * SVG, PDF). All export operations return absolute file paths for local
+ * filesystem access.
  *
  * Endpoints:
  *   GET  /views              - List all views with metadata
  *   GET  /views/:id          - Get single view details including elements
+ *   POST /views/batch-get    - Diagram objects of several views (bounds, style, children, bendpoints)
+ *   GET  /views/:id/diff     - Added, removed and moved objects against another view
  *   POST /views              - Create new view (async via operationQueue)
- *   POST /views/:id/export   - Export view to file (PNG, JPEG)
+ *   POST /views/:id/export   - Export view to file (PNG, JPEG, SVG, PDF)
+ *   POST /views/export-all   - Export views to a zip with a manifest.json
  *
  * @module server/endpoints/viewEndpoints
  * @requires server/loggingQueue
  * @requires server/modelSnapshot
  * @requires server/operationQueue
+ * @requires server/modelRegistry (SVG/PDF export)
  */
 
 (function() {
@@ -144,6 +149,7 @@
     var IDiagramModelConnection = Java.type("com.archimatetool.model.IDiagramModelConnection");
     var IDiagramModelArchimateObject = Java.type("com.archimatetool.model.IDiagramModelArchimateObject");
     var IDiagramModelArchimateConnection = Java.type("com.archimatetool.model.IDiagramModelArchimateConnection");
+    var IFolder = Java.type("com.archimatetool.model.IFolder");
 
     /**
      * Resolve viewpoint ID from a view, handling GraalVM module-access restrictions.
@@ -422,6 +428,592 @@
         return { elements: elements, connections: connections };
     }
 
+    // Parts of a diagram object POST /views/batch-get can include
+    var VIEW_INCLUDE_OPTIONS = ["bounds", "style", "children", "bendpoints"];
+    var DEFAULT_VIEW_INCLUDE = ["bounds"];
+
+    // Style getters read when "style" is included (only those the object implements)
+    var OBJECT_STYLE_GETTERS = {
+        fillColor: "getFillColor", alpha: "getAlpha", lineColor: "getLineColor", lineAlpha: "getLineAlpha",
+        lineWidth: "getLineWidth", font: "getFont", fontColor: "getFontColor",
+        textAlignment: "getTextAlignment", textPosition: "getTextPosition", gradient: "getGradient"
+    };
+    var CONNECTION_STYLE_GETTERS = {
+        lineColor: "getLineColor", lineWidth: "getLineWidth", font: "getFont",
+        fontColor: "getFontColor", textPosition: "getTextPosition"
+    };
+
+    /**
+     * EMF class name as a kebab-case type ("DiagramModelNote" -> "diagram-model-note")
+     */
+    function kebabTypeName(eObject) {
+        return String(eObject.eClass().getName()).replace(/([A-Z])/g, function(m, p, o) {
+            return (o > 0 ? '-' : '') + p.toLowerCase();
+        });
+    }
+
+    function readStyle(eObject, getters) {
+        var style = {};
+        Object.keys(getters).forEach(function(key) {
+            if (typeof eObject[getters[key]] !== "function") return;
+            var value = eObject[getters[key]]();
+            if (value !== null && value !== undefined && value !== "") {
+                style[key] = typeof value === "number" ? value : String(value);
+            }
+        });
+        return style;
+    }
+
+    /**
+     * Parse the `include` selector (array or comma-separated string)
+     * @returns {Object} { include: { bounds, style, children, bendpoints } } or { error }
+     */
+    function parseViewInclude(value) {
+        var names = value === undefined || value === null ? DEFAULT_VIEW_INCLUDE :
+            (Array.isArray(value) ? value : String(value).split(","));
+        var include = {};
+        for (var i = 0; i < names.length; i++) {
+            var name = String(names[i]).trim();
+            if (!name) continue;
+            if (VIEW_INCLUDE_OPTIONS.indexOf(name) === -1) {
+                return { error: "Unknown include option: " + name + ". Valid options: " + VIEW_INCLUDE_OPTIONS.join(", ") };
+            }
+            include[name] = true;
+        }
+        return { include: include };
+    }
+
+    /**
+     * Collect a view's diagram objects and connections with the requested detail.
+     * Objects are returned as a tree (nested objects under `children`) when
+     * include.children is set, otherwise only top-level objects are listed.
+     * Connections are always listed for the whole view.
+     * @param {Object} view - EMF diagram model
+     * @param {Object} include - From parseViewInclude
+     * @returns {Object} { objects, connections }
+     */
+    function collectViewObjects(view, include) {
+        var connections = [];
+
+        function describeConnection(conn) {
+            var data = {
+                id: String(conn.getId()),
+                type: kebabTypeName(conn),
+                name: conn.getName() || "",
+                sourceId: conn.getSource() ? String(conn.getSource().getId()) : null,
+                targetId: conn.getTarget() ? String(conn.getTarget().getId()) : null
+            };
+            if (conn instanceof IDiagramModelArchimateConnection && conn.getArchimateRelationship()) {
+                data.conceptId = String(conn.getArchimateRelationship().getId());
+                data.conceptType = kebabTypeName(conn.getArchimateRelationship());
+            }
+            if (include.style) {
+                data.style = readStyle(conn, CONNECTION_STYLE_GETTERS);
+            }
+            if (include.bendpoints) {
+                data.bendpoints = [];
+                var points = conn.getBendpoints();
+                for (var b = 0; b < points.size(); b++) {
+                    var point = points.get(b);
+                    data.bendpoints.push({
+                        startX: point.getStartX(), startY: point.getStartY(),
+                        endX: point.getEndX(), endY: point.getEndY()
+                    });
+                }
+            }
+            return data;
+        }
+
+        function describeChildren(container, parentId) {
+            var result = [];
+            var children = container.getChildren();
+            for (var i = 0; i < children.size(); i++) {
+                var child = children.get(i);
+                if (!(child instanceof IDiagramModelObject)) continue;
+
+                var sourceConns = child.getSourceConnections();
+                for (var c = 0; c < sourceConns.size(); c++) {
+                    connections.push(describeConnection(sourceConns.get(c)));
+                }
+
+                var data = {
+                    id: String(child.getId()),
+                    type: child instanceof IDiagramModelArchimateObject ? "diagram-model-archimate-object" : kebabTypeName(child),
+                    name: child.getName() || "",
+                    parentId: parentId
+                };
+                if (child instanceof IDiagramModelArchimateObject && child.getArchimateElement()) {
+                    data.conceptId = String(child.getArchimateElement().getId());
+                    data.conceptType = kebabTypeName(child.getArchimateElement());
+                }
+                if (include.bounds) {
+                    var bounds = child.getBounds();
+                    data.bounds = {
+                        x: bounds ? bounds.getX() : 0,
+                        y: bounds ? bounds.getY() : 0,
+                        width: bounds ? bounds.getWidth() : 0,
+                        height: bounds ? bounds.getHeight() : 0
+                    };
+                }
+                if (include.style) {
+                    data.style = readStyle(child, OBJECT_STYLE_GETTERS);
+                }
+                result.push(data);
+
+                // Always walk nested objects so their connections are listed
+                var nested = typeof child.getChildren === "function" ? describeChildren(child, data.id) : [];
+                if (include.children) {
+                    data.children = nested;
+                }
+            }
+            return result;
+        }
+
+        var objects = describeChildren(view, null);
+        return { objects: objects, connections: connections };
+    }
+
+    /**
+     * Flatten an object tree from collectViewObjects (depth-first, document order)
+     */
+    function flattenViewObjects(objects, result) {
+        result = result || [];
+        objects.forEach(function(obj) {
+            result.push(obj);
+            if (obj.children) flattenViewObjects(obj.children, result);
+        });
+        return result;
+    }
+
+    /**
+     * Pair up items of two views: first by ID (the same view at two points),
+     * then by a match key, so a view and its duplicate (new diagram object IDs)
+     * still line up. Items sharing a key are paired in document order.
+     * @param {Array<Object>} baseItems - Items of the `against` view
+     * @param {Array<Object>} targetItems - Items of the compared view
+     * @param {Function} baseKey - base item -> match key (null: match by ID only)
+     * @param {Function} [targetKey] - target item -> match key (default: baseKey)
+     * @returns {Object} { pairs: Array<[base, target]>, removed, added }
+     */
+    function pairViewItems(baseItems, targetItems, baseKey, targetKey) {
+        targetKey = targetKey || baseKey;
+        var pairs = [];
+        var baseById = {};
+        var matchedBase = {};
+        var unmatchedTargets = [];
+
+        baseItems.forEach(function(item) { baseById[item.id] = item; });
+        targetItems.forEach(function(item) {
+            if (baseById[item.id]) {
+                pairs.push([baseById[item.id], item]);
+                matchedBase[item.id] = true;
+            } else {
+                unmatchedTargets.push(item);
+            }
+        });
+
+        var baseByKey = {};
+        baseItems.forEach(function(item) {
+            if (matchedBase[item.id]) return;
+            var key = baseKey(item);
+            if (key === null) return;
+            (baseByKey[key] = baseByKey[key] || []).push(item);
+        });
+
+        var added = [];
+        unmatchedTargets.forEach(function(item) {
+            var key = targetKey(item);
+            var candidates = key !== null ? baseByKey[key] : null;
+            if (candidates && candidates.length > 0) {
+                var base = candidates.shift();
+                pairs.push([base, item]);
+                matchedBase[base.id] = true;
+            } else {
+                added.push(item);
+            }
+        });
+
+        var removed = baseItems.filter(function(item) { return !matchedBase[item.id]; });
+        return { pairs: pairs, removed: removed, added: added };
+    }
+
+    function boundsOf(obj) {
+        return { x: obj.bounds.x, y: obj.bounds.y, width: obj.bounds.width, height: obj.bounds.height, parentId: obj.parentId };
+    }
+
+    function diffEntry(kind, item) {
+        var entry = { kind: kind, id: item.id, type: item.type, name: item.name };
+        if (item.conceptId) {
+            entry.conceptId = item.conceptId;
+            entry.conceptType = item.conceptType;
+        }
+        if (kind === "object") {
+            entry.parentId = item.parentId;
+            entry.bounds = item.bounds;
+        } else {
+            entry.sourceId = item.sourceId;
+            entry.targetId = item.targetId;
+        }
+        return entry;
+    }
+
+    /**
+     * Compare two views' diagram objects and connections
+     * @param {Object} baseView - EMF view to compare against
+     * @param {Object} targetView - EMF view being compared
+     * @returns {Object} { summary, added, removed, moved } - added/removed relative to baseView
+     */
+    function diffViews(baseView, targetView) {
+        var include = { bounds: true, children: true, bendpoints: true };
+        var base = collectViewObjects(baseView, include);
+        var target = collectViewObjects(targetView, include);
+        var baseObjects = flattenViewObjects(base.objects);
+        var targetObjects = flattenViewObjects(target.objects);
+
+        // Objects: the ArchiMate concept, or type and name for notes, groups and the like
+        function objectKey(obj) {
+            return obj.conceptId ? "concept:" + obj.conceptId : obj.type + ":" + obj.name;
+        }
+        var objectPairs = pairViewItems(baseObjects, targetObjects, objectKey);
+
+        // Target object ID -> matching base object ID, to compare parents and connection ends
+        var baseIdFor = {};
+        objectPairs.pairs.forEach(function(pair) { baseIdFor[pair[1].id] = pair[0].id; });
+
+        // Connections: the relationship, or type and (matched) ends
+        function connectionKey(side) {
+            return function(conn) {
+                if (conn.conceptId) return "concept:" + conn.conceptId;
+                var sourceId = side === "target" ? baseIdFor[conn.sourceId] : conn.sourceId;
+                var targetId = side === "target" ? baseIdFor[conn.targetId] : conn.targetId;
+                if (!sourceId || !targetId) return null;
+                return conn.type + ":" + sourceId + "->" + targetId + ":" + conn.name;
+            };
+        }
+        var connectionPairs = pairViewItems(base.connections, target.connections,
+            connectionKey("base"), connectionKey("target"));
+
+        var moved = [];
+        var unchanged = 0;
+
+        objectPairs.pairs.forEach(function(pair) {
+            var from = pair[0], to = pair[1];
+            var changes = [];
+            if (from.bounds.x !== to.bounds.x || from.bounds.y !== to.bounds.y) changes.push("position");
+            if (from.bounds.width !== to.bounds.width || from.bounds.height !== to.bounds.height) changes.push("size");
+            var parentMatches = to.parentId === null ? from.parentId === null : baseIdFor[to.parentId] === from.parentId;
+            if (!parentMatches) changes.push("parent");
+            if (changes.length === 0) {
+                unchanged++;
+                return;
+            }
+            var entry = diffEntry("object", to);
+            delete entry.bounds;
+            delete entry.parentId;
+            entry.againstId = from.id;
+            entry.changes = changes;
+            entry.from = boundsOf(from);
+            entry.to = boundsOf(to);
+            moved.push(entry);
+        });
+
+        connectionPairs.pairs.forEach(function(pair) {
+            var from = pair[0], to = pair[1];
+            if (JSON.stringify(from.bendpoints) === JSON.stringify(to.bendpoints)) {
+                unchanged++;
+                return;
+            }
+            var entry = diffEntry("connection", to);
+            entry.againstId = from.id;
+            entry.changes = ["bendpoints"];
+            entry.from = { bendpoints: from.bendpoints };
+            entry.to = { bendpoints: to.bendpoints };
+            moved.push(entry);
+        });
+
+        var added = objectPairs.added.map(function(obj) { return diffEntry("object", obj); })
+            .concat(connectionPairs.added.map(function(conn) { return diffEntry("connection", conn); }));
+        var removed = objectPairs.removed.map(function(obj) { return diffEntry("object", obj); })
+            .concat(connectionPairs.removed.map(function(conn) { return diffEntry("connection", conn); }));
+
+        return {
+            summary: { added: added.length, removed: removed.length, moved: moved.length, unchanged: unchanged },
+            added: added,
+            removed: removed,
+            moved: moved
+        };
+    }
+
+    var EXPORT_FORMATS = ["PNG", "JPG", "JPEG", "SVG", "PDF"];
+    var EXPORT_EXTENSIONS = { PNG: "png", JPG: "jpg", JPEG: "jpg", SVG: "svg", PDF: "pdf" };
+
+    /**
+     * Validate the export options shared by single-view and bulk export
+     * @param {Object} body - Request body with format, scale, margin, transparent
+     * @returns {Object} { format, extension, scale, margin, transparent } or { error }
+     */
+    function parseExportOptions(body) {
+        var format = String(body.format || "png").toUpperCase();
+        if (EXPORT_FORMATS.indexOf(format) === -1) {
+            return { error: "Invalid format: " + format + ". Valid formats: " + EXPORT_FORMATS.join(", ") };
+        }
+        if (body.scale !== undefined) {
+            if (typeof body.scale !== "number" || !isFinite(body.scale) || body.scale < 0.5 || body.scale > 4.0) {
+                return { error: "Invalid scale: must be a number between 0.5 and 4.0" };
+            }
+        }
+        if (body.margin !== undefined) {
+            if (typeof body.margin !== "number" || !isFinite(body.margin) || body.margin < 0 || Math.floor(body.margin) !== body.margin) {
+                return { error: "Invalid margin: must be a non-negative integer" };
+            }
+        }
+        if (body.transparent !== undefined && typeof body.transparent !== "boolean") {
+            return { error: "Invalid transparent: must be a boolean" };
+        }
+        var transparent = body.transparent === true;
+        if (transparent && format !== "PNG" && format !== "SVG") {
+            return { error: "transparent is only supported for PNG and SVG, not " + format };
+        }
+        if (format === "PDF" && (body.scale !== undefined || body.margin !== undefined)) {
+            return { error: "scale and margin are not supported for PDF; Archi sizes the page to the diagram" };
+        }
+        return {
+            format: format,
+            extension: EXPORT_EXTENSIONS[format],
+            scale: body.scale !== undefined ? body.scale : 1.0,
+            // Archi's SVG export already pads the diagram, so SVG margin is extra space on top
+            margin: body.margin !== undefined ? body.margin : (format === "SVG" ? 0 : 10),
+            transparent: transparent
+        };
+    }
+
+    function formatSvgNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    function setSvgAttribute(tag, name, value) {
+        var pattern = new RegExp("(\\s" + name + "\\s*=\\s*)(\"[^\"]*\"|'[^']*')");
+        if (pattern.test(tag)) {
+            return tag.replace(pattern, "$1\"" + value + "\"");
+        }
+        return tag.replace(/\s*(\/?>)$/, " " + name + "=\"" + value + "\"$1");
+    }
+
+    /**
+     * Apply scale, margin and background to the root <svg> element.
+     * The viewBox is widened by the margin and width/height are the scaled
+     * viewBox size, so the drawing itself is untouched.
+     */
+    function adjustSvg(svg, options) {
+        var match = /<svg\b[^>]*>/.exec(svg);
+        if (!match) return svg;
+        var tag = match[0];
+
+        var viewBoxMatch = /\sviewBox\s*=\s*["']([^"']*)["']/.exec(tag);
+        var box = viewBoxMatch ? viewBoxMatch[1].trim().split(/[\s,]+/).map(Number) : [];
+        if (box.length !== 4 || box.some(function(n) { return !isFinite(n); })) {
+            var widthMatch = /\swidth\s*=\s*["']([0-9.]+)/.exec(tag);
+            var heightMatch = /\sheight\s*=\s*["']([0-9.]+)/.exec(tag);
+            if (!widthMatch || !heightMatch) return svg;
+            box = [0, 0, parseFloat(widthMatch[1]), parseFloat(heightMatch[1])];
+        }
+
+        var m = options.margin;
+        box = [box[0] - m, box[1] - m, box[2] + 2 * m, box[3] + 2 * m];
+        tag = setSvgAttribute(tag, "viewBox", box.map(formatSvgNumber).join(" "));
+        tag = setSvgAttribute(tag, "width", formatSvgNumber(box[2] * options.scale));
+        tag = setSvgAttribute(tag, "height", formatSvgNumber(box[3] * options.scale));
+
+        var background = "";
+        if (!options.transparent && !/\/>$/.test(tag)) {
+            background = "<rect x=\"" + formatSvgNumber(box[0]) + "\" y=\"" + formatSvgNumber(box[1]) +
+                "\" width=\"" + formatSvgNumber(box[2]) + "\" height=\"" + formatSvgNumber(box[3]) +
+                "\" fill=\"#ffffff\"/>";
+        }
+        return svg.slice(0, match.index) + tag + background + svg.slice(match.index + match[0].length);
+    }
+
+    /**
+     * Make the canvas of a rendered view transparent. DiagramUtils paints the
+     * canvas white, so the white area connected to the image border is recoloured
+     * to a colour the diagram does not use, which becomes the transparent pixel.
+     * White shapes and label backgrounds are enclosed by their outlines and stay.
+     * @param {Object} imageData - SWT ImageData with a direct palette
+     */
+    function makeCanvasTransparent(imageData) {
+        var RGB = Java.type("org.eclipse.swt.graphics.RGB");
+        var IntArray = Java.type("int[]");
+        var palette = imageData.palette;
+        if (!palette.isDirect) {
+            throw new Error("Transparent export needs a direct-colour image");
+        }
+
+        var width = imageData.width;
+        var height = imageData.height;
+        var pixels = new IntArray(width * height);
+        for (var row = 0; row < height; row++) {
+            imageData.getPixels(0, row, width, pixels, row * width);
+        }
+
+        // First of a series of magentas that no pixel has
+        var candidates = [];
+        var present = {};
+        for (var k = 0; k < 64; k++) {
+            var candidate = palette.getPixel(new RGB(255 - k, 0, 255 - k));
+            candidates.push(candidate);
+            present[candidate] = false;
+        }
+        for (var p = 0; p < pixels.length; p++) {
+            if (present[pixels[p]] === false) present[pixels[p]] = true;
+        }
+        var key = null;
+        for (var c = 0; c < candidates.length && key === null; c++) {
+            if (!present[candidates[c]]) key = candidates[c];
+        }
+        if (key === null) {
+            throw new Error("No unused colour left to mark the transparent canvas");
+        }
+
+        // Flood fill the white area from the border; recoloured pixels count as visited
+        var white = palette.getPixel(new RGB(255, 255, 255));
+        var stack = [];
+        function seed(index) {
+            if (pixels[index] === white) {
+                pixels[index] = key;
+                stack.push(index);
+            }
+        }
+        for (var x = 0; x < width; x++) {
+            seed(x);
+            seed((height - 1) * width + x);
+        }
+        for (var y = 0; y < height; y++) {
+            seed(y * width);
+            seed(y * width + width - 1);
+        }
+        while (stack.length > 0) {
+            var index = stack.pop();
+            var col = index % width;
+            if (col > 0) seed(index - 1);
+            if (col < width - 1) seed(index + 1);
+            if (index >= width) seed(index - width);
+            if (index < (height - 1) * width) seed(index + width);
+        }
+
+        for (row = 0; row < height; row++) {
+            imageData.setPixels(0, row, width, pixels, row * width);
+        }
+        imageData.transparentPixel = key;
+    }
+
+    /**
+     * Render PNG/JPEG with DiagramUtils (EMF-based, no jArchi model context required)
+     */
+    function renderRaster(view, options, outputFile) {
+        var DiagramUtils = Java.type("com.archimatetool.editor.diagram.util.DiagramUtils");
+        var ImageLoader = Java.type("org.eclipse.swt.graphics.ImageLoader");
+        var SWT = Java.type("org.eclipse.swt.SWT");
+        var FileOutputStream = Java.type("java.io.FileOutputStream");
+
+        var image = DiagramUtils.createImage(view, options.scale, options.margin);
+        if (!image) {
+            throw new Error("Failed to create image from view");
+        }
+
+        try {
+            var imageData = image.getImageData();
+            if (options.transparent) {
+                makeCanvasTransparent(imageData);
+            }
+
+            var loader = new ImageLoader();
+            loader.data = [imageData];
+
+            var fos = new FileOutputStream(outputFile);
+            try {
+                loader.save(fos, options.format === "PNG" ? SWT.IMAGE_PNG : SWT.IMAGE_JPEG);
+            } finally {
+                fos.close();
+            }
+        } finally {
+            image.dispose();
+        }
+    }
+
+    /**
+     * Render SVG/PDF through jArchi's $.model render functions, which need a
+     * jArchi proxy for the view rather than the EMF object
+     */
+    function renderVector(view, options, outputFile) {
+        if (typeof $ === "undefined" || !$.model || typeof $.model.renderViewToSVG !== "function" ||
+            typeof $.model.renderViewToPDF !== "function") {
+            throw new Error("SVG and PDF export require jArchi's $.model.renderViewToSVG/renderViewToPDF");
+        }
+        // Select within the view's own model, which need not be jArchi's current one
+        var modelProxy = modelRegistry.toProxy(view.getArchimateModel());
+        var proxy = $("#" + view.getId(), modelProxy).first();
+        if (!proxy) {
+            throw new Error("View " + view.getId() + " is not visible to jArchi");
+        }
+
+        var filePath = String(outputFile.getAbsolutePath());
+        if (options.format === "PDF") {
+            $.model.renderViewToPDF(proxy, filePath, {});
+            return;
+        }
+
+        $.model.renderViewToSVG(proxy, filePath, { setViewBox: true });
+        if (options.scale !== 1 || options.margin > 0 || !options.transparent) {
+            var Files = Java.type("java.nio.file.Files");
+            var JavaString = Java.type("java.lang.String");
+            var StandardCharsets = Java.type("java.nio.charset.StandardCharsets");
+            var svg = String(new JavaString(Files.readAllBytes(outputFile.toPath()), StandardCharsets.UTF_8));
+            Files.write(outputFile.toPath(), new JavaString(adjustSvg(svg, options)).getBytes(StandardCharsets.UTF_8));
+        }
+    }
+
+    /**
+     * Export one view to a file in the requested format
+     * @param {Object} view - EMF diagram model
+     * @param {Object} options - Output of parseExportOptions()
+     * @param {java.io.File} outputFile - Target file (parent directories are created)
+     * @returns {number} File size in bytes
+     */
+    function exportViewToFile(view, options, outputFile) {
+        var parentDir = outputFile.getParentFile();
+        if (parentDir && !parentDir.exists()) {
+            parentDir.mkdirs();
+        }
+
+        if (options.format === "SVG" || options.format === "PDF") {
+            renderVector(view, options, outputFile);
+        } else {
+            renderRaster(view, options, outputFile);
+        }
+
+        if (!outputFile.exists()) {
+            throw new Error("Export completed but file not found: " + outputFile.getAbsolutePath());
+        }
+        return outputFile.length();
+    }
+
+    /**
+     * Folder path of a view below the model, e.g. "Views/Application"
+     */
+    function getFolderPath(view) {
+        var parts = [];
+        var container = view.eContainer();
+        while (container && container instanceof IFolder) {
+            parts.unshift(String(container.getName() || ""));
+            container = container.eContainer();
+        }
+        return parts.join("/");
+    }
+
+    function safeFileName(name) {
+        return String(name || "view").replace(/[^a-zA-Z0-9_-]/g, "_");
+    }
+
     /**
      * View endpoint handlers
      */
@@ -598,6 +1190,177 @@
             }
         },
 
+        /**
+         * Handle POST /views/batch-get - Diagram objects of several views in one call
+         * @param {Object} request - HTTP request with body.viewIds and body.include
+         *        (any of "bounds", "style", "children", "bendpoints"; default ["bounds"])
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with modelRef
+         */
+        handleBatchGetViews: function(request, response, serverState) {
+            var body = request.body || {};
+            var maxViews = (typeof serverConfig !== "undefined" && serverConfig.views && serverConfig.views.maxBatchSize) || 100;
+
+            var viewIds = body.viewIds;
+            if (!Array.isArray(viewIds) || viewIds.length === 0 ||
+                viewIds.some(function(id) { return typeof id !== "string" || !id; })) {
+                response.statusCode = 400;
+                response.body = {
+                    error: {
+                        code: "ValidationError",
+                        message: "viewIds must be a non-empty array of view IDs"
+                    }
+                };
+                return;
+            }
+            if (viewIds.length > maxViews) {
+                response.statusCode = 400;
+                response.body = {
+                    error: {
+                        code: "ValidationError",
+                        message: "Too many views: " + viewIds.length + " (max " + maxViews + ")"
+                    }
+                };
+                return;
+            }
+
+            var parsed = parseViewInclude(body.include);
+            if (parsed.error) {
+                response.statusCode = 400;
+                response.body = {
+                    error: {
+                        code: "ValidationError",
+                        message: parsed.error
+                    }
+                };
+                return;
+            }
+
+            if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                loggingQueue.log("[" + request.requestId + "] Batch get " + viewIds.length + " view(s)");
+            }
+
+            try {
+                if (!serverState.modelRef) {
+                    throw new Error("No model reference available");
+                }
+
+                var views = [];
+                var notFound = [];
+                var seen = {};
+
+                viewIds.forEach(function(viewId) {
+                    if (seen[viewId]) return;
+                    seen[viewId] = true;
+
+                    var view = findViewById(serverState.modelRef, viewId);
+                    if (!view) {
+                        notFound.push(viewId);
+                        return;
+                    }
+
+                    var contents = collectViewObjects(view, parsed.include);
+                    views.push({
+                        id: view.getId(),
+                        name: view.getName() || "",
+                        type: getViewType(view),
+                        viewpoint: view instanceof IArchimateDiagramModel ? getViewpointId(view) : null,
+                        objects: contents.objects,
+                        connections: contents.connections
+                    });
+                });
+
+                response.body = {
+                    views: views,
+                    notFound: notFound,
+                    include: VIEW_INCLUDE_OPTIONS.filter(function(name) { return parsed.include[name]; }),
+                    total: views.length
+                };
+
+            } catch (e) {
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.error("[" + request.requestId + "] Batch get views failed: " + e);
+                }
+                response.statusCode = 500;
+                response.body = {
+                    error: {
+                        code: "BatchGetViewsFailed",
+                        message: String(e)
+                    }
+                };
+            }
+        },
+
+        /**
+         * Handle GET /views/:id/diff?against=:otherId - Compare the diagram objects of two views
+         * Objects are matched by ID, then by ArchiMate concept (or type and name), so a
+         * view can be compared with its duplicate. added/removed are relative to `against`.
+         * @param {Object} request - HTTP request with params.id and query.against
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with modelRef
+         */
+        handleViewDiff: function(request, response, serverState) {
+            var viewId = request.params && request.params.id;
+            var againstId = request.query && request.query.against;
+
+            if (!viewId || !againstId) {
+                response.statusCode = 400;
+                response.body = {
+                    error: {
+                        code: "ValidationError",
+                        message: !viewId ? "Missing view ID parameter" : "Missing query parameter: against"
+                    }
+                };
+                return;
+            }
+
+            if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                loggingQueue.log("[" + request.requestId + "] Diff view " + viewId + " against " + againstId);
+            }
+
+            try {
+                if (!serverState.modelRef) {
+                    throw new Error("No model reference available");
+                }
+
+                var view = findViewById(serverState.modelRef, viewId);
+                var against = findViewById(serverState.modelRef, String(againstId));
+                if (!view || !against) {
+                    response.statusCode = 404;
+                    response.body = {
+                        error: {
+                            code: "NotFound",
+                            message: "View not found: " + (!view ? viewId : againstId)
+                        }
+                    };
+                    return;
+                }
+
+                var diff = diffViews(against, view);
+
+                response.body = {
+                    view: { id: view.getId(), name: view.getName() || "" },
+                    against: { id: against.getId(), name: against.getName() || "" },
+                    summary: diff.summary,
+                    added: diff.added,
+                    removed: diff.removed,
+                    moved: diff.moved
+                };
+
+            } catch (e) {
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.error("[" + request.requestId + "] View diff failed: " + e);
+                }
+                response.statusCode = 500;
+                response.body = {
+                    error: {
+                        code: "ViewDiffFailed",
+                        message: String(e)
+                    }
+                };
+            }
+        },
+
         /**
          * Handle POST /views - Create new view
          * Creates a view using EMF directly (no jArchi model context required).
@@ -749,11 +1512,12 @@
         /**
          * Handle POST /views/:id/export - Export view to file
          * 
-         * Exports view to PNG or JPEG image formats.
-         * Uses EMF-based rendering (no jArchi model context required).
+         * Exports view to PNG, JPEG, SVG or PDF. PNG and JPEG use EMF-based
+         * rendering; SVG and PDF go through jArchi's $.model render functions.
          * Returns absolute file path for local MCP access.
          * 
-         * @param {Object} request - HTTP request with params.id and body.format, body.outputPath
+         * @param {Object} request - HTTP request with params.id and body.format, body.scale,
+         *   body.margin, body.transparent, body.outputPath
          * @param {Object} response - HTTP response object
          * @param {Object} serverState - Server state with modelRef
          */
@@ -772,45 +1536,18 @@
                 return;
             }
 
-            // Validate format
-            var format = (body.format || "png").toUpperCase();
-            var validFormats = ["PNG", "JPG", "JPEG"];
-            if (validFormats.indexOf(format) === -1) {
+            var options = parseExportOptions(body);
+            if (options.error) {
                 response.statusCode = 400;
                 response.body = {
                     error: {
                         code: "ValidationError",
-                        message: "Invalid format: " + format + ". Valid formats: " + validFormats.join(", ")
+                        message: options.error
                     }
                 };
                 return;
             }
-
-            if (body.scale !== undefined) {
-                if (typeof body.scale !== "number" || !isFinite(body.scale) || body.scale < 0.5 || body.scale > 4.0) {
-                    response.statusCode = 400;
-                    response.body = {
-                        error: {
-                            code: "ValidationError",
-                            message: "Invalid scale: must be a number between 0.5 and 4.0"
-                        }
-                    };
-                    return;
-                }
-            }
-
-            if (body.margin !== undefined) {
-                if (typeof body.margin !== "number" || !isFinite(body.margin) || body.margin < 0 || Math.floor(body.margin) !== body.margin) {
-                    response.statusCode = 400;
-                    response.body = {
-                        error: {
-                            code: "ValidationError",
-                            message: "Invalid margin: must be a non-negative integer"
-                        }
-                    };
-                    return;
-                }
-            }
+            var format = options.format;
 
             if (typeof loggingQueue !== "undefined" && loggingQueue) {
                 loggingQueue.log("[" + request.requestId + "] Export view " + viewId + " as " + format);
@@ -843,87 +1580,235 @@
                 } else {
                     // Generate temp file path
                     var tempDir = System.getProperty("java.io.tmpdir");
-                    var safeViewName = viewName.replace(/[^a-zA-Z0-9_-]/g, "_");
                     var timestamp = new Date().getTime();
-                    var extension = format.toLowerCase();
-                    if (extension === "jpeg") extension = "jpg";
-                    outputPath = tempDir + File.separator + "archi_export_" + safeViewName + "_" + timestamp + "." + extension;
+                    outputPath = tempDir + File.separator + "archi_export_" + safeFileName(viewName) + "_" + timestamp + "." + options.extension;
                 }
-
-                // Ensure parent directory exists
                 var outputFile = new File(outputPath);
-                var parentDir = outputFile.getParentFile();
-                if (parentDir && !parentDir.exists()) {
-                    parentDir.mkdirs();
-                }
 
-                // Export using EMF-based DiagramUtils
                 var startTime = Date.now();
-                var scale = body.scale !== undefined ? body.scale : 1.0;
-                var margin = body.margin !== undefined ? body.margin : 10;
+                var fileSizeBytes = exportViewToFile(view, options, outputFile);
+                var durationMs = Date.now() - startTime;
 
-                // Use DiagramUtils to create image from diagram model
-                var DiagramUtils = Java.type("com.archimatetool.editor.diagram.util.DiagramUtils");
-                var ImageLoader = Java.type("org.eclipse.swt.graphics.ImageLoader");
-                var SWT = Java.type("org.eclipse.swt.SWT");
-                var FileOutputStream = Java.type("java.io.FileOutputStream");
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.log("[" + request.requestId + "] Exported to: " + outputPath + 
+                        " (" + Math.round(fileSizeBytes / 1024) + " KB, " + durationMs + "ms)");
+                }
 
-                var image = DiagramUtils.createImage(view, scale, margin);
+                response.body = {
+                    viewId: viewId,
+                    viewName: viewName,
+                    format: format,
+                    filePath: outputFile.getAbsolutePath(),
+                    fileSizeBytes: fileSizeBytes,
+                    durationMs: durationMs
+                };
 
-                if (!image) {
-                    throw new Error("Failed to create image from view");
+            } catch (e) {
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.error("[" + request.requestId + "] Export view failed: " + e);
+                }
+                if (e.javaException) {
+                    e.javaException.printStackTrace();
                 }
+                response.statusCode = 500;
+                response.body = {
+                    error: {
+                        code: "ExportFailed",
+                        message: String(e)
+                    }
+                };
+            }
+        },
 
-                try {
-                    // Determine SWT format constant
-                    var swtFormat;
-                    switch (format) {
-                        case "PNG": swtFormat = SWT.IMAGE_PNG; break;
-                        case "JPG":
-                        case "JPEG": swtFormat = SWT.IMAGE_JPEG; break;
-                        default: swtFormat = SWT.IMAGE_PNG;
+        /**
+         * Handle POST /views/export-all - Export views into one zip file
+         *
+         * Writes one file per view plus manifest.json (names, IDs, folder paths,
+         * zip entry names). A view that fails to render is listed under `failed`
+         * in the manifest and the response; the export only fails as a whole
+         * when no view could be rendered.
+         *
+         * @param {Object} request - HTTP request with body.format, body.scale, body.margin,
+         *   body.transparent, body.outputPath and optional body.viewIds
+         * @param {Object} response - HTTP response object
+         * @param {Object} serverState - Server state with modelRef
+         */
+        handleExportAllViews: function(request, response, serverState) {
+            var body = request.body || {};
+
+            var options = parseExportOptions(body);
+            if (!options.error && body.viewIds !== undefined) {
+                if (!Array.isArray(body.viewIds) || body.viewIds.length === 0 ||
+                    body.viewIds.some(function(id) { return typeof id !== "string" || id.length === 0; })) {
+                    options = { error: "Invalid viewIds: must be a non-empty array of view ID strings" };
+                }
+            }
+            if (options.error) {
+                response.statusCode = 400;
+                response.body = {
+                    error: {
+                        code: "ValidationError",
+                        message: options.error
                     }
+                };
+                return;
+            }
 
-                    // Save image to file
-                    var loader = new ImageLoader();
-                    loader.data = [image.getImageData()];
+            var Files = Java.type("java.nio.file.Files");
+            var FileOutputStream = Java.type("java.io.FileOutputStream");
+            var ZipOutputStream = Java.type("java.util.zip.ZipOutputStream");
+            var ZipEntry = Java.type("java.util.zip.ZipEntry");
+            var JavaString = Java.type("java.lang.String");
+            var StandardCharsets = Java.type("java.nio.charset.StandardCharsets");
 
-                    var fos = new FileOutputStream(outputFile);
-                    try {
-                        loader.save(fos, swtFormat);
-                    } finally {
-                        fos.close();
+            var workDir = null;
+            try {
+                if (!serverState.modelRef) {
+                    throw new Error("No model reference available");
+                }
+
+                var views;
+                if (body.viewIds) {
+                    views = [];
+                    var missing = [];
+                    for (var i = 0; i < body.viewIds.length; i++) {
+                        var found = findViewById(serverState.modelRef, body.viewIds[i]);
+                        if (found) {
+                            views.push(found);
+                        } else {
+                            missing.push(body.viewIds[i]);
+                        }
                     }
-                } finally {
-                    image.dispose();
+                    if (missing.length > 0) {
+                        response.statusCode = 404;
+                        response.body = {
+                            error: {
+                                code: "NotFound",
+                                message: "Views not found: " + missing.join(", ")
+                            }
+                        };
+                        return;
+                    }
+                } else {
+                    views = collectAllViews(serverState.modelRef);
                 }
 
-                var durationMs = Date.now() - startTime;
+                if (views.length === 0) {
+                    response.statusCode = 404;
+                    response.body = {
+                        error: {
+                            code: "NotFound",
+                            message: "The model has no views to export"
+                        }
+                    };
+                    return;
+                }
+
+                var modelName = serverState.modelRef.getName() || "model";
+                var outputPath = body.outputPath;
+                if (!outputPath) {
+                    outputPath = System.getProperty("java.io.tmpdir") + File.separator +
+                        "archi_export_" + safeFileName(modelName) + "_" + new Date().getTime() + ".zip";
+                }
+                var zipFile = new File(outputPath);
+                var zipParent = zipFile.getParentFile();
+                if (zipParent && !zipParent.exists()) {
+                    zipParent.mkdirs();
+                }
 
-                // Verify file was created
-                if (!outputFile.exists()) {
-                    throw new Error("Export completed but file not found: " + outputPath);
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.log("[" + request.requestId + "] Export " + views.length + " views as " +
+                        options.format + " to " + outputPath);
                 }
 
-                var fileSizeBytes = outputFile.length();
+                var startTime = Date.now();
+                workDir = Files.createTempDirectory("archi_export_").toFile();
+                var usedNames = {};
+                var exported = [];
+                var failed = [];
+
+                var zos = new ZipOutputStream(new FileOutputStream(zipFile));
+                try {
+                    for (var v = 0; v < views.length; v++) {
+                        var view = views[v];
+                        var entry = {
+                            id: view.getId(),
+                            name: view.getName() || "",
+                            type: getViewType(view),
+                            viewpoint: getViewpointId(view),
+                            folderPath: getFolderPath(view)
+                        };
+
+                        var baseName = safeFileName(entry.name);
+                        var fileName = baseName + "." + options.extension;
+                        for (var n = 2; usedNames[fileName.toLowerCase()]; n++) {
+                            fileName = baseName + "_" + n + "." + options.extension;
+                        }
+
+                        var tempFile = new File(workDir, fileName);
+                        try {
+                            entry.fileSizeBytes = exportViewToFile(view, options, tempFile);
+                        } catch (renderError) {
+                            entry.error = String(renderError.message || renderError);
+                            failed.push(entry);
+                            if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                                loggingQueue.warn("[" + request.requestId + "] Export of view " + entry.id + " failed: " + entry.error);
+                            }
+                            continue;
+                        }
+
+                        usedNames[fileName.toLowerCase()] = true;
+                        entry.file = fileName;
+                        zos.putNextEntry(new ZipEntry(fileName));
+                        Files.copy(tempFile.toPath(), zos);
+                        zos.closeEntry();
+                        tempFile["delete"]();
+                        exported.push(entry);
+                    }
+
+                    var manifest = {
+                        model: { id: serverState.modelRef.getId(), name: modelName },
+                        format: options.format,
+                        scale: options.format === "PDF" ? null : options.scale,
+                        margin: options.format === "PDF" ? null : options.margin,
+                        transparent: options.transparent,
+                        exportedAt: new Date().toISOString(),
+                        views: exported,
+                        failed: failed
+                    };
+                    zos.putNextEntry(new ZipEntry("manifest.json"));
+                    zos.write(new JavaString(JSON.stringify(manifest, null, 2) + "\n").getBytes(StandardCharsets.UTF_8));
+                    zos.closeEntry();
+                } finally {
+                    zos.close();
+                }
+
+                if (exported.length === 0) {
+                    zipFile["delete"]();
+                    throw new Error("No view could be exported; first error: " + failed[0].error);
+                }
+
+                var durationMs = Date.now() - startTime;
+                var fileSizeBytes = zipFile.length();
 
                 if (typeof loggingQueue !== "undefined" && loggingQueue) {
-                    loggingQueue.log("[" + request.requestId + "] Exported to: " + outputPath + 
-                        " (" + Math.round(fileSizeBytes / 1024) + " KB, " + durationMs + "ms)");
+                    loggingQueue.log("[" + request.requestId + "] Exported " + exported.length + "/" + views.length +
+                        " views (" + Math.round(fileSizeBytes / 1024) + " KB, " + durationMs + "ms)");
                 }
 
                 response.body = {
-                    viewId: viewId,
-                    viewName: viewName,
-                    format: format,
-                    filePath: outputFile.getAbsolutePath(),
+                    format: options.format,
+                    filePath: zipFile.getAbsolutePath(),
                     fileSizeBytes: fileSizeBytes,
+                    viewCount: exported.length,
+                    failedCount: failed.length,
+                    failed: failed.map(function(f) { return { id: f.id, name: f.name, error: f.error }; }),
                     durationMs: durationMs
                 };
 
             } catch (e) {
                 if (typeof loggingQueue !== "undefined" && loggingQueue) {
-                    loggingQueue.error("[" + request.requestId + "] Export view failed: " + e);
+                    loggingQueue.error("[" + request.requestId + "] Export all views failed: " + e);
                 }
                 if (e.javaException) {
                     e.javaException.printStackTrace();
@@ -935,6 +1820,14 @@
                         message: String(e)
                     }
                 };
+            } finally {
+                if (workDir) {
+                    var leftovers = workDir.listFiles();
+                    for (var f = 0; leftovers && f < leftovers.length; f++) {
+                        leftovers[f]["delete"]();
+                    }
+                    workDir["delete"]();
+                }
             }
         },
 
@@ -0,0 +1,372 @@
+/**
+ * eventBus.js - Model change event buffer with Server-Sent Events fan-out
+ *
+ * Collects model change notifications (elements, relationships and views
+ * created, updated or deleted) and operation lifecycle events into a bounded
+ * in-memory buffer. Every event gets a monotonically increasing sequence ID so
+ * that clients of GET /events can reconnect with a `since` cursor (or the
+ * standard Last-Event-ID header) and receive the events they missed.
+ *
+ * Subscribers are serverCore stream objects ({ id, write, close, isOpen }).
+ * All publishing happens on the SWT Display thread (HTTP handlers, operation
+ * processor and command stack listeners all run there), so no locking is needed.
+ *
+ * @module server/eventBus
+ * @requires server/serverConfig (optional)
+ * @requires server/loggingQueue (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.eventBus !== "undefined") {
+        return;
+    }
+
+    var CONCEPT_KINDS = ["element", "relationship", "view"];
+    var CHANGE_ACTIONS = ["created", "updated", "deleted"];
+
+    var events = [];
+    var nextSeq = 1;
+    var publishedTotal = 0;
+    var subscribers = {};
+    var heartbeatRunning = false;
+    var displayRef = null;
+
+    function getConfig() {
+        var cfg = (typeof serverConfig !== "undefined" && serverConfig.events) ? serverConfig.events : {};
+        return {
+            enabled: cfg.enabled !== false,
+            bufferSize: cfg.bufferSize || 1000,
+            maxSubscribers: cfg.maxSubscribers || 10,
+            heartbeatIntervalMs: cfg.heartbeatIntervalMs || 15000,
+            retryMs: cfg.retryMs || 3000
+        };
+    }
+
+    function logInfo(message) {
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.log(message);
+        }
+    }
+
+    function latestSeq() {
+        return nextSeq - 1;
+    }
+
+    function oldestSeq() {
+        return events.length > 0 ? events[0].id : nextSeq;
+    }
+
+    /**
+     * Check whether an event type passes a subscriber's type filter.
+     * Filters are prefixes: "element" matches "element.created", "element.deleted", ...
+     */
+    function matchesFilter(types, type) {
+        if (!types || types.length === 0) return true;
+        for (var i = 0; i < types.length; i++) {
+            if (type === types[i] || type.indexOf(types[i] + ".") === 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check whether an event belongs to the model a subscriber is scoped to.
+     * Events that carry no modelId are delivered to every subscriber.
+     */
+    function matchesModel(modelId, event) {
+        return !modelId || !event.data || !event.data.modelId || event.data.modelId === modelId;
+    }
+
+    /**
+     * Serialize an event in text/event-stream format
+     * @param {Object} event - Buffered event
+     * @returns {string} SSE frame
+     */
+    function formatEvent(event) {
+        var frame = "";
+        if (event.id !== null && event.id !== undefined) {
+            frame += "id: " + event.id + "\n";
+        }
+        frame += "event: " + event.type + "\n";
+        frame += "data: " + JSON.stringify(event) + "\n\n";
+        return frame;
+    }
+
+    function deliver(event) {
+        var ids = Object.keys(subscribers);
+        for (var i = 0; i < ids.length; i++) {
+            var subscriber = subscribers[ids[i]];
+            if (!subscriber || !matchesFilter(subscriber.types, event.type) ||
+                !matchesModel(subscriber.modelId, event)) continue;
+            if (subscriber.stream.write(formatEvent(event))) {
+                subscriber.delivered++;
+            }
+        }
+    }
+
+    function scheduleHeartbeat() {
+        if (!heartbeatRunning || !displayRef) return;
+        var cfg = getConfig();
+        displayRef.timerExec(cfg.heartbeatIntervalMs, function() {
+            if (!heartbeatRunning) return;
+            var ids = Object.keys(subscribers);
+            for (var i = 0; i < ids.length; i++) {
+                var subscriber = subscribers[ids[i]];
+                if (subscriber) {
+                    // SSE comment line: ignored by clients, detects dead connections
+                    subscriber.stream.write(": heartbeat " + new Date().toISOString() + "\n\n");
+                }
+            }
+            scheduleHeartbeat();
+        });
+    }
+
+    var eventBus = {
+        /**
+         * Check whether event streaming is enabled in serverConfig
+         * @returns {boolean}
+         */
+        isEnabled: function() {
+            return getConfig().enabled;
+        },
+
+        /**
+         * Publish an event to the buffer and all matching subscribers
+         * @param {string} type - Event type (e.g. "element.created", "operation.complete")
+         * @param {Object} data - Event payload
+         * @returns {Object|null} The buffered event, or null when disabled
+         */
+        publish: function(type, data) {
+            var cfg = getConfig();
+            if (!cfg.enabled) return null;
+
+            var event = {
+                id: nextSeq++,
+                type: type,
+                timestamp: new Date().toISOString(),
+                data: data || {}
+            };
+            events.push(event);
+            publishedTotal++;
+            if (events.length > cfg.bufferSize) {
+                events.splice(0, events.length - cfg.bufferSize);
+            }
+
+            deliver(event);
+            return event;
+        },
+
+        /**
+         * Publish per-kind change events for a snapshot diff.
+         * Emits one event per kind/action pair that has IDs (e.g. "element.updated",
+         * also for property and diagram edits), and a "model.changed" event for
+         * changes to folders or the model itself. Every event carries the IDs
+         * involved; a diff without IDs publishes nothing.
+         * @param {Object} diff - Result of modelSnapshot.diffSnapshots()
+         * @param {Object} meta - { label, source, action, operationId, modelId }
+         * @returns {number} Number of events published
+         */
+        publishModelChanges: function(diff, meta) {
+            meta = meta || {};
+            var published = 0;
+            var collections = { element: "elements", relationship: "relationships", view: "views" };
+            var self = this;
+
+            function publishIds(type, ids) {
+                self.publish(type, {
+                    ids: ids,
+                    count: ids.length,
+                    label: meta.label || null,
+                    source: meta.source || null,
+                    action: meta.action || null,
+                    operationId: meta.operationId || null,
+                    modelId: meta.modelId || null
+                });
+                published++;
+            }
+
+            for (var k = 0; k < CONCEPT_KINDS.length; k++) {
+                var kind = CONCEPT_KINDS[k];
+                var changes = diff ? diff[collections[kind]] : null;
+                if (!changes) continue;
+                for (var a = 0; a < CHANGE_ACTIONS.length; a++) {
+                    var ids = changes[CHANGE_ACTIONS[a]];
+                    if (!ids || ids.length === 0) continue;
+                    publishIds(kind + "." + CHANGE_ACTIONS[a], ids);
+                }
+            }
+
+            var other = diff && diff.other ? diff.other : null;
+            if (other) {
+                var otherIds = [];
+                CHANGE_ACTIONS.forEach(function(action) {
+                    otherIds = otherIds.concat(other[action] || []);
+                });
+                if (otherIds.length > 0) {
+                    publishIds("model.changed", otherIds);
+                }
+            }
+
+            return published;
+        },
+
+        /**
+         * Attach a serverCore stream as subscriber.
+         * Replays buffered events after `since`; if the cursor is older than the
+         * buffer (or ahead of it after a server restart) a "stream.reset" event
+         * tells the client to resynchronize before consuming live events.
+         * @param {Object} stream - serverCore stream ({ id, write, close, isOpen })
+         * @param {Object} [options]
+         * @param {number|null} [options.since] - Last event ID seen by the client
+         * @param {Array<string>|null} [options.types] - Event type prefixes to deliver
+         * @param {string|null} [options.modelId] - Only deliver events for this model
+         * @returns {Object} Subscription summary
+         */
+        subscribe: function(stream, options) {
+            options = options || {};
+            var cfg = getConfig();
+            var since = typeof options.since === "number" ? options.since : null;
+            var types = options.types && options.types.length ? options.types : null;
+            var modelId = options.modelId || null;
+            var replayed = 0;
+
+            stream.write("retry: " + cfg.retryMs + "\n\n");
+
+            if (since !== null) {
+                if (since > latestSeq() || since < oldestSeq() - 1) {
+                    stream.write(formatEvent({
+                        id: null,
+                        type: "stream.reset",
+                        timestamp: new Date().toISOString(),
+                        data: {
+                            reason: since > latestSeq() ? "cursorAhead" : "cursorExpired",
+                            since: since,
+                            oldestAvailable: events.length > 0 ? oldestSeq() : null,
+                            latest: latestSeq()
+                        }
+                    }));
+                } else {
+                    for (var i = 0; i < events.length; i++) {
+                        if (events[i].id > since && matchesFilter(types, events[i].type) &&
+                            matchesModel(modelId, events[i])) {
+                            stream.write(formatEvent(events[i]));
+                            replayed++;
+                        }
+                    }
+                }
+            }
+
+            subscribers[stream.id] = {
+                stream: stream,
+                types: types,
+                modelId: modelId,
+                connectedAt: new Date().toISOString(),
+                delivered: replayed
+            };
+            logInfo("Event subscriber connected: " + stream.id +
+                    (since !== null ? " (since=" + since + ", replayed " + replayed + ")" : "") +
+                    (types ? " types=" + types.join(",") : "") +
+                    (modelId ? " model=" + modelId : ""));
+
+            return {
+                subscriberId: stream.id,
+                replayed: replayed,
+                latest: latestSeq()
+            };
+        },
+
+        /**
+         * Detach a subscriber (called from the stream's onClose callback)
+         * @param {string} streamId - Stream ID
+         */
+        unsubscribe: function(streamId) {
+            if (subscribers[streamId]) {
+                delete subscribers[streamId];
+                logInfo("Event subscriber disconnected: " + streamId);
+            }
+        },
+
+        /**
+         * Get number of connected subscribers
+         * @returns {number}
+         */
+        getSubscriberCount: function() {
+            return Object.keys(subscribers).length;
+        },
+
+        /**
+         * Get buffered events after a cursor (non-streaming access)
+         * @param {number} since - Last event ID seen
+         * @param {number} [limit=100] - Maximum events to return
+         * @returns {Array<Object>} Events in sequence order
+         */
+        getEventsSince: function(since, limit) {
+            var max = limit || 100;
+            var result = [];
+            for (var i = 0; i < events.length && result.length < max; i++) {
+                if (events[i].id > since) {
+                    result.push(events[i]);
+                }
+            }
+            return result;
+        },
+
+        /**
+         * Event buffer statistics for /health and the monitor
+         * @returns {Object}
+         */
+        getStats: function() {
+            return {
+                enabled: getConfig().enabled,
+                subscribers: this.getSubscriberCount(),
+                bufferedEvents: events.length,
+                oldestEventId: events.length > 0 ? oldestSeq() : null,
+                latestEventId: latestSeq(),
+                publishedTotal: publishedTotal
+            };
+        },
+
+        /**
+         * Start the heartbeat timer that keeps idle streams alive
+         * @param {org.eclipse.swt.widgets.Display} display - SWT Display reference
+         */
+        startHeartbeat: function(display) {
+            if (heartbeatRunning) return;
+            displayRef = display;
+            heartbeatRunning = true;
+            scheduleHeartbeat();
+        },
+
+        /**
+         * Stop the heartbeat and close all subscriber streams
+         */
+        stop: function() {
+            heartbeatRunning = false;
+            var ids = Object.keys(subscribers);
+            for (var i = 0; i < ids.length; i++) {
+                var subscriber = subscribers[ids[i]];
+                if (subscriber) {
+                    subscriber.stream.close();
+                }
+            }
+            subscribers = {};
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.eventBus = eventBus;
+    } else if (typeof global !== "undefined") {
+        global.eventBus = eventBus;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = eventBus;
+    }
+
+})();
@@ -5,6 +5,10 @@
  * operations. Provides convenience methods for retrieving folders by layer
  * and finding elements by ID.
  *
+ * Folders are cached per model ID. initialize() sets the default model (the
+ * one the server was started with); the folder getters take an optional model
+ * reference and fall back to it.
+ *
  * @module server/folderCache
  */
 
@@ -24,17 +28,52 @@
      */
     var folderCache = {
         /**
-         * Internal cache storage
+         * Folder cache of the default model
          * @private
          */
         cache: null,
 
         /**
-         * Initialize folder cache from model
+         * Folder caches by model ID, including the default model's
+         * @private
+         */
+        caches: {},
+
+        /**
+         * Initialize folder cache from model and make it the default
          * @param {com.archimatetool.model.IArchimateModel} modelRef - EMF model reference
          */
         initialize: function(modelRef) {
-            this.cache = {
+            this.cache = this._build(modelRef);
+            this.caches[modelRef.getId()] = this.cache;
+        },
+
+        /**
+         * Cache the folders of an additional model unless already cached
+         * @param {com.archimatetool.model.IArchimateModel} modelRef - EMF model reference
+         */
+        ensure: function(modelRef) {
+            if (!this.caches[modelRef.getId()]) {
+                this.caches[modelRef.getId()] = this._build(modelRef);
+            }
+        },
+
+        /**
+         * Drop the cache of a model that is no longer served (the default one is kept)
+         * @param {string} modelId - Model ID
+         */
+        remove: function(modelId) {
+            if (this.caches[modelId] !== this.cache) {
+                delete this.caches[modelId];
+            }
+        },
+
+        /**
+         * Collect the top-level folders of a model by layer
+         * @private
+         */
+        _build: function(modelRef) {
+            var cache = {
                 business: null,
                 application: null,
                 technology: null,
@@ -51,25 +90,34 @@
                 var folder = folders.get(i);
 
                 if (folder.getType() === FolderType.BUSINESS) {
-                    this.cache.business = folder;
+                    cache.business = folder;
                 } else if (folder.getType() === FolderType.APPLICATION) {
-                    this.cache.application = folder;
+                    cache.application = folder;
                 } else if (folder.getType() === FolderType.TECHNOLOGY) {
-                    this.cache.technology = folder;
+                    cache.technology = folder;
                 } else if (folder.getType() === FolderType.STRATEGY) {
-                    this.cache.strategy = folder;
+                    cache.strategy = folder;
                 } else if (folder.getType() === FolderType.MOTIVATION) {
-                    this.cache.motivation = folder;
+                    cache.motivation = folder;
                 } else if (folder.getType() === FolderType.IMPLEMENTATION_MIGRATION) {
-                    this.cache.implementation = folder;
+                    cache.implementation = folder;
                 } else if (folder.getType() === FolderType.PHYSICAL) {
-                    this.cache.physical = folder;
+                    cache.physical = folder;
                 } else if (folder.getType() === FolderType.OTHER) {
-                    this.cache.other = folder;
+                    cache.other = folder;
                 } else if (folder.getType() === FolderType.RELATIONS) {
-                    this.cache.relations = folder;
+                    cache.relations = folder;
                 }
             }
+            return cache;
+        },
+
+        /**
+         * Look up the cache for a model (the default one when modelRef is omitted)
+         * @private
+         */
+        _cacheFor: function(modelRef) {
+            return modelRef ? (this.caches[modelRef.getId()] || null) : this.cache;
         },
 
         /**
@@ -77,149 +125,169 @@
          */
         clear: function() {
             this.cache = null;
+            this.caches = {};
         },
 
         /**
          * Get business layer folder
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {com.archimatetool.model.IFolder}
          * @throws {Error} If business folder not found
          */
-        getBusinessFolder: function() {
-            if (!this.cache || !this.cache.business) {
+        getBusinessFolder: function(modelRef) {
+            var cache = this._cacheFor(modelRef);
+            if (!cache || !cache.business) {
                 throw new Error("Business folder not found in model");
             }
-            return this.cache.business;
+            return cache.business;
         },
 
         /**
          * Get application layer folder
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {com.archimatetool.model.IFolder}
          * @throws {Error} If application folder not found
          */
-        getApplicationFolder: function() {
-            if (!this.cache || !this.cache.application) {
+        getApplicationFolder: function(modelRef) {
+            var cache = this._cacheFor(modelRef);
+            if (!cache || !cache.application) {
                 throw new Error("Application folder not found in model");
             }
-            return this.cache.application;
+            return cache.application;
         },
 
         /**
          * Get technology layer folder
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {com.archimatetool.model.IFolder}
          * @throws {Error} If technology folder not found
          */
-        getTechnologyFolder: function() {
-            if (!this.cache || !this.cache.technology) {
+        getTechnologyFolder: function(modelRef) {
+            var cache = this._cacheFor(modelRef);
+            if (!cache || !cache.technology) {
                 throw new Error("Technology folder not found in model");
             }
-            return this.cache.technology;
+            return cache.technology;
         },
 
         /**
          * Get strategy layer folder
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {com.archimatetool.model.IFolder}
          * @throws {Error} If strategy folder not found
          */
-        getStrategyFolder: function() {
-            if (!this.cache || !this.cache.strategy) {
+        getStrategyFolder: function(modelRef) {
+            var cache = this._cacheFor(modelRef);
+            if (!cache || !cache.strategy) {
                 throw new Error("Strategy folder not found in model");
             }
-            return this.cache.strategy;
+            return cache.strategy;
         },
 
         /**
          * Get motivation layer folder
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {com.archimatetool.model.IFolder}
          * @throws {Error} If motivation folder not found
          */
-        getMotivationFolder: function() {
-            if (!this.cache || !this.cache.motivation) {
+        getMotivationFolder: function(modelRef) {
+            var cache = this._cacheFor(modelRef);
+            if (!cache || !cache.motivation) {
                 throw new Error("Motivation folder not found in model");
             }
-            return this.cache.motivation;
+            return cache.motivation;
         },
 
         /**
          * Get implementation & migration layer folder
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {com.archimatetool.model.IFolder}
          * @throws {Error} If implementation folder not found
          */
-        getImplementationFolder: function() {
-            if (!this.cache || !this.cache.implementation) {
+        getImplementationFolder: function(modelRef) {
+            var cache = this._cacheFor(modelRef);
+            if (!cache || !cache.implementation) {
                 throw new Error("Implementation folder not found in model");
             }
-            return this.cache.implementation;
+            return cache.implementation;
         },
 
         /**
          * Get physical layer folder
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {com.archimatetool.model.IFolder}
          * @throws {Error} If physical folder not found
          */
-        getPhysicalFolder: function() {
-            if (!this.cache || !this.cache.physical) {
+        getPhysicalFolder: function(modelRef) {
+            var cache = this._cacheFor(modelRef);
+            if (!cache || !cache.physical) {
                 throw new Error("Physical folder not found in model");
             }
-            return this.cache.physical;
+            return cache.physical;
         },
 
         /**
          * Get other folder (location, grouping, junction)
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {com.archimatetool.model.IFolder}
          * @throws {Error} If other folder not found
          */
-        getOtherFolder: function() {
-            if (!this.cache || !this.cache.other) {
+        getOtherFolder: function(modelRef) {
+            var cache = this._cacheFor(modelRef);
+            if (!cache || !cache.other) {
                 throw new Error("Other folder not found in model");
             }
-            return this.cache.other;
+            return cache.other;
         },
 
         /**
          * Get relations folder
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {com.archimatetool.model.IFolder}
          * @throws {Error} If relations folder not found
          */
-        getRelationsFolder: function() {
-            if (!this.cache || !this.cache.relations) {
+        getRelationsFolder: function(modelRef) {
+            var cache = this._cacheFor(modelRef);
+            if (!cache || !cache.relations) {
                 throw new Error("Relations folder not found in model");
             }
-            return this.cache.relations;
+            return cache.relations;
         },
 
         /**
          * Get folder for specific element type
          * @param {string} elementType - ArchiMate element type (e.g., "business-actor")
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {com.archimatetool.model.IFolder}
          * @throws {Error} If appropriate folder not found
          */
-        getFolderForType: function(elementType) {
+        getFolderForType: function(elementType, modelRef) {
             // Strategy Layer
             if (elementType === "resource" || elementType === "capability" ||
                        elementType === "value-stream" || elementType === "course-of-action") {
-                return this.getStrategyFolder();
+                return this.getStrategyFolder(modelRef);
             }
             // Business Layer
             else if (elementType.startsWith("business-") ||
                        elementType === "contract" || elementType === "representation" ||
                        elementType === "product") {
-                return this.getBusinessFolder();
+                return this.getBusinessFolder(modelRef);
             }
             // Application Layer
             else if (elementType.startsWith("application-") || elementType === "data-object") {
-                return this.getApplicationFolder();
+                return this.getApplicationFolder(modelRef);
             }
             // Technology Layer
             else if (elementType.startsWith("technology-") ||
                        elementType === "artifact" || elementType === "node" ||
                        elementType === "device" || elementType === "system-software" ||
                        elementType === "path" || elementType === "communication-network") {
-                return this.getTechnologyFolder();
+                return this.getTechnologyFolder(modelRef);
             }
             // Physical Layer
             else if (elementType === "equipment" || elementType === "facility" ||
                        elementType === "distribution-network" || elementType === "material") {
-                return this.getPhysicalFolder();
+                return this.getPhysicalFolder(modelRef);
             }
             // Motivation Layer
             else if (elementType === "stakeholder" || elementType === "driver" ||
@@ -227,26 +295,26 @@
                        elementType === "outcome" || elementType === "principle" ||
                        elementType === "requirement" || elementType === "constraint" ||
                        elementType === "meaning" || elementType === "value") {
-                return this.getMotivationFolder();
+                return this.getMotivationFolder(modelRef);
             }
             // Implementation & Migration Layer
             else if (elementType.startsWith("implementation-") ||
                        elementType === "work-package" || elementType === "deliverable" ||
                        elementType === "plateau" || elementType === "gap") {
-                return this.getImplementationFolder();
+                return this.getImplementationFolder(modelRef);
             }
             // Other (location, grouping, junction)
             else if (elementType === "location" || elementType === "grouping" ||
                        elementType === "junction") {
-                return this.getOtherFolder();
+                return this.getOtherFolder(modelRef);
             }
             // Relationships
             else if (elementType.indexOf("relationship") !== -1) {
-                return this.getRelationsFolder();
+                return this.getRelationsFolder(modelRef);
             }
             // Default fallback
             else {
-                return this.getOtherFolder();
+                return this.getOtherFolder(modelRef);
             }
         },
 
@@ -0,0 +1,821 @@
+/**
+ * graphqlEngine.js - Minimal GraphQL parser and executor (plain JS, no dependencies)
+ *
+ * Supports the query subset needed for read-only model access:
+ *   - Query operations (shorthand `{ ... }` or `query Name($var: Type = default) { ... }`)
+ *   - Aliases, arguments (all literal kinds), variables
+ *   - Named fragments, inline fragments (`... on Type`), @include / @skip
+ *   - `__typename`
+ *
+ * Mutations, subscriptions and schema introspection (`__schema`, `__type`)
+ * are not supported; GET /graphql returns the schema as SDL instead.
+ *
+ * Schemas are plain objects:
+ *   {
+ *     query: "Query",
+ *     types: {
+ *       Query: { description: "...", fields: {
+ *         element: { type: "Element", args: { id: { type: "ID", required: true } },
+ *                    resolve: function(parent, args, context, info) { ... } }
+ *       } }
+ *     }
+ *   }
+ * Field `type` is a scalar (ID, String, Int, Float, Boolean) or an object type name;
+ * `list: true` marks list fields. Fields without `resolve` read parent[fieldName].
+ * Argument types may also name an entry of `schema.enums` ({ Direction: ["IN", "OUT"] }).
+ *
+ * @module server/graphqlEngine
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.graphqlEngine !== "undefined") {
+        return;
+    }
+
+    var SCALARS = { ID: true, String: true, Int: true, Float: true, Boolean: true };
+    var PUNCTUATORS = "!$():=@[]{}|";
+
+    /**
+     * Error raised for syntax and validation problems (whole request fails)
+     * @param {string} message - Error message
+     * @param {Object} [location] - { line, column }
+     */
+    function GraphQLError(message, location) {
+        this.name = "GraphQLError";
+        this.message = message;
+        this.locations = location ? [location] : undefined;
+    }
+    GraphQLError.prototype = Object.create(Error.prototype);
+    GraphQLError.prototype.constructor = GraphQLError;
+
+    // =================================================================
+    // Lexer
+    // =================================================================
+
+    function tokenize(source) {
+        var tokens = [];
+        var i = 0;
+        var line = 1;
+        var lineStart = 0;
+
+        function loc(pos) {
+            return { line: line, column: pos - lineStart + 1 };
+        }
+
+        while (i < source.length) {
+            var ch = source.charAt(i);
+
+            if (ch === "\n") {
+                line++;
+                i++;
+                lineStart = i;
+                continue;
+            }
+            if (ch === " " || ch === "\t" || ch === "\r" || ch === "," || ch === "\uFEFF") {
+                i++;
+                continue;
+            }
+            if (ch === "#") {
+                while (i < source.length && source.charAt(i) !== "\n") i++;
+                continue;
+            }
+
+            var start = i;
+
+            if (ch === ".") {
+                if (source.substr(i, 3) !== "...") {
+                    throw new GraphQLError("Unexpected '.'", loc(i));
+                }
+                tokens.push({ kind: "...", value: "...", loc: loc(start) });
+                i += 3;
+                continue;
+            }
+
+            if (PUNCTUATORS.indexOf(ch) !== -1) {
+                tokens.push({ kind: ch, value: ch, loc: loc(start) });
+                i++;
+                continue;
+            }
+
+            if (/[_A-Za-z]/.test(ch)) {
+                while (i < source.length && /[_0-9A-Za-z]/.test(source.charAt(i))) i++;
+                tokens.push({ kind: "Name", value: source.substring(start, i), loc: loc(start) });
+                continue;
+            }
+
+            if (ch === "-" || /[0-9]/.test(ch)) {
+                var numMatch = /^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?/.exec(source.substring(i));
+                if (!numMatch) {
+                    throw new GraphQLError("Invalid number", loc(i));
+                }
+                var isFloat = !!(numMatch[2] || numMatch[3]);
+                tokens.push({ kind: isFloat ? "Float" : "Int", value: numMatch[0], loc: loc(start) });
+                i += numMatch[0].length;
+                continue;
+            }
+
+            if (ch === "\"") {
+                if (source.substr(i, 3) === "\"\"\"") {
+                    var end = source.indexOf("\"\"\"", i + 3);
+                    if (end === -1) {
+                        throw new GraphQLError("Unterminated block string", loc(i));
+                    }
+                    var block = source.substring(i + 3, end);
+                    tokens.push({ kind: "String", value: block, loc: loc(start) });
+                    for (var b = 0; b < block.length; b++) {
+                        if (block.charAt(b) === "\n") {
+                            line++;
+                            lineStart = i + 3 + b + 1;
+                        }
+                    }
+                    i = end + 3;
+                    continue;
+                }
+                var value = "";
+                i++;
+                while (true) {
+                    if (i >= source.length || source.charAt(i) === "\n") {
+                        throw new GraphQLError("Unterminated string", loc(start));
+                    }
+                    var c = source.charAt(i);
+                    if (c === "\"") {
+                        i++;
+                        break;
+                    }
+                    if (c === "\\") {
+                        var esc = source.charAt(i + 1);
+                        var escapes = { "\"": "\"", "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+                        if (esc === "u") {
+                            value += String.fromCharCode(parseInt(source.substr(i + 2, 4), 16));
+                            i += 6;
+                        } else if (escapes.hasOwnProperty(esc)) {
+                            value += escapes[esc];
+                            i += 2;
+                        } else {
+                            throw new GraphQLError("Invalid escape sequence \\" + esc, loc(i));
+                        }
+                        continue;
+                    }
+                    value += c;
+                    i++;
+                }
+                tokens.push({ kind: "String", value: value, loc: loc(start) });
+                continue;
+            }
+
+            throw new GraphQLError("Unexpected character '" + ch + "'", loc(i));
+        }
+
+        tokens.push({ kind: "EOF", value: null, loc: loc(i) });
+        return tokens;
+    }
+
+    // =================================================================
+    // Parser
+    // =================================================================
+
+    function parse(source) {
+        var tokens = tokenize(String(source || ""));
+        var pos = 0;
+
+        function peek(kind, value) {
+            var t = tokens[pos];
+            return t.kind === kind && (value === undefined || t.value === value);
+        }
+
+        function next() {
+            return tokens[pos++];
+        }
+
+        function expect(kind, value) {
+            var t = tokens[pos];
+            if (t.kind !== kind || (value !== undefined && t.value !== value)) {
+                var found = t.kind === "EOF" ? "end of document" : "'" + t.value + "'";
+                throw new GraphQLError("Expected " + (value || kind) + ", found " + found, t.loc);
+            }
+            pos++;
+            return t;
+        }
+
+        function parseName() {
+            return expect("Name").value;
+        }
+
+        function parseValue(isConst) {
+            var t = tokens[pos];
+            switch (t.kind) {
+                case "$":
+                    if (isConst) throw new GraphQLError("Variables are not allowed here", t.loc);
+                    next();
+                    return { kind: "Variable", name: parseName(), loc: t.loc };
+                case "Int":
+                    next();
+                    return { kind: "Int", value: parseInt(t.value, 10) };
+                case "Float":
+                    next();
+                    return { kind: "Float", value: parseFloat(t.value) };
+                case "String":
+                    next();
+                    return { kind: "String", value: t.value };
+                case "Name":
+                    next();
+                    if (t.value === "true" || t.value === "false") return { kind: "Boolean", value: t.value === "true" };
+                    if (t.value === "null") return { kind: "Null", value: null };
+                    return { kind: "Enum", value: t.value };
+                case "[":
+                    next();
+                    var items = [];
+                    while (!peek("]")) items.push(parseValue(isConst));
+                    next();
+                    return { kind: "List", values: items };
+                case "{":
+                    next();
+                    var fields = [];
+                    while (!peek("}")) {
+                        var fieldName = parseName();
+                        expect(":");
+                        fields.push({ name: fieldName, value: parseValue(isConst) });
+                    }
+                    next();
+                    return { kind: "Object", fields: fields };
+                default:
+                    throw new GraphQLError("Unexpected " + (t.kind === "EOF" ? "end of document" : "'" + t.value + "'"), t.loc);
+            }
+        }
+
+        function parseArguments() {
+            var args = [];
+            if (!peek("(")) return args;
+            next();
+            while (!peek(")")) {
+                var nameToken = expect("Name");
+                expect(":");
+                args.push({ name: nameToken.value, value: parseValue(false), loc: nameToken.loc });
+            }
+            next();
+            return args;
+        }
+
+        function parseDirectives() {
+            var directives = [];
+            while (peek("@")) {
+                var at = next();
+                directives.push({ name: parseName(), arguments: parseArguments(), loc: at.loc });
+            }
+            return directives;
+        }
+
+        function parseTypeRef() {
+            var type;
+            if (peek("[")) {
+                next();
+                type = { kind: "List", ofType: parseTypeRef() };
+                expect("]");
+            } else {
+                type = { kind: "Named", name: parseName() };
+            }
+            if (peek("!")) {
+                next();
+                type = { kind: "NonNull", ofType: type };
+            }
+            return type;
+        }
+
+        function parseSelectionSet() {
+            expect("{");
+            var selections = [];
+            while (!peek("}")) {
+                selections.push(parseSelection());
+            }
+            next();
+            if (selections.length === 0) {
+                throw new GraphQLError("Selection set must not be empty", tokens[pos - 1].loc);
+            }
+            return selections;
+        }
+
+        function parseSelection() {
+            var t = tokens[pos];
+            if (peek("...")) {
+                next();
+                if (peek("Name") && tokens[pos].value !== "on") {
+                    return { kind: "FragmentSpread", name: parseName(), directives: parseDirectives(), loc: t.loc };
+                }
+                var typeCondition = null;
+                if (peek("Name", "on")) {
+                    next();
+                    typeCondition = parseName();
+                }
+                return {
+                    kind: "InlineFragment",
+                    typeCondition: typeCondition,
+                    directives: parseDirectives(),
+                    selectionSet: parseSelectionSet(),
+                    loc: t.loc
+                };
+            }
+
+            var nameOrAlias = parseName();
+            var alias = null;
+            var name = nameOrAlias;
+            if (peek(":")) {
+                next();
+                alias = nameOrAlias;
+                name = parseName();
+            }
+            return {
+                kind: "Field",
+                alias: alias,
+                name: name,
+                arguments: parseArguments(),
+                directives: parseDirectives(),
+                selectionSet: peek("{") ? parseSelectionSet() : null,
+                loc: t.loc
+            };
+        }
+
+        function parseVariableDefinitions() {
+            var defs = [];
+            if (!peek("(")) return defs;
+            next();
+            while (!peek(")")) {
+                var dollar = expect("$");
+                var varName = parseName();
+                expect(":");
+                var type = parseTypeRef();
+                var defaultValue;
+                if (peek("=")) {
+                    next();
+                    defaultValue = parseValue(true);
+                }
+                defs.push({ name: varName, type: type, defaultValue: defaultValue, loc: dollar.loc });
+            }
+            next();
+            return defs;
+        }
+
+        var document = { operations: [], fragments: {} };
+
+        while (!peek("EOF")) {
+            var t = tokens[pos];
+            if (peek("{")) {
+                document.operations.push({
+                    operation: "query",
+                    name: null,
+                    variableDefinitions: [],
+                    directives: [],
+                    selectionSet: parseSelectionSet(),
+                    loc: t.loc
+                });
+            } else if (peek("Name", "fragment")) {
+                next();
+                var fragName = parseName();
+                expect("Name", "on");
+                var onType = parseName();
+                document.fragments[fragName] = {
+                    name: fragName,
+                    typeCondition: onType,
+                    directives: parseDirectives(),
+                    selectionSet: parseSelectionSet(),
+                    loc: t.loc
+                };
+            } else if (peek("Name", "query") || peek("Name", "mutation") || peek("Name", "subscription")) {
+                var opType = next().value;
+                var opName = peek("Name") ? parseName() : null;
+                document.operations.push({
+                    operation: opType,
+                    name: opName,
+                    variableDefinitions: parseVariableDefinitions(),
+                    directives: parseDirectives(),
+                    selectionSet: parseSelectionSet(),
+                    loc: t.loc
+                });
+            } else {
+                throw new GraphQLError("Unexpected '" + t.value + "'", t.loc);
+            }
+        }
+
+        if (document.operations.length === 0) {
+            throw new GraphQLError("Document does not contain an operation");
+        }
+        return document;
+    }
+
+    // =================================================================
+    // Values and arguments
+    // =================================================================
+
+    function typeRefToString(type) {
+        if (type.kind === "NonNull") return typeRefToString(type.ofType) + "!";
+        if (type.kind === "List") return "[" + typeRefToString(type.ofType) + "]";
+        return type.name;
+    }
+
+    function valueFromAst(node, variables) {
+        switch (node.kind) {
+            case "Variable":
+                return variables.hasOwnProperty(node.name) ? variables[node.name] : undefined;
+            case "List":
+                return node.values.map(function(v) { return valueFromAst(v, variables); });
+            case "Object":
+                var obj = {};
+                node.fields.forEach(function(f) { obj[f.name] = valueFromAst(f.value, variables); });
+                return obj;
+            default:
+                return node.value;
+        }
+    }
+
+    /**
+     * Coerce a value to a declared argument type.
+     * @returns {*} Coerced value
+     * @throws {GraphQLError} When the value does not fit the type
+     */
+    function coerceArgument(value, argDef, label) {
+        if (value === null || value === undefined) {
+            return value;
+        }
+        if (argDef.list) {
+            var list = Array.isArray(value) ? value : [value];
+            return list.map(function(item) {
+                return coerceArgument(item, { type: argDef.type, values: argDef.values }, label);
+            });
+        }
+        switch (argDef.type) {
+            case "Int":
+                if (typeof value !== "number" || Math.floor(value) !== value) {
+                    throw new GraphQLError(label + " must be an Int");
+                }
+                return value;
+            case "Float":
+                if (typeof value !== "number") throw new GraphQLError(label + " must be a Float");
+                return value;
+            case "Boolean":
+                if (typeof value !== "boolean") throw new GraphQLError(label + " must be a Boolean");
+                return value;
+            case "ID":
+                if (typeof value !== "string" && typeof value !== "number") {
+                    throw new GraphQLError(label + " must be an ID");
+                }
+                return String(value);
+            case "String":
+                if (typeof value !== "string") throw new GraphQLError(label + " must be a String");
+                return value;
+            default:
+                // Enum: a fixed set of names
+                if (argDef.values && argDef.values.indexOf(value) === -1) {
+                    throw new GraphQLError(label + " must be one of " + argDef.values.join(", "));
+                }
+                return value;
+        }
+    }
+
+    function coerceVariables(operation, rawVariables) {
+        var provided = rawVariables || {};
+        var result = {};
+        operation.variableDefinitions.forEach(function(def) {
+            var value = provided.hasOwnProperty(def.name) ? provided[def.name] : undefined;
+            if (value === undefined && def.defaultValue !== undefined) {
+                value = valueFromAst(def.defaultValue, {});
+            }
+            if ((value === undefined || value === null) && def.type.kind === "NonNull") {
+                throw new GraphQLError("Variable $" + def.name + " of type " + typeRefToString(def.type) +
+                    " is required", def.loc);
+            }
+            if (value !== undefined) result[def.name] = value;
+        });
+        return result;
+    }
+
+    function resolveArguments(fieldDef, fieldNode, ctx, typeName) {
+        var variables = ctx.variables;
+        var argDefs = fieldDef.args || {};
+        var args = {};
+        fieldNode.arguments.forEach(function(argNode) {
+            if (!argDefs.hasOwnProperty(argNode.name)) {
+                throw new GraphQLError("Unknown argument '" + argNode.name + "' on field '" + typeName + "." +
+                    fieldNode.name + "'", argNode.loc);
+            }
+        });
+        Object.keys(argDefs).forEach(function(argName) {
+            var def = argDefs[argName];
+            var argNode = null;
+            for (var i = 0; i < fieldNode.arguments.length; i++) {
+                if (fieldNode.arguments[i].name === argName) argNode = fieldNode.arguments[i];
+            }
+            var value = argNode ? valueFromAst(argNode.value, variables) : undefined;
+            if (value === undefined) value = def.defaultValue;
+            if ((value === undefined || value === null) && def.required) {
+                throw new GraphQLError("Argument '" + argName + "' on field '" + typeName + "." + fieldNode.name +
+                    "' is required", fieldNode.loc);
+            }
+            if (value !== undefined) {
+                var enumValues = ctx.schema.enums ? ctx.schema.enums[def.type] : null;
+                args[argName] = coerceArgument(value, {
+                    type: def.type,
+                    list: def.list,
+                    values: enumValues || null
+                }, "Argument '" + argName + "'");
+            }
+        });
+        return args;
+    }
+
+    // =================================================================
+    // Execution
+    // =================================================================
+
+    function shouldInclude(node, variables) {
+        var directives = node.directives || [];
+        for (var i = 0; i < directives.length; i++) {
+            var d = directives[i];
+            if (d.name !== "include" && d.name !== "skip") {
+                throw new GraphQLError("Unknown directive @" + d.name, d.loc);
+            }
+            var ifArg = null;
+            for (var j = 0; j < d.arguments.length; j++) {
+                if (d.arguments[j].name === "if") ifArg = d.arguments[j];
+            }
+            if (!ifArg) throw new GraphQLError("Directive @" + d.name + " requires an 'if' argument", d.loc);
+            var condition = valueFromAst(ifArg.value, variables) === true;
+            if (d.name === "skip" && condition) return false;
+            if (d.name === "include" && !condition) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Flatten fragments into an ordered map of response key -> field nodes
+     */
+    function collectFields(typeName, selections, ctx, fields, visited) {
+        fields = fields || {};
+        visited = visited || {};
+        selections.forEach(function(sel) {
+            if (!shouldInclude(sel, ctx.variables)) return;
+            if (sel.kind === "Field") {
+                var key = sel.alias || sel.name;
+                (fields[key] = fields[key] || []).push(sel);
+            } else if (sel.kind === "InlineFragment") {
+                if (sel.typeCondition && sel.typeCondition !== typeName) {
+                    if (!ctx.schema.types[sel.typeCondition]) {
+                        throw new GraphQLError("Unknown type '" + sel.typeCondition + "'", sel.loc);
+                    }
+                    return;
+                }
+                collectFields(typeName, sel.selectionSet, ctx, fields, visited);
+            } else if (sel.kind === "FragmentSpread") {
+                var fragment = ctx.document.fragments[sel.name];
+                if (!fragment) throw new GraphQLError("Unknown fragment '" + sel.name + "'", sel.loc);
+                if (visited[sel.name]) return;
+                visited[sel.name] = true;
+                if (!ctx.schema.types[fragment.typeCondition]) {
+                    throw new GraphQLError("Unknown type '" + fragment.typeCondition + "'", fragment.loc);
+                }
+                if (fragment.typeCondition !== typeName) return;
+                collectFields(typeName, fragment.selectionSet, ctx, fields, visited);
+            }
+        });
+        return fields;
+    }
+
+    function mergedSelectionSet(fieldNodes) {
+        var merged = [];
+        fieldNodes.forEach(function(node) {
+            if (node.selectionSet) merged = merged.concat(node.selectionSet);
+        });
+        return merged;
+    }
+
+    function executeSelectionSet(typeName, parentValue, selections, path, depth, ctx) {
+        var typeDef = ctx.schema.types[typeName];
+        var fields = collectFields(typeName, selections, ctx);
+        var result = {};
+
+        Object.keys(fields).forEach(function(responseKey) {
+            var fieldNodes = fields[responseKey];
+            var fieldNode = fieldNodes[0];
+            var fieldPath = path.concat([responseKey]);
+
+            if (fieldNode.name === "__typename") {
+                result[responseKey] = typeName;
+                return;
+            }
+
+            var fieldDef = typeDef.fields[fieldNode.name];
+            if (!fieldDef) {
+                throw new GraphQLError("Cannot query field '" + fieldNode.name + "' on type '" + typeName + "'",
+                    fieldNode.loc);
+            }
+
+            var isScalar = SCALARS[fieldDef.type] === true || !ctx.schema.types[fieldDef.type];
+            if (isScalar && fieldNode.selectionSet) {
+                throw new GraphQLError("Field '" + fieldNode.name + "' of type '" + fieldDef.type +
+                    "' must not have a selection set", fieldNode.loc);
+            }
+            if (!isScalar && !fieldNode.selectionSet) {
+                throw new GraphQLError("Field '" + fieldNode.name + "' of type '" + fieldDef.type +
+                    "' must have a selection of subfields", fieldNode.loc);
+            }
+            if (!isScalar && depth + 1 > ctx.limits.maxDepth) {
+                throw new GraphQLError("Query exceeds maximum depth of " + ctx.limits.maxDepth, fieldNode.loc);
+            }
+
+            var args = resolveArguments(fieldDef, fieldNode, ctx, typeName);
+
+            var value;
+            try {
+                value = fieldDef.resolve
+                    ? fieldDef.resolve(parentValue, args, ctx.context, { fieldName: fieldNode.name, path: fieldPath })
+                    : (parentValue ? parentValue[fieldNode.name] : null);
+            } catch (resolveErr) {
+                if (resolveErr instanceof GraphQLError && resolveErr.fatal) throw resolveErr;
+                ctx.errors.push({
+                    message: resolveErr && resolveErr.message ? resolveErr.message : String(resolveErr),
+                    locations: fieldNode.loc ? [fieldNode.loc] : undefined,
+                    path: fieldPath
+                });
+                result[responseKey] = null;
+                return;
+            }
+
+            result[responseKey] = completeValue(fieldDef, value, fieldNodes, fieldPath, depth, ctx);
+        });
+
+        return result;
+    }
+
+    function completeValue(fieldDef, value, fieldNodes, path, depth, ctx) {
+        if (value === null || value === undefined) return null;
+
+        if (fieldDef.list) {
+            var items = Array.isArray(value) ? value : [value];
+            return items.map(function(item, index) {
+                return completeValue({ type: fieldDef.type }, item, fieldNodes, path.concat([index]), depth, ctx);
+            });
+        }
+
+        ctx.nodeCount++;
+        if (ctx.nodeCount > ctx.limits.maxNodes) {
+            var limitErr = new GraphQLError("Query result exceeds " + ctx.limits.maxNodes +
+                " nodes; add filters or 'limit' arguments");
+            limitErr.fatal = true;
+            throw limitErr;
+        }
+
+        if (SCALARS[fieldDef.type] || !ctx.schema.types[fieldDef.type]) {
+            switch (fieldDef.type) {
+                case "Int": return typeof value === "number" ? Math.floor(value) : parseInt(String(value), 10);
+                case "Float": return Number(value);
+                case "Boolean": return value === true;
+                default: return String(value);
+            }
+        }
+
+        return executeSelectionSet(fieldDef.type, value, mergedSelectionSet(fieldNodes), path, depth + 1, ctx);
+    }
+
+    // =================================================================
+    // SDL printing
+    // =================================================================
+
+    function printFieldType(def) {
+        return def.list ? "[" + def.type + "]" : def.type;
+    }
+
+    function printSchema(schema) {
+        var out = [];
+        out.push("schema {\n  query: " + schema.query + "\n}");
+        Object.keys(schema.enums || {}).forEach(function(enumName) {
+            out.push("enum " + enumName + " {\n  " + schema.enums[enumName].join("\n  ") + "\n}");
+        });
+        Object.keys(schema.types).forEach(function(typeName) {
+            var typeDef = schema.types[typeName];
+            var lines = [];
+            if (typeDef.description) lines.push('"""' + typeDef.description + '"""');
+            lines.push("type " + typeName + " {");
+            Object.keys(typeDef.fields).forEach(function(fieldName) {
+                var field = typeDef.fields[fieldName];
+                if (field.description) lines.push('  "' + field.description.replace(/"/g, '\\"') + '"');
+                var argNames = Object.keys(field.args || {});
+                var argText = "";
+                if (argNames.length > 0) {
+                    argText = "(" + argNames.map(function(argName) {
+                        var arg = field.args[argName];
+                        var text = argName + ": " + printFieldType(arg) + (arg.required ? "!" : "");
+                        if (arg.defaultValue !== undefined) text += " = " + JSON.stringify(arg.defaultValue);
+                        return text;
+                    }).join(", ") + ")";
+                }
+                lines.push("  " + fieldName + argText + ": " + printFieldType(field));
+            });
+            lines.push("}");
+            out.push(lines.join("\n"));
+        });
+        return out.join("\n\n") + "\n";
+    }
+
+    // =================================================================
+    // Public API
+    // =================================================================
+
+    var graphqlEngine = {
+        GraphQLError: GraphQLError,
+
+        parse: parse,
+
+        printSchema: printSchema,
+
+        /**
+         * Parse and execute a GraphQL request
+         * @param {Object} schema - Schema definition (see module header)
+         * @param {Object} request - { query, variables, operationName }
+         * @param {Object} context - Passed to every resolver
+         * @param {Object} [limits] - { maxDepth, maxNodes }
+         * @returns {{ data: Object|null, errors: Array|undefined, requestError: boolean }}
+         *          requestError is true when the request failed before execution
+         *          (syntax/validation) — the HTTP layer maps it to 400
+         */
+        execute: function(schema, request, context, limits) {
+            var effectiveLimits = {
+                maxDepth: (limits && limits.maxDepth) || 10,
+                maxNodes: (limits && limits.maxNodes) || 50000
+            };
+
+            var document;
+            var operation;
+            var variables;
+            try {
+                document = parse(request.query);
+
+                if (request.operationName) {
+                    operation = document.operations.filter(function(op) {
+                        return op.name === request.operationName;
+                    })[0];
+                    if (!operation) {
+                        throw new GraphQLError("Unknown operation named '" + request.operationName + "'");
+                    }
+                } else if (document.operations.length > 1) {
+                    throw new GraphQLError("Must provide operationName when the document contains multiple operations");
+                } else {
+                    operation = document.operations[0];
+                }
+
+                if (operation.operation !== "query") {
+                    throw new GraphQLError("Only query operations are supported (this endpoint is read-only)",
+                        operation.loc);
+                }
+
+                variables = coerceVariables(operation, request.variables);
+            } catch (e) {
+                return { data: null, errors: [formatError(e)], requestError: true };
+            }
+
+            var ctx = {
+                schema: schema,
+                document: document,
+                variables: variables,
+                context: context,
+                errors: [],
+                nodeCount: 0,
+                limits: effectiveLimits
+            };
+
+            try {
+                var data = executeSelectionSet(schema.query, {}, operation.selectionSet, [], 1, ctx);
+                return {
+                    data: data,
+                    errors: ctx.errors.length > 0 ? ctx.errors : undefined,
+                    requestError: false
+                };
+            } catch (execErr) {
+                return {
+                    data: null,
+                    errors: [formatError(execErr)].concat(ctx.errors),
+                    requestError: execErr instanceof GraphQLError && !execErr.fatal
+                };
+            }
+        }
+    };
+
+    function formatError(e) {
+        var formatted = { message: e && e.message ? e.message : String(e) };
+        if (e && e.locations) formatted.locations = e.locations;
+        return formatted;
+    }
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.graphqlEngine = graphqlEngine;
+    } else if (typeof global !== "undefined") {
+        global.graphqlEngine = graphqlEngine;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = graphqlEngine;
+    }
+
+})();
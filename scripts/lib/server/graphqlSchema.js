@@ -0,0 +1,696 @@
+/**
+ * graphqlSchema.js - Read-only GraphQL schema over the model snapshot
+ *
+ * Types: Model, Element, Relationship, View, Folder, Property. Element,
+ * relationship and view lists resolve against modelSnapshot; properties,
+ * folders and view contents are looked up lazily in the EMF model (once per
+ * request) because the snapshot does not carry them.
+ *
+ * List filters mirror POST /model/search: `type` (exact or substring match),
+ * `namePattern` (regex, case-insensitive unless `caseSensitive: true`),
+ * `propertyKey` / `propertyValue`, and `limit` (default 1000, max 10000).
+ *
+ * Example - capabilities, the application components realizing them and the
+ * technology services serving those components:
+ *
+ *   {
+ *     elements(type: "capability") {
+ *       name
+ *       related(direction: IN, relationshipType: "realization-relationship", type: "application-component") {
+ *         name
+ *         related(direction: IN, relationshipType: "serving-relationship", type: "technology-service") { name }
+ *       }
+ *     }
+ *   }
+ *
+ * @module server/graphqlSchema
+ * @requires server/modelSnapshot
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.graphqlSchema !== "undefined") {
+        return;
+    }
+
+    var DEFAULT_LIMIT = 1000;
+    var MAX_LIMIT = 10000;
+    var MAX_PATTERN_LENGTH = 256;
+
+    // IAccessRelationship constants -> names used by /model/apply
+    var ACCESS_TYPE_NAMES = { 0: "write", 1: "read", 2: "access", 3: "readwrite" };
+
+    // =================================================================
+    // Per-request model index
+    // =================================================================
+
+    /**
+     * Build lookup tables from the snapshot; EMF lookups are built on first use.
+     * @param {Object} modelRef - IArchimateModel
+     * @returns {Object} Resolver context
+     */
+    function createContext(modelRef) {
+        var snapshot = modelSnapshot.getSnapshot(modelRef);
+        if (!snapshot) {
+            throw new Error("No model snapshot available");
+        }
+
+        var ctx = {
+            modelRef: modelRef,
+            snapshot: snapshot,
+            elementsById: {},
+            relationshipsById: {},
+            viewsById: {},
+            outgoing: {},
+            incoming: {},
+            _emf: null,
+            _viewContents: {},
+            _viewsByConcept: null
+        };
+
+        snapshot.elements.forEach(function(el) { ctx.elementsById[el.id] = el; });
+        snapshot.views.forEach(function(view) { ctx.viewsById[view.id] = view; });
+        snapshot.relationships.forEach(function(rel) {
+            ctx.relationshipsById[rel.id] = rel;
+            if (rel.source) (ctx.outgoing[rel.source] = ctx.outgoing[rel.source] || []).push(rel);
+            if (rel.target) (ctx.incoming[rel.target] = ctx.incoming[rel.target] || []).push(rel);
+        });
+
+        return ctx;
+    }
+
+    /**
+     * Lazily index EMF objects and folders by ID (single folder traversal)
+     */
+    function emfIndex(ctx) {
+        if (ctx._emf) return ctx._emf;
+
+        var index = {
+            objectsById: {},
+            foldersById: {},
+            folderOf: {},
+            parentOf: {},
+            pathOf: {},
+            rootFolders: [],
+            allFolders: []
+        };
+
+        function visit(folder, parent, path) {
+            var folderId = folder.getId();
+            index.foldersById[folderId] = folder;
+            index.parentOf[folderId] = parent;
+            index.pathOf[folderId] = path;
+            index.allFolders.push(folder);
+
+            var children = folder.getElements();
+            for (var i = 0; i < children.size(); i++) {
+                var child = children.get(i);
+                index.objectsById[child.getId()] = child;
+                index.folderOf[child.getId()] = folder;
+            }
+            var subfolders = folder.getFolders();
+            for (var j = 0; j < subfolders.size(); j++) {
+                var sub = subfolders.get(j);
+                visit(sub, folder, path + "/" + (sub.getName() || ""));
+            }
+        }
+
+        if (ctx.modelRef) {
+            var folders = ctx.modelRef.getFolders();
+            for (var k = 0; k < folders.size(); k++) {
+                var root = folders.get(k);
+                index.rootFolders.push(root);
+                visit(root, null, root.getName() || "");
+            }
+        }
+
+        ctx._emf = index;
+        return index;
+    }
+
+    function emfObject(ctx, id) {
+        return emfIndex(ctx).objectsById[id] || null;
+    }
+
+    /**
+     * Concept IDs shown on a view: { elements: [id], relationships: [id] }
+     */
+    function viewContents(ctx, viewId) {
+        if (ctx._viewContents[viewId]) return ctx._viewContents[viewId];
+
+        var contents = { elements: [], relationships: [] };
+        var seenElements = {};
+        var seenRelationships = {};
+        var view = emfObject(ctx, viewId);
+
+        function visit(container) {
+            var children = container.getChildren();
+            for (var i = 0; i < children.size(); i++) {
+                var child = children.get(i);
+                if (typeof child.getArchimateElement === "function") {
+                    var element = child.getArchimateElement();
+                    if (element && !seenElements[element.getId()]) {
+                        seenElements[element.getId()] = true;
+                        contents.elements.push(element.getId());
+                    }
+                }
+                if (typeof child.getSourceConnections === "function") {
+                    var conns = child.getSourceConnections();
+                    for (var c = 0; c < conns.size(); c++) {
+                        var conn = conns.get(c);
+                        if (typeof conn.getArchimateRelationship === "function") {
+                            var rel = conn.getArchimateRelationship();
+                            if (rel && !seenRelationships[rel.getId()]) {
+                                seenRelationships[rel.getId()] = true;
+                                contents.relationships.push(rel.getId());
+                            }
+                        }
+                    }
+                }
+                if (typeof child.getChildren === "function") {
+                    visit(child);
+                }
+            }
+        }
+
+        if (view && typeof view.getChildren === "function") {
+            visit(view);
+        }
+        ctx._viewContents[viewId] = contents;
+        return contents;
+    }
+
+    /**
+     * Views referencing a concept (reverse index over all views, built once)
+     */
+    function viewsForConcept(ctx, conceptId) {
+        if (!ctx._viewsByConcept) {
+            ctx._viewsByConcept = {};
+            ctx.snapshot.views.forEach(function(view) {
+                var contents = viewContents(ctx, view.id);
+                contents.elements.concat(contents.relationships).forEach(function(id) {
+                    (ctx._viewsByConcept[id] = ctx._viewsByConcept[id] || []).push(view);
+                });
+            });
+        }
+        return ctx._viewsByConcept[conceptId] || [];
+    }
+
+    // =================================================================
+    // Filtering (same semantics as POST /model/search)
+    // =================================================================
+
+    function buildMatcher(args) {
+        var typeFilter = args.type ? String(args.type).toLowerCase() : null;
+        var nameRegex = null;
+        if (args.namePattern !== undefined && args.namePattern !== null) {
+            if (args.namePattern.length > MAX_PATTERN_LENGTH) {
+                throw new Error("Invalid 'namePattern'. Maximum length is " + MAX_PATTERN_LENGTH + " characters.");
+            }
+            try {
+                nameRegex = new RegExp(args.namePattern, args.caseSensitive ? "" : "i");
+            } catch (regexErr) {
+                throw new Error("Invalid 'namePattern' regex: " + String(regexErr));
+            }
+        }
+        var limit = args.limit !== undefined && args.limit !== null ? args.limit : DEFAULT_LIMIT;
+        if (limit < 1 || limit > MAX_LIMIT) {
+            throw new Error("Invalid 'limit'. Must be between 1 and " + MAX_LIMIT + ".");
+        }
+
+        return {
+            limit: limit,
+            test: function(item, ctx) {
+                if (typeFilter && item.type !== typeFilter && String(item.type).indexOf(typeFilter) === -1) {
+                    return false;
+                }
+                if (nameRegex && !nameRegex.test(item.name || "")) {
+                    return false;
+                }
+                if (args.propertyKey) {
+                    var props = propertiesOf(ctx, item.id);
+                    var found = false;
+                    for (var i = 0; i < props.length; i++) {
+                        if (props[i].key === args.propertyKey &&
+                            (args.propertyValue === undefined || args.propertyValue === null ||
+                             props[i].value === args.propertyValue)) {
+                            found = true;
+                            break;
+                        }
+                    }
+                    if (!found) return false;
+                }
+                return true;
+            }
+        };
+    }
+
+    function filterList(items, args, ctx, extraTest) {
+        var matcher = buildMatcher(args);
+        var result = [];
+        for (var i = 0; i < items.length && result.length < matcher.limit; i++) {
+            var item = items[i];
+            if (!item) continue;
+            if (extraTest && !extraTest(item)) continue;
+            if (matcher.test(item, ctx)) result.push(item);
+        }
+        return result;
+    }
+
+    function propertiesOf(ctx, id) {
+        var eObject = emfObject(ctx, id) || emfIndex(ctx).foldersById[id];
+        if (!eObject || typeof eObject.getProperties !== "function") return [];
+        var props = eObject.getProperties();
+        var result = [];
+        for (var i = 0; i < props.size(); i++) {
+            result.push({ key: props.get(i).getKey(), value: props.get(i).getValue() });
+        }
+        return result;
+    }
+
+    function propertyValue(ctx, id, key) {
+        var props = propertiesOf(ctx, id);
+        for (var i = 0; i < props.length; i++) {
+            if (props[i].key === key) return props[i].value;
+        }
+        return null;
+    }
+
+    function documentationOf(ctx, item) {
+        if (item.documentation !== undefined) return item.documentation;
+        var eObject = emfObject(ctx, item.id);
+        return eObject && typeof eObject.getDocumentation === "function" ? (eObject.getDocumentation() || "") : "";
+    }
+
+    function folderFor(ctx, id) {
+        return emfIndex(ctx).folderOf[id] || null;
+    }
+
+    function relationshipsFor(ctx, elementId, direction) {
+        var out = direction === "IN" ? [] : (ctx.outgoing[elementId] || []);
+        var inc = direction === "OUT" ? [] : (ctx.incoming[elementId] || []);
+        return out.concat(inc);
+    }
+
+    // =================================================================
+    // Shared argument sets
+    // =================================================================
+
+    var FILTER_ARGS = {
+        type: { type: "String" },
+        namePattern: { type: "String" },
+        caseSensitive: { type: "Boolean", defaultValue: false },
+        propertyKey: { type: "String" },
+        propertyValue: { type: "String" },
+        limit: { type: "Int", defaultValue: DEFAULT_LIMIT }
+    };
+
+    function withArgs(extra) {
+        var args = {};
+        Object.keys(FILTER_ARGS).forEach(function(k) { args[k] = FILTER_ARGS[k]; });
+        Object.keys(extra || {}).forEach(function(k) { args[k] = extra[k]; });
+        return args;
+    }
+
+    var propertyFields = {
+        properties: {
+            type: "Property",
+            list: true,
+            description: "User-defined properties in model order",
+            resolve: function(item, args, ctx) { return propertiesOf(ctx, item.id); }
+        },
+        property: {
+            type: "String",
+            args: { key: { type: "String", required: true } },
+            description: "Value of the first property with this key",
+            resolve: function(item, args, ctx) { return propertyValue(ctx, item.id, args.key); }
+        },
+        folder: {
+            type: "Folder",
+            resolve: function(item, args, ctx) { return folderFor(ctx, item.id); }
+        }
+    };
+
+    function fieldsWith(base) {
+        var fields = {};
+        Object.keys(base).forEach(function(k) { fields[k] = base[k]; });
+        Object.keys(propertyFields).forEach(function(k) { fields[k] = propertyFields[k]; });
+        return fields;
+    }
+
+    // =================================================================
+    // Schema
+    // =================================================================
+
+    var schema = {
+        query: "Query",
+        enums: {
+            Direction: ["IN", "OUT", "BOTH"]
+        },
+        types: {
+            Query: {
+                description: "Read-only access to the model loaded in the Model API Server",
+                fields: {
+                    model: {
+                        type: "Model",
+                        resolve: function(root, args, ctx) { return ctx; }
+                    },
+                    element: {
+                        type: "Element",
+                        args: { id: { type: "ID", required: true } },
+                        resolve: function(root, args, ctx) { return ctx.elementsById[args.id] || null; }
+                    },
+                    elements: {
+                        type: "Element",
+                        list: true,
+                        args: withArgs(),
+                        description: "Elements matching the filters (same semantics as /model/search)",
+                        resolve: function(root, args, ctx) { return filterList(ctx.snapshot.elements, args, ctx); }
+                    },
+                    relationship: {
+                        type: "Relationship",
+                        args: { id: { type: "ID", required: true } },
+                        resolve: function(root, args, ctx) { return ctx.relationshipsById[args.id] || null; }
+                    },
+                    relationships: {
+                        type: "Relationship",
+                        list: true,
+                        args: withArgs({ sourceId: { type: "ID" }, targetId: { type: "ID" } }),
+                        resolve: function(root, args, ctx) {
+                            return filterList(ctx.snapshot.relationships, args, ctx, function(rel) {
+                                return (!args.sourceId || rel.source === args.sourceId) &&
+                                       (!args.targetId || rel.target === args.targetId);
+                            });
+                        }
+                    },
+                    view: {
+                        type: "View",
+                        args: { id: { type: "ID", required: true } },
+                        resolve: function(root, args, ctx) { return ctx.viewsById[args.id] || null; }
+                    },
+                    views: {
+                        type: "View",
+                        list: true,
+                        args: withArgs(),
+                        resolve: function(root, args, ctx) { return filterList(ctx.snapshot.views, args, ctx); }
+                    },
+                    folder: {
+                        type: "Folder",
+                        args: { id: { type: "ID", required: true } },
+                        resolve: function(root, args, ctx) { return emfIndex(ctx).foldersById[args.id] || null; }
+                    },
+                    folders: {
+                        type: "Folder",
+                        list: true,
+                        args: {
+                            type: { type: "String" },
+                            namePattern: { type: "String" },
+                            caseSensitive: { type: "Boolean", defaultValue: false },
+                            rootOnly: { type: "Boolean", defaultValue: false },
+                            limit: { type: "Int", defaultValue: DEFAULT_LIMIT }
+                        },
+                        description: "All folders (depth-first), or only the top-level folders with rootOnly: true",
+                        resolve: function(root, args, ctx) {
+                            var index = emfIndex(ctx);
+                            var source = args.rootOnly ? index.rootFolders : index.allFolders;
+                            var items = source.map(function(folder) { return toFolderItem(folder); });
+                            return filterList(items, args, ctx).map(function(item) {
+                                return index.foldersById[item.id];
+                            });
+                        }
+                    }
+                }
+            },
+
+            Model: {
+                fields: {
+                    id: { type: "ID", resolve: function(ctx) { return ctx.modelRef ? ctx.modelRef.getId() : null; } },
+                    name: { type: "String", resolve: function(ctx) { return ctx.snapshot.name; } },
+                    purpose: {
+                        type: "String",
+                        resolve: function(ctx) { return ctx.modelRef ? (ctx.modelRef.getPurpose() || "") : null; }
+                    },
+                    elementCount: { type: "Int", resolve: function(ctx) { return ctx.snapshot.elements.length; } },
+                    relationshipCount: { type: "Int", resolve: function(ctx) { return ctx.snapshot.relationships.length; } },
+                    viewCount: { type: "Int", resolve: function(ctx) { return ctx.snapshot.views.length; } }
+                }
+            },
+
+            Element: {
+                fields: fieldsWith({
+                    id: { type: "ID" },
+                    name: { type: "String" },
+                    type: { type: "String", description: "ArchiMate type, e.g. business-actor" },
+                    documentation: { type: "String" },
+                    relationships: {
+                        type: "Relationship",
+                        list: true,
+                        args: withArgs({ direction: { type: "Direction", defaultValue: "BOTH" } }),
+                        resolve: function(el, args, ctx) {
+                            return filterList(relationshipsFor(ctx, el.id, args.direction), args, ctx);
+                        }
+                    },
+                    incoming: {
+                        type: "Relationship",
+                        list: true,
+                        args: withArgs(),
+                        resolve: function(el, args, ctx) { return filterList(relationshipsFor(ctx, el.id, "IN"), args, ctx); }
+                    },
+                    outgoing: {
+                        type: "Relationship",
+                        list: true,
+                        args: withArgs(),
+                        resolve: function(el, args, ctx) { return filterList(relationshipsFor(ctx, el.id, "OUT"), args, ctx); }
+                    },
+                    related: {
+                        type: "Element",
+                        list: true,
+                        args: withArgs({
+                            direction: { type: "Direction", defaultValue: "BOTH" },
+                            relationshipType: { type: "String" }
+                        }),
+                        description: "Elements at the other end of this element's relationships; filters apply to those elements",
+                        resolve: function(el, args, ctx) {
+                            var relType = args.relationshipType ? String(args.relationshipType).toLowerCase() : null;
+                            var seen = {};
+                            var others = [];
+                            relationshipsFor(ctx, el.id, args.direction).forEach(function(rel) {
+                                if (relType && rel.type !== relType && rel.type.indexOf(relType) === -1) return;
+                                var otherId = rel.source === el.id ? rel.target : rel.source;
+                                var other = ctx.elementsById[otherId];
+                                if (other && !seen[otherId]) {
+                                    seen[otherId] = true;
+                                    others.push(other);
+                                }
+                            });
+                            return filterList(others, args, ctx);
+                        }
+                    },
+                    views: {
+                        type: "View",
+                        list: true,
+                        description: "Views that show this element",
+                        resolve: function(el, args, ctx) { return viewsForConcept(ctx, el.id); }
+                    }
+                })
+            },
+
+            Relationship: {
+                fields: fieldsWith({
+                    id: { type: "ID" },
+                    name: { type: "String" },
+                    type: { type: "String", description: "ArchiMate type, e.g. serving-relationship" },
+                    documentation: {
+                        type: "String",
+                        resolve: function(rel, args, ctx) { return documentationOf(ctx, rel); }
+                    },
+                    accessType: {
+                        type: "String",
+                        description: "read, write, access or readwrite (access relationships only)",
+                        resolve: function(rel) {
+                            return rel.accessType !== undefined && rel.accessType !== null
+                                ? (ACCESS_TYPE_NAMES[rel.accessType] || String(rel.accessType)) : null;
+                        }
+                    },
+                    strength: { type: "String", description: "Influence strength (influence relationships only)" },
+                    sourceId: { type: "ID", resolve: function(rel) { return rel.source; } },
+                    targetId: { type: "ID", resolve: function(rel) { return rel.target; } },
+                    source: {
+                        type: "Element",
+                        resolve: function(rel, args, ctx) { return ctx.elementsById[rel.source] || null; }
+                    },
+                    target: {
+                        type: "Element",
+                        resolve: function(rel, args, ctx) { return ctx.elementsById[rel.target] || null; }
+                    },
+                    views: {
+                        type: "View",
+                        list: true,
+                        description: "Views that show this relationship",
+                        resolve: function(rel, args, ctx) { return viewsForConcept(ctx, rel.id); }
+                    }
+                })
+            },
+
+            View: {
+                fields: fieldsWith({
+                    id: { type: "ID" },
+                    name: { type: "String" },
+                    type: { type: "String" },
+                    documentation: {
+                        type: "String",
+                        resolve: function(view, args, ctx) { return documentationOf(ctx, view); }
+                    },
+                    viewpoint: {
+                        type: "String",
+                        resolve: function(view, args, ctx) {
+                            var eObject = emfObject(ctx, view.id);
+                            if (!eObject || typeof eObject.getViewpoint !== "function") return null;
+                            return eObject.getViewpoint() || null;
+                        }
+                    },
+                    elements: {
+                        type: "Element",
+                        list: true,
+                        args: withArgs(),
+                        description: "Elements shown on the view",
+                        resolve: function(view, args, ctx) {
+                            var items = viewContents(ctx, view.id).elements.map(function(id) { return ctx.elementsById[id]; });
+                            return filterList(items, args, ctx);
+                        }
+                    },
+                    relationships: {
+                        type: "Relationship",
+                        list: true,
+                        args: withArgs(),
+                        description: "Relationships drawn as connections on the view",
+                        resolve: function(view, args, ctx) {
+                            var items = viewContents(ctx, view.id).relationships.map(function(id) { return ctx.relationshipsById[id]; });
+                            return filterList(items, args, ctx);
+                        }
+                    }
+                })
+            },
+
+            Folder: {
+                fields: {
+                    id: { type: "ID", resolve: function(folder) { return folder.getId(); } },
+                    name: { type: "String", resolve: function(folder) { return folder.getName() || ""; } },
+                    type: {
+                        type: "String",
+                        description: "Folder type (business, application, relations, diagrams, user, ...)",
+                        resolve: function(folder) { return toFolderItem(folder).type; }
+                    },
+                    path: {
+                        type: "String",
+                        resolve: function(folder, args, ctx) { return emfIndex(ctx).pathOf[folder.getId()] || ""; }
+                    },
+                    parent: {
+                        type: "Folder",
+                        resolve: function(folder, args, ctx) { return emfIndex(ctx).parentOf[folder.getId()] || null; }
+                    },
+                    folders: {
+                        type: "Folder",
+                        list: true,
+                        resolve: function(folder) {
+                            var result = [];
+                            var subfolders = folder.getFolders();
+                            for (var i = 0; i < subfolders.size(); i++) result.push(subfolders.get(i));
+                            return result;
+                        }
+                    },
+                    elements: {
+                        type: "Element",
+                        list: true,
+                        args: withArgs(),
+                        description: "Elements directly in this folder",
+                        resolve: function(folder, args, ctx) {
+                            return filterList(folderChildren(folder, ctx.elementsById), args, ctx);
+                        }
+                    },
+                    relationships: {
+                        type: "Relationship",
+                        list: true,
+                        args: withArgs(),
+                        resolve: function(folder, args, ctx) {
+                            return filterList(folderChildren(folder, ctx.relationshipsById), args, ctx);
+                        }
+                    },
+                    views: {
+                        type: "View",
+                        list: true,
+                        args: withArgs(),
+                        resolve: function(folder, args, ctx) {
+                            return filterList(folderChildren(folder, ctx.viewsById), args, ctx);
+                        }
+                    },
+                    properties: {
+                        type: "Property",
+                        list: true,
+                        resolve: function(folder, args, ctx) { return propertiesOf(ctx, folder.getId()); }
+                    },
+                    property: {
+                        type: "String",
+                        args: { key: { type: "String", required: true } },
+                        resolve: function(folder, args, ctx) { return propertyValue(ctx, folder.getId(), args.key); }
+                    }
+                }
+            },
+
+            Property: {
+                fields: {
+                    key: { type: "String" },
+                    value: { type: "String" }
+                }
+            }
+        }
+    };
+
+    function toFolderItem(folder) {
+        return {
+            id: folder.getId(),
+            name: folder.getName() || "",
+            type: folder.getType() ? String(folder.getType().getName()) : null
+        };
+    }
+
+    /**
+     * Snapshot records for a folder's direct children found in a lookup table
+     */
+    function folderChildren(folder, lookup) {
+        var result = [];
+        var children = folder.getElements();
+        for (var i = 0; i < children.size(); i++) {
+            var item = lookup[children.get(i).getId()];
+            if (item) result.push(item);
+        }
+        return result;
+    }
+
+    var graphqlSchema = {
+        /** Schema definition for graphqlEngine.execute() */
+        schema: schema,
+
+        /**
+         * Create the per-request resolver context
+         * @param {Object} modelRef - IArchimateModel
+         * @returns {Object} Context passed to resolvers
+         */
+        createContext: createContext
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.graphqlSchema = graphqlSchema;
+    } else if (typeof global !== "undefined") {
+        global.graphqlSchema = graphqlSchema;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = graphqlSchema;
+    }
+
+})();
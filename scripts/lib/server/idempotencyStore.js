@@ -2,9 +2,13 @@
  * idempotencyStore.js - In-memory idempotency registry for /model/apply
  *
  * Tracks caller-provided idempotency keys with payload hashes and operation IDs.
- * Entries are in-memory only and expire via TTL (default 24h).
+ * Entries expire via TTL (default 24h). They live in memory and, when
+ * persistentStore has a journal open, every change is also written there so
+ * keys survive a server restart (see load()).
  *
  * @module server/idempotencyStore
+ * @requires server/persistentStore (optional)
+ * @requires server/serverMetrics (optional)
  */
 
 (function() {
@@ -48,6 +52,18 @@
         return new Date(record.expiresAt).getTime() <= atMs;
     }
 
+    function persist(record) {
+        if (typeof persistentStore !== "undefined" && persistentStore && persistentStore.isActive()) {
+            persistentStore.saveIdempotency(record);
+        }
+    }
+
+    function persistRemoval(key) {
+        if (typeof persistentStore !== "undefined" && persistentStore && persistentStore.isActive()) {
+            persistentStore.removeIdempotency(key);
+        }
+    }
+
     function touchKey(key) {
         var idx = lruKeys.indexOf(key);
         if (idx >= 0) {
@@ -59,6 +75,7 @@
     function removeKey(key) {
         if (records[key]) {
             delete records[key];
+            persistRemoval(key);
         }
         var idx = lruKeys.indexOf(key);
         if (idx >= 0) {
@@ -71,6 +88,7 @@
             var oldest = lruKeys.shift();
             if (oldest) {
                 delete records[oldest];
+                persistRemoval(oldest);
             }
         }
     }
@@ -93,6 +111,12 @@
         lastCleanupMs = now;
     }
 
+    function recordMetric(result) {
+        if (typeof serverMetrics !== "undefined" && serverMetrics) {
+            serverMetrics.recordIdempotency(result);
+        }
+    }
+
     function isPlainObject(value) {
         return value !== null && typeof value === "object" && !Array.isArray(value);
     }
@@ -163,6 +187,31 @@
             return getConfig().enabled;
         },
 
+        /**
+         * Replace the in-memory records with ones restored from persistentStore.
+         * Expired records are skipped; the most recently seen are kept when there
+         * are more than maxRecords.
+         * @param {Array<Object>} restored - Records from persistentStore.getIdempotencyRecords()
+         * @returns {number} Number of records loaded
+         */
+        load: function(restored) {
+            records = {};
+            lruKeys = [];
+            var now = nowMs();
+            var list = (restored || []).filter(function(record) {
+                return record && record.key && !isExpired(record, now);
+            });
+            list.sort(function(a, b) {
+                return new Date(a.lastSeenAt || 0).getTime() - new Date(b.lastSeenAt || 0).getTime();
+            });
+            for (var i = 0; i < list.length; i++) {
+                records[list[i].key] = list[i];
+                lruKeys.push(list[i].key);
+            }
+            trimToCapacity(getConfig().maxRecords);
+            return lruKeys.length;
+        },
+
         validateKey: function(key) {
             if (key === undefined || key === null || key === "") {
                 return null;
@@ -177,8 +226,18 @@
             return normalized;
         },
 
-        hashApplyRequestBody: function(body) {
+        /**
+         * Hash an apply request for conflict detection. The target model is part of
+         * the hash, so reusing a key for the same changes on another model conflicts.
+         * @param {Object} body - POST /model/apply body
+         * @param {string} [modelId] - Model the request is addressed to
+         * @returns {string} Payload hash
+         */
+        hashApplyRequestBody: function(body, modelId) {
             var canonical = canonicalizeApplyRequestBody(body || {});
+            if (modelId) {
+                canonical.modelId = String(modelId);
+            }
             var serialized = stableStringify(canonical);
             return hashString(serialized);
         },
@@ -202,6 +261,7 @@
             if (existing) {
                 if (existing.payloadHash !== payloadHash) {
                     touchKey(key);
+                    recordMetric("conflict");
                     return {
                         status: "conflict",
                         record: existing
@@ -211,6 +271,8 @@
                 existing.lastSeenAt = toIso(now);
                 existing.replayedCount = (existing.replayedCount || 0) + 1;
                 touchKey(key);
+                persist(existing);
+                recordMetric("replay");
                 return {
                     status: "replay",
                     record: existing
@@ -233,6 +295,8 @@
             records[key] = record;
             touchKey(key);
             trimToCapacity(cfg.maxRecords);
+            persist(record);
+            recordMetric("new");
 
             return {
                 status: "new",
@@ -249,6 +313,7 @@
             record.status = "queued";
             record.lastSeenAt = toIso(nowMs());
             touchKey(key);
+            persist(record);
             return record;
         },
 
@@ -263,6 +328,7 @@
             }
             record.lastSeenAt = toIso(nowMs());
             touchKey(key);
+            persist(record);
             return record;
         },
 
@@ -0,0 +1,265 @@
+/**
+ * modelRegistry.js - Models the API server can address
+ *
+ * The server starts with one model (the default). A request can name any other
+ * model open in Archi with the /models/{id}/... path prefix or the X-Model-Id
+ * header (see serverCore modelPrefix). This module maps the ID to the loaded
+ * IArchimateModel and prepares its per-model state on first use:
+ *   - folderCache entry
+ *   - modelSnapshot entry
+ *   - operationQueue command stack listener (external undo/redo refresh)
+ * Models that have been closed in Archi are released on the next lookup.
+ * findByFile()/toModelFile() back the open, new and save endpoints' checks
+ * for files that another open model is bound to; toProxy() gives endpoints
+ * the jArchi proxy of a model.
+ *
+ * @module server/modelRegistry
+ * @requires server/folderCache
+ * @requires server/modelSnapshot
+ * @requires server/operationQueue
+ * @requires server/loggingQueue (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.modelRegistry !== "undefined") {
+        return;
+    }
+
+    var IEditorModelManager = Java.type("com.archimatetool.editor.model.IEditorModelManager");
+    var File = Java.type("java.io.File");
+
+    var defaultModel = null;
+    var prepared = {};  // modelId -> IArchimateModel with folder cache, snapshot and listener set up
+
+    function logInfo(message) {
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.log(message);
+        }
+    }
+
+    /**
+     * Find a model loaded in Archi by ID
+     * @param {string} modelId - Model ID
+     * @returns {Object|null} IArchimateModel or null
+     */
+    function findLoaded(modelId) {
+        var models = IEditorModelManager.INSTANCE.getModels();
+        for (var i = 0; i < models.size(); i++) {
+            if (String(models.get(i).getId()) === modelId) {
+                return models.get(i);
+            }
+        }
+        return null;
+    }
+
+    function prepare(modelRef) {
+        var modelId = String(modelRef.getId());
+        folderCache.ensure(modelRef);
+        modelSnapshot.refreshSnapshot(modelRef);
+        operationQueue.attachModel(modelRef);
+        prepared[modelId] = modelRef;
+        logInfo("Serving additional model: " + modelRef.getName() + " (" + modelId + ")");
+    }
+
+    function release(modelId) {
+        if (!prepared[modelId]) {
+            return;
+        }
+        operationQueue.detachModel(modelId);
+        modelSnapshot.removeSnapshot(modelId);
+        folderCache.remove(modelId);
+        delete prepared[modelId];
+        logInfo("Released closed model " + modelId);
+    }
+
+    var modelRegistry = {
+        /**
+         * Set the default model (the one the server was started with)
+         * @param {Object} modelRef - IArchimateModel
+         */
+        init: function(modelRef) {
+            defaultModel = modelRef;
+            prepared = {};
+            prepared[String(modelRef.getId())] = modelRef;
+        },
+
+        /**
+         * @returns {Object|null} Default IArchimateModel
+         */
+        getDefault: function() {
+            return defaultModel;
+        },
+
+        /**
+         * Check whether an ID names the default model
+         * @param {string} modelId - Model ID
+         * @returns {boolean}
+         */
+        isDefault: function(modelId) {
+            return !!defaultModel && String(defaultModel.getId()) === String(modelId);
+        },
+
+        /**
+         * Resolve a model ID to a loaded model, preparing its state on first use
+         * @param {string|null} modelId - Model ID (null or empty for the default model)
+         * @returns {Object|null} IArchimateModel, or null when no such model is open
+         */
+        resolve: function(modelId) {
+            if (!modelId || this.isDefault(modelId)) {
+                return defaultModel;
+            }
+            modelId = String(modelId);
+            var modelRef = findLoaded(modelId);
+            if (!modelRef) {
+                release(modelId);
+                return null;
+            }
+            if (prepared[modelId] !== modelRef) {
+                // Also covers a model that was closed and reopened under the same ID
+                if (prepared[modelId]) {
+                    release(modelId);
+                }
+                prepare(modelRef);
+            }
+            return modelRef;
+        },
+
+        /**
+         * Derive the per-request server state for a model. Endpoint handlers only
+         * read serverState, so a prototype-linked copy with another modelRef is enough.
+         * @param {Object} baseState - Server state of the default model
+         * @param {string|null} modelId - Model ID from request.modelId
+         * @returns {Object|null} State to pass to handlers, or null when the model is not open
+         */
+        stateFor: function(baseState, modelId) {
+            var modelRef = this.resolve(modelId);
+            if (!modelRef) {
+                return null;
+            }
+            if (modelRef === baseState.modelRef) {
+                return baseState;
+            }
+            var scoped = Object.create(baseState);
+            scoped.modelRef = modelRef;
+            return scoped;
+        },
+
+        /**
+         * Release a model's per-model state right away (after the API closed it)
+         * @param {string} modelId - Model ID
+         */
+        release: function(modelId) {
+            release(String(modelId));
+        },
+
+        /**
+         * Resolve a client-supplied path to an absolute .archimate file
+         * (relative paths resolve from the Archi process working directory)
+         * @param {string} path - File path, with or without the .archimate extension
+         * @returns {Object} java.io.File
+         */
+        toModelFile: function(path) {
+            var text = String(path);
+            if (!/\.archimate$/i.test(text)) {
+                text += ".archimate";
+            }
+            return new File(text).getAbsoluteFile();
+        },
+
+        /**
+         * Find the loaded model bound to a file
+         * @param {Object} file - java.io.File
+         * @returns {Object|null} IArchimateModel or null
+         */
+        findByFile: function(file) {
+            var target = String(file.getAbsoluteFile().toPath().normalize());
+            var models = IEditorModelManager.INSTANCE.getModels();
+            for (var i = 0; i < models.size(); i++) {
+                var modelFile = models.get(i).getFile();
+                if (modelFile && String(modelFile.getAbsoluteFile().toPath().normalize()) === target) {
+                    return models.get(i);
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Find the jArchi proxy for a loaded model, for endpoints that run
+         * jArchi-based libraries against the model a request targets
+         * @param {Object} modelRef - IArchimateModel
+         * @returns {Object} jArchi model proxy
+         * @throws {Error} If jArchi does not list the model
+         */
+        toProxy: function(modelRef) {
+            var modelId = String(modelRef.getId());
+            var models = $.model.getLoadedModels();
+            for (var i = 0; i < models.size(); i++) {
+                if (String(models.get(i).getId()) === modelId) {
+                    return models.get(i);
+                }
+            }
+            throw new Error("Model " + modelId + " is not visible to jArchi");
+        },
+
+        /**
+         * Describe a loaded model for GET /models
+         * @param {Object} modelRef - IArchimateModel
+         * @returns {Object} { id, name, file, isDefault, dirty, active, counts }
+         */
+        describe: function(modelRef) {
+            var modelId = String(modelRef.getId());
+            var file = modelRef.getFile ? modelRef.getFile() : null;
+            var active = !!prepared[modelId];
+            return {
+                id: modelId,
+                name: modelRef.getName() || "",
+                file: file ? String(file.getAbsolutePath()) : null,
+                isDefault: this.isDefault(modelId),
+                dirty: IEditorModelManager.INSTANCE.isModelDirty(modelRef) === true,
+                active: active,
+                counts: active ? modelSnapshot.getSummary(modelRef) : null
+            };
+        },
+
+        /**
+         * List every model loaded in Archi, default model first
+         * @returns {Array<Object>} describe() results
+         */
+        list: function() {
+            var result = [];
+            var models = IEditorModelManager.INSTANCE.getModels();
+            var loadedIds = {};
+            for (var i = 0; i < models.size(); i++) {
+                var info = this.describe(models.get(i));
+                loadedIds[info.id] = true;
+                result.push(info);
+            }
+            Object.keys(prepared).forEach(function(modelId) {
+                if (!loadedIds[modelId] && !modelRegistry.isDefault(modelId)) {
+                    release(modelId);
+                }
+            });
+            result.sort(function(a, b) {
+                if (a.isDefault !== b.isDefault) return a.isDefault ? -1 : 1;
+                return a.name.localeCompare(b.name);
+            });
+            return result;
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.modelRegistry = modelRegistry;
+    } else if (typeof global !== "undefined") {
+        global.modelRegistry = modelRegistry;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = modelRegistry;
+    }
+
+})();
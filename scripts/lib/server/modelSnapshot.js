@@ -5,6 +5,17 @@
  * for query operations. Uses $() API for initial capture and EMF traversal
  * for refresh operations.
  *
+ * One snapshot is kept per model ID. The model captured at startup is the
+ * default: getters called without a model reference return its snapshot.
+ * Other models (selected with /models/{id}/... or X-Model-Id) get theirs on
+ * the first refreshSnapshot() call.
+ *
+ * Next to each snapshot a change signature (a hash) is kept for every concept,
+ * view and folder and for the model itself, covering what the snapshot lists
+ * do not: properties, diagram contents and styling, folder contents. A changed
+ * signature reports the object as updated in diffSnapshots(), so every change
+ * is reported with the IDs involved.
+ *
  * @module server/modelSnapshot
  * @requires server/folderCache
  */
@@ -22,17 +33,119 @@
     var IArchimateRelationship = Java.type("com.archimatetool.model.IArchimateRelationship");
     var IAccessRelationship = Java.type("com.archimatetool.model.IAccessRelationship");
     var IInfluenceRelationship = Java.type("com.archimatetool.model.IInfluenceRelationship");
+    var IArchimateConcept = Java.type("com.archimatetool.model.IArchimateConcept");
+    var IDiagramModel = Java.type("com.archimatetool.model.IDiagramModel");
+    var IFolder = Java.type("com.archimatetool.model.IFolder");
+
+    var SEPARATOR = "\u0001";
+
+    /**
+     * 32-bit string hash (djb2), so signatures stay small
+     */
+    function hash(text) {
+        var h = 5381;
+        for (var i = 0; i < text.length; i++) {
+            h = ((h << 5) + h + text.charCodeAt(i)) | 0;
+        }
+        return h;
+    }
+
+    /**
+     * Values of an EMF object's attributes and the IDs it references
+     */
+    function describe(obj) {
+        var parts = [String(obj.eClass().getName())];
+        var attributes = obj.eClass().getEAllAttributes();
+        for (var i = 0; i < attributes.size(); i++) {
+            parts.push(String(obj.eGet(attributes.get(i))));
+        }
+        var references = obj.eCrossReferences();
+        for (var j = 0; j < references.size(); j++) {
+            var ref = references.get(j);
+            parts.push(typeof ref.getId === "function" ? String(ref.getId()) : "");
+        }
+        return parts.join(SEPARATOR);
+    }
+
+    /**
+     * Description of an object and everything it contains
+     */
+    function describeTree(obj) {
+        var parts = [describe(obj)];
+        var contents = obj.eAllContents();
+        while (contents.hasNext()) {
+            parts.push(describe(contents.next()));
+        }
+        return parts.join(SEPARATOR);
+    }
+
+    /**
+     * Change signatures of a model: its concepts with their properties, its views
+     * with their contents, its folders with the IDs they hold, and the model itself
+     * @returns {Object} Map of ID to hash
+     */
+    function collectSignatures(modelRef) {
+        var signatures = {};
+        var modelParts = [describe(modelRef)];
+        var modelProperties = modelRef.getProperties();
+        for (var p = 0; p < modelProperties.size(); p++) {
+            modelParts.push(describe(modelProperties.get(p)));
+        }
+        signatures[String(modelRef.getId())] = hash(modelParts.join(SEPARATOR));
+
+        var all = modelRef.eAllContents();
+        while (all.hasNext()) {
+            var obj = all.next();
+            if (obj instanceof IArchimateConcept || obj instanceof IDiagramModel) {
+                signatures[String(obj.getId())] = hash(describeTree(obj));
+                all.prune();
+            } else if (obj instanceof IFolder) {
+                var folderParts = [describe(obj)];
+                [obj.getElements(), obj.getFolders(), obj.getProperties()].forEach(function(list) {
+                    for (var i = 0; i < list.size(); i++) {
+                        var item = list.get(i);
+                        folderParts.push(typeof item.getId === "function" ? String(item.getId()) : describe(item));
+                    }
+                });
+                signatures[String(obj.getId())] = hash(folderParts.join(SEPARATOR));
+            }
+        }
+        return signatures;
+    }
 
     /**
      * Model snapshot management
      */
     var modelSnapshot = {
         /**
-         * Internal snapshot storage
+         * Snapshot of the default model (captured at startup)
          * @private
          */
         snapshot: null,
 
+        /**
+         * Snapshots by model ID, including the default model's
+         * @private
+         */
+        snapshots: {},
+
+        /**
+         * Change signatures by model ID (see collectSignatures)
+         * @private
+         */
+        signatures: {},
+
+        /**
+         * Look up the snapshot for a model (the default one when modelRef is omitted)
+         * @private
+         */
+        _snapshotFor: function(modelRef) {
+            if (!modelRef) {
+                return this.snapshot;
+            }
+            return this.snapshots[modelRef.getId()] || null;
+        },
+
         /**
          * Capture initial model snapshot using $() API
          * Must be called from script context where $() is available
@@ -89,13 +202,16 @@
                 relationships: relationshipsList,
                 views: viewsList
             };
+            this.snapshots[modelRef.getId()] = this.snapshot;
+            this.signatures[modelRef.getId()] = collectSignatures(modelRef);
 
             return this.snapshot;
         },
 
         /**
          * Refresh model snapshot using EMF traversal
-         * Use this after model modifications to update snapshot
+         * Use this after model modifications to update snapshot.
+         * Creates the snapshot for a model other than the default on first use.
          * @param {com.archimatetool.model.IArchimateModel} modelRef - EMF model reference
          */
         refreshSnapshot: function(modelRef) {
@@ -166,61 +282,201 @@
             }
 
             // Update snapshot
-            this.snapshot.elements = elementsList;
-            this.snapshot.relationships = relationshipsList;
-            this.snapshot.views = viewsList;
+            var target = this.snapshots[modelRef.getId()];
+            if (!target) {
+                target = this.snapshots[modelRef.getId()] = { name: modelRef.getName() };
+            }
+            target.name = modelRef.getName();
+            target.elements = elementsList;
+            target.relationships = relationshipsList;
+            target.views = viewsList;
+            this.signatures[modelRef.getId()] = collectSignatures(modelRef);
 
-            return this.snapshot;
+            return target;
+        },
+
+        /**
+         * Refresh the snapshot and report what changed since the previous one
+         * @param {com.archimatetool.model.IArchimateModel} modelRef - EMF model reference
+         * @returns {Object} Diff from diffSnapshots()
+         */
+        refreshSnapshotWithDiff: function(modelRef) {
+            // refreshSnapshot() assigns new arrays, so these references keep the old state
+            var current = this._snapshotFor(modelRef);
+            var before = {
+                elements: current ? current.elements : [],
+                relationships: current ? current.relationships : [],
+                views: current ? current.views : [],
+                signatures: this.signatures[modelRef.getId()] || null
+            };
+            var after = this.refreshSnapshot(modelRef);
+            return this.diffSnapshots(before, {
+                elements: after.elements,
+                relationships: after.relationships,
+                views: after.views,
+                signatures: this.signatures[modelRef.getId()]
+            });
+        },
+
+        /**
+         * Compare two snapshots by ID and tracked fields. When both carry change
+         * signatures, an object whose signature changed is reported as updated, and
+         * folders and the model itself are reported under "other".
+         * @param {Object} before - Snapshot (or { elements, relationships, views, signatures }) before the change
+         * @param {Object} after - Snapshot after the change
+         * @returns {Object} { elements, relationships, views, other } each with created/updated/deleted ID arrays
+         */
+        diffSnapshots: function(before, after) {
+            before = before || {};
+            after = after || {};
+            var oldSignatures = before.signatures || null;
+            var newSignatures = (oldSignatures && after.signatures) || null;
+            var listed = {};
+
+            function fieldValue(value) {
+                return (value === null || value === undefined) ? "" : String(value);
+            }
+
+            function signatureChanged(id) {
+                return newSignatures !== null && oldSignatures.hasOwnProperty(id) &&
+                    oldSignatures[id] !== newSignatures[id];
+            }
+
+            function diffList(oldList, newList, fields) {
+                var oldById = {};
+                var seen = {};
+                var created = [];
+                var updated = [];
+                var deleted = [];
+                var i;
+
+                for (i = 0; i < oldList.length; i++) {
+                    oldById[oldList[i].id] = oldList[i];
+                    listed[oldList[i].id] = true;
+                }
+                for (i = 0; i < newList.length; i++) {
+                    var item = newList[i];
+                    var previous = oldById[item.id];
+                    seen[item.id] = true;
+                    listed[item.id] = true;
+                    if (!previous) {
+                        created.push(item.id);
+                        continue;
+                    }
+                    var changed = signatureChanged(item.id);
+                    for (var f = 0; f < fields.length && !changed; f++) {
+                        changed = fieldValue(previous[fields[f]]) !== fieldValue(item[fields[f]]);
+                    }
+                    if (changed) {
+                        updated.push(item.id);
+                    }
+                }
+                for (i = 0; i < oldList.length; i++) {
+                    if (!seen[oldList[i].id]) {
+                        deleted.push(oldList[i].id);
+                    }
+                }
+
+                return { created: created, updated: updated, deleted: deleted };
+            }
+
+            var diff = {
+                elements: diffList(before.elements || [], after.elements || [],
+                    ["name", "type", "documentation"]),
+                relationships: diffList(before.relationships || [], after.relationships || [],
+                    ["name", "type", "source", "target", "accessType", "strength"]),
+                views: diffList(before.views || [], after.views || [],
+                    ["name", "type"]),
+                other: { created: [], updated: [], deleted: [] }
+            };
+
+            // Folders and the model itself
+            if (newSignatures !== null) {
+                Object.keys(newSignatures).forEach(function(id) {
+                    if (listed[id]) return;
+                    if (!oldSignatures.hasOwnProperty(id)) {
+                        diff.other.created.push(id);
+                    } else if (signatureChanged(id)) {
+                        diff.other.updated.push(id);
+                    }
+                });
+                Object.keys(oldSignatures).forEach(function(id) {
+                    if (!listed[id] && !newSignatures.hasOwnProperty(id)) {
+                        diff.other.deleted.push(id);
+                    }
+                });
+            }
+            return diff;
         },
 
         /**
          * Get current snapshot
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {Object} Snapshot object with name, elements, relationships, views
          */
-        getSnapshot: function() {
-            return this.snapshot;
+        getSnapshot: function(modelRef) {
+            return this._snapshotFor(modelRef);
         },
 
         /**
          * Get elements from snapshot
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {Array} Array of element objects
          */
-        getElements: function() {
-            return this.snapshot ? this.snapshot.elements : [];
+        getElements: function(modelRef) {
+            var snap = this._snapshotFor(modelRef);
+            return snap ? snap.elements : [];
         },
 
         /**
          * Get relationships from snapshot
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {Array} Array of relationship objects
          */
-        getRelationships: function() {
-            return this.snapshot ? this.snapshot.relationships : [];
+        getRelationships: function(modelRef) {
+            var snap = this._snapshotFor(modelRef);
+            return snap ? snap.relationships : [];
         },
 
         /**
          * Get views from snapshot
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {Array} Array of view objects
          */
-        getViews: function() {
-            return this.snapshot ? this.snapshot.views : [];
+        getViews: function(modelRef) {
+            var snap = this._snapshotFor(modelRef);
+            return snap ? snap.views : [];
         },
 
         /**
          * Get snapshot summary
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model (default model if omitted)
          * @returns {Object} Summary with counts of elements, relationships, views
          */
-        getSummary: function() {
-            if (!this.snapshot) {
+        getSummary: function(modelRef) {
+            var snap = this._snapshotFor(modelRef);
+            if (!snap) {
                 return { elements: 0, relationships: 0, views: 0 };
             }
 
             return {
-                elements: this.snapshot.elements.length,
-                relationships: this.snapshot.relationships.length,
-                views: this.snapshot.views.length
+                elements: snap.elements.length,
+                relationships: snap.relationships.length,
+                views: snap.views.length
             };
         },
 
+        /**
+         * Drop the snapshot of a model that is no longer served (the default one is kept)
+         * @param {string} modelId - Model ID
+         */
+        removeSnapshot: function(modelId) {
+            if (this.snapshot && this.snapshots[modelId] === this.snapshot) {
+                return;
+            }
+            delete this.snapshots[modelId];
+        },
+
         /**
          * Convert element to JSON representation
          * @param {Object} element - EMF element
@@ -300,15 +556,15 @@
          */
         detectOrphans: function(modelRef) {
             // First, refresh snapshot to get current folder-based state
-            this.refreshSnapshot(modelRef);
+            var current = this.refreshSnapshot(modelRef);
             var folderElementIds = {};
             var folderRelationshipIds = {};
 
-            for (var ei = 0; ei < this.snapshot.elements.length; ei++) {
-                folderElementIds[this.snapshot.elements[ei].id] = true;
+            for (var ei = 0; ei < current.elements.length; ei++) {
+                folderElementIds[current.elements[ei].id] = true;
             }
-            for (var ri = 0; ri < this.snapshot.relationships.length; ri++) {
-                folderRelationshipIds[this.snapshot.relationships[ri].id] = true;
+            for (var ri = 0; ri < current.relationships.length; ri++) {
+                folderRelationshipIds[current.relationships[ri].id] = true;
             }
 
             // EMF-level traversal
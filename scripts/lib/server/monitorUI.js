@@ -5,6 +5,7 @@
  * - Log tab: real-time log display with clear/export
  * - Settings tab: server configuration (some editable at runtime)
  * - Stats tab: live dashboard with server metrics, operations, model summary
+ * - Recorder tab: request recording and dry-run replay of recorded sessions
  *
  * Global status bar and stop button remain visible across all tabs.
  *
@@ -14,6 +15,7 @@
  * @requires server/tabs/logTab
  * @requires server/tabs/settingsTab
  * @requires server/tabs/statsTab
+ * @requires server/tabs/recorderTab
  */
 
 (function() {
@@ -56,6 +58,7 @@
         _serverRunning: true,
         _heartbeatTimer: null,
         _statsTab: null,
+        _recorderTab: null,
 
         /**
          * Create monitor dialog
@@ -76,6 +79,7 @@
             load(__DIR__ + "tabs/logTab.js");
             load(__DIR__ + "tabs/settingsTab.js");
             load(__DIR__ + "tabs/statsTab.js");
+            load(__DIR__ + "tabs/recorderTab.js");
 
             // Get SWT types
             var SWT = swtImports.SWT;
@@ -146,6 +150,9 @@
             // Create Stats tab
             this._statsTab = statsTab.create(tabFolder, display, {});
 
+            // Create Recorder tab
+            this._recorderTab = recorderTab.create(tabFolder, display, {});
+
             // --- Bottom bar ---
             var separator2 = new Label(this.shell, SWT.SEPARATOR | SWT.HORIZONTAL);
             separator2.setLayoutData(new GridData(SWT.FILL, SWT.CENTER, true, false));
@@ -162,11 +169,14 @@
                 self._onStopButton();
             });
 
-            // Dispose listener - clean up stats timer
+            // Dispose listener - clean up stats and recorder timers
             this.shell.addListener(SWT.Dispose, function() {
                 if (self._statsTab && self._statsTab.dispose) {
                     self._statsTab.dispose();
                 }
+                if (self._recorderTab && self._recorderTab.dispose) {
+                    self._recorderTab.dispose();
+                }
             });
 
             // Close handler
@@ -190,13 +200,16 @@
         },
 
         /**
-         * Set server state for the Stats tab
-         * @param {Object} serverState - Server state with startTime and serverInstance
+         * Set server state for the Stats and Recorder tabs
+         * @param {Object} serverState - Server state with startTime, modelRef and serverInstance
          */
         setServerState: function(serverState) {
             if (this._statsTab && this._statsTab.setServerState) {
                 this._statsTab.setServerState(serverState);
             }
+            if (this._recorderTab && this._recorderTab.setServerState) {
+                this._recorderTab.setServerState(serverState);
+            }
         },
 
         /**
@@ -265,6 +278,9 @@
             if (this._statsTab && this._statsTab.dispose) {
                 this._statsTab.dispose();
             }
+            if (this._recorderTab && this._recorderTab.dispose) {
+                this._recorderTab.dispose();
+            }
             if (this.shell && !this.shell.isDisposed()) {
                 this.shell.close();
             }
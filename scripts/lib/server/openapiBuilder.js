@@ -0,0 +1,279 @@
+/**
+ * openapiBuilder.js - Generate the OpenAPI document from live route metadata
+ *
+ * GET /openapi.json is built on every request from two sources, so it cannot
+ * drift from what the server actually does:
+ *   - the routes registered with serverCore.addHandler() and their `docs`
+ *     metadata (server.getRoutes())
+ *   - the change-type schemas operationValidation publishes for /model/apply
+ *
+ * Route `docs` entries use a compact form that this module expands:
+ *   {
+ *       summary: "Poll operation status",
+ *       description: "...",                          // optional, Markdown
+ *       tag: "Operations",                            // defaults to the first path segment
+ *       query: { opId: { type: "string", required: true, description: "..." } },
+ *       body: "ApplyRequest" | { JSON Schema },       // string = component name
+ *       bodyRequired: true,                           // default true when body is set
+ *       responses: { 200: "Operation status", 404: "Unknown operation" },
+ *       stream: "text/event-stream"                   // 200 content type for streamed routes
+ *   }
+ * Path parameters are taken from `{name}` segments in the documented path.
+ *
+ * With options.modelPrefix set, every operation outside that prefix also lists
+ * the optional X-Model-Id header; the prefix form (/models/{id}/<path>) is
+ * described once in info.description rather than duplicating every path.
+ *
+ * @module server/openapiBuilder
+ * @requires server/operationValidation
+ * @requires server/serverConfig (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.openapiBuilder !== "undefined") {
+        return;
+    }
+
+    var OPENAPI_VERSION = "3.1.0";
+    var CHANGE_REF = "#/components/schemas/ChangeOperation";
+
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Derive an operationId such as "getModelElementById" from method and path
+     */
+    function operationIdFor(method, path) {
+        var parts = path.split("/").filter(function(p) { return p.length > 0; });
+        var id = method.toLowerCase();
+        for (var i = 0; i < parts.length; i++) {
+            var param = /^\{(.+)\}$/.exec(parts[i]);
+            var word = param ? "By" + capitalize(param[1]) : parts[i];
+            id += word.split(/[^A-Za-z0-9]+/).map(capitalize).join("");
+        }
+        return id;
+    }
+
+    function errorResponse(description) {
+        return {
+            description: description,
+            content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+        };
+    }
+
+    function buildComponents() {
+        var schemas = {
+            Error: {
+                type: "object",
+                required: ["error"],
+                properties: {
+                    error: {
+                        type: "object",
+                        required: ["code", "message"],
+                        properties: {
+                            code: { type: "string", description: "Machine-readable error code, e.g. ValidationError" },
+                            message: { type: "string" }
+                        }
+                    },
+                    requestId: { type: "string" }
+                }
+            }
+        };
+
+        var changeSchemas = operationValidation.getChangeSchemas();
+        var ops = Object.keys(changeSchemas);
+        var mapping = {};
+        var oneOf = [];
+        for (var i = 0; i < ops.length; i++) {
+            var name = capitalize(ops[i]) + "Op";
+            schemas[name] = changeSchemas[ops[i]];
+            mapping[ops[i]] = "#/components/schemas/" + name;
+            oneOf.push({ $ref: "#/components/schemas/" + name });
+        }
+        schemas.ChangeOperation = {
+            description: "One change in a /model/apply batch, selected by `op`",
+            oneOf: oneOf,
+            discriminator: { propertyName: "op", mapping: mapping }
+        };
+        schemas.ApplyRequest = operationValidation.getApplyRequestSchema(CHANGE_REF);
+
+        return {
+            schemas: schemas,
+            securitySchemes: {
+                bearerAuth: {
+                    type: "http",
+                    scheme: "bearer",
+                    description: "Only enforced when token authentication is enabled. " +
+                        "Tokens carry the scopes read, write, script and admin; each operation lists the one it needs."
+                }
+            }
+        };
+    }
+
+    function buildParameters(route, modelPrefix) {
+        var parameters = [];
+        var pathParams = route.path.match(/\{[^}]+\}/g) || [];
+        for (var i = 0; i < pathParams.length; i++) {
+            var name = pathParams[i].slice(1, -1);
+            parameters.push({ name: name, "in": "path", required: true, schema: { type: "string" } });
+        }
+        var query = route.query || {};
+        for (var key in query) {
+            if (!query.hasOwnProperty(key)) continue;
+            var spec = query[key];
+            var schema = { type: spec.type || "string" };
+            if (spec["enum"]) schema["enum"] = spec["enum"];
+            if (spec["default"] !== undefined) schema["default"] = spec["default"];
+            if (spec.minimum !== undefined) schema.minimum = spec.minimum;
+            if (spec.maximum !== undefined) schema.maximum = spec.maximum;
+            var param = { name: key, "in": "query", required: spec.required === true, schema: schema };
+            if (spec.description) param.description = spec.description;
+            parameters.push(param);
+        }
+        if (modelPrefix && route.path.indexOf(modelPrefix) !== 0) {
+            parameters.push({
+                name: "X-Model-Id",
+                "in": "header",
+                required: false,
+                schema: { type: "string" },
+                description: "Run against this open model instead of the default one (same as the " +
+                    modelPrefix + "/{id} path prefix)"
+            });
+        }
+        return parameters;
+    }
+
+    function buildResponses(route) {
+        var responses = {};
+        var declared = route.responses || { 200: "OK" };
+        for (var status in declared) {
+            if (!declared.hasOwnProperty(status)) continue;
+            var entry = declared[status];
+            var description = typeof entry === "string" ? entry : (entry.description || "OK");
+            var code = parseInt(status, 10);
+            if (code >= 400) {
+                responses[status] = errorResponse(description);
+            } else if (code === 200 && route.stream) {
+                responses[status] = { description: description, content: {} };
+                responses[status].content[route.stream] = { schema: { type: "string" } };
+            } else if (code === 204) {
+                responses[status] = { description: description };
+            } else {
+                var schema = (typeof entry === "object" && entry.schema) ? entry.schema :
+                    { type: "object", additionalProperties: true };
+                responses[status] = {
+                    description: description,
+                    content: { "application/json": { schema: schema } }
+                };
+            }
+        }
+        if (!responses["400"] && (route.body || route.query)) {
+            responses["400"] = errorResponse("Invalid request");
+        }
+        if (route.scope !== "public") {
+            responses["401"] = errorResponse("Missing or invalid bearer token (authentication enabled)");
+            responses["403"] = errorResponse("Token lacks the '" + route.scope + "' scope");
+        }
+        responses["429"] = errorResponse("Rate limit exceeded");
+        responses["500"] = errorResponse("Internal error");
+        return responses;
+    }
+
+    function buildOperation(route, modelPrefix) {
+        var method = route.method.toLowerCase();
+        var operation = {
+            operationId: operationIdFor(method, route.path),
+            summary: route.summary || (route.method + " " + route.path),
+            tags: [route.tag || capitalize(route.path.split("/")[1] || "default")]
+        };
+        if (route.description) operation.description = route.description;
+        if (route.deprecated) operation.deprecated = true;
+
+        var parameters = buildParameters(route, modelPrefix);
+        if (parameters.length > 0) operation.parameters = parameters;
+
+        if (route.body) {
+            var bodySchema = typeof route.body === "string" ?
+                { $ref: "#/components/schemas/" + route.body } : route.body;
+            operation.requestBody = {
+                required: route.bodyRequired !== false,
+                content: { "application/json": { schema: bodySchema } }
+            };
+        }
+
+        operation.responses = buildResponses(route);
+        operation.security = route.scope === "public" ? [] : [{ bearerAuth: [route.scope] }];
+        operation["x-required-scope"] = route.scope;
+        return operation;
+    }
+
+    var openapiBuilder = {
+        /**
+         * Build the OpenAPI document
+         * @param {Array<Object>} routes - serverCore getRoutes() output
+         * @param {Object} [options] - { title, version, serverUrl, modelPrefix }
+         * @returns {Object} OpenAPI 3.1 document
+         */
+        build: function(routes, options) {
+            options = options || {};
+            var version = options.version ||
+                ((typeof serverConfig !== "undefined" && serverConfig.server) ? serverConfig.server.version : "0.0.0");
+
+            var paths = {};
+            var tags = {};
+            var undocumented = [];
+            for (var i = 0; i < routes.length; i++) {
+                var route = routes[i];
+                if (!route.documented || route.method === "*") {
+                    undocumented.push(route.method + " " + route.path);
+                    continue;
+                }
+                var operation = buildOperation(route, options.modelPrefix);
+                if (!paths[route.path]) paths[route.path] = {};
+                paths[route.path][route.method.toLowerCase()] = operation;
+                tags[operation.tags[0]] = true;
+            }
+
+            var description = "Generated at runtime from the routes registered by the Model API Server. " +
+                "Mutating endpoints run as undoable commands on the open ArchiMate model.";
+            if (options.modelPrefix) {
+                description += " Every path can also be called as `" + options.modelPrefix + "/{modelId}<path>` " +
+                    "(or with the `X-Model-Id` header) to run it against another model open in Archi; " +
+                    "see `GET " + options.modelPrefix + "`.";
+            }
+            var doc = {
+                openapi: OPENAPI_VERSION,
+                info: {
+                    title: options.title || "Archi Model API",
+                    version: version,
+                    description: description
+                },
+                servers: options.serverUrl ? [{ url: options.serverUrl }] : [],
+                tags: Object.keys(tags).sort().map(function(name) { return { name: name }; }),
+                paths: paths,
+                components: buildComponents()
+            };
+            if (undocumented.length > 0) {
+                doc["x-undocumented-routes"] = undocumented;
+            }
+            return doc;
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.openapiBuilder = openapiBuilder;
+    } else if (typeof global !== "undefined") {
+        global.openapiBuilder = openapiBuilder;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = openapiBuilder;
+    }
+
+})();
@@ -10,11 +10,19 @@
  *   - Configurable via serverConfig
  *   - Clean operation status tracking
  *
+ * Each operation runs against the model it was created for (metadata.modelRef,
+ * set for requests addressed with /models/{id}/... or X-Model-Id) and falls
+ * back to the model the processor was started with. A command stack listener
+ * is attached per model so external undo/redo refreshes the right snapshot.
+ *
  * @module server/operationQueue
  * @requires lib/server/undoableCommands
  * @requires server/modelSnapshot
  * @requires server/loggingQueue
  * @requires server/serverConfig (optional)
+ * @requires server/eventBus (optional)
+ * @requires server/persistentStore (optional)
+ * @requires server/serverMetrics (optional)
  */
 
 (function() {
@@ -53,7 +61,7 @@
         _modelRef: null,
         _processorCycleCount: 0,
         _onUpdateCountCallback: null,
-        _commandStackListenerHandle: null,
+        _commandStackListeners: {},     // modelId -> listener handle
         _isProcessingBatch: false,
 
         /**
@@ -253,6 +261,65 @@
                 }
             }
             operation.timeline.push(event);
+            this._publishLifecycleEvent(operation, event);
+        },
+
+        /**
+         * Publish an operation lifecycle event to the event bus (if loaded)
+         * @param {Object} operation - Operation descriptor
+         * @param {Object} timelineEvent - Timeline entry that was just appended
+         * @private
+         */
+        _publishLifecycleEvent: function(operation, timelineEvent) {
+            if (typeof eventBus === "undefined" || !eventBus || typeof eventBus.publish !== "function") {
+                return;
+            }
+            var status = timelineEvent.status === "failed" ? "error" : timelineEvent.status;
+            var data = {
+                operationId: operation.id,
+                modelId: operation.modelId || null,
+                status: status,
+                label: "API Operation " + operation.id,
+                changeCount: operation.changes && operation.changes.length ? operation.changes.length : 0,
+                requestId: operation.requestId || null
+            };
+            if (operation.dryRun) {
+                data.dryRun = true;
+            }
+            for (var key in timelineEvent) {
+                if (timelineEvent.hasOwnProperty(key) && key !== "status" && key !== "timestamp" &&
+                    key.indexOf("chunk") !== 0 && key !== "operationCount") {
+                    data[key] = timelineEvent[key];
+                }
+            }
+            try {
+                eventBus.publish("operation." + status, data);
+            } catch (publishErr) {
+                if (loggingQueue) {
+                    loggingQueue.warn("Failed to publish operation event: " + publishErr);
+                }
+            }
+        },
+
+        /**
+         * Refresh the model snapshot and publish the resulting change events
+         * @param {Object} meta - Event metadata passed to eventBus.publishModelChanges()
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model that changed (default model if omitted)
+         * @private
+         */
+        _refreshSnapshotAndPublish: function(meta, modelRef) {
+            if (typeof modelSnapshot === "undefined" || !modelSnapshot) {
+                return;
+            }
+            modelRef = modelRef || this._modelRef;
+            if (typeof eventBus === "undefined" || !eventBus ||
+                typeof modelSnapshot.refreshSnapshotWithDiff !== "function") {
+                modelSnapshot.refreshSnapshot(modelRef);
+                return;
+            }
+            var diff = modelSnapshot.refreshSnapshotWithDiff(modelRef);
+            meta.modelId = String(modelRef.getId());
+            eventBus.publishModelChanges(diff, meta);
         },
 
         _buildRetryHints: function(operation) {
@@ -295,6 +362,66 @@
                     }
                 }
             }
+            this._persistOperation(operation);
+            this._dispatchWebhook(operation);
+            if (typeof serverMetrics !== "undefined" && serverMetrics) {
+                serverMetrics.recordOperation(operation);
+            }
+        },
+
+        /**
+         * Journal the operation's current state when persistence is active, so
+         * /ops/status and /ops/list can still answer for it after a restart
+         * @param {Object} operation - Operation descriptor
+         * @private
+         */
+        _persistOperation: function(operation) {
+            if (typeof persistentStore !== "undefined" && persistentStore && persistentStore.isActive()) {
+                persistentStore.saveOperation(operation);
+            }
+        },
+
+        /**
+         * POST the final status of a finished operation to its callbackUrl.
+         * The payload is the same body GET /ops/status returns (all results).
+         * @param {Object} operation - Operation that just reached complete or error
+         * @private
+         */
+        _dispatchWebhook: function(operation) {
+            if (!operation || !operation.callbackUrl || operation.webhook ||
+                (operation.status !== "complete" && operation.status !== "error") ||
+                typeof webhookDispatcher === "undefined" || !webhookDispatcher) {
+                return;
+            }
+            try {
+                var payload;
+                if (typeof operationEndpoints !== "undefined" && operationEndpoints &&
+                    typeof operationEndpoints.buildStatusBody === "function") {
+                    payload = operationEndpoints.buildStatusBody(operation, {
+                        cursor: 0,
+                        pageSize: operation.result && operation.result.length ? operation.result.length : 1
+                    });
+                    delete payload.webhook;
+                } else {
+                    payload = {
+                        operationId: operation.id,
+                        status: operation.status,
+                        result: operation.result,
+                        error: operation.error,
+                        errorDetails: operation.errorDetails
+                    };
+                }
+                operation.webhook = { url: operation.callbackUrl, status: "pending", attempts: 0 };
+                webhookDispatcher.enqueue(operation.callbackUrl, payload, {
+                    operationId: operation.id,
+                    event: "operation." + operation.status,
+                    target: operation.webhook
+                });
+            } catch (webhookErr) {
+                if (loggingQueue) {
+                    loggingQueue.warn("Failed to queue webhook for " + operation.id + ": " + webhookErr);
+                }
+            }
         },
 
         /**
@@ -509,9 +636,29 @@
                 details.code = error.code;
             }
 
+            if (error && typeof error === "object") {
+                if (error.phase) {
+                    details.phase = error.phase;
+                }
+                if (error.atomic) {
+                    details.atomic = error.atomic;
+                }
+                if (error.opIndices && error.opIndices.length > 1) {
+                    details.unitOpIndices = error.opIndices;
+                }
+            }
+
             var refInfo = this._extractReferenceFromMessage(message);
             var context = this._findChangeContext(operation && operation.changes ? operation.changes : [], refInfo);
 
+            // executeBatch knows which change it was building or executing when it failed
+            var changes = operation && operation.changes ? operation.changes : [];
+            if (error && typeof error === "object" && typeof error.opIndex === "number" &&
+                error.opIndex >= 0 && error.opIndex < changes.length &&
+                (!context || context.index !== error.opIndex)) {
+                context = { index: error.opIndex, change: changes[error.opIndex], field: null };
+            }
+
             if (!context) {
                 var semanticContext = this._findFirstSemanticReferenceError(operation && operation.changes ? operation.changes : []);
                 if (semanticContext) {
@@ -554,16 +701,29 @@
         /**
          * Create operation descriptor
          * @param {Array} changes - Array of change descriptors
+         * @param {Object} [metadata] - idempotencyKey, duplicateStrategy, atomic, dryRun,
+         *        callbackUrl, planId, provenance ({ client } when provenance stamping is on),
+         *        and modelRef (the model to run against; default model if omitted)
          * @returns {Object} Operation descriptor with id, status, changes, timestamps
          */
         createOperation: function(changes, metadata) {
             metadata = metadata || {};
             var opId = "op_" + Date.now() + "_" + Math.floor(Math.random() * 1000);
+            var modelRef = metadata.modelRef || null;
             var operation = {
                 id: opId,
                 changes: changes,
+                modelRef: modelRef,      // Not serialized; persistentStore keeps modelId only
+                modelId: modelRef ? String(modelRef.getId()) :
+                    (this._modelRef ? String(this._modelRef.getId()) : null),
                 idempotencyKey: metadata.idempotencyKey || null,
                 duplicateStrategy: metadata.duplicateStrategy || "error",
+                atomic: metadata.atomic === true,
+                dryRun: metadata.dryRun === true,
+                callbackUrl: metadata.callbackUrl || null,
+                webhook: null,           // Delivery state when callbackUrl is set
+                planId: metadata.planId || null,
+                provenance: metadata.provenance || null,
                 status: "queued",
                 result: null,
                 error: null,
@@ -591,6 +751,7 @@
                         pending: true
                     }
                 },
+                changeSet: null,
                 retryHints: null
             };
 
@@ -606,16 +767,24 @@
         queueOperation: function(operation) {
             this.pendingOperations[operation.id] = operation;
             this.queue.offer(operation);
+            this._persistOperation(operation);
             return operation.id;
         },
 
         /**
-         * Get operation status by ID
+         * Get operation status by ID. Operations no longer held in memory (cleaned
+         * up, or from before a restart) are looked up in persistentStore.
          * @param {string} opId - Operation ID
          * @returns {Object|null} Operation descriptor or null if not found
          */
         getOperationStatus: function(opId) {
-            return this.pendingOperations[opId] || null;
+            if (this.pendingOperations[opId]) {
+                return this.pendingOperations[opId];
+            }
+            if (typeof persistentStore !== "undefined" && persistentStore && persistentStore.isActive()) {
+                return persistentStore.getOperation(opId);
+            }
+            return null;
         },
 
         /**
@@ -623,6 +792,7 @@
          * @param {Object} options - Listing options
          * @param {number} [options.limit=20] - Maximum number of operations to return
          * @param {string} [options.status] - Optional status filter
+         * @param {string} [options.modelId] - Only operations that ran against this model
          * @returns {Object} { operations, total, limit, status }
          */
         listOperations: function(options) {
@@ -635,13 +805,29 @@
             var summaryOnly = options.summaryOnly === true;
 
             var statusFilter = typeof options.status === "string" ? options.status : null;
+            var modelFilter = typeof options.modelId === "string" ? options.modelId : null;
             var operations = [];
 
+            // In-memory operations first; journaled ones fill in what memory no longer holds
+            var candidates = [];
             for (var opId in this.pendingOperations) {
                 if (!this.pendingOperations.hasOwnProperty(opId)) continue;
-                var op = this.pendingOperations[opId];
+                candidates.push(this.pendingOperations[opId]);
+            }
+            if (typeof persistentStore !== "undefined" && persistentStore && persistentStore.isActive()) {
+                var journaled = persistentStore.listOperations();
+                for (var j = 0; j < journaled.length; j++) {
+                    if (!this.pendingOperations.hasOwnProperty(journaled[j].id)) {
+                        candidates.push(journaled[j]);
+                    }
+                }
+            }
+
+            for (var c = 0; c < candidates.length; c++) {
+                var op = candidates[c];
                 if (!op) continue;
                 if (statusFilter && op.status !== statusFilter) continue;
+                if (modelFilter && op.modelId && op.modelId !== modelFilter) continue;
 
                 var durationMs = null;
                 if (op.completedAt && op.startedAt) {
@@ -650,12 +836,15 @@
 
                 var summary = {
                     operationId: op.id,
+                    modelId: op.modelId || null,
                     status: op.status,
                     createdAt: op.createdAt || null,
                     startedAt: op.startedAt || null,
                     completedAt: op.completedAt || null,
                     durationMs: durationMs,
-                    changeCount: op.changes && op.changes.length ? op.changes.length : 0,
+                    changeCount: op.changes && op.changes.length ? op.changes.length : (op.changeCount || 0),
+                    atomic: op.atomic === true,
+                    dryRun: op.dryRun === true,
                     error: op.error || null
                 };
 
@@ -666,6 +855,7 @@
                     summary.tempIdMappings = op.tempIdMappings || [];
                     summary.errorDetails = op.errorDetails || null;
                     summary.retryHints = op.retryHints || null;
+                    summary.changeSet = op.changeSet || null;
                 }
 
                 operations.push(summary);
@@ -718,12 +908,16 @@
 
         /**
          * Get count of in-flight (queued or processing) operations
+         * @param {string} [modelId] - Only count operations against this model
          * @returns {number} Number of in-flight operations
          */
-        getInFlightCount: function() {
+        getInFlightCount: function(modelId) {
             var processingCount = 0;
             for (var opId in this.pendingOperations) {
                 var status = this.pendingOperations[opId].status;
+                if (modelId && this.pendingOperations[opId].modelId !== String(modelId)) {
+                    continue;
+                }
                 if (status === "processing" || status === "queued") {
                     processingCount++;
                 }
@@ -777,41 +971,110 @@
             this._modelRef = options.modelRef;
             this._onUpdateCountCallback = options.onUpdateCount || null;
 
-            // Register CommandStack listener to auto-refresh snapshot on external changes
-            // (e.g., user pressing Ctrl+Z in Archi, or command stack silently undoing)
-            if (typeof undoableCommands !== "undefined" && undoableCommands.registerCommandStackListener &&
-                this._modelRef && typeof modelSnapshot !== "undefined") {
-                var self = this;
-                try {
-                    this._commandStackListenerHandle = undoableCommands.registerCommandStackListener(
-                        this._modelRef,
-                        function(eventType) {
-                            // Only refresh snapshot for changes NOT initiated by our own batch processing
-                            if (!self._isProcessingBatch && modelSnapshot) {
-                                try {
-                                    modelSnapshot.refreshSnapshot(self._modelRef);
-                                    if (loggingQueue) {
-                                        loggingQueue.log("Snapshot refreshed due to external command stack change");
-                                    }
-                                } catch (refreshErr) {
-                                    if (loggingQueue) {
-                                        loggingQueue.error("Snapshot refresh on command stack change failed: " + refreshErr);
-                                    }
+            if (this._modelRef) {
+                this.attachModel(this._modelRef);
+            }
+
+            this._scheduleProcessor();
+        },
+
+        /**
+         * Register a CommandStack listener that auto-refreshes the model's snapshot on
+         * external changes (e.g., user pressing Ctrl+Z in Archi, or command stack
+         * silently undoing). Called for the default model on start and by
+         * modelRegistry for every other model the API touches; repeated calls are no-ops.
+         * @param {com.archimatetool.model.IArchimateModel} modelRef - EMF model reference
+         */
+        attachModel: function(modelRef) {
+            var modelId = String(modelRef.getId());
+            if (this._commandStackListeners[modelId] ||
+                typeof undoableCommands === "undefined" || !undoableCommands.registerCommandStackListener ||
+                typeof modelSnapshot === "undefined") {
+                return;
+            }
+            var self = this;
+            try {
+                this._commandStackListeners[modelId] = undoableCommands.registerCommandStackListener(
+                    modelRef,
+                    function(eventType, label) {
+                        // Only refresh snapshot for changes NOT initiated by our own batch processing
+                        if (!self._isProcessingBatch && modelSnapshot) {
+                            try {
+                                self._refreshSnapshotAndPublish({
+                                    label: label,
+                                    source: "external",
+                                    action: eventType
+                                }, modelRef);
+                                if (loggingQueue) {
+                                    loggingQueue.log("Snapshot refreshed due to external command stack change");
+                                }
+                            } catch (refreshErr) {
+                                if (loggingQueue) {
+                                    loggingQueue.error("Snapshot refresh on command stack change failed: " + refreshErr);
                                 }
                             }
                         }
-                    );
-                    if (loggingQueue) {
-                        loggingQueue.log("CommandStack listener registered for external change detection");
                     }
-                } catch (listenerErr) {
+                );
+                if (loggingQueue) {
+                    loggingQueue.log("CommandStack listener registered for external change detection (" +
+                                     modelRef.getName() + ")");
+                }
+            } catch (listenerErr) {
+                if (loggingQueue) {
+                    loggingQueue.error("Failed to register CommandStack listener: " + listenerErr);
+                }
+            }
+        },
+
+        /**
+         * Remove the CommandStack listener of a model
+         * @param {string} modelId - Model ID
+         */
+        detachModel: function(modelId) {
+            var handle = this._commandStackListeners[modelId];
+            if (!handle) {
+                return;
+            }
+            try {
+                handle.remove();
+                if (loggingQueue) {
+                    loggingQueue.log("CommandStack listener unregistered");
+                }
+            } catch (e) { /* ignore */ }
+            delete this._commandStackListeners[modelId];
+        },
+
+        /**
+         * Run a command stack change (undo/redo) on behalf of an API client.
+         * The external-change listener is suppressed while fn runs; the resulting
+         * model events are published once, with source "api".
+         * @param {string} action - "undo" or "redo"
+         * @param {string|null} label - Command label for the published events
+         * @param {Function} fn - Performs the change; its return value is passed through
+         * @param {com.archimatetool.model.IArchimateModel} [modelRef] - Model whose stack changes (default model if omitted)
+         * @returns {*} Result of fn
+         */
+        runCommandStackChange: function(action, label, fn, modelRef) {
+            var result;
+            this._isProcessingBatch = true;
+            try {
+                result = fn();
+            } finally {
+                this._isProcessingBatch = false;
+                try {
+                    this._refreshSnapshotAndPublish({
+                        label: label,
+                        source: "api",
+                        action: action
+                    }, modelRef);
+                } catch (refreshErr) {
                     if (loggingQueue) {
-                        loggingQueue.error("Failed to register CommandStack listener: " + listenerErr);
+                        loggingQueue.error("Snapshot refresh after " + action + " failed: " + refreshErr);
                     }
                 }
             }
-
-            this._scheduleProcessor();
+            return result;
         },
 
         /**
@@ -820,15 +1083,10 @@
         stopProcessor: function() {
             this._processorRunning = false;
 
-            // Unregister CommandStack listener
-            if (this._commandStackListenerHandle) {
-                try {
-                    this._commandStackListenerHandle.remove();
-                    if (loggingQueue) {
-                        loggingQueue.log("CommandStack listener unregistered");
-                    }
-                } catch (e) { /* ignore */ }
-                this._commandStackListenerHandle = null;
+            // Unregister CommandStack listeners
+            var modelIds = Object.keys(this._commandStackListeners);
+            for (var i = 0; i < modelIds.length; i++) {
+                this.detachModel(modelIds[i]);
             }
         },
 
@@ -856,107 +1114,7 @@
                     var operation = self.queue.poll();
                     if (!operation) break;
 
-                    // Mark operation as in-progress with start time
-                    operation.status = "processing";
-                    operation.startedAt = new Date().toISOString();
-                    self._appendTimelineEvent(operation, "processing", {
-                        queuedAt: operation.createdAt
-                    });
-
-                    try {
-                        if (loggingQueue) {
-                            loggingQueue.log("Processing operation: " + operation.id);
-                            loggingQueue.log("Model ref available: " + (self._modelRef !== null));
-                        }
-
-                        // Mark that we're processing a batch so the CommandStack listener
-                        // doesn't trigger redundant snapshot refreshes during execution
-                        self._isProcessingBatch = true;
-
-                        // Use undoableCommands.executeBatch for proper undo/redo support
-                        var batchLabel = "API Operation " + operation.id;
-                        var results = undoableCommands.executeBatch(
-                            self._modelRef,
-                            batchLabel,
-                            operation.changes,
-                            {
-                                duplicateStrategy: operation.duplicateStrategy
-                            }
-                        );
-
-                        self._isProcessingBatch = false;
-
-                        // Delayed snapshot refresh: allow async GEF rollback to settle
-                        // before capturing the new snapshot state
-                        var refreshDelayMs = 100;
-                        if (typeof serverConfig !== "undefined" && serverConfig.operations &&
-                            serverConfig.operations.snapshotRefreshDelayMs !== undefined) {
-                            refreshDelayMs = serverConfig.operations.snapshotRefreshDelayMs;
-                        }
-
-                        if (modelSnapshot) {
-                            if (refreshDelayMs > 0) {
-                                try {
-                                    var Thread = Java.type("java.lang.Thread");
-                                    Thread.sleep(refreshDelayMs);
-                                } catch (sleepErr) { /* ignore */ }
-                            }
-                            modelSnapshot.refreshSnapshot(self._modelRef);
-                        }
-
-                        // Mark operation as complete
-                        operation.status = "complete";
-                        operation.result = results;
-                        operation.completedAt = new Date().toISOString();
-                        self._appendTimelineEvent(operation, "complete", {
-                            resultCount: results.length
-                        });
-                        self._finalizeOperationMetadata(operation);
-
-                        var duration = new Date(operation.completedAt).getTime() - new Date(operation.startedAt).getTime();
-                        if (loggingQueue) {
-                            loggingQueue.log("Operation completed: " + operation.id +
-                                           " (" + results.length + " changes, " + duration + "ms) [UNDOABLE]");
-                        }
-
-                    } catch (e) {
-                        self._isProcessingBatch = false;
-                        var errorMsg = "Operation failed: " + operation.id + " - " + String(e);
-                        var errorDetails = self._buildOperationErrorDetails(operation, e);
-
-                        // Include Java stack trace if available
-                        if (e.javaException) {
-                            var StringWriter = Java.type("java.io.StringWriter");
-                            var PrintWriter = Java.type("java.io.PrintWriter");
-                            var sw = new StringWriter();
-                            e.javaException.printStackTrace(new PrintWriter(sw));
-                            errorMsg += "\n" + sw.toString();
-                        }
-
-                        if (loggingQueue) {
-                            loggingQueue.error(errorMsg);
-                            if (errorDetails && errorDetails.opNumber) {
-                                loggingQueue.error(
-                                    "Operation context: change " + errorDetails.opNumber +
-                                    " (" + errorDetails.op + ")" +
-                                    (errorDetails.field ? ", field=" + errorDetails.field : "") +
-                                    (errorDetails.reference ? ", reference=" + errorDetails.reference : "")
-                                );
-                            }
-                        }
-
-                        operation.status = "error";
-                        operation.error = errorDetails.message;
-                        operation.errorDetails = errorDetails;
-                        operation.completedAt = new Date().toISOString();
-                        self._appendTimelineEvent(operation, "failed", {
-                            error: errorDetails.message,
-                            opIndex: errorDetails.opIndex,
-                            op: errorDetails.op
-                        });
-                        self._finalizeOperationMetadata(operation);
-                    }
-
+                    self._processOperation(operation);
                     processed++;
                 }
 
@@ -977,6 +1135,9 @@
                             }
                         }
                     }
+                    if (typeof persistentStore !== "undefined" && persistentStore && persistentStore.isActive()) {
+                        persistentStore.maintain();
+                    }
                 }
 
                 self._processorCycleCount++;
@@ -988,6 +1149,162 @@
             });
         },
 
+        /**
+         * Run one operation taken off the queue and record its outcome
+         * @param {Object} operation - Operation descriptor
+         * @private
+         */
+        _processOperation: function(operation) {
+            var self = this;
+
+            // Mark operation as in-progress with start time
+            operation.status = "processing";
+            operation.startedAt = new Date().toISOString();
+            self._appendTimelineEvent(operation, "processing", {
+                queuedAt: operation.createdAt
+            });
+            self._persistOperation(operation);
+
+            try {
+                if (loggingQueue) {
+                    loggingQueue.log("Processing operation: " + operation.id);
+                    loggingQueue.log("Model ref available: " + (self._modelRef !== null));
+                }
+                var opModelRef = operation.modelRef || self._modelRef;
+
+                // Mark that we're processing a batch so the CommandStack listener
+                // doesn't trigger redundant snapshot refreshes during execution
+                self._isProcessingBatch = true;
+
+                // Use undoableCommands.executeBatch for proper undo/redo support
+                var batchLabel = "API Operation " + operation.id;
+                var results = undoableCommands.executeBatch(
+                    opModelRef,
+                    batchLabel,
+                    operation.changes,
+                    {
+                        duplicateStrategy: operation.duplicateStrategy,
+                        atomic: operation.atomic,
+                        dryRun: operation.dryRun,
+                        provenance: operation.provenance ? {
+                            client: operation.provenance.client,
+                            opId: operation.id,
+                            planId: operation.planId
+                        } : null
+                    }
+                );
+
+                self._isProcessingBatch = false;
+                operation.changeSet = undoableCommands.summarizeChanges(results);
+
+                // Delayed snapshot refresh: allow async GEF rollback to settle
+                // before capturing the new snapshot state
+                var refreshDelayMs = 100;
+                if (typeof serverConfig !== "undefined" && serverConfig.operations &&
+                    serverConfig.operations.snapshotRefreshDelayMs !== undefined) {
+                    refreshDelayMs = serverConfig.operations.snapshotRefreshDelayMs;
+                }
+
+                // Dry runs execute nothing, so there is no snapshot change to publish
+                if (modelSnapshot && !operation.dryRun) {
+                    if (refreshDelayMs > 0) {
+                        try {
+                            var Thread = Java.type("java.lang.Thread");
+                            Thread.sleep(refreshDelayMs);
+                        } catch (sleepErr) { /* ignore */ }
+                    }
+                    self._refreshSnapshotAndPublish({
+                        label: batchLabel,
+                        source: "api",
+                        action: "execute",
+                        operationId: operation.id
+                    }, opModelRef);
+                }
+
+                // Mark operation as complete
+                operation.status = "complete";
+                operation.result = results;
+                operation.completedAt = new Date().toISOString();
+                self._appendTimelineEvent(operation, "complete", {
+                    resultCount: results.length
+                });
+                self._finalizeOperationMetadata(operation);
+
+                var duration = new Date(operation.completedAt).getTime() - new Date(operation.startedAt).getTime();
+                if (loggingQueue) {
+                    loggingQueue.log("Operation completed: " + operation.id +
+                                   " (" + results.length + " changes, " + duration + "ms) " +
+                                   (operation.dryRun ? "[DRY RUN]" : "[UNDOABLE]"));
+                }
+
+            } catch (e) {
+                self._isProcessingBatch = false;
+
+                // Chunked batches may have committed earlier chunks; report whatever landed
+                try {
+                    self._refreshSnapshotAndPublish({
+                        label: "API Operation " + operation.id,
+                        source: "api",
+                        action: "execute",
+                        operationId: operation.id
+                    }, operation.modelRef || self._modelRef);
+                } catch (refreshErr) { /* snapshot refresh is best-effort here */ }
+
+                var errorMsg = "Operation failed: " + operation.id + " - " + String(e);
+                var errorDetails = self._buildOperationErrorDetails(operation, e);
+
+                // Include Java stack trace if available
+                if (e.javaException) {
+                    var StringWriter = Java.type("java.io.StringWriter");
+                    var PrintWriter = Java.type("java.io.PrintWriter");
+                    var sw = new StringWriter();
+                    e.javaException.printStackTrace(new PrintWriter(sw));
+                    errorMsg += "\n" + sw.toString();
+                }
+
+                if (loggingQueue) {
+                    loggingQueue.error(errorMsg);
+                    if (errorDetails && errorDetails.opNumber) {
+                        loggingQueue.error(
+                            "Operation context: change " + errorDetails.opNumber +
+                            " (" + errorDetails.op + ")" +
+                            (errorDetails.field ? ", field=" + errorDetails.field : "") +
+                            (errorDetails.reference ? ", reference=" + errorDetails.reference : "")
+                        );
+                    }
+                }
+
+                operation.status = "error";
+                operation.error = errorDetails.message;
+                operation.errorDetails = errorDetails;
+                operation.completedAt = new Date().toISOString();
+                self._appendTimelineEvent(operation, "failed", {
+                    error: errorDetails.message,
+                    opIndex: errorDetails.opIndex,
+                    op: errorDetails.op,
+                    rolledBack: errorDetails.atomic ? errorDetails.atomic.rolledBack : undefined
+                });
+                self._finalizeOperationMetadata(operation);
+            }
+        },
+
+        /**
+         * Process a queued operation now instead of on the next processor cycle.
+         * Used by requestRecorder so a replayed dry-run apply has finished before
+         * the recorded status polls that follow it are replayed.
+         * @param {string} opId - Operation ID
+         * @returns {boolean} True if the operation was queued and has been processed
+         */
+        processNow: function(opId) {
+            var operation = this.pendingOperations[opId];
+            if (!operation || operation.status !== "queued" || !this.queue.remove(operation)) {
+                return false;
+            }
+            this._processOperation(operation);
+            this._updateOperationCount();
+            return true;
+        },
+
         /**
          * Check for and timeout stale in-progress operations
          * @private
@@ -17,6 +17,362 @@
         return;
     }
 
+    var ID = { type: "string", minLength: 1 };
+    var COORD = { type: "number" };
+    var COLOR = { type: "string", pattern: "^#[0-9A-Fa-f]{6}$" };
+    var STRING_MAP = { type: "object", additionalProperties: { type: "string" } };
+
+    function prop(base, description, extra) {
+        var result = {};
+        var key;
+        for (key in base) result[key] = base[key];
+        if (description) result.description = description;
+        for (key in (extra || {})) result[key] = extra[key];
+        return result;
+    }
+
+    /**
+     * JSON Schema for each change type accepted by /model/apply, keyed by `op`.
+     * Used for the OpenAPI description only; validateChange() and the op-specific
+     * validators remain the rules that are enforced. `x-archimate` marks element/relationship type fields
+     * whose enum is filled from serverConfig by getChangeSchemas().
+     */
+    var CHANGE_SCHEMAS = {
+        createElement: {
+            description: "Create an element",
+            required: ["type", "name"],
+            properties: {
+                type: { type: "string", minLength: 1, "x-archimate": "element" },
+                name: prop(ID, "Element name"),
+                tempId: prop({ type: "string" }, "Temporary ID for referencing in subsequent operations"),
+                documentation: { type: "string" },
+                folder: prop({ type: "string" }, "Target folder path or ID"),
+                properties: prop(STRING_MAP, "Properties to set on the new element")
+            }
+        },
+        createRelationship: {
+            description: "Create a relationship",
+            required: ["type", "sourceId", "targetId"],
+            properties: {
+                type: { type: "string", minLength: 1, "x-archimate": "relationship" },
+                sourceId: prop(ID, "Source element ID or tempId"),
+                targetId: prop(ID, "Target element ID or tempId"),
+                tempId: { type: "string" },
+                name: { type: "string" },
+                documentation: { type: "string" },
+                accessType: prop({ type: "integer" }, "access-relationship: 0=write, 1=read, 2=access, 3=readwrite", { "enum": [0, 1, 2, 3] }),
+                strength: prop({ type: "string" }, "influence-relationship strength")
+            }
+        },
+        createOrGetElement: {
+            description: "Create an element, or reuse the existing one with the same type and name",
+            required: ["create", "match"],
+            properties: {
+                create: {
+                    type: "object",
+                    required: ["type", "name"],
+                    properties: {
+                        type: { type: "string", "x-archimate": "element" },
+                        name: { type: "string" },
+                        tempId: { type: "string" },
+                        documentation: { type: "string" },
+                        folder: { type: "string" },
+                        properties: STRING_MAP
+                    }
+                },
+                match: {
+                    type: "object",
+                    required: ["type", "name"],
+                    properties: {
+                        type: { type: "string", "x-archimate": "element" },
+                        name: { type: "string" }
+                    }
+                },
+                onDuplicate: { type: "string", "enum": ["error", "reuse", "rename"] }
+            }
+        },
+        createOrGetRelationship: {
+            description: "Create a relationship, or reuse the existing one with the same type and endpoints",
+            required: ["create", "match"],
+            properties: {
+                create: {
+                    type: "object",
+                    required: ["type", "sourceId", "targetId"],
+                    properties: {
+                        type: { type: "string", "x-archimate": "relationship" },
+                        sourceId: { type: "string" },
+                        targetId: { type: "string" },
+                        tempId: { type: "string" },
+                        name: { type: "string" },
+                        documentation: { type: "string" },
+                        accessType: { type: "integer", "enum": [0, 1, 2, 3] },
+                        strength: { type: "string" }
+                    }
+                },
+                match: {
+                    type: "object",
+                    required: ["type", "sourceId", "targetId"],
+                    properties: {
+                        type: { type: "string", "x-archimate": "relationship" },
+                        sourceId: { type: "string" },
+                        targetId: { type: "string" },
+                        accessType: { type: "integer", "enum": [0, 1, 2, 3] },
+                        strength: { type: "string" }
+                    }
+                },
+                onDuplicate: { type: "string", "enum": ["error", "reuse"] }
+            }
+        },
+        setProperty: {
+            description: "Set one property on an element or relationship",
+            required: ["id", "key", "value"],
+            properties: {
+                id: prop(ID, "Element or relationship ID (or tempId)"),
+                key: ID,
+                value: { type: "string" }
+            }
+        },
+        updateElement: {
+            description: "Update an element's name, documentation and/or properties",
+            required: ["id"],
+            anyOf: [{ required: ["name"] }, { required: ["documentation"] }, { required: ["properties"] }],
+            properties: {
+                id: prop(ID, "Element ID (or tempId)"),
+                name: { type: "string" },
+                documentation: { type: "string" },
+                properties: STRING_MAP
+            }
+        },
+        deleteElement: {
+            description: "Delete an element",
+            required: ["id"],
+            properties: {
+                id: ID,
+                cascade: prop({ type: "boolean" }, "Also delete its relationships and diagram references", { "default": true })
+            }
+        },
+        deleteRelationship: {
+            description: "Delete a relationship",
+            required: ["id"],
+            properties: { id: ID }
+        },
+        updateRelationship: {
+            description: "Update a relationship's name, documentation and/or properties",
+            required: ["id"],
+            anyOf: [{ required: ["name"] }, { required: ["documentation"] }, { required: ["properties"] }],
+            properties: {
+                id: ID,
+                name: { type: "string" },
+                documentation: { type: "string" },
+                properties: STRING_MAP
+            }
+        },
+        moveToFolder: {
+            description: "Move an element, relationship or view to a folder",
+            required: ["id", "folderId"],
+            properties: {
+                id: ID,
+                folderId: prop(ID, "Folder ID or createFolder tempId")
+            }
+        },
+        createFolder: {
+            description: "Create a folder",
+            required: ["name"],
+            anyOf: [{ required: ["parentId"] }, { required: ["parentType"] }, { required: ["parentFolder"] }],
+            properties: {
+                name: ID,
+                parentId: { type: "string" },
+                parentType: prop({ type: "string" }, "Top-level folder type, e.g. BUSINESS or VIEWS"),
+                parentFolder: prop({ type: "string" }, "Parent folder name, e.g. Views"),
+                documentation: { type: "string" },
+                tempId: { type: "string" }
+            }
+        },
+        addToView: {
+            description: "Add an element to a view",
+            required: ["viewId", "elementId"],
+            properties: {
+                viewId: ID,
+                elementId: prop(ID, "Element ID (or tempId)"),
+                tempId: { type: "string" },
+                parentVisualId: prop({ type: "string" }, "Visual object to nest inside; x/y become relative to it"),
+                x: COORD,
+                y: COORD,
+                width: { type: "number" },
+                height: { type: "number" },
+                autoNest: { type: "boolean" }
+            }
+        },
+        addConnectionToView: {
+            description: "Add a relationship to a view as a connection",
+            required: ["viewId", "relationshipId"],
+            properties: {
+                viewId: ID,
+                relationshipId: prop(ID, "Relationship ID (or tempId)"),
+                sourceVisualId: { type: "string" },
+                targetVisualId: { type: "string" },
+                autoResolveVisuals: { type: "boolean", "default": false },
+                tempId: { type: "string" }
+            }
+        },
+        nestInView: {
+            description: "Move a visual object into another visual object",
+            required: ["viewId", "visualId", "parentVisualId"],
+            properties: {
+                viewId: ID,
+                visualId: ID,
+                parentVisualId: ID,
+                x: COORD,
+                y: COORD
+            }
+        },
+        deleteConnectionFromView: {
+            description: "Remove a connection from a view (the relationship stays)",
+            required: ["viewId", "connectionId"],
+            properties: {
+                viewId: ID,
+                connectionId: ID
+            }
+        },
+        styleViewObject: {
+            description: "Style a visual object",
+            required: ["viewObjectId"],
+            properties: {
+                viewObjectId: ID,
+                fillColor: COLOR,
+                lineColor: COLOR,
+                fontColor: COLOR,
+                opacity: { type: "integer", minimum: 0, maximum: 255 },
+                lineWidth: { type: "integer", minimum: 1, maximum: 10 },
+                textAlignment: { type: "integer", "enum": [0, 1, 2] },
+                textPosition: { type: "integer", "enum": [0, 1, 2] }
+            }
+        },
+        styleConnection: {
+            description: "Style a connection",
+            required: ["connectionId"],
+            properties: {
+                connectionId: ID,
+                lineColor: COLOR,
+                fontColor: COLOR,
+                lineWidth: { type: "integer", minimum: 1, maximum: 10 },
+                textPosition: { type: "integer", "enum": [0, 1, 2] }
+            }
+        },
+        moveViewObject: {
+            description: "Move or resize a visual object",
+            required: ["viewObjectId"],
+            anyOf: [{ required: ["x"] }, { required: ["y"] }, { required: ["width"] }, { required: ["height"] }],
+            properties: {
+                viewObjectId: ID,
+                x: COORD,
+                y: COORD,
+                width: { type: "number" },
+                height: { type: "number" }
+            }
+        },
+        createNote: {
+            description: "Create a note in a view",
+            required: ["viewId", "content"],
+            properties: {
+                viewId: ID,
+                content: ID,
+                tempId: { type: "string" },
+                x: COORD,
+                y: COORD,
+                width: { type: "number" },
+                height: { type: "number" }
+            }
+        },
+        createGroup: {
+            description: "Create a group in a view",
+            required: ["viewId", "name"],
+            properties: {
+                viewId: ID,
+                name: ID,
+                tempId: { type: "string" },
+                x: COORD,
+                y: COORD,
+                width: { type: "number" },
+                height: { type: "number" }
+            }
+        },
+        createView: {
+            description: "Create a view",
+            required: ["name"],
+            properties: {
+                name: ID,
+                tempId: { type: "string" },
+                documentation: { type: "string" },
+                folder: { type: "string" },
+                viewpoint: prop({ type: "string" }, "ArchiMate viewpoint ID, e.g. application_cooperation")
+            }
+        },
+        deleteView: {
+            description: "Delete a view",
+            required: ["viewId"],
+            properties: { viewId: ID }
+        },
+        duplicateView: {
+            description: "Duplicate a view",
+            required: ["viewId"],
+            properties: {
+                viewId: ID,
+                name: prop({ type: "string" }, "Name of the copy"),
+                tempId: { type: "string" }
+            }
+        },
+        setViewRouter: {
+            description: "Set a view's connection router",
+            required: ["viewId"],
+            properties: {
+                viewId: ID,
+                routerType: { type: "string", "enum": ["bendpoint", "manhattan"] }
+            }
+        },
+        layoutView: {
+            description: "Lay out a view automatically",
+            required: ["viewId"],
+            properties: {
+                viewId: ID,
+                algorithm: { type: "string", "enum": ["dagre", "sugiyama"], "default": "dagre" },
+                rankdir: { type: "string", "enum": ["TB", "BT", "LR", "RL"] },
+                ranksep: { type: "number" },
+                nodesep: { type: "number" },
+                edgesep: { type: "number" },
+                marginx: { type: "number" },
+                marginy: { type: "number" }
+            }
+        }
+    };
+
+    function cloneSchema(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Replace `x-archimate` markers with the type enums from serverConfig
+     */
+    function expandTypeEnums(schema) {
+        if (!schema || typeof schema !== "object") return schema;
+        if (schema["x-archimate"] && typeof serverConfig !== "undefined") {
+            if (schema["x-archimate"] === "element" && serverConfig.validElementTypes) {
+                schema["enum"] = serverConfig.validElementTypes.slice();
+                schema.description = "ArchiMate element type (kebab-case; PascalCase, camelCase and snake_case are normalized)";
+            } else if (schema["x-archimate"] === "relationship" && serverConfig.validRelationshipTypes) {
+                schema["enum"] = serverConfig.validRelationshipTypes.slice();
+                schema.description = "ArchiMate relationship type";
+            }
+            delete schema["x-archimate"];
+        }
+        for (var key in schema) {
+            if (schema.hasOwnProperty(key) && schema[key] && typeof schema[key] === "object") {
+                expandTypeEnums(schema[key]);
+            }
+        }
+        return schema;
+    }
+
     /**
      * Operation validation utilities
      */
@@ -38,6 +394,89 @@
             return this.MAX_CHANGES_PER_REQUEST;
         },
 
+        /**
+         * Names of all change types accepted by /model/apply
+         * @returns {Array<string>} Op names
+         */
+        getChangeTypes: function() {
+            return Object.keys(CHANGE_SCHEMAS);
+        },
+
+        /**
+         * JSON Schemas for every change type, with the `op` discriminator and
+         * ArchiMate type enums filled in (used by GET /openapi.json)
+         * @returns {Object} Map of op name to JSON Schema
+         */
+        getChangeSchemas: function() {
+            var result = {};
+            var ops = Object.keys(CHANGE_SCHEMAS);
+            for (var i = 0; i < ops.length; i++) {
+                var schema = expandTypeEnums(cloneSchema(CHANGE_SCHEMAS[ops[i]]));
+                var properties = { op: { type: "string", "enum": [ops[i]] } };
+                for (var key in schema.properties) {
+                    properties[key] = schema.properties[key];
+                }
+                schema.type = "object";
+                schema.properties = properties;
+                schema.required = ["op"].concat(schema.required || []);
+                result[ops[i]] = schema;
+            }
+            return result;
+        },
+
+        /**
+         * JSON Schema for the POST /model/apply request body, matching
+         * validateApplyRequest(). `changes` items reference ChangeOperation.
+         * @param {string} changeRef - $ref for one change (e.g. "#/components/schemas/ChangeOperation")
+         * @returns {Object} JSON Schema
+         */
+        getApplyRequestSchema: function(changeRef) {
+            return {
+                type: "object",
+                required: ["changes"],
+                properties: {
+                    changes: {
+                        type: "array",
+                        minItems: 1,
+                        maxItems: this._getMaxChanges(),
+                        items: { $ref: changeRef }
+                    },
+                    idempotencyKey: {
+                        type: "string",
+                        pattern: "^[A-Za-z0-9:_-]{1,128}$",
+                        description: "Replays the original operation when the same key and payload are sent again"
+                    },
+                    duplicateStrategy: {
+                        type: "string",
+                        "enum": ["error", "reuse", "rename"],
+                        "default": "error",
+                        description: "Default for create operations without their own onDuplicate"
+                    },
+                    atomic: {
+                        type: "boolean",
+                        "default": false,
+                        description: "Undo every committed chunk if any change fails"
+                    },
+                    dryRun: {
+                        type: "boolean",
+                        "default": false,
+                        description: "Build and resolve the batch without executing it"
+                    },
+                    callbackUrl: {
+                        type: "string",
+                        format: "uri",
+                        maxLength: 2048,
+                        description: "Receives the final /ops/status body as a POST (loopback or webhooks.allowedHosts)"
+                    },
+                    planId: {
+                        type: "string",
+                        maxLength: 128,
+                        description: "Plan the changes came from; stamped as provenance when provenance is enabled"
+                    }
+                }
+            };
+        },
+
         /**
          * Normalize element type to canonical kebab-case format
          * @param {string} type - Element type in any format
@@ -234,6 +673,17 @@
                 body.idempotencyKey = key;
             }
 
+            if (body.atomic !== undefined && body.atomic !== null && typeof body.atomic !== "boolean") {
+                throw this.createValidationError("Invalid 'atomic'. Must be a boolean.");
+            }
+            if (body.dryRun !== undefined && body.dryRun !== null && typeof body.dryRun !== "boolean") {
+                throw this.createValidationError("Invalid 'dryRun'. Must be a boolean.");
+            }
+            if (body.planId !== undefined && body.planId !== null &&
+                (typeof body.planId !== "string" || body.planId.length > 128)) {
+                throw this.createValidationError("Invalid 'planId'. Must be a string of at most 128 characters.");
+            }
+
             var requestDuplicateStrategy = this._normalizeDuplicateStrategy(body.duplicateStrategy, true) || "error";
             body.duplicateStrategy = requestDuplicateStrategy;
 
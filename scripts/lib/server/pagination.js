@@ -0,0 +1,338 @@
+/**
+ * pagination.js - Opaque cursor pagination, sorting and field projection
+ *
+ * Used by POST /model/search and POST /model/query. Pages are cut with keyset
+ * pagination on (sort value, id) rather than offsets, so a cursor keeps
+ * pointing at the right place when elements are added or deleted between
+ * requests: the next page always starts strictly after the last item served.
+ *
+ * A cursor is base64url-encoded JSON carrying the endpoint, a hash of the
+ * query criteria (filters + sort), the model ID, the issue time and the last
+ * key. It is opaque to clients; they only pass `nextCursor` back unchanged.
+ *
+ * Errors are returned as `{ status, code, message }` for the caller to map
+ * onto the response:
+ *   - 400 InvalidCursor  - malformed, or issued for a different query
+ *   - 410 CursorExpired  - older than pagination.cursorTtlMs, or issued for
+ *                          another model
+ *
+ * @module server/pagination
+ * @requires server/serverConfig (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.pagination !== "undefined") {
+        return;
+    }
+
+    var Base64 = Java.type("java.util.Base64");
+    var MessageDigest = Java.type("java.security.MessageDigest");
+    var StandardCharsets = Java.type("java.nio.charset.StandardCharsets");
+    var JavaString = Java.type("java.lang.String");
+
+    var CURSOR_VERSION = 1;
+
+    function getConfig() {
+        var cfg = (typeof serverConfig !== "undefined" && serverConfig.pagination) ? serverConfig.pagination : {};
+        return {
+            defaultPageSize: cfg.defaultPageSize || 100,
+            maxPageSize: cfg.maxPageSize || 1000,
+            cursorTtlMs: cfg.cursorTtlMs || 3600000
+        };
+    }
+
+    /**
+     * JSON.stringify with sorted object keys, so equal criteria hash equally
+     */
+    function stableStringify(value) {
+        if (value === null || value === undefined) return "null";
+        if (Array.isArray(value)) {
+            return "[" + value.map(stableStringify).join(",") + "]";
+        }
+        if (typeof value === "object") {
+            return "{" + Object.keys(value).sort().map(function(key) {
+                return JSON.stringify(key) + ":" + stableStringify(value[key]);
+            }).join(",") + "}";
+        }
+        return JSON.stringify(value);
+    }
+
+    function hashCriteria(criteria) {
+        var digest = MessageDigest.getInstance("SHA-256");
+        var hashBytes = digest.digest(new JavaString(stableStringify(criteria)).getBytes(StandardCharsets.UTF_8));
+        var hex = "";
+        for (var i = 0; i < 8; i++) {
+            var h = (hashBytes[i] & 255).toString(16);
+            if (h.length === 1) h = "0" + h;
+            hex += h;
+        }
+        return hex;
+    }
+
+    function invalid(message) {
+        return { status: 400, code: "InvalidCursor", message: message };
+    }
+
+    function expired(message) {
+        return { status: 410, code: "CursorExpired", message: message };
+    }
+
+    /**
+     * Normalize a sort value for comparison (case-insensitive strings,
+     * missing values sort as empty string)
+     */
+    function normalizeSortValue(value) {
+        if (value === null || value === undefined) return "";
+        return String(value).toLowerCase();
+    }
+
+    /**
+     * Compare two [sortValue, id] keys. The id tie-break is always ascending
+     * so ordering is total and deterministic.
+     */
+    function compareKeys(a, b, descending) {
+        if (a[0] !== b[0]) {
+            var cmp = a[0] < b[0] ? -1 : 1;
+            return descending ? -cmp : cmp;
+        }
+        if (a[1] === b[1]) return 0;
+        return a[1] < b[1] ? -1 : 1;
+    }
+
+    var pagination = {
+        /**
+         * Encode a cursor payload as an opaque token
+         * @param {Object} payload - Cursor payload
+         * @returns {string} base64url token
+         */
+        encodeCursor: function(payload) {
+            var bytes = new JavaString(JSON.stringify(payload)).getBytes(StandardCharsets.UTF_8);
+            return String(Base64.getUrlEncoder().withoutPadding().encodeToString(bytes));
+        },
+
+        /**
+         * Decode an opaque cursor token
+         * @param {string} token - Cursor from a previous `nextCursor`
+         * @returns {Object|null} Payload, or null when the token is malformed
+         */
+        decodeCursor: function(token) {
+            if (typeof token !== "string" || token.length === 0 || token.length > 4096) {
+                return null;
+            }
+            try {
+                var bytes = Base64.getUrlDecoder().decode(token);
+                var payload = JSON.parse(String(new JavaString(bytes, StandardCharsets.UTF_8)));
+                if (!payload || payload.v !== CURSOR_VERSION || !Array.isArray(payload.k) || payload.k.length !== 2) {
+                    return null;
+                }
+                return payload;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Parse a `sort` request value
+         * Accepts "name", "-type" (descending), or { by, key?, order? } where
+         * by is one of the allowed keys or "property" (with key).
+         * @param {*} raw - Request value
+         * @param {Array<string>} allowed - Sortable attribute names
+         * @returns {{sort: Object}|{error: string}}
+         */
+        parseSort: function(raw, allowed) {
+            if (raw === undefined || raw === null || raw === "") {
+                return { sort: { by: "id", key: null, order: "asc" } };
+            }
+            var sort;
+            if (typeof raw === "string") {
+                var desc = raw.charAt(0) === "-";
+                sort = { by: desc ? raw.substring(1) : raw, key: null, order: desc ? "desc" : "asc" };
+            } else if (typeof raw === "object" && !Array.isArray(raw)) {
+                sort = {
+                    by: raw.by,
+                    key: raw.key !== undefined ? raw.key : null,
+                    order: raw.order !== undefined ? raw.order : "asc"
+                };
+            } else {
+                return { error: "Invalid 'sort'. Must be a string or { by, key?, order? }." };
+            }
+
+            if (sort.by === "property") {
+                if (typeof sort.key !== "string" || sort.key === "") {
+                    return { error: "Invalid 'sort'. Sorting by property requires a non-empty 'key'." };
+                }
+            } else if (allowed.indexOf(sort.by) === -1) {
+                return { error: "Invalid 'sort.by' '" + sort.by + "'. Must be one of: " +
+                    allowed.concat(["property"]).join(", ") + "." };
+            } else {
+                sort.key = null;
+            }
+            if (sort.order !== "asc" && sort.order !== "desc") {
+                return { error: "Invalid 'sort.order'. Must be 'asc' or 'desc'." };
+            }
+            return { sort: sort };
+        },
+
+        /**
+         * Parse a `fields` projection
+         * @param {*} raw - Array of field names (or comma-separated string)
+         * @param {Array<string>} allowed - Projectable field names
+         * @returns {{fields: Array<string>|null}|{error: string}}
+         */
+        parseFields: function(raw, allowed) {
+            if (raw === undefined || raw === null) {
+                return { fields: null };
+            }
+            var list = typeof raw === "string" ? raw.split(",") : raw;
+            if (!Array.isArray(list) || list.length === 0) {
+                return { error: "Invalid 'fields'. Must be a non-empty array of field names." };
+            }
+            var fields = [];
+            for (var i = 0; i < list.length; i++) {
+                var name = typeof list[i] === "string" ? list[i].trim() : list[i];
+                if (allowed.indexOf(name) === -1) {
+                    return { error: "Invalid field '" + name + "'. Allowed fields: " + allowed.join(", ") + "." };
+                }
+                if (fields.indexOf(name) === -1) fields.push(name);
+            }
+            // id is always returned so results can be correlated
+            if (fields.indexOf("id") === -1) fields.unshift("id");
+            return { fields: fields };
+        },
+
+        /**
+         * Parse a `pageSize` request value
+         * @param {*} raw - Request value
+         * @returns {{pageSize: number}|{error: string}}
+         */
+        parsePageSize: function(raw) {
+            var config = getConfig();
+            if (raw === undefined || raw === null) {
+                return { pageSize: config.defaultPageSize };
+            }
+            var pageSize = parseInt(String(raw), 10);
+            if (!isFinite(pageSize) || pageSize < 1 || pageSize > config.maxPageSize) {
+                return { error: "Invalid 'pageSize'. Must be an integer between 1 and " + config.maxPageSize + "." };
+            }
+            return { pageSize: pageSize };
+        },
+
+        /**
+         * Whether a request body asks for paginated mode
+         * @param {Object} body - Request body
+         * @returns {boolean}
+         */
+        isRequested: function(body) {
+            return !!body && (body.cursor !== undefined || body.pageSize !== undefined || body.sort !== undefined);
+        },
+
+        /**
+         * Sort items and cut one page after the cursor position
+         * @param {Array} items - Full, unsorted result set
+         * @param {Object} options
+         * @param {string} options.endpoint - Endpoint name bound into the cursor
+         * @param {Object} options.criteria - Filters + sort bound into the cursor
+         * @param {Object} options.sort - Parsed sort
+         * @param {Function} options.getSortValue - item -> raw sort value
+         * @param {string|null} options.cursor - Cursor token from the request
+         * @param {number} options.pageSize - Page size
+         * @param {string|null} options.modelId - Current model ID
+         * @returns {{items: Array, total: number, hasMore: boolean, nextCursor: string|null}|{error: Object}}
+         */
+        paginate: function(items, options) {
+            var config = getConfig();
+            var criteriaHash = hashCriteria({ endpoint: options.endpoint, criteria: options.criteria });
+            var descending = options.sort.order === "desc";
+
+            var after = null;
+            if (options.cursor !== undefined && options.cursor !== null) {
+                var payload = this.decodeCursor(options.cursor);
+                if (!payload) {
+                    return { error: invalid("Malformed cursor. Pass 'nextCursor' from a previous response unchanged.") };
+                }
+                if (payload.e !== options.endpoint || payload.h !== criteriaHash) {
+                    return { error: invalid("Cursor was issued for a different query. Repeat the original filters and sort, or start over without a cursor.") };
+                }
+                if (payload.m !== (options.modelId || null)) {
+                    return { error: expired("Cursor was issued for a different model. Start over without a cursor.") };
+                }
+                if (typeof payload.t !== "number" || Date.now() - payload.t > config.cursorTtlMs) {
+                    return { error: expired("Cursor expired after " + config.cursorTtlMs + "ms. Start over without a cursor.") };
+                }
+                after = payload.k;
+            }
+
+            var keyed = [];
+            for (var i = 0; i < items.length; i++) {
+                keyed.push({
+                    key: [normalizeSortValue(options.getSortValue(items[i])), String(items[i].id)],
+                    item: items[i]
+                });
+            }
+            keyed.sort(function(a, b) {
+                return compareKeys(a.key, b.key, descending);
+            });
+
+            var start = 0;
+            if (after) {
+                while (start < keyed.length && compareKeys(keyed[start].key, after, descending) <= 0) {
+                    start++;
+                }
+            }
+
+            var slice = keyed.slice(start, start + options.pageSize);
+            var hasMore = start + slice.length < keyed.length;
+            var nextCursor = null;
+            if (hasMore && slice.length > 0) {
+                nextCursor = this.encodeCursor({
+                    v: CURSOR_VERSION,
+                    e: options.endpoint,
+                    h: criteriaHash,
+                    m: options.modelId || null,
+                    t: Date.now(),
+                    k: slice[slice.length - 1].key
+                });
+            }
+
+            return {
+                items: slice.map(function(entry) { return entry.item; }),
+                total: keyed.length,
+                hasMore: hasMore,
+                nextCursor: nextCursor
+            };
+        },
+
+        /**
+         * Project an item onto the requested fields
+         * @param {Object} item - Result item
+         * @param {Array<string>|null} fields - Fields to keep (null = all)
+         * @returns {Object} Projected copy (or the item itself when fields is null)
+         */
+        project: function(item, fields) {
+            if (!fields) return item;
+            var result = {};
+            for (var i = 0; i < fields.length; i++) {
+                if (item[fields[i]] !== undefined) {
+                    result[fields[i]] = item[fields[i]];
+                }
+            }
+            return result;
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.pagination = pagination;
+    } else if (typeof global !== "undefined") {
+        global.pagination = pagination;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = pagination;
+    }
+
+})();
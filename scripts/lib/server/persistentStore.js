@@ -0,0 +1,507 @@
+/**
+ * persistentStore.js - Optional file-backed journal for idempotency keys and operations
+ *
+ * Keeps idempotency records and the state of /model/apply operations in a JSON
+ * lines file next to the model, so a restarted server still recognises retried
+ * idempotency keys and can answer /ops/status and /ops/list for operations that
+ * finished before the restart.
+ *
+ * Journal: <model directory>/<persistence.directory>/<model file name>.jsonl
+ * Every change appends one line; the last line for a key or operation ID wins:
+ *   {"kind":"idempotency","key":"...","record":{...}}
+ *   {"kind":"idempotency-delete","key":"..."}
+ *   {"kind":"operation","id":"op_...","operation":{...}}
+ *   {"kind":"operation-update","id":"op_...","fields":{...},"timeline":[...]}
+ * An operation is written in full when it is queued and when it finishes; the
+ * transitions in between only append the changed fields and new timeline entries.
+ * Compaction rewrites the file with only the live entries (expired idempotency
+ * records and operations past the retention limits are dropped). It runs when
+ * the journal is opened, when it is closed, and from the operation processor's
+ * cleanup cycle once `compactAfterLines` lines have been appended.
+ *
+ * Operations found still queued or processing when the journal is opened were
+ * interrupted by the previous shutdown. They are recorded as errors; the
+ * idempotency key of an operation that never started is released so a retry
+ * applies it, while the key of one that had started keeps pointing at the error.
+ *
+ * Disabled unless serverConfig.persistence.enabled is true. Models that have
+ * never been saved have no directory, so they are not persisted.
+ *
+ * There is one journal per server, next to the model the server was started
+ * with. Operations on other models (/models/{id}/...) are journaled there too,
+ * tagged with their modelId.
+ *
+ * @module server/persistentStore
+ * @requires server/serverConfig (optional)
+ * @requires server/loggingQueue (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.persistentStore !== "undefined") {
+        return;
+    }
+
+    var File = Java.type("java.io.File");
+    var Files = Java.type("java.nio.file.Files");
+    var JavaString = Java.type("java.lang.String");
+    var StandardCharsets = Java.type("java.nio.charset.StandardCharsets");
+    var StandardOpenOption = Java.type("java.nio.file.StandardOpenOption");
+    var StandardCopyOption = Java.type("java.nio.file.StandardCopyOption");
+
+    var JOURNAL_VERSION = 2;
+
+    // Operation fields that /ops/status and /ops/list read; changes and callback state are not kept
+    var OPERATION_FIELDS = [
+        "id", "modelId", "status", "idempotencyKey", "duplicateStrategy", "atomic", "dryRun", "requestId",
+        "planId", "result", "error", "errorDetails", "createdAt", "startedAt", "completedAt", "timeline",
+        "tempIdMap", "tempIdMappings", "digest", "changeSet", "retryHints"
+    ];
+
+    // Fields left out of operation-update lines; they are journaled with the finished operation
+    var FULL_RECORD_FIELDS = ["timeline", "result", "changeSet"];
+
+    var state = {
+        file: null,
+        modelId: null,
+        idempotency: {},
+        operations: {},
+        linesSinceCompaction: 0,
+        lastCompactedAt: null,
+        lastError: null
+    };
+
+    function getConfig() {
+        var cfg = (typeof serverConfig !== "undefined" && serverConfig.persistence) ? serverConfig.persistence : {};
+        return {
+            enabled: cfg.enabled === true,
+            directory: cfg.directory || ".archi-api",
+            compactAfterLines: cfg.compactAfterLines || 1000,
+            maxOperations: cfg.maxOperations || 2000,
+            operationRetentionMs: cfg.operationRetentionMs || 7 * 24 * 60 * 60 * 1000
+        };
+    }
+
+    function warn(message) {
+        state.lastError = message;
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.warn("[persistence] " + message);
+        }
+    }
+
+    function isTerminal(status) {
+        return status === "complete" || status === "error";
+    }
+
+    function toJournalOperation(operation) {
+        var copy = {};
+        for (var i = 0; i < OPERATION_FIELDS.length; i++) {
+            var field = OPERATION_FIELDS[i];
+            if (operation[field] !== undefined) {
+                copy[field] = operation[field];
+            }
+        }
+        copy.changeCount = operation.changes && operation.changes.length ? operation.changes.length :
+            (operation.changeCount || 0);
+        // Round-trip so later in-memory mutations of the live operation do not leak in
+        return JSON.parse(JSON.stringify(copy));
+    }
+
+    /**
+     * Changes of an unfinished operation since its journaled copy
+     * @param {Object} previous - Journaled copy
+     * @param {Object} copy - toJournalOperation() of the current state
+     * @returns {Object|null} { fields, timeline }, or null when a full record is needed
+     */
+    function operationDelta(previous, copy) {
+        var previousTimeline = previous.timeline || [];
+        var timeline = copy.timeline || [];
+        if (timeline.length < previousTimeline.length) {
+            return null;
+        }
+        var fields = {};
+        var names = OPERATION_FIELDS.concat(["changeCount"]);
+        for (var i = 0; i < names.length; i++) {
+            var name = names[i];
+            if (FULL_RECORD_FIELDS.indexOf(name) !== -1) continue;
+            if (JSON.stringify(copy[name]) !== JSON.stringify(previous[name])) {
+                fields[name] = copy[name] === undefined ? null : copy[name];
+            }
+        }
+        return { fields: fields, timeline: timeline.slice(previousTimeline.length) };
+    }
+
+    function applyOperationDelta(operation, entry) {
+        var names = Object.keys(entry.fields || {});
+        for (var i = 0; i < names.length; i++) {
+            operation[names[i]] = entry.fields[names[i]];
+        }
+        if (entry.timeline && entry.timeline.length) {
+            operation.timeline = (operation.timeline || []).concat(entry.timeline);
+        }
+    }
+
+    function append(entry) {
+        if (!state.file) return;
+        try {
+            var line = new JavaString(JSON.stringify(entry) + "\n").getBytes(StandardCharsets.UTF_8);
+            Files.write(state.file.toPath(), line, StandardOpenOption.CREATE, StandardOpenOption.APPEND);
+            state.linesSinceCompaction++;
+        } catch (e) {
+            warn("Append to " + state.file.getAbsolutePath() + " failed: " + e);
+        }
+    }
+
+    /**
+     * Drop expired idempotency records and operations beyond the retention limits
+     */
+    function prune() {
+        var cfg = getConfig();
+        var now = Date.now();
+
+        var keys = Object.keys(state.idempotency);
+        for (var i = 0; i < keys.length; i++) {
+            var record = state.idempotency[keys[i]];
+            if (!record.expiresAt || new Date(record.expiresAt).getTime() <= now) {
+                delete state.idempotency[keys[i]];
+            }
+        }
+
+        var cutoff = now - cfg.operationRetentionMs;
+        var finished = [];
+        var ids = Object.keys(state.operations);
+        for (var j = 0; j < ids.length; j++) {
+            var op = state.operations[ids[j]];
+            if (!isTerminal(op.status)) continue;
+            var completedMs = op.completedAt ? new Date(op.completedAt).getTime() : 0;
+            if (completedMs < cutoff) {
+                delete state.operations[ids[j]];
+            } else {
+                finished.push(op);
+            }
+        }
+        if (finished.length > cfg.maxOperations) {
+            finished.sort(function(a, b) {
+                return new Date(a.completedAt).getTime() - new Date(b.completedAt).getTime();
+            });
+            for (var k = 0; k < finished.length - cfg.maxOperations; k++) {
+                delete state.operations[finished[k].id];
+            }
+        }
+    }
+
+    /**
+     * Record operations left queued/processing by the previous run as errors
+     */
+    function markInterrupted() {
+        var interrupted = 0;
+        var ids = Object.keys(state.operations);
+        for (var i = 0; i < ids.length; i++) {
+            var op = state.operations[ids[i]];
+            if (isTerminal(op.status)) continue;
+
+            var started = op.status === "processing";
+            op.status = "error";
+            op.completedAt = new Date().toISOString();
+            op.error = started ?
+                "Interrupted by server shutdown while processing; changes may be partially applied" :
+                "Interrupted by server shutdown before processing; no changes were applied";
+            op.errorDetails = {
+                code: "Interrupted",
+                message: op.error,
+                hint: started ?
+                    "Check the model before retrying. The idempotency key stays bound to this operation." :
+                    "Retry the request; its idempotency key has been released."
+            };
+            if (!op.timeline) op.timeline = [];
+            op.timeline.push({ status: "failed", timestamp: op.completedAt, error: op.error, interrupted: true });
+
+            if (op.idempotencyKey && state.idempotency[op.idempotencyKey]) {
+                if (started) {
+                    state.idempotency[op.idempotencyKey].status = "error";
+                } else {
+                    delete state.idempotency[op.idempotencyKey];
+                }
+            }
+            interrupted++;
+        }
+
+        // Keys reserved but never attached to an operation
+        var keys = Object.keys(state.idempotency);
+        for (var j = 0; j < keys.length; j++) {
+            var record = state.idempotency[keys[j]];
+            if (!record.operationId ||
+                (!state.operations[record.operationId] && record.status !== "complete" && record.status !== "error")) {
+                delete state.idempotency[keys[j]];
+            }
+        }
+        return interrupted;
+    }
+
+    function readJournal(file) {
+        var skipped = 0;
+        if (!file.exists()) return skipped;
+
+        var content = String(new JavaString(Files.readAllBytes(file.toPath()), StandardCharsets.UTF_8));
+        var lines = content.split("\n");
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i].trim();
+            if (!line) continue;
+            var entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                // A crash can leave a partial last line
+                skipped++;
+                continue;
+            }
+            if (entry.kind === "idempotency" && entry.key && entry.record) {
+                state.idempotency[entry.key] = entry.record;
+            } else if (entry.kind === "idempotency-delete" && entry.key) {
+                delete state.idempotency[entry.key];
+            } else if (entry.kind === "operation" && entry.id && entry.operation) {
+                state.operations[entry.id] = entry.operation;
+            } else if (entry.kind === "operation-update" && entry.id && state.operations[entry.id]) {
+                applyOperationDelta(state.operations[entry.id], entry);
+            } else if (entry.kind !== "header") {
+                skipped++;
+            }
+        }
+        return skipped;
+    }
+
+    function compact() {
+        if (!state.file) return false;
+        prune();
+
+        var lines = [JSON.stringify({
+            kind: "header",
+            version: JOURNAL_VERSION,
+            modelId: state.modelId,
+            compactedAt: new Date().toISOString()
+        })];
+        var keys = Object.keys(state.idempotency);
+        for (var i = 0; i < keys.length; i++) {
+            lines.push(JSON.stringify({ kind: "idempotency", key: keys[i], record: state.idempotency[keys[i]] }));
+        }
+        var ids = Object.keys(state.operations);
+        for (var j = 0; j < ids.length; j++) {
+            lines.push(JSON.stringify({ kind: "operation", id: ids[j], operation: state.operations[ids[j]] }));
+        }
+
+        try {
+            var tempFile = new File(state.file.getAbsolutePath() + ".tmp");
+            Files.write(tempFile.toPath(), new JavaString(lines.join("\n") + "\n").getBytes(StandardCharsets.UTF_8));
+            try {
+                Files.move(tempFile.toPath(), state.file.toPath(),
+                    StandardCopyOption.REPLACE_EXISTING, StandardCopyOption.ATOMIC_MOVE);
+            } catch (atomicErr) {
+                Files.move(tempFile.toPath(), state.file.toPath(), StandardCopyOption.REPLACE_EXISTING);
+            }
+            state.linesSinceCompaction = 0;
+            state.lastCompactedAt = new Date().toISOString();
+            return true;
+        } catch (e) {
+            warn("Compaction of " + state.file.getAbsolutePath() + " failed: " + e);
+            return false;
+        }
+    }
+
+    function copyOf(value) {
+        return value ? JSON.parse(JSON.stringify(value)) : null;
+    }
+
+    var persistentStore = {
+        /**
+         * Open (or create) the journal for a model and load its entries
+         * @param {Object} modelRef - EMF model reference (IArchimateModel)
+         * @returns {Object} { active, filePath?, idempotencyKeys?, operations?, interrupted?, skippedLines?, reason? }
+         */
+        open: function(modelRef) {
+            this.close();
+            var cfg = getConfig();
+            if (!cfg.enabled) {
+                return { active: false, reason: "disabled" };
+            }
+
+            var modelFile = modelRef && modelRef.getFile ? modelRef.getFile() : null;
+            if (!modelFile || !modelFile.getParentFile()) {
+                warn("Model has not been saved to a file yet; idempotency keys and operations will not be persisted");
+                return { active: false, reason: "unsaved-model" };
+            }
+
+            try {
+                var dir = new File(modelFile.getParentFile(), cfg.directory);
+                if (!dir.exists()) {
+                    dir.mkdirs();
+                }
+                var baseName = String(modelFile.getName()).replace(/\.[^.]+$/, "");
+                var file = new File(dir, baseName + ".jsonl");
+
+                state.idempotency = {};
+                state.operations = {};
+                state.modelId = String(modelRef.getId());
+                var skipped = readJournal(file);
+                state.file = file;
+                var interrupted = markInterrupted();
+                compact();
+
+                return {
+                    active: true,
+                    filePath: String(file.getAbsolutePath()),
+                    idempotencyKeys: Object.keys(state.idempotency).length,
+                    operations: Object.keys(state.operations).length,
+                    interrupted: interrupted,
+                    skippedLines: skipped
+                };
+            } catch (e) {
+                state.file = null;
+                warn("Could not open journal: " + e);
+                return { active: false, reason: String(e) };
+            }
+        },
+
+        /**
+         * Compact and detach from the journal
+         */
+        close: function() {
+            if (state.file) {
+                compact();
+            }
+            state.file = null;
+            state.modelId = null;
+            state.idempotency = {};
+            state.operations = {};
+            state.linesSinceCompaction = 0;
+        },
+
+        /**
+         * @returns {boolean} True when a journal is open
+         */
+        isActive: function() {
+            return state.file !== null;
+        },
+
+        /**
+         * Idempotency records loaded from the journal (for idempotencyStore.load)
+         * @returns {Array<Object>}
+         */
+        getIdempotencyRecords: function() {
+            var keys = Object.keys(state.idempotency);
+            var records = [];
+            for (var i = 0; i < keys.length; i++) {
+                records.push(copyOf(state.idempotency[keys[i]]));
+            }
+            return records;
+        },
+
+        /**
+         * Journal an idempotency record after it was created or changed
+         * @param {Object} record - idempotencyStore record
+         */
+        saveIdempotency: function(record) {
+            if (!state.file || !record || !record.key) return;
+            state.idempotency[record.key] = copyOf(record);
+            append({ kind: "idempotency", key: record.key, record: record });
+        },
+
+        /**
+         * Journal the removal of an idempotency record
+         * @param {string} key - Idempotency key
+         */
+        removeIdempotency: function(key) {
+            if (!state.file || !key || !state.idempotency[key]) return;
+            delete state.idempotency[key];
+            append({ kind: "idempotency-delete", key: key });
+        },
+
+        /**
+         * Journal the current state of an operation: in full when it is new or
+         * finished, otherwise as an operation-update with what changed
+         * @param {Object} operation - operationQueue descriptor
+         */
+        saveOperation: function(operation) {
+            if (!state.file || !operation || !operation.id) return;
+            try {
+                var copy = toJournalOperation(operation);
+                var previous = state.operations[operation.id];
+                var delta = previous && !isTerminal(copy.status) ? operationDelta(previous, copy) : null;
+                state.operations[operation.id] = copy;
+                if (delta) {
+                    if (Object.keys(delta.fields).length === 0 && delta.timeline.length === 0) return;
+                    append({ kind: "operation-update", id: operation.id, fields: delta.fields, timeline: delta.timeline });
+                } else {
+                    append({ kind: "operation", id: operation.id, operation: copy });
+                }
+            } catch (e) {
+                warn("Could not persist operation " + operation.id + ": " + e);
+            }
+        },
+
+        /**
+         * Journaled operation by ID
+         * @param {string} opId - Operation ID
+         * @returns {Object|null} Operation copy (no `changes`; see `changeCount`)
+         */
+        getOperation: function(opId) {
+            return state.file && state.operations[opId] ? copyOf(state.operations[opId]) : null;
+        },
+
+        /**
+         * All journaled operations
+         * @returns {Array<Object>}
+         */
+        listOperations: function() {
+            if (!state.file) return [];
+            var ids = Object.keys(state.operations);
+            var ops = [];
+            for (var i = 0; i < ids.length; i++) {
+                ops.push(state.operations[ids[i]]);
+            }
+            return ops;
+        },
+
+        /**
+         * Compact once enough lines have been appended (called from the processor cleanup cycle)
+         * @returns {boolean} True if the journal was compacted
+         */
+        maintain: function() {
+            if (!state.file || state.linesSinceCompaction < getConfig().compactAfterLines) {
+                return false;
+            }
+            return compact();
+        },
+
+        /**
+         * Statistics for GET /health
+         * @returns {Object}
+         */
+        getStats: function() {
+            return {
+                enabled: getConfig().enabled,
+                active: state.file !== null,
+                filePath: state.file ? String(state.file.getAbsolutePath()) : null,
+                idempotencyKeys: Object.keys(state.idempotency).length,
+                operations: Object.keys(state.operations).length,
+                linesSinceCompaction: state.linesSinceCompaction,
+                lastCompactedAt: state.lastCompactedAt,
+                lastError: state.lastError
+            };
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.persistentStore = persistentStore;
+    } else if (typeof global !== "undefined") {
+        global.persistentStore = persistentStore;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = persistentStore;
+    }
+
+})();
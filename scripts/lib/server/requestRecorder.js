@@ -0,0 +1,610 @@
+/**
+ * requestRecorder.js - Request/response recorder and replay for the Model API Server
+ *
+ * While recording, serverCore passes every finished request here and it is
+ * appended to a JSON lines session file, with headers and bodies redacted by
+ * serverConfig.recorder.redact:
+ *   {"kind":"session","version":1,"startedAt":"...","modelId":"...","modelName":"...","serverVersion":"..."}
+ *   {"kind":"exchange","seq":1,"at":"...","requestId":"...","method":"POST","path":"/model/query",
+ *    "query":{},"headers":{...},"body":{...},"status":200,"responseBody":{...},"durationMs":12}
+ * Bodies longer than maxBodyChars are replaced by null with bodyTruncated /
+ * responseTruncated set. Responses sent before a handler ran (rate limit, auth)
+ * have a null responseBody.
+ *
+ * replay() re-issues a recorded session in-process (serverCore dispatch) against
+ * the current model, in dry-run mode:
+ *   - routes needing the "read" or "public" scope run as recorded
+ *   - POST /model/apply runs with dryRun: true (no idempotency key, no callbackUrl)
+ *   - everything else (saves, undo, view edits, scripts, shutdown, view exports
+ *     that write files, event streams) is skipped
+ * Each replayed response is redacted like the recording and compared with it,
+ * ignoring serverConfig.recorder.ignoreFields. Operation IDs returned by
+ * replayed applies replace the recorded ones in later requests, and each replayed
+ * dry run is processed before the next request, so recorded GET /ops/status polls
+ * see it finished as they did in the recording.
+ *
+ * Session files are written next to the model the server was started with,
+ * like the persistence journal. Everything runs on the SWT display thread.
+ *
+ * @module server/requestRecorder
+ * @requires server/serverConfig (optional)
+ * @requires server/loggingQueue (optional)
+ * @requires server/operationQueue (optional, replay)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.requestRecorder !== "undefined") {
+        return;
+    }
+
+    var File = Java.type("java.io.File");
+    var Files = Java.type("java.nio.file.Files");
+    var Paths = Java.type("java.nio.file.Paths");
+    var JavaString = Java.type("java.lang.String");
+    var System = Java.type("java.lang.System");
+    var StandardCharsets = Java.type("java.nio.charset.StandardCharsets");
+    var StandardOpenOption = Java.type("java.nio.file.StandardOpenOption");
+
+    var SESSION_VERSION = 1;
+    var MAX_DIFFERENCES = 20;
+
+    // Read-scope routes that still have side effects (exports write image files)
+    var SIDE_EFFECT_PATHS = [/^\/views\/[^\/]+\/export\/?$/, /^\/views\/export-all\/?$/];
+    var APPLY_PATH = /^\/model\/apply\/?$/;
+
+    var state = {
+        file: null,
+        seq: 0,
+        startedAt: null,
+        lastError: null
+    };
+
+    function getConfig() {
+        var cfg = (typeof serverConfig !== "undefined" && serverConfig.recorder) ? serverConfig.recorder : {};
+        var redact = cfg.redact || {};
+        return {
+            enabled: cfg.enabled === true,
+            directory: cfg.directory || ".archi-api/recordings",
+            excludePaths: cfg.excludePaths || [],
+            maxBodyChars: cfg.maxBodyChars || 100000,
+            redact: {
+                headers: redact.headers || ["authorization"],
+                fields: redact.fields || [],
+                patterns: redact.patterns || [],
+                replacement: redact.replacement !== undefined ? redact.replacement : "[REDACTED]"
+            },
+            ignoreFields: cfg.ignoreFields || []
+        };
+    }
+
+    function warn(message) {
+        state.lastError = message;
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.warn("[recorder] " + message);
+        }
+    }
+
+    function toSet(names) {
+        var set = {};
+        (names || []).forEach(function(name) {
+            set[String(name).toLowerCase()] = true;
+        });
+        return set;
+    }
+
+    // =================================================================
+    // Redaction
+    // =================================================================
+
+    /**
+     * Compile the redaction rule (invalid patterns are reported and skipped)
+     */
+    function compileRule(rule) {
+        var patterns = [];
+        (rule.patterns || []).forEach(function(source) {
+            try {
+                patterns.push(new RegExp(source, "g"));
+            } catch (e) {
+                warn("Ignoring invalid redact pattern '" + source + "': " + e);
+            }
+        });
+        return {
+            fields: toSet(rule.fields),
+            headers: toSet(rule.headers),
+            patterns: patterns,
+            replacement: rule.replacement
+        };
+    }
+
+    function redactValue(value, compiled, fieldSet) {
+        if (typeof value === "string") {
+            for (var i = 0; i < compiled.patterns.length; i++) {
+                compiled.patterns[i].lastIndex = 0;
+                value = value.replace(compiled.patterns[i], compiled.replacement);
+            }
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(function(item) { return redactValue(item, compiled, fieldSet); });
+        }
+        if (value && typeof value === "object") {
+            var out = {};
+            Object.keys(value).forEach(function(key) {
+                out[key] = fieldSet[key.toLowerCase()] ? compiled.replacement : redactValue(value[key], compiled, fieldSet);
+            });
+            return out;
+        }
+        return value;
+    }
+
+    /**
+     * Redact a body with the configured (or given) rule
+     * @param {*} value - JSON value
+     * @param {Object} [rule] - { fields, headers, patterns, replacement }; defaults to serverConfig.recorder.redact
+     * @returns {*} Redacted copy
+     */
+    function redact(value, rule) {
+        var compiled = compileRule(rule || getConfig().redact);
+        return redactValue(value, compiled, compiled.fields);
+    }
+
+    /**
+     * Round-trip a value through JSON, or report it as too long
+     * @returns {Object} { value, truncated }
+     */
+    function limitBody(value, maxChars) {
+        if (value === undefined || value === null) {
+            return { value: null, truncated: false };
+        }
+        var text = JSON.stringify(value);
+        if (text === undefined) {
+            return { value: null, truncated: false };
+        }
+        if (text.length > maxChars) {
+            return { value: null, truncated: true };
+        }
+        return { value: JSON.parse(text), truncated: false };
+    }
+
+    // =================================================================
+    // Recording
+    // =================================================================
+
+    function sessionFile(modelRef, directory) {
+        var modelFile = modelRef && modelRef.getFile ? modelRef.getFile() : null;
+        var dir;
+        var baseName;
+        if (modelFile && modelFile.getParentFile()) {
+            dir = new File(modelFile.getParentFile(), directory);
+            baseName = String(modelFile.getName()).replace(/\.[^.]+$/, "");
+        } else {
+            dir = new File(new File(String(System.getProperty("user.home")), ".archi-api"), "recordings");
+            baseName = modelRef && modelRef.getName ? String(modelRef.getName()) : "model";
+        }
+        var stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        return new File(dir, baseName.replace(/[^A-Za-z0-9._-]+/g, "_") + "-" + stamp + ".jsonl");
+    }
+
+    function append(entry) {
+        if (!state.file) return false;
+        try {
+            var line = new JavaString(JSON.stringify(entry) + "\n").getBytes(StandardCharsets.UTF_8);
+            Files.write(state.file.toPath(), line, StandardOpenOption.CREATE, StandardOpenOption.APPEND);
+            return true;
+        } catch (e) {
+            warn("Append to " + state.file.getAbsolutePath() + " failed: " + e);
+            return false;
+        }
+    }
+
+    function isExcluded(path, excludePaths) {
+        for (var i = 0; i < excludePaths.length; i++) {
+            var prefix = excludePaths[i];
+            if (path === prefix || path.indexOf(prefix + "/") === 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // =================================================================
+    // Replay
+    // =================================================================
+
+    /**
+     * Decide how a recorded exchange is replayed
+     * @returns {Object} { run, dryRunApply, reason }
+     */
+    function planReplay(server, entry) {
+        if (entry.stream) {
+            return { run: false, reason: "streaming response" };
+        }
+        if (entry.bodyTruncated) {
+            return { run: false, reason: "request body was too long to record" };
+        }
+        var route = server.describeRoute(entry.method, entry.path);
+        if (!route) {
+            return { run: false, reason: "no handler for this path" };
+        }
+        if (entry.method === "POST" && APPLY_PATH.test(route.path)) {
+            return { run: true, dryRunApply: true, reason: "applied as dry run" };
+        }
+        if (route.scope !== "read" && route.scope !== "public") {
+            return { run: false, reason: "changes the model or server (" + route.scope + " scope)" };
+        }
+        for (var i = 0; i < SIDE_EFFECT_PATHS.length; i++) {
+            if (SIDE_EFFECT_PATHS[i].test(route.path)) {
+                return { run: false, reason: "writes files" };
+            }
+        }
+        return { run: true, reason: "" };
+    }
+
+    /**
+     * Replace recorded operation IDs with the IDs of their replayed dry runs
+     */
+    function substituteIds(value, idMap) {
+        if (typeof value === "string") {
+            return idMap.hasOwnProperty(value) ? idMap[value] : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(function(item) { return substituteIds(item, idMap); });
+        }
+        if (value && typeof value === "object") {
+            var out = {};
+            Object.keys(value).forEach(function(key) {
+                out[key] = substituteIds(value[key], idMap);
+            });
+            return out;
+        }
+        return value;
+    }
+
+    function withoutFields(value, ignore) {
+        if (Array.isArray(value)) {
+            return value.map(function(item) { return withoutFields(item, ignore); });
+        }
+        if (value && typeof value === "object") {
+            var out = {};
+            Object.keys(value).forEach(function(key) {
+                if (!ignore[key.toLowerCase()]) {
+                    out[key] = withoutFields(value[key], ignore);
+                }
+            });
+            return out;
+        }
+        return value;
+    }
+
+    function kindOf(value) {
+        if (value === null) return "null";
+        return Array.isArray(value) ? "array" : typeof value;
+    }
+
+    /**
+     * Collect the JSON paths where two values differ (up to MAX_DIFFERENCES)
+     */
+    function collectDifferences(a, b, path, out) {
+        if (out.length >= MAX_DIFFERENCES) return;
+        var kind = kindOf(a);
+        if (kind !== kindOf(b)) {
+            out.push(path + ": " + kind + " -> " + kindOf(b));
+            return;
+        }
+        if (kind === "array") {
+            if (a.length !== b.length) {
+                out.push(path + ": " + a.length + " -> " + b.length + " items");
+            }
+            for (var i = 0; i < Math.min(a.length, b.length); i++) {
+                collectDifferences(a[i], b[i], path + "[" + i + "]", out);
+            }
+            return;
+        }
+        if (kind === "object") {
+            var keys = {};
+            Object.keys(a).concat(Object.keys(b)).forEach(function(key) { keys[key] = true; });
+            Object.keys(keys).forEach(function(key) {
+                if (out.length >= MAX_DIFFERENCES) {
+                    return;
+                }
+                if (!a.hasOwnProperty(key)) {
+                    out.push(path + "." + key + ": added");
+                } else if (!b.hasOwnProperty(key)) {
+                    out.push(path + "." + key + ": removed");
+                } else {
+                    collectDifferences(a[key], b[key], path + "." + key, out);
+                }
+            });
+            return;
+        }
+        if (a !== b) {
+            out.push(path + ": " + JSON.stringify(a) + " -> " + JSON.stringify(b));
+        }
+    }
+
+    /**
+     * Replay one recorded exchange
+     */
+    function replayEntry(server, entry, idMap, cfg, compiled, ignore) {
+        var result = {
+            seq: entry.seq,
+            method: entry.method,
+            path: entry.path,
+            recordedStatus: entry.status,
+            replayStatus: null,
+            outcome: "skipped",
+            note: "",
+            differences: [],
+            recordedBody: entry.responseBody === undefined ? null : entry.responseBody,
+            replayBody: null
+        };
+
+        var plan = planReplay(server, entry);
+        result.note = plan.reason;
+        if (!plan.run) {
+            return result;
+        }
+
+        var body = substituteIds(entry.body === undefined ? null : entry.body, idMap);
+        if (plan.dryRunApply && body && typeof body === "object" && !Array.isArray(body)) {
+            body.dryRun = true;
+            delete body.idempotencyKey;
+            delete body.callbackUrl;
+        }
+        var path = entry.path.split("/").map(function(segment) {
+            return idMap.hasOwnProperty(segment) ? idMap[segment] : segment;
+        }).join("/");
+
+        var replayed = server.dispatch({
+            method: entry.method,
+            path: path,
+            query: substituteIds(entry.query || {}, idMap),
+            headers: entry.headers || {},
+            body: body
+        });
+        result.replayStatus = replayed.statusCode;
+
+        var limited = limitBody(replayed.body, cfg.maxBodyChars);
+        result.replayBody = limited.truncated ? null : redactValue(limited.value, compiled, compiled.fields);
+
+        var recordedId = entry.responseBody && entry.responseBody.operationId;
+        var replayedId = replayed.body && replayed.body.operationId;
+        if (plan.dryRunApply && recordedId && replayedId) {
+            idMap[String(recordedId)] = String(replayedId);
+        }
+        // The queue processor only runs between display events, so run the dry run
+        // now; otherwise the status polls recorded after it would all see "queued"
+        if (plan.dryRunApply && replayedId && typeof operationQueue !== "undefined" && operationQueue) {
+            operationQueue.processNow(String(replayedId));
+        }
+
+        if (replayed.statusCode !== entry.status) {
+            result.differences.push("status: " + entry.status + " -> " + replayed.statusCode);
+        }
+        if (entry.responseBody !== null && entry.responseBody !== undefined && !entry.responseTruncated &&
+            !limited.truncated) {
+            var recordedBody = withoutFields(entry.responseBody, ignore);
+            var replayBody = withoutFields(result.replayBody, ignore);
+            if (plan.dryRunApply) {
+                // The recording applied the changes; the replay only queued a dry run
+                [recordedBody, replayBody].forEach(function(b) {
+                    if (b && typeof b === "object") {
+                        delete b.dryRun;
+                        delete b.message;
+                    }
+                });
+            }
+            collectDifferences(recordedBody, replayBody, "body", result.differences);
+        } else if (result.note === "") {
+            result.note = "body not recorded, status compared only";
+        }
+
+        result.outcome = result.differences.length > 0 ? "differs" : "same";
+        return result;
+    }
+
+    var requestRecorder = {
+        /**
+         * Start a new session file for a model (closes the current one)
+         * @param {Object} modelRef - EMF model reference of the server's default model
+         * @returns {Object} { active, filePath?, reason? }
+         */
+        start: function(modelRef) {
+            this.stop();
+            var cfg = getConfig();
+            try {
+                var file = sessionFile(modelRef, cfg.directory);
+                var dir = file.getParentFile();
+                if (!dir.exists()) {
+                    dir.mkdirs();
+                }
+                state.file = file;
+                state.seq = 0;
+                state.startedAt = new Date().toISOString();
+                state.lastError = null;
+                var written = append({
+                    kind: "session",
+                    version: SESSION_VERSION,
+                    startedAt: state.startedAt,
+                    modelId: modelRef ? String(modelRef.getId()) : null,
+                    modelName: modelRef ? String(modelRef.getName() || "") : null,
+                    serverVersion: (typeof serverConfig !== "undefined" && serverConfig.server) ? serverConfig.server.version : null
+                });
+                if (!written) {
+                    state.file = null;
+                    return { active: false, reason: state.lastError };
+                }
+                if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                    loggingQueue.log("[recorder] Recording requests to " + file.getAbsolutePath());
+                }
+                return { active: true, filePath: String(file.getAbsolutePath()) };
+            } catch (e) {
+                state.file = null;
+                warn("Could not start recording: " + e);
+                return { active: false, reason: String(e) };
+            }
+        },
+
+        /**
+         * Stop recording (the session file is kept)
+         */
+        stop: function() {
+            if (state.file && typeof loggingQueue !== "undefined" && loggingQueue) {
+                loggingQueue.log("[recorder] Recording stopped (" + state.seq + " request(s))");
+            }
+            state.file = null;
+        },
+
+        /**
+         * @returns {boolean} True while a session file is open
+         */
+        isActive: function() {
+            return state.file !== null;
+        },
+
+        /**
+         * @returns {Object} { active, filePath, entries, startedAt, lastError }
+         */
+        getStatus: function() {
+            return {
+                active: state.file !== null,
+                filePath: state.file ? String(state.file.getAbsolutePath()) : null,
+                entries: state.seq,
+                startedAt: state.startedAt,
+                lastError: state.lastError
+            };
+        },
+
+        /**
+         * Directory session files are written to for a model
+         * @param {Object} modelRef - EMF model reference
+         * @returns {string} Absolute directory path
+         */
+        getDirectory: function(modelRef) {
+            return String(sessionFile(modelRef, getConfig().directory).getParentFile().getAbsolutePath());
+        },
+
+        /**
+         * Record a finished request (called by serverCore)
+         * @param {Object} exchange - { requestId, method, path, query, headers, body, status,
+         *        responseBody, stream, durationMs }
+         */
+        record: function(exchange) {
+            if (!state.file) return;
+            var cfg = getConfig();
+            if (isExcluded(exchange.path, cfg.excludePaths)) return;
+
+            var compiled = compileRule(cfg.redact);
+            var headers = {};
+            Object.keys(exchange.headers || {}).forEach(function(name) {
+                headers[name] = compiled.headers[name.toLowerCase()] ? compiled.replacement :
+                    redactValue(String(exchange.headers[name]), compiled, compiled.fields);
+            });
+            var body = limitBody(exchange.body, cfg.maxBodyChars);
+            var responseBody = limitBody(exchange.responseBody, cfg.maxBodyChars);
+
+            var entry = {
+                kind: "exchange",
+                seq: state.seq + 1,
+                at: new Date().toISOString(),
+                requestId: exchange.requestId,
+                method: exchange.method,
+                path: exchange.path,
+                query: redactValue(exchange.query || {}, compiled, compiled.fields),
+                headers: headers,
+                body: redactValue(body.value, compiled, compiled.fields),
+                status: exchange.status,
+                responseBody: redactValue(responseBody.value, compiled, compiled.fields),
+                durationMs: exchange.durationMs
+            };
+            if (body.truncated) entry.bodyTruncated = true;
+            if (responseBody.truncated) entry.responseTruncated = true;
+            if (exchange.stream) entry.stream = true;
+
+            if (append(entry)) {
+                state.seq++;
+            }
+        },
+
+        /**
+         * Read a session file
+         * @param {string} filePath - Session file path
+         * @returns {Object} { session, entries, skippedLines }
+         */
+        readSession: function(filePath) {
+            var lines = Files.readAllLines(Paths.get(filePath), StandardCharsets.UTF_8);
+            var session = null;
+            var entries = [];
+            var skipped = 0;
+            for (var i = 0; i < lines.size(); i++) {
+                var line = String(lines.get(i)).trim();
+                if (!line) continue;
+                try {
+                    var parsed = JSON.parse(line);
+                    if (parsed.kind === "session") {
+                        session = parsed;
+                    } else if (parsed.kind === "exchange" && parsed.method && parsed.path) {
+                        entries.push(parsed);
+                    } else {
+                        skipped++;
+                    }
+                } catch (e) {
+                    skipped++;
+                }
+            }
+            return { session: session, entries: entries, skippedLines: skipped };
+        },
+
+        /**
+         * Replay recorded exchanges in dry-run mode and compare the responses
+         * @param {Object} server - serverCore instance (describeRoute, dispatch)
+         * @param {Array<Object>} entries - Exchanges from readSession()
+         * @returns {Object} { results, summary: { total, same, differs, skipped } }
+         */
+        replay: function(server, entries) {
+            var cfg = getConfig();
+            var compiled = compileRule(cfg.redact);
+            var ignore = toSet(cfg.ignoreFields);
+            var idMap = {};
+            var summary = { total: entries.length, same: 0, differs: 0, skipped: 0 };
+            var results = entries.map(function(entry) {
+                var result;
+                try {
+                    result = replayEntry(server, entry, idMap, cfg, compiled, ignore);
+                } catch (e) {
+                    result = {
+                        seq: entry.seq, method: entry.method, path: entry.path,
+                        recordedStatus: entry.status, replayStatus: null, outcome: "differs",
+                        note: "replay failed", differences: [String(e)],
+                        recordedBody: entry.responseBody || null, replayBody: null
+                    };
+                }
+                summary[result.outcome]++;
+                return result;
+            });
+            if (typeof loggingQueue !== "undefined" && loggingQueue) {
+                loggingQueue.log("[recorder] Replayed " + summary.total + " request(s): " + summary.same + " same, " +
+                    summary.differs + " different, " + summary.skipped + " skipped");
+            }
+            return { results: results, summary: summary };
+        },
+
+        redact: redact
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.requestRecorder = requestRecorder;
+    } else if (typeof global !== "undefined") {
+        global.requestRecorder = requestRecorder;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = requestRecorder;
+    }
+
+})();
@@ -0,0 +1,317 @@
+/**
+ * scriptLibrary.js - Stored scripts callable as API endpoints
+ *
+ * Finds the scripts served by GET /scripts and POST /scripts/{name}:
+ *   - scripts/api/<name>.js with a manifest scripts/api/<name>.json
+ *     { title, description, readOnly, timeoutMs, params: <JSON Schema object> }
+ *   - registry scripts whose registry entry has an "api" block
+ *     { name, readOnly, timeoutMs, params }. Registry scripts are opt-in because
+ *     most of them open dialogs, which would block the server until closed.
+ * The script receives the validated request `params` and returns its result
+ * through __scriptResult, like code sent to POST /scripts/run.
+ *
+ * @module server/scriptLibrary
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.scriptLibrary !== "undefined") {
+        return;
+    }
+
+    var Files = Java.type("java.nio.file.Files");
+    var Paths = Java.type("java.nio.file.Paths");
+    var JString = Java.type("java.lang.String");
+
+    var NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+    var RESERVED_NAMES = ["run"];
+    var EMPTY_SCHEMA = { type: "object", properties: {} };
+
+    function readText(path) {
+        return String(new JString(Files.readAllBytes(path), "UTF-8"));
+    }
+
+    /**
+     * List *.json files of a directory (empty if it does not exist)
+     * @returns {Array<Object>} java.nio.file.Path objects, sorted by file name
+     */
+    function listJsonFiles(dir) {
+        var dirPath = Paths.get(dir);
+        var result = [];
+        if (!Files.isDirectory(dirPath)) {
+            return result;
+        }
+        var stream = Files.newDirectoryStream(dirPath, "*.json");
+        try {
+            var iterator = stream.iterator();
+            while (iterator.hasNext()) {
+                result.push(iterator.next());
+            }
+        } finally {
+            stream.close();
+        }
+        result.sort(function(a, b) {
+            var na = String(a.getFileName()), nb = String(b.getFileName());
+            return na < nb ? -1 : na > nb ? 1 : 0;
+        });
+        return result;
+    }
+
+    /**
+     * Check the shared manifest fields ("api" block or scripts/api manifest)
+     * @returns {string|null} Problem description
+     */
+    function checkManifest(name, manifest) {
+        if (!NAME_PATTERN.test(name)) {
+            return "invalid script name '" + name + "' (letters, digits, '.', '_' and '-')";
+        }
+        if (RESERVED_NAMES.indexOf(name) !== -1) {
+            return "script name '" + name + "' is reserved";
+        }
+        if (manifest.params !== undefined &&
+            (!manifest.params || typeof manifest.params !== "object" || (manifest.params.type && manifest.params.type !== "object"))) {
+            return "'params' must be a JSON Schema object with type 'object'";
+        }
+        if (manifest.readOnly !== undefined && typeof manifest.readOnly !== "boolean") {
+            return "'readOnly' must be a boolean";
+        }
+        if (manifest.timeoutMs !== undefined && (typeof manifest.timeoutMs !== "number" || manifest.timeoutMs < 1)) {
+            return "'timeoutMs' must be a positive number";
+        }
+        return null;
+    }
+
+    function describe(name, source, scriptPath, relativePath, manifest, fallbackTitle) {
+        return {
+            name: name,
+            title: manifest.title || fallbackTitle || name,
+            description: manifest.description || "",
+            source: source,
+            path: relativePath,
+            readOnly: manifest.readOnly === true,
+            timeoutMs: manifest.timeoutMs || null,
+            params: manifest.params || EMPTY_SCHEMA,
+            scriptPath: scriptPath
+        };
+    }
+
+    /**
+     * Find all callable scripts
+     * @param {string} scriptsDir - Scripts directory (with trailing separator)
+     * @returns {Object} { scripts: Array<Object>, errors: Array<string> }
+     */
+    function listScripts(scriptsDir) {
+        var scripts = [];
+        var errors = [];
+        var seen = {};
+
+        function add(descriptor, origin) {
+            if (seen[descriptor.name]) {
+                errors.push(origin + ": script name '" + descriptor.name + "' already used by " + seen[descriptor.name]);
+                return;
+            }
+            seen[descriptor.name] = origin;
+            scripts.push(descriptor);
+        }
+
+        // scripts/api/<name>.json + <name>.js
+        listJsonFiles(scriptsDir + "api").forEach(function(manifestPath) {
+            var fileName = String(manifestPath.getFileName());
+            var name = fileName.replace(/\.json$/, "");
+            var origin = "api/" + fileName;
+            try {
+                var manifest = JSON.parse(readText(manifestPath));
+                var problem = checkManifest(name, manifest);
+                if (problem) {
+                    errors.push(origin + ": " + problem);
+                    return;
+                }
+                var scriptPath = manifestPath.resolveSibling(name + ".js");
+                if (!Files.exists(scriptPath)) {
+                    errors.push(origin + ": script file api/" + name + ".js not found");
+                    return;
+                }
+                add(describe(name, "api", String(scriptPath), "api/" + name + ".js", manifest), origin);
+            } catch (e) {
+                errors.push(origin + ": " + e);
+            }
+        });
+
+        // Registry entries with an "api" block
+        listJsonFiles(scriptsDir + "registry").forEach(function(entryPath) {
+            var origin = "registry/" + String(entryPath.getFileName());
+            try {
+                var entry = JSON.parse(readText(entryPath));
+                if (!entry.api || !entry.script || !entry.script.path) {
+                    return;
+                }
+                var name = entry.api.name || entry.id;
+                var problem = checkManifest(name, entry.api);
+                if (problem) {
+                    errors.push(origin + ": " + problem);
+                    return;
+                }
+                var manifest = {
+                    title: entry.title,
+                    description: entry.api.description || entry.description,
+                    readOnly: entry.api.readOnly,
+                    timeoutMs: entry.api.timeoutMs,
+                    params: entry.api.params
+                };
+                add(describe(name, "registry", scriptsDir + entry.script.path, entry.script.path, manifest), origin);
+            } catch (e) {
+                errors.push(origin + ": " + e);
+            }
+        });
+
+        return { scripts: scripts, errors: errors };
+    }
+
+    /**
+     * Find one script by name
+     * @param {string} scriptsDir - Scripts directory
+     * @param {string} name - Script name
+     * @returns {Object|null} Descriptor
+     */
+    function findScript(scriptsDir, name) {
+        var scripts = listScripts(scriptsDir).scripts;
+        for (var i = 0; i < scripts.length; i++) {
+            if (scripts[i].name === name) {
+                return scripts[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read a script's source code
+     * @param {Object} descriptor - From listScripts/findScript
+     * @returns {string} Source
+     */
+    function readSource(descriptor) {
+        return readText(Paths.get(descriptor.scriptPath));
+    }
+
+    // =================================================================
+    // Parameter validation
+    // =================================================================
+
+    function typeOf(value) {
+        if (value === null) return "null";
+        if (Array.isArray(value)) return "array";
+        if (typeof value === "number") return value === Math.floor(value) ? "integer" : "number";
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        var actual = typeOf(value);
+        return actual === type || (type === "number" && actual === "integer");
+    }
+
+    function checkValue(value, schema, path, errors) {
+        if (!schema || typeof schema !== "object") {
+            return;
+        }
+        if (schema.type) {
+            var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(function(t) { return matchesType(value, t); })) {
+                errors.push(path + " must be " + types.join(" or "));
+                return;
+            }
+        }
+        if (schema["enum"] && !schema["enum"].some(function(v) { return v === value; })) {
+            errors.push(path + " must be one of: " + schema["enum"].join(", "));
+        }
+        if (typeof value === "number") {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(path + " must be >= " + schema.minimum);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(path + " must be <= " + schema.maximum);
+        }
+        if (typeof value === "string") {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(path + " must have at least " + schema.minLength + " character(s)");
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(path + " must have at most " + schema.maxLength + " character(s)");
+            }
+        }
+        if (Array.isArray(value)) {
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(path + " must have at most " + schema.maxItems + " item(s)");
+            }
+            if (schema.items) {
+                value.forEach(function(item, i) { checkValue(item, schema.items, path + "[" + i + "]", errors); });
+            }
+        }
+        if (typeOf(value) === "object" && schema.properties) {
+            checkObject(value, schema, path, errors);
+        }
+    }
+
+    function checkObject(value, schema, path, errors) {
+        var properties = schema.properties || {};
+        (schema.required || []).forEach(function(key) {
+            if (value[key] === undefined) {
+                errors.push(path + "." + key + " is required");
+            }
+        });
+        Object.keys(value).forEach(function(key) {
+            if (properties[key]) {
+                checkValue(value[key], properties[key], path + "." + key, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(path + "." + key + " is not a declared parameter");
+            }
+        });
+    }
+
+    /**
+     * Validate request params against a script's schema and fill in defaults.
+     * Supports the JSON Schema subset used by manifests: type, enum, required,
+     * default, properties, additionalProperties: false, items, minimum/maximum,
+     * minLength/maxLength and maxItems.
+     * @param {Object} schema - Script params schema
+     * @param {*} params - Request params (undefined means {})
+     * @returns {Object} { params, errors }
+     */
+    function validateParams(schema, params) {
+        if (params === undefined || params === null) {
+            params = {};
+        }
+        if (typeOf(params) !== "object") {
+            return { params: null, errors: ["params must be an object"] };
+        }
+        var result = {};
+        Object.keys(params).forEach(function(key) { result[key] = params[key]; });
+        var properties = (schema && schema.properties) || {};
+        Object.keys(properties).forEach(function(key) {
+            if (result[key] === undefined && properties[key] && properties[key]["default"] !== undefined) {
+                result[key] = JSON.parse(JSON.stringify(properties[key]["default"]));
+            }
+        });
+        var errors = [];
+        checkObject(result, schema || EMPTY_SCHEMA, "params", errors);
+        return { params: result, errors: errors };
+    }
+
+    var scriptLibrary = {
+        NAME_PATTERN: NAME_PATTERN,
+        listScripts: listScripts,
+        findScript: findScript,
+        readSource: readSource,
+        validateParams: validateParams
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.scriptLibrary = scriptLibrary;
+    } else if (typeof global !== "undefined") {
+        global.scriptLibrary = scriptLibrary;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = scriptLibrary;
+    }
+
+})();
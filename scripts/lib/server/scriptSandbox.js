@@ -0,0 +1,628 @@
+/**
+ * scriptSandbox.js - Limits for POST /scripts/run
+ *
+ * Scripts run synchronously on the SWT display thread, inside the server's own
+ * JavaScript context, so they cannot be killed from outside without taking the
+ * server down. This module makes them cooperative instead:
+ *   - Timeout: instrumentScript() adds a __apiGuard() call to every while/for
+ *     condition, for-in/of body and function body. The guard throws once the
+ *     deadline has passed, so a runaway loop, recursion or callback ends with
+ *     whatever output it produced.
+ *   - Java.type allowlist / read-only classes: restrictJava() swaps in a Java
+ *     object whose type() refuses classes that are not allowed.
+ *   - Read-only model: watchModel() records every model change made during the
+ *     script, throws on the first one and rolls them all back afterwards.
+ * createSession() ties these together for one POST /scripts/run request.
+ *
+ * The timeout is best-effort: it is only checked when the script reaches a guard.
+ * Time spent in a single Java call (a large export, a blocking read) or inside an
+ * arrow function with an expression body is not interrupted, and a script that
+ * catches the ScriptTimeout error in a function can keep running until its next
+ * guard. These are guard rails for well-meant (e.g. agent-generated) scripts, not
+ * a security boundary: a script can still reach Java classes through reflection
+ * on host objects.
+ *
+ * @module server/scriptSandbox
+ * @requires server/undoableCommands (read-only mode)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.scriptSandbox !== "undefined") {
+        return;
+    }
+
+    var GUARD = "__apiGuard()";
+
+    /**
+     * Classes that can write files, refused in read-only mode even when the
+     * allowlist would accept them
+     */
+    var WRITE_CLASSES = [
+        "java.io.File",
+        "java.io.FileOutputStream",
+        "java.io.FileWriter",
+        "java.io.PrintWriter",
+        "java.io.PrintStream",
+        "java.io.RandomAccessFile",
+        "java.nio.file.Files",
+        "java.nio.channels.FileChannel",
+        "java.lang.Runtime",
+        "java.lang.ProcessBuilder"
+    ];
+
+    // Keywords after which "/" starts a regular expression, not a division
+    var REGEX_AFTER_WORDS = {
+        "return": true, "typeof": true, "instanceof": true, "in": true, "of": true, "new": true,
+        "delete": true, "void": true, "throw": true, "case": true, "do": true, "else": true
+    };
+
+    // =================================================================
+    // Loop instrumentation
+    // =================================================================
+
+    /**
+     * Split JavaScript source into tokens. Only what loop instrumentation needs
+     * is distinguished: words, punctuation, and opaque strings, templates,
+     * regular expressions and comments.
+     * @param {string} code - Source code
+     * @returns {Array<Object>} Tokens { type, value, start, end }
+     */
+    function tokenize(code) {
+        var tokens = [];
+        var i = 0;
+        var n = code.length;
+        var lastSignificant = null;
+
+        function push(type, start, end) {
+            var token = { type: type, value: code.substring(start, end), start: start, end: end };
+            tokens.push(token);
+            if (type !== "comment") {
+                lastSignificant = token;
+            }
+        }
+
+        function regexAllowed() {
+            if (!lastSignificant) return true;
+            if (lastSignificant.type === "word") return REGEX_AFTER_WORDS[lastSignificant.value] === true;
+            if (lastSignificant.type === "punct") return ")]}".indexOf(lastSignificant.value) === -1;
+            return false;
+        }
+
+        while (i < n) {
+            var ch = code.charAt(i);
+            var start = i;
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === "/" && code.charAt(i + 1) === "/") {
+                while (i < n && code.charAt(i) !== "\n") i++;
+                push("comment", start, i);
+            } else if (ch === "/" && code.charAt(i + 1) === "*") {
+                var close = code.indexOf("*/", i + 2);
+                i = close === -1 ? n : close + 2;
+                push("comment", start, i);
+            } else if (ch === "'" || ch === "\"") {
+                i++;
+                while (i < n && code.charAt(i) !== ch && code.charAt(i) !== "\n") {
+                    i += code.charAt(i) === "\\" ? 2 : 1;
+                }
+                i++;
+                push("string", start, i);
+            } else if (ch === "`") {
+                i++;
+                var depth = 0;
+                while (i < n) {
+                    var c = code.charAt(i);
+                    if (c === "\\") { i += 2; continue; }
+                    if (depth === 0 && c === "`") break;
+                    if (c === "$" && code.charAt(i + 1) === "{") { depth++; i += 2; continue; }
+                    if (depth > 0 && c === "}") depth--;
+                    i++;
+                }
+                i++;
+                push("template", start, i);
+            } else if (ch === "/" && regexAllowed()) {
+                i++;
+                var inClass = false;
+                while (i < n && code.charAt(i) !== "\n") {
+                    var rc = code.charAt(i);
+                    if (rc === "\\") { i += 2; continue; }
+                    if (rc === "[") inClass = true;
+                    else if (rc === "]") inClass = false;
+                    else if (rc === "/" && !inClass) break;
+                    i++;
+                }
+                i++;
+                while (i < n && /[a-z]/i.test(code.charAt(i))) i++;
+                push("regex", start, i);
+            } else if (/[A-Za-z_$]/.test(ch)) {
+                while (i < n && /[A-Za-z0-9_$]/.test(code.charAt(i))) i++;
+                push("word", start, i);
+            } else if (/[0-9]/.test(ch)) {
+                while (i < n && /[0-9A-Za-z_.]/.test(code.charAt(i))) i++;
+                push("number", start, i);
+            } else {
+                i++;
+                push("punct", start, i);
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Find the index of the token closing the parenthesis opened at openIndex
+     * @returns {number} Index of ")" or -1
+     */
+    function matchParen(tokens, openIndex) {
+        var depth = 0;
+        for (var i = openIndex; i < tokens.length; i++) {
+            if (tokens[i].type !== "punct") continue;
+            if (tokens[i].value === "(") depth++;
+            else if (tokens[i].value === ")" && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    function nextSignificant(tokens, index) {
+        for (var i = index + 1; i < tokens.length; i++) {
+            if (tokens[i].type !== "comment") return i;
+        }
+        return -1;
+    }
+
+    // Keywords whose "(...) {" opens a statement block, not a function body
+    var BLOCK_KEYWORDS = {
+        "if": true, "for": true, "while": true, "switch": true, "catch": true, "with": true
+    };
+
+    /**
+     * Insert a deadline check into every loop and function body:
+     *   while (c)            -> while (__apiGuard() && (c))   (also do ... while)
+     *   for (a; b; c)        -> for (a; __apiGuard() && (b); c)
+     *   for (x in y) stmt    -> for (x in y) if (__apiGuard()) stmt   (also for-of)
+     *   function f(a) { ...  -> function f(a) { __apiGuard(); ...   (also methods, (a) => {)
+     * Loop checks sit outside the loop body, so a try/catch inside the body cannot
+     * swallow the timeout. Function checks cover recursion and callbacks such as
+     * forEach/map/reduce; arrow functions with an expression body are not checked.
+     * @param {string} code - Script source
+     * @returns {Object} { code, loops, functions } - Instrumented source and what was guarded
+     */
+    function instrumentScript(code) {
+        var tokens = tokenize(code);
+        var inserts = [];
+        var loops = 0;
+        var functions = 0;
+
+        for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i];
+            var next;
+
+            // Function bodies: "(params) {" not opened by a block keyword, and "=> {"
+            if (token.type === "punct" && token.value === "=" && i + 1 < tokens.length &&
+                tokens[i + 1].value === ">" && tokens[i + 1].start === token.end) {
+                next = nextSignificant(tokens, i + 1);
+                if (next !== -1 && tokens[next].value === "{") {
+                    inserts.push({ at: tokens[next].end, text: " " + GUARD + ";" });
+                    functions++;
+                }
+                continue;
+            }
+            if (token.type === "punct" && token.value === "(") {
+                var keyword = i > 0 ? tokens[i - 1] : null;
+                if (keyword && keyword.type === "word" && BLOCK_KEYWORDS[keyword.value] === true) continue;
+                var end = matchParen(tokens, i);
+                next = end === -1 ? -1 : nextSignificant(tokens, end);
+                if (next !== -1 && tokens[next].value === "{") {
+                    inserts.push({ at: tokens[next].end, text: " " + GUARD + ";" });
+                    functions++;
+                }
+                continue;
+            }
+
+            if (token.type !== "word" || (token.value !== "while" && token.value !== "for")) continue;
+            var prev = i > 0 ? tokens[i - 1] : null;
+            if (prev && prev.type === "punct" && prev.value === ".") continue;
+
+            var open = nextSignificant(tokens, i);
+            if (open === -1 || tokens[open].value !== "(") continue;
+            var close = matchParen(tokens, open);
+            if (close === -1) continue;
+
+            if (token.value === "while") {
+                inserts.push({ at: tokens[open].end, text: GUARD + " && (" });
+                inserts.push({ at: tokens[close].start, text: ")" });
+                loops++;
+                continue;
+            }
+
+            // for: classic (two top-level semicolons) or for-in/of
+            var semis = [];
+            var depth = 0;
+            for (var j = open + 1; j < close; j++) {
+                var t = tokens[j];
+                if (t.type !== "punct") continue;
+                if (t.value === "(" || t.value === "[" || t.value === "{") depth++;
+                else if (t.value === ")" || t.value === "]" || t.value === "}") depth--;
+                else if (t.value === ";" && depth === 0) semis.push(j);
+            }
+            if (semis.length === 2) {
+                var condStart = tokens[semis[0]].end;
+                var condEnd = tokens[semis[1]].start;
+                if (code.substring(condStart, condEnd).trim() === "") {
+                    inserts.push({ at: condStart, text: " " + GUARD });
+                } else {
+                    inserts.push({ at: condStart, text: " " + GUARD + " && (" });
+                    inserts.push({ at: condEnd, text: ")" });
+                }
+                loops++;
+            } else {
+                // Braced or not, the body becomes the statement of an if, so it
+                // does not have to be parsed to find where it ends
+                var body = nextSignificant(tokens, close);
+                if (body !== -1) {
+                    inserts.push({ at: tokens[body].start, text: "if (" + GUARD + ") " });
+                    loops++;
+                }
+            }
+        }
+
+        // Apply from the end so earlier offsets stay valid
+        inserts.sort(function(a, b) { return b.at - a.at; });
+        var result = code;
+        for (var k = 0; k < inserts.length; k++) {
+            result = result.substring(0, inserts[k].at) + inserts[k].text + result.substring(inserts[k].at);
+        }
+        return { code: result, loops: loops, functions: functions };
+    }
+
+    /**
+     * Create the deadline check called from instrumented loops and functions
+     * @param {number} timeoutMs - Time budget from now
+     * @returns {Function} Guard with a timedOut() accessor
+     */
+    function createGuard(timeoutMs) {
+        var deadline = Date.now() + timeoutMs;
+        var timedOut = false;
+        var guard = function() {
+            if (timedOut || Date.now() > deadline) {
+                timedOut = true;
+                var err = new Error("Script exceeded its " + timeoutMs + " ms timeout");
+                err.name = "ScriptTimeout";
+                throw err;
+            }
+            return true;
+        };
+        guard.timedOut = function() { return timedOut; };
+        return guard;
+    }
+
+    // =================================================================
+    // Java.type restrictions
+    // =================================================================
+
+    /**
+     * Check a class name against an allowlist (exact names or "package.*")
+     * @param {string} className - Fully qualified class name
+     * @param {Array<string>|null} allowlist - null allows everything
+     * @param {boolean} readOnly - Also refuse WRITE_CLASSES
+     * @returns {string|null} Reason the class is refused, or null
+     */
+    function checkClass(className, allowlist, readOnly) {
+        className = String(className);
+        if (readOnly && WRITE_CLASSES.indexOf(className) !== -1) {
+            return "Java.type('" + className + "') is not available in read-only mode";
+        }
+        if (!allowlist) {
+            return null;
+        }
+        for (var i = 0; i < allowlist.length; i++) {
+            var entry = allowlist[i];
+            if (entry === className) return null;
+            if (/\.\*$/.test(entry) && className.indexOf(entry.slice(0, -1)) === 0) return null;
+        }
+        return "Java.type('" + className + "') is not in the script class allowlist (serverConfig.scripts.javaTypeAllowlist)";
+    }
+
+    /**
+     * Create a stand-in for the global Java object that refuses classes
+     * @param {Object} realJava - The host Java object
+     * @param {Array<string>|null} allowlist - Allowed classes
+     * @param {boolean} readOnly - Refuse file-writing classes
+     * @param {Function} deny - deny(code, message) records the refusal and throws
+     * @returns {Object} Java object for the script
+     */
+    function createJavaShim(realJava, allowlist, readOnly, deny) {
+        var shim = {};
+        ["extend", "super", "from", "to", "isJavaObject", "isType", "typeName", "isJavaFunction", "isScriptObject", "isScriptFunction"]
+            .forEach(function(name) {
+                if (typeof realJava[name] === "function") {
+                    shim[name] = function() { return realJava[name].apply(realJava, arguments); };
+                }
+            });
+        shim.type = function(className) {
+            var reason = checkClass(className, allowlist, readOnly);
+            if (reason) {
+                deny(readOnly && WRITE_CLASSES.indexOf(String(className)) !== -1 ? "ReadOnlyViolation" : "SandboxViolation", reason);
+            }
+            return realJava.type(className);
+        };
+        return shim;
+    }
+
+    /**
+     * Replace Java (and the Nashorn-style Packages/java/javax package globals)
+     * for the duration of a script run
+     * @param {Array<string>|null} allowlist - Allowed classes
+     * @param {boolean} readOnly - Refuse file-writing classes
+     * @param {Function} deny - deny(code, message)
+     * @returns {Function} Restores the original globals
+     */
+    function restrictJava(allowlist, readOnly, deny) {
+        var saved = {};
+        var blocked = new Proxy({}, {
+            get: function(target, name) {
+                if (typeof name !== "string") return undefined;
+                return deny("SandboxViolation", "Package access ('" + name + "') is disabled for API scripts; use Java.type()");
+            }
+        });
+        saved.Java = globalThis.Java;
+        globalThis.Java = createJavaShim(saved.Java, allowlist, readOnly, deny);
+        ["Packages", "java", "javax"].forEach(function(name) {
+            if (typeof globalThis[name] !== "undefined") {
+                saved[name] = globalThis[name];
+                globalThis[name] = blocked;
+            }
+        });
+        return function() {
+            Object.keys(saved).forEach(function(name) {
+                try { globalThis[name] = saved[name]; } catch (e) { /* ignore */ }
+            });
+        };
+    }
+
+    // =================================================================
+    // Read-only model watch
+    // =================================================================
+
+    /**
+     * Record model changes while a script runs. Every change calls deny(), which
+     * throws and so stops the script unless it catches the error; rollback()
+     * undoes commands the script pushed on the command stack and reverts direct
+     * EMF changes in reverse order.
+     * @param {Object} modelRef - IArchimateModel
+     * @param {Object} commandStack - GEF CommandStack of the model (may be null)
+     * @param {Function} deny - deny(code, message)
+     * @returns {Object} { stop(), changeCount(), rollback() }
+     */
+    function watchModel(modelRef, commandStack, deny) {
+        var EContentAdapter = Java.type("org.eclipse.emf.ecore.util.EContentAdapter");
+        var Notification = Java.type("org.eclipse.emf.common.notify.Notification");
+        var CommandStackEventListener = Java.type("org.eclipse.gef.commands.CommandStackEventListener");
+        var GEFCommandStack = Java.type("org.eclipse.gef.commands.CommandStack");
+
+        var direct = [];        // Notifications made outside command execution
+        var changes = 0;
+        var inCommand = 0;
+        var recording = true;
+        var undoBefore = commandStack ? commandStack.getUndoCommand() : null;
+
+        var adapter = new (Java.extend(EContentAdapter, {
+            notifyChanged: function(notification) {
+                Java.super(adapter).notifyChanged(notification);
+                if (!recording || notification.isTouch()) return;
+                changes++;
+                if (!inCommand) {
+                    direct.push(notification);
+                }
+                deny("ReadOnlyViolation", "Model changes are not allowed in read-only mode");
+            }
+        }))();
+
+        var listener = commandStack ? new (Java.extend(CommandStackEventListener, {
+            stackChanged: function(event) {
+                var detail = event.getDetail();
+                if (detail === GEFCommandStack.PRE_EXECUTE || detail === GEFCommandStack.PRE_UNDO ||
+                    detail === GEFCommandStack.PRE_REDO) {
+                    inCommand++;
+                } else if (detail === GEFCommandStack.POST_EXECUTE || detail === GEFCommandStack.POST_UNDO ||
+                    detail === GEFCommandStack.POST_REDO) {
+                    inCommand = Math.max(0, inCommand - 1);
+                }
+            }
+        }))() : null;
+
+        modelRef.eAdapters().add(adapter);
+        if (listener) {
+            commandStack.addCommandStackEventListener(listener);
+        }
+
+        function revert(notification) {
+            var notifier = notification.getNotifier();
+            var feature = notification.getFeature();
+            if (!feature || !notifier.eGet) return;
+            var position = notification.getPosition();
+            switch (notification.getEventType()) {
+                case Notification.SET:
+                case Notification.UNSET:
+                    notifier.eSet(feature, notification.getOldValue());
+                    break;
+                case Notification.ADD:
+                    notifier.eGet(feature).remove(notification.getNewValue());
+                    break;
+                case Notification.ADD_MANY:
+                    notifier.eGet(feature).removeAll(notification.getNewValue());
+                    break;
+                case Notification.REMOVE:
+                    var list = notifier.eGet(feature);
+                    list.add(Math.min(position, list.size()), notification.getOldValue());
+                    break;
+                case Notification.REMOVE_MANY:
+                    notifier.eGet(feature).addAll(notification.getOldValue());
+                    break;
+                case Notification.MOVE:
+                    notifier.eGet(feature).move(Number(notification.getOldValue()), position);
+                    break;
+            }
+        }
+
+        return {
+            /** Stop recording and detach the listeners */
+            stop: function() {
+                recording = false;
+                try { modelRef.eAdapters().remove(adapter); } catch (e) { /* ignore */ }
+                // EContentAdapter also attached itself to every contained object
+                try {
+                    var all = modelRef.eAllContents();
+                    while (all.hasNext()) {
+                        all.next().eAdapters().remove(adapter);
+                    }
+                } catch (e2) { /* ignore */ }
+                if (listener) {
+                    try { commandStack.removeCommandStackEventListener(listener); } catch (e3) { /* ignore */ }
+                }
+            },
+
+            /** @returns {number} Model changes recorded */
+            changeCount: function() {
+                return changes;
+            },
+
+            /**
+             * Undo everything the script changed
+             * @returns {Object} { undoneCommands, revertedChanges, errors }
+             */
+            rollback: function() {
+                var result = { undoneCommands: 0, revertedChanges: 0, errors: [] };
+                recording = false;
+                if (commandStack) {
+                    while (commandStack.getUndoCommand() !== undoBefore && commandStack.canUndo()) {
+                        try {
+                            commandStack.undo();
+                            result.undoneCommands++;
+                        } catch (e) {
+                            result.errors.push("Undo failed: " + e);
+                            break;
+                        }
+                    }
+                }
+                for (var i = direct.length - 1; i >= 0; i--) {
+                    try {
+                        revert(direct[i]);
+                        result.revertedChanges++;
+                    } catch (e2) {
+                        result.errors.push("Revert failed: " + e2);
+                    }
+                }
+                return result;
+            }
+        };
+    }
+
+    // =================================================================
+    // Session
+    // =================================================================
+
+    /**
+     * Set up the limits for one script run. install() publishes the globals the
+     * instrumented script and its preamble use (__apiGuard, __apiDeny,
+     * __apiReadOnly); restore() must be called in a finally block.
+     * @param {Object} options - { timeoutMs, readOnly, javaTypeAllowlist, modelRef }
+     * @returns {Object} Session
+     */
+    function createSession(options) {
+        var guard = createGuard(options.timeoutMs);
+        var violations = [];
+        var violationCount = 0;
+        var restoreJava = null;
+        var watch = null;
+
+        function deny(code, message) {
+            violationCount++;
+            if (violations.length < 20) {
+                violations.push({ code: code, message: message });
+            }
+            var err = new Error(message);
+            err.name = code;
+            throw err;
+        }
+
+        return {
+            install: function() {
+                globalThis.__apiGuard = guard;
+                globalThis.__apiDeny = deny;
+                globalThis.__apiReadOnly = options.readOnly === true;
+                if (options.readOnly && options.modelRef) {
+                    var commandStack = null;
+                    try {
+                        commandStack = undoableCommands.getCommandStack(options.modelRef);
+                    } catch (e) { /* model without a stack: direct changes are still reverted */ }
+                    watch = watchModel(options.modelRef, commandStack, deny);
+                }
+                if (options.readOnly || options.javaTypeAllowlist) {
+                    restoreJava = restrictJava(options.javaTypeAllowlist || null, options.readOnly === true, deny);
+                }
+            },
+
+            restore: function() {
+                if (restoreJava) {
+                    restoreJava();
+                    restoreJava = null;
+                }
+                if (watch) {
+                    watch.stop();
+                }
+                try { delete globalThis.__apiGuard; } catch (e1) { /* ignore */ }
+                try { delete globalThis.__apiDeny; } catch (e2) { /* ignore */ }
+                try { delete globalThis.__apiReadOnly; } catch (e3) { /* ignore */ }
+            },
+
+            /**
+             * Roll back model changes made in read-only mode (call after restore())
+             * @returns {Object|null} { undoneCommands, revertedChanges, errors } or null if nothing changed
+             */
+            rollback: function() {
+                if (!watch || watch.changeCount() === 0) {
+                    return null;
+                }
+                return watch.rollback();
+            },
+
+            timedOut: function() {
+                return guard.timedOut();
+            },
+
+            /** @returns {Object} { count, items } - Refused operations (first 20 kept) */
+            violations: function() {
+                return { count: violationCount, items: violations.slice() };
+            }
+        };
+    }
+
+    var scriptSandbox = {
+        WRITE_CLASSES: WRITE_CLASSES,
+        tokenize: tokenize,
+        instrumentScript: instrumentScript,
+        createGuard: createGuard,
+        checkClass: checkClass,
+        createJavaShim: createJavaShim,
+        restrictJava: restrictJava,
+        watchModel: watchModel,
+        createSession: createSession
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.scriptSandbox = scriptSandbox;
+    } else if (typeof global !== "undefined") {
+        global.scriptSandbox = scriptSandbox;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = scriptSandbox;
+    }
+
+})();
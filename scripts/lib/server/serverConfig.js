@@ -26,7 +26,8 @@
         server: {
             port: 8765,
             host: "127.0.0.1",
-            version: "1.6.1"
+            version: "1.6.1",
+            modelPrefix: "/models"      // /models/{id}/<endpoint> runs <endpoint> against another open model
         },
 
         /**
@@ -49,6 +50,17 @@
             maxScriptCodeLength: 51200  // 50 KB max script code length for /scripts/run
         },
 
+        /**
+         * Script execution limits (POST /scripts/run, see scriptSandbox.js)
+         */
+        scripts: {
+            timeoutMs: 30000,           // Default run time budget; loops are stopped after it (408 ScriptTimeout)
+            maxTimeoutMs: 300000,       // Upper bound for the request `timeoutMs` (5 minutes)
+            readOnlyDefault: false,     // Run scripts read-only unless the request sets `readOnly: false`
+            maxOutputEntries: 5000,     // console output entries kept per run (later entries are dropped)
+            javaTypeAllowlist: null     // null = any class; e.g. ["java.util.*", "java.lang.StringBuilder"]
+        },
+
         /**
          * Operation processing configuration
          */
@@ -63,6 +75,24 @@
             snapshotRefreshDelayMs: 100 // Delay before snapshot refresh to allow async rollback to settle
         },
 
+        /**
+         * Provenance properties stamped on concepts created or updated by POST /model/apply
+         * (GET /model/element/{id}/provenance reads them back). Off by default.
+         * Set a property name to null to skip that stamp.
+         */
+        provenance: {
+            enabled: false,
+            clientHeader: "X-Client-Id",    // Client identity; falls back to the API token name
+            properties: {
+                createdBy: "api:createdBy",
+                createdAt: "api:createdAt",
+                modifiedBy: "api:modifiedBy",
+                modifiedAt: "api:modifiedAt",
+                opId: "api:opId",
+                planId: "api:planId"
+            }
+        },
+
         /**
          * Idempotency handling for POST /model/apply
          */
@@ -73,6 +103,113 @@
             cleanupIntervalMs: 300000   // Cleanup cadence (5 minutes)
         },
 
+        /**
+         * File-backed journal for idempotency keys and operation status (see persistentStore.js)
+         * Written to <model directory>/<directory>/<model file name>.jsonl so retries
+         * and /ops/status survive a server restart. Off by default.
+         */
+        persistence: {
+            enabled: false,
+            directory: ".archi-api",    // Created next to the model's .archimate file
+            compactAfterLines: 1000,    // Rewrite the journal after this many appended lines
+            maxOperations: 2000,        // Finished operations kept in the journal (oldest dropped first)
+            operationRetentionMs: 604800000 // Finished operations older than this are dropped (7 days)
+        },
+
+        /**
+         * Server-Sent Events stream (GET /events)
+         */
+        events: {
+            enabled: true,
+            bufferSize: 1000,           // Events kept for `since` / Last-Event-ID replay
+            maxSubscribers: 10,         // Concurrent open streams
+            heartbeatIntervalMs: 15000, // Keep-alive comment interval (also detects dead clients)
+            streamQueueSize: 500,       // Frames queued per client before further frames are dropped
+            retryMs: 3000               // Reconnect delay advertised to clients
+        },
+
+        /**
+         * Read-only GraphQL endpoint (POST /graphql)
+         */
+        graphql: {
+            enabled: true,
+            maxDepth: 10,               // Maximum nesting of object fields
+            maxNodes: 50000,            // Maximum values in one response
+            maxQueryLength: 20000       // Maximum query document length (characters)
+        },
+
+        /**
+         * Graph analysis (POST /analysis/cycles, POST /analysis/impact)
+         */
+        analysis: {
+            maxDepth: 15,               // Upper bound for impact `maxDepth` (same as the Impact Path Explorer)
+            maxPaths: 5000,             // Upper bound for impact `maxPaths`
+            maxCycles: 500,             // Upper bound for cycles `limit`
+            maxPathsPerCycle: 20        // Upper bound for cycles `maxPathsPerCycle`
+        },
+
+        /**
+         * View queries (POST /views/batch-get)
+         */
+        views: {
+            maxBatchSize: 100           // Upper bound for `viewIds` per batch-get request
+        },
+
+        /**
+         * Prometheus metrics (GET /metrics, see serverMetrics.js)
+         */
+        metrics: {
+            enabled: true,
+            requestBuckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],       // Request latency buckets (seconds)
+            operationBuckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]      // Operation duration/wait buckets (seconds)
+        },
+
+        /**
+         * Request recorder (see requestRecorder.js): every request and response
+         * written to <model directory>/<directory>/<model file name>-<timestamp>.jsonl
+         * for replay from the monitor's Recorder tab. Off by default; it can also
+         * be started and stopped from the Recorder tab.
+         */
+        recorder: {
+            enabled: false,
+            directory: ".archi-api/recordings", // Next to the model file (~/.archi-api/recordings for unsaved models)
+            excludePaths: ["/events", "/metrics", "/docs", "/openapi.json"],  // Path prefixes not recorded
+            maxBodyChars: 100000,       // Longer bodies (as JSON) are recorded as truncated
+            redact: {
+                headers: ["authorization", "cookie", "x-api-key"],   // Request headers replaced entirely
+                fields: ["password", "secret", "token", "apiKey", "api_key", "accessToken", "refreshToken"],  // Body keys at any depth (case-insensitive)
+                patterns: [],           // Regular expressions replaced inside any string value
+                replacement: "[REDACTED]"
+            },
+            ignoreFields: ["requestId", "operationId", "opId", "createdAt", "startedAt", "completedAt",
+                "durationMs", "timestamp", "time", "uptime"]  // Not compared on replay (vary between runs)
+        },
+
+        /**
+         * Cursor pagination for POST /model/search and POST /model/query
+         */
+        pagination: {
+            defaultPageSize: 100,       // Page size when only `cursor` or `sort` is given
+            maxPageSize: 1000,          // Upper bound for `pageSize`
+            cursorTtlMs: 3600000        // Cursors older than this return 410 CursorExpired (1 hour)
+        },
+
+        /**
+         * Operation webhooks (`callbackUrl` on POST /model/apply)
+         * Loopback hosts are always allowed; other hosts must be listed here
+         * as "host" or "host:port".
+         */
+        webhooks: {
+            enabled: true,
+            allowedHosts: [],           // e.g. ["ci.example.internal", "10.0.0.5:9000"]
+            maxAttempts: 5,             // Total delivery attempts per operation
+            initialBackoffMs: 1000,     // Delay before the first retry (doubles each retry)
+            maxBackoffMs: 30000,        // Upper bound for the retry delay
+            timeoutMs: 10000,           // Connect and response timeout per attempt
+            maxPending: 100,            // Deliveries queued or in flight before new ones are dropped
+            pollIntervalMs: 200         // How often in-flight deliveries are checked
+        },
+
         /**
          * Graceful shutdown configuration
          */
@@ -97,6 +234,15 @@
             }
         },
 
+        /**
+         * Bearer-token authentication (see authTokens.js)
+         * Enforcement and tokens are stored in the tokens file, not here,
+         * so they can be managed from the monitor Settings tab.
+         */
+        auth: {
+            tokensFile: "config/api-tokens.json"  // Relative to the scripts directory
+        },
+
         /**
          * Logging configuration
          */
@@ -9,6 +9,15 @@
  *   - Per-IP rate limiting with sliding window
  *   - Request ID correlation for debugging
  *   - Configurable CORS with security headers
+ *   - Long-lived streaming responses (Server-Sent Events), written off the UI thread
+ *   - Optional bearer-token authentication with per-route scopes (via authTokens)
+ *   - Route metadata registry for generated API documentation
+ *   - Request metrics per documented route (via serverMetrics, when loaded)
+ *   - Request/response recording to a JSON lines file (via requestRecorder, when recording)
+ *   - In-process dispatch() through the registered handlers, used to replay recordings
+ *   - Model addressing: with config.modelPrefix set, /models/{id}/<path> is dispatched
+ *     to the handler registered for <path>, and the X-Model-Id header is accepted
+ *     instead; handlers see request.modelId (null when the request names no model)
  *
  * Usage:
  *   load(__DIR__ + "lib/server/serverCore.js");
@@ -17,11 +26,39 @@
  *       port: 8765,
  *       host: "127.0.0.1",
  *       onLog: function(msg) { console.log(msg); },
- *       display: Display
+ *       display: Display,
+ *       modelPrefix: "/models"     // optional; register a handler for it as well
  *   });
  *
  *   server.addHandler("/health", "GET", function(request, response) {
  *       response.body = { status: "ok" };
+ *   }, { scope: "read" });
+ *
+ *   // Scope may also be resolved per request for prefix-routed handlers
+ *   server.addHandler("/model", "*", routeModel, {
+ *       scope: function(method, path) { return path === "/model/apply" ? "write" : "read"; }
+ *   });
+ *
+ *   // Route metadata for GET /openapi.json: one entry per method/path the handler serves
+ *   server.addHandler("/ops/status", "GET", handleOpStatus, {
+ *       scope: "read",
+ *       docs: { summary: "Poll operation status", tag: "Operations",
+ *               query: { opId: { type: "string", required: true } } }
+ *   });
+ *
+ *   // Non-JSON response: set a string body and its content type
+ *   server.addHandler("/docs", "GET", function(request, response) {
+ *       response.contentType = "text/html; charset=utf-8";
+ *       response.body = "<html>...</html>";
+ *   }, { scope: "public" });
+ *
+ *   // Long-lived response (Server-Sent Events): set response.stream instead of a body
+ *   server.addHandler("/events", "GET", function(request, response) {
+ *       response.stream = {
+ *           contentType: "text/event-stream",
+ *           onOpen: function(stream) { stream.write("data: hello\n\n"); },
+ *           onClose: function(stream) { }
+ *       };
  *   });
  *
  *   server.start();
@@ -43,6 +80,36 @@
     var StandardCharsets = Java.type("java.nio.charset.StandardCharsets");
     var UUID = Java.type("java.util.UUID");
     var ConcurrentHashMap = Java.type("java.util.concurrent.ConcurrentHashMap");
+    var ThreadPoolExecutor = Java.type("java.util.concurrent.ThreadPoolExecutor");
+    var ArrayBlockingQueue = Java.type("java.util.concurrent.ArrayBlockingQueue");
+    var TimeUnit = Java.type("java.util.concurrent.TimeUnit");
+    var OutputStream = Java.type("java.io.OutputStream");
+    var HttpExchange = Java.type("com.sun.net.httpserver.HttpExchange");
+    var VoidType = Java.type("java.lang.Void").TYPE;
+    var Runnable = Java.type("java.lang.Runnable");
+    var MethodHandles = Java.type("java.lang.invoke.MethodHandles");
+    var MethodHandleProxies = Java.type("java.lang.invoke.MethodHandleProxies");
+    var MethodType = Java.type("java.lang.invoke.MethodType");
+
+    var STREAM_QUEUE_FRAMES = 500;
+
+    /**
+     * Build a Runnable that calls a public Java method without entering JavaScript.
+     * The JS context is single-threaded, so code on a worker thread must stay in Java.
+     * @param {Object} target - Java object
+     * @param {Object} type - Declaring Java type of the method (from Java.type)
+     * @param {string} name - Method name
+     * @param {Object} methodType - java.lang.invoke.MethodType of the method
+     * @param {Array} [args] - Arguments bound to the call
+     * @returns {java.lang.Runnable}
+     */
+    function javaTask(target, type, name, methodType, args) {
+        var handle = MethodHandles.publicLookup().findVirtual(type.class, name, methodType).bindTo(target);
+        if (args && args.length > 0) {
+            handle = MethodHandles.insertArguments(handle, 0, Java.to(args, "java.lang.Object[]"));
+        }
+        return MethodHandleProxies.asInterfaceInstance(Runnable.class, handle);
+    }
 
     /**
      * Create a server instance
@@ -52,12 +119,14 @@
      * @param {string} config.host - Host to bind to
      * @param {Function} config.onLog - Logging callback (thread-safe)
      * @param {Object} config.display - SWT Display instance
+     * @param {string} [config.modelPrefix] - Path prefix for model-addressed requests (e.g. "/models")
      */
     function create(config) {
         var port = config.port || 8765;
         var host = config.host || "127.0.0.1";
         var onLog = config.onLog || function(msg) { console.log(msg); };
         var display = config.display;
+        var modelPrefix = config.modelPrefix || null;
 
         var httpServer = null;
         var handlers = [];
@@ -66,6 +135,9 @@
         // Rate limiting state: Map<clientIP, { timestamps: number[], blockedUntil: number }>
         var rateLimitState = new ConcurrentHashMap();
 
+        // Open streaming responses: requestId -> stream
+        var openStreams = {};
+
         /**
          * Generate a unique request ID
          * @returns {string} UUID-based request ID
@@ -230,67 +302,99 @@
         }
 
         /**
-         * Send JSON response with security headers
+         * Collect request headers into a plain object with lower-cased names
          * @param {com.sun.net.httpserver.HttpExchange} exchange
-         * @param {number} statusCode
-         * @param {Object} body
-         * @param {Object} headers - Additional headers
-         * @param {string} requestId - Request ID to include in response
+         * @returns {Object} Header map (first value per header)
          */
-        function sendResponse(exchange, statusCode, body, headers, requestId) {
-            try {
-                headers = headers || {};
-                headers["Content-Type"] = "application/json";
+        function parseHeaders(exchange) {
+            var result = {};
+            var requestHeaders = exchange.getRequestHeaders();
+            if (!requestHeaders) {
+                return result;
+            }
+            var iterator = requestHeaders.keySet().iterator();
+            while (iterator.hasNext()) {
+                var name = iterator.next();
+                if (name === null) continue;
+                var value = requestHeaders.getFirst(name);
+                result[String(name).toLowerCase()] = value !== null ? String(value) : "";
+            }
+            return result;
+        }
 
-                // Add request ID header for correlation
-                if (requestId) {
-                    headers["X-Request-ID"] = requestId;
-                }
+        /**
+         * Apply CORS, security and correlation headers to the exchange
+         * @param {com.sun.net.httpserver.HttpExchange} exchange
+         * @param {Object} headers - Response headers (mutated)
+         * @param {string} requestId - Request ID to include in response
+         */
+        function applyResponseHeaders(exchange, headers, requestId) {
+            // Add request ID header for correlation
+            if (requestId) {
+                headers["X-Request-ID"] = requestId;
+            }
 
-                // Get security config
-                var securityConfig = (typeof serverConfig !== "undefined") ? serverConfig.security : {
-                    corsEnabled: true,
-                    corsAllowAll: true,
-                    corsOrigins: [],
-                    headers: {}
-                };
+            // Get security config
+            var securityConfig = (typeof serverConfig !== "undefined") ? serverConfig.security : {
+                corsEnabled: true,
+                corsAllowAll: true,
+                corsOrigins: [],
+                headers: {}
+            };
 
-                // Handle CORS
-                if (securityConfig.corsEnabled) {
-                    var requestHeaders = exchange.getRequestHeaders();
-                    var originHeader = requestHeaders.getFirst("Origin");
-                    var allowedOrigin = null;
+            // Handle CORS
+            if (securityConfig.corsEnabled) {
+                var requestHeaders = exchange.getRequestHeaders();
+                var originHeader = requestHeaders.getFirst("Origin");
+                var allowedOrigin = null;
 
-                    if (securityConfig.corsAllowAll) {
-                        allowedOrigin = "*";
-                    } else if (originHeader && securityConfig.corsOrigins.indexOf(String(originHeader)) !== -1) {
-                        allowedOrigin = String(originHeader);
-                    }
+                if (securityConfig.corsAllowAll) {
+                    allowedOrigin = "*";
+                } else if (originHeader && securityConfig.corsOrigins.indexOf(String(originHeader)) !== -1) {
+                    allowedOrigin = String(originHeader);
+                }
 
-                    if (allowedOrigin) {
-                        headers["Access-Control-Allow-Origin"] = allowedOrigin;
-                        headers["Access-Control-Allow-Methods"] = "GET, POST, PUT, DELETE, OPTIONS";
-                        headers["Access-Control-Allow-Headers"] = "Content-Type, X-Request-ID";
-                        headers["Access-Control-Max-Age"] = "86400";
-                    }
+                if (allowedOrigin) {
+                    headers["Access-Control-Allow-Origin"] = allowedOrigin;
+                    headers["Access-Control-Allow-Methods"] = "GET, POST, PUT, DELETE, OPTIONS";
+                    headers["Access-Control-Allow-Headers"] = "Content-Type, Authorization, X-Request-ID, X-Model-ID, Last-Event-ID" +
+                        (typeof serverConfig !== "undefined" && serverConfig.provenance && serverConfig.provenance.enabled ?
+                            ", " + (serverConfig.provenance.clientHeader || "X-Client-Id") : "");
+                    headers["Access-Control-Max-Age"] = "86400";
                 }
+            }
 
-                // Add security headers
-                if (securityConfig.headers) {
-                    for (var secHeader in securityConfig.headers) {
-                        if (securityConfig.headers.hasOwnProperty(secHeader)) {
-                            headers[secHeader] = securityConfig.headers[secHeader];
-                        }
+            // Add security headers
+            if (securityConfig.headers) {
+                for (var secHeader in securityConfig.headers) {
+                    if (securityConfig.headers.hasOwnProperty(secHeader)) {
+                        headers[secHeader] = securityConfig.headers[secHeader];
                     }
                 }
+            }
 
-                // Set headers
-                var responseHeaders = exchange.getResponseHeaders();
-                for (var key in headers) {
-                    if (headers.hasOwnProperty(key)) {
-                        responseHeaders.set(key, headers[key]);
-                    }
+            // Set headers
+            var responseHeaders = exchange.getResponseHeaders();
+            for (var key in headers) {
+                if (headers.hasOwnProperty(key)) {
+                    responseHeaders.set(key, headers[key]);
                 }
+            }
+        }
+
+        /**
+         * Send JSON response with security headers
+         * @param {com.sun.net.httpserver.HttpExchange} exchange
+         * @param {number} statusCode
+         * @param {Object} body
+         * @param {Object} headers - Additional headers
+         * @param {string} requestId - Request ID to include in response
+         */
+        function sendResponse(exchange, statusCode, body, headers, requestId) {
+            try {
+                headers = headers || {};
+                headers["Content-Type"] = "application/json";
+                applyResponseHeaders(exchange, headers, requestId);
 
                 // Include requestId in body if not already present
                 if (requestId && body && typeof body === "object" && !body.requestId) {
@@ -311,20 +415,344 @@
             }
         }
 
+        /**
+         * Send a non-JSON response (HTML, plain text, pre-serialized JSON)
+         * @param {com.sun.net.httpserver.HttpExchange} exchange
+         * @param {number} statusCode - HTTP status code
+         * @param {string} text - Response body
+         * @param {string} contentType - Content-Type header value
+         * @param {Object} headers - Additional headers
+         * @param {string} requestId - Request ID for correlation
+         */
+        function sendTextResponse(exchange, statusCode, text, contentType, headers, requestId) {
+            try {
+                headers = headers || {};
+                headers["Content-Type"] = contentType || "text/plain; charset=utf-8";
+                applyResponseHeaders(exchange, headers, requestId);
+
+                var responseBytes = new JavaString(text).getBytes(StandardCharsets.UTF_8);
+                exchange.sendResponseHeaders(statusCode, responseBytes.length);
+                var outputStream = exchange.getResponseBody();
+                outputStream.write(responseBytes);
+                outputStream.close();
+            } catch (e) {
+                log("ERROR: Failed to send response: " + e, requestId);
+            }
+        }
+
+        /**
+         * Switch an exchange into long-lived streaming mode (e.g. Server-Sent Events).
+         * Headers are sent with chunked transfer encoding and the exchange stays open
+         * until the stream is closed, the client disconnects or the server stops.
+         *
+         * Writes are queued to a per-stream writer thread, so a slow or stalled client
+         * never blocks the UI thread. A client that falls more than
+         * events.streamQueueSize frames behind misses the frames that do not fit.
+         * @param {com.sun.net.httpserver.HttpExchange} exchange
+         * @param {Object} response - Handler response with response.stream descriptor
+         * @param {string} requestId - Request ID for logging
+         */
+        function openStream(exchange, response, requestId) {
+            var descriptor = response.stream;
+            var headers = response.headers || {};
+            headers["Content-Type"] = descriptor.contentType || "text/event-stream; charset=utf-8";
+            applyResponseHeaders(exchange, headers, requestId);
+
+            // Response length 0 selects chunked encoding (open-ended body)
+            exchange.sendResponseHeaders(response.statusCode || 200, 0);
+            var outputStream = exchange.getResponseBody();
+            var closed = false;
+            var dropping = false;
+            var lastTask = null;
+
+            // Two tasks (write, flush) per frame plus one slot kept free for the final close
+            var queueFrames = (typeof serverConfig !== "undefined" && serverConfig.events &&
+                serverConfig.events.streamQueueSize) || STREAM_QUEUE_FRAMES;
+            var writer = new ThreadPoolExecutor(1, 1, 0, TimeUnit.MILLISECONDS,
+                new ArrayBlockingQueue(queueFrames * 2 + 1));
+            var writeType = MethodType.methodType(VoidType, Java.type("byte[]").class);
+            var noArgsType = MethodType.methodType(VoidType);
+
+            var stream = {
+                id: requestId,
+                openedAt: new Date().toISOString(),
+                dropped: 0,
+
+                /**
+                 * Queue text for the client. Never blocks: the frame is dropped when
+                 * the client has fallen too far behind.
+                 * @param {string} text - Raw text chunk
+                 * @returns {boolean} false if the stream is closed, the frame was dropped or the write failed
+                 */
+                write: function(text) {
+                    if (closed) return false;
+                    try {
+                        // A failed write or flush means the client has gone
+                        if (lastTask !== null && lastTask.isDone()) {
+                            lastTask.get();
+                        }
+                        if (writer.getQueue().remainingCapacity() < 3) {
+                            stream.dropped++;
+                            if (!dropping) {
+                                dropping = true;
+                                log("Stream client is not keeping up, dropping frames", requestId);
+                            }
+                            return false;
+                        }
+                        dropping = false;
+                        var bytes = new JavaString(String(text)).getBytes(StandardCharsets.UTF_8);
+                        writer.submit(javaTask(outputStream, OutputStream, "write", writeType, [bytes]));
+                        lastTask = writer.submit(javaTask(outputStream, OutputStream, "flush", noArgsType));
+                        return true;
+                    } catch (writeErr) {
+                        log("Stream closed by client: " + writeErr, requestId);
+                        stream.close();
+                        return false;
+                    }
+                },
+
+                /**
+                 * Close the stream and release the exchange
+                 */
+                close: function() {
+                    if (closed) return;
+                    closed = true;
+                    delete openStreams[requestId];
+                    // Release the exchange after the queued frames, on the writer thread
+                    try {
+                        writer.submit(javaTask(exchange, HttpExchange, "close", noArgsType));
+                        writer.shutdown();
+                    } catch (_closeErr2) {}
+                    if (typeof descriptor.onClose === "function") {
+                        try { descriptor.onClose(stream); } catch (_onCloseErr) {}
+                    }
+                },
+
+                isOpen: function() {
+                    return !closed;
+                }
+            };
+
+            openStreams[requestId] = stream;
+            log("Stream opened", requestId);
+
+            if (typeof descriptor.onOpen === "function") {
+                descriptor.onOpen(stream);
+            }
+        }
+
+        /**
+         * Resolve the scope a route requires for a request.
+         * Routes without a declared scope require "admin" so new endpoints fail closed;
+         * "public" routes are served without a token even when auth is enabled.
+         * @param {Object} options - Route options from addHandler()
+         * @param {string} requestMethod - HTTP method
+         * @param {string} requestPath - Request path
+         * @returns {string} Required scope
+         */
+        function resolveRequiredScope(options, requestMethod, requestPath) {
+            var scope = options ? options.scope : null;
+            if (typeof scope === "function") {
+                scope = scope(requestMethod, requestPath);
+            }
+            return scope || "admin";
+        }
+
+        /**
+         * Authorize a request against the route's scope when token auth is enabled
+         * @param {Object} options - Route options from addHandler()
+         * @param {string} requestMethod - HTTP method
+         * @param {string} requestPath - Request path
+         * @param {Object} headers - Lower-cased request headers
+         * @returns {Object} authTokens.authorize() result (always allowed when auth is off)
+         */
+        function authorizeRequest(options, requestMethod, requestPath, headers) {
+            if (typeof authTokens === "undefined" || !authTokens.isEnabled()) {
+                return { allowed: true, client: null, scopes: null };
+            }
+            var requiredScope = resolveRequiredScope(options, requestMethod, requestPath);
+            if (requiredScope === "public") {
+                return { allowed: true, client: null, scopes: null };
+            }
+            var result = authTokens.authorize(headers["authorization"] || null, requiredScope);
+            result.requiredScope = requiredScope;
+            return result;
+        }
+
+        /**
+         * Resolve a model-addressed path (<modelPrefix>/{id}/<path>) to the handler
+         * registered for <path>, using the same longest-prefix rule as HttpServer.
+         * Paths with no such handler (e.g. /models/{id} itself) stay with the
+         * handler registered for the prefix.
+         * @param {string} requestPath - Request path
+         * @returns {Object|null} { entry, path, modelId } or null
+         */
+        function resolveModelRoute(requestPath) {
+            if (!modelPrefix || requestPath.indexOf(modelPrefix + "/") !== 0) {
+                return null;
+            }
+            var rest = requestPath.substring(modelPrefix.length + 1);
+            var slash = rest.indexOf("/");
+            if (slash <= 0) {
+                return null;
+            }
+            var innerPath = rest.substring(slash);
+            var best = null;
+            for (var i = 0; i < handlers.length; i++) {
+                var h = handlers[i];
+                if (h.path === modelPrefix || innerPath.indexOf(h.path) !== 0) continue;
+                if (!best || h.path.length > best.path.length) {
+                    best = h;
+                }
+            }
+            if (!best) {
+                return null;
+            }
+            return { entry: best, path: innerPath, modelId: rest.substring(0, slash) };
+        }
+
+        /**
+         * Resolve the route a request runs: the handler registered for the matched
+         * context, or for a model-addressed path the target route's handler,
+         * method and scope
+         * @param {Object} entry - Handler entry { path, method, handler, options }
+         * @param {string} requestPath - Request path
+         * @returns {Object} { method, handler, options, contextPath, path, modelId }
+         */
+        function routeFor(entry, requestPath) {
+            var modelRoute = resolveModelRoute(requestPath);
+            if (modelRoute) {
+                return {
+                    method: modelRoute.entry.method,
+                    handler: modelRoute.entry.handler,
+                    options: modelRoute.entry.options,
+                    contextPath: modelRoute.entry.path,
+                    path: modelRoute.path,
+                    modelId: modelRoute.modelId
+                };
+            }
+            return {
+                method: entry.method,
+                handler: entry.handler,
+                options: entry.options,
+                contextPath: entry.path,
+                path: requestPath,
+                modelId: null
+            };
+        }
+
+        /**
+         * Find the route for a path with HttpServer's longest-prefix rule
+         * @param {string} requestPath - Request path
+         * @returns {Object|null} routeFor() result, or null when no context matches
+         */
+        function findRoute(requestPath) {
+            var best = null;
+            for (var i = 0; i < handlers.length; i++) {
+                var h = handlers[i];
+                if (requestPath.indexOf(h.path) !== 0) continue;
+                if (!best || h.path.length > best.path.length) {
+                    best = h;
+                }
+            }
+            return best ? routeFor(best, requestPath) : null;
+        }
+
+        /**
+         * Route label for metrics: the documented path template the request
+         * matched (e.g. "/views/{id}/export"), so raw IDs never become label
+         * values. Undocumented sub-paths are reported as "<context path>/*".
+         * @param {Object} route - Resolved route (options, contextPath, path, method)
+         * @param {string} requestMethod - HTTP method
+         * @returns {string} Route template
+         */
+        function routeTemplate(route, requestMethod) {
+            var docs = route.options ? route.options.docs : null;
+            var entries = !docs ? [] : (Array.isArray(docs) ? docs : [docs]);
+            var path = route.path.length > 1 ? route.path.replace(/\/+$/, "") : route.path;
+            for (var i = 0; i < entries.length; i++) {
+                var template = entries[i].path || route.contextPath;
+                var entryMethod = entries[i].method || route.method;
+                if (entryMethod !== "*" && entryMethod !== requestMethod) continue;
+                var pattern = new RegExp("^" + template.replace(/[.*+?^$()|[\]\\]/g, "\\$&")
+                    .replace(/\{[^}]+\}/g, "[^/]+") + "$");
+                if (pattern.test(path)) {
+                    return template;
+                }
+            }
+            return path === route.contextPath ? path : route.contextPath + "/*";
+        }
+
+        /**
+         * Record a finished request in serverMetrics (no-op when not loaded)
+         */
+        function recordRequestMetrics(exchange, requestMethod, route, startTime) {
+            if (typeof serverMetrics === "undefined" || !serverMetrics) {
+                return;
+            }
+            try {
+                var status = exchange.getResponseCode();
+                serverMetrics.recordRequest(requestMethod, routeTemplate(route, requestMethod),
+                    status > 0 ? status : 500, Date.now() - startTime);
+            } catch (e) {
+                log("WARNING: Failed to record request metrics: " + e);
+            }
+        }
+
+        /**
+         * Record a finished request in requestRecorder (no-op unless recording).
+         * Responses sent before the handler ran (rate limit, auth, body errors)
+         * are recorded with their status only.
+         * @param {Object|undefined} request - Request object, when it was built
+         * @param {Object|undefined} response - Handler response, when the handler ran
+         */
+        function recordExchange(exchange, requestMethod, requestPath, requestId, request, response, startTime) {
+            if (typeof requestRecorder === "undefined" || !requestRecorder || !requestRecorder.isActive() ||
+                requestMethod === "OPTIONS") {
+                return;
+            }
+            try {
+                var status = exchange.getResponseCode();
+                status = status > 0 ? status : 500;
+                var handled = !!response && response.statusCode === status && !response.stream;
+                requestRecorder.record({
+                    requestId: requestId,
+                    method: requestMethod,
+                    path: requestPath,
+                    query: request ? request.query : parseQuery(exchange.getRequestURI()),
+                    headers: request ? request.headers : parseHeaders(exchange),
+                    body: request ? request.body : null,
+                    status: status,
+                    responseBody: handled ? response.body : null,
+                    stream: !!(response && response.stream),
+                    durationMs: Date.now() - startTime
+                });
+            } catch (e) {
+                log("WARNING: Failed to record request: " + e);
+            }
+        }
+
         /**
          * Create HTTP handler for a specific path and method
          */
-        function createHandler(path, method, handlerFn) {
+        function createHandler(path, method, handlerFn, options) {
             var HttpHandler = Java.type("com.sun.net.httpserver.HttpHandler");
 
             // Use Java.extend to properly implement the interface
             var HandlerImpl = Java.extend(HttpHandler, {
                 handle: function(exchange) {
+                    var startTime = Date.now();
                     var requestMethod = exchange.getRequestMethod();
                     var requestPath = exchange.getRequestURI().getPath();
                     var requestId = generateRequestId();
                     var clientIP = getClientIP(exchange);
 
+                    // Model-addressed requests run the target route's handler, method and scope
+                    var route = routeFor({ path: path, method: method, handler: handlerFn, options: options },
+                        requestPath);
+                    var request;
+                    var response;
+
                     try {
                         // Handle CORS preflight
                         if (requestMethod === "OPTIONS") {
@@ -336,6 +764,9 @@
                         var rateLimitResult = checkRateLimit(clientIP);
                         if (!rateLimitResult.allowed) {
                             log("Rate limit exceeded for " + clientIP, requestId);
+                            if (typeof serverMetrics !== "undefined" && serverMetrics) {
+                                serverMetrics.recordRateLimited();
+                            }
                             sendResponse(exchange, 429, {
                                 error: {
                                     code: "TooManyRequests",
@@ -349,7 +780,7 @@
                         log(requestMethod + " " + requestPath + " from " + clientIP, requestId);
 
                         // Method check (skip if wildcard "*")
-                        if (method !== "*" && requestMethod !== method) {
+                        if (route.method !== "*" && requestMethod !== route.method) {
                             sendResponse(exchange, 405, {
                                 error: {
                                     code: "MethodNotAllowed",
@@ -359,6 +790,40 @@
                             return;
                         }
 
+                        // Authenticate before reading the body
+                        var requestHeaders = parseHeaders(exchange);
+                        var authResult = authorizeRequest(route.options, requestMethod, route.path, requestHeaders);
+                        if (!authResult.allowed) {
+                            log("Auth rejected (" + authResult.code + ", scope " + authResult.requiredScope + ")" +
+                                (authResult.client ? " for token '" + authResult.client + "'" : ""), requestId);
+                            var challenge = 'Bearer realm="jarchi-model-api"';
+                            if (authResult.status === 403) {
+                                challenge += ', error="insufficient_scope", scope="' + authResult.requiredScope + '"';
+                            } else if (requestHeaders["authorization"]) {
+                                challenge += ', error="invalid_token"';
+                            }
+                            sendResponse(exchange, authResult.status, {
+                                error: {
+                                    code: authResult.code,
+                                    message: authResult.message
+                                }
+                            }, { "WWW-Authenticate": challenge }, requestId);
+                            return;
+                        }
+
+                        // A model named by both path and header must agree
+                        var headerModelId = requestHeaders["x-model-id"] ? requestHeaders["x-model-id"].trim() : null;
+                        if (route.modelId && headerModelId && headerModelId !== route.modelId) {
+                            sendResponse(exchange, 400, {
+                                error: {
+                                    code: "ModelIdMismatch",
+                                    message: "X-Model-Id '" + headerModelId + "' does not match the model in the path '" +
+                                        route.modelId + "'"
+                                }
+                            }, {}, requestId);
+                            return;
+                        }
+
                         // Parse body with size limit
                         var bodyResult = parseRequestBody(exchange, requestId);
                         if (!bodyResult.success) {
@@ -374,27 +839,41 @@
                         }
 
                         // Build request object
-                        var request = {
+                        request = {
                             method: requestMethod,
-                            path: requestPath,
+                            path: route.path,
+                            originalPath: requestPath,
+                            modelId: route.modelId || headerModelId || null,
                             query: parseQuery(exchange.getRequestURI()),
                             body: bodyResult.body,
-                            headers: {},
+                            headers: requestHeaders,
                             requestId: requestId,
-                            clientIP: clientIP
+                            clientIP: clientIP,
+                            auth: authResult.client ? { client: authResult.client, scopes: authResult.scopes } : null
                         };
 
                         // Build response object
-                        var response = {
+                        response = {
                             statusCode: 200,
                             body: {},
                             headers: {}
                         };
 
                         // Call handler (runs on HTTP thread pool)
-                        handlerFn(request, response);
+                        route.handler(request, response);
+
+                        // Long-lived response: hand the open exchange to the handler's stream callbacks
+                        if (response.stream) {
+                            openStream(exchange, response, requestId);
+                            return;
+                        }
 
                         // Send response
+                        if (typeof response.body === "string") {
+                            sendTextResponse(exchange, response.statusCode, response.body,
+                                response.contentType, response.headers, requestId);
+                            return;
+                        }
                         sendResponse(exchange, response.statusCode, response.body, response.headers, requestId);
 
                     } catch (e) {
@@ -405,6 +884,10 @@
                                 message: String(e)
                             }
                         }, {}, requestId);
+                    } finally {
+                        // Streams are measured up to the moment they are opened
+                        recordRequestMetrics(exchange, requestMethod, route, startTime);
+                        recordExchange(exchange, requestMethod, requestPath, requestId, request, response, startTime);
                     }
                 }
             });
@@ -414,12 +897,23 @@
 
         /**
          * Add a handler for a specific path and method
+         * @param {string} path - Context path (prefix match)
+         * @param {string} method - HTTP method or "*" for any
+         * @param {Function} handlerFn - function(request, response)
+         * @param {Object} [options] - Route options
+         * @param {string|Function} [options.scope] - Required token scope ("read", "write",
+         *        "script", "admin", or "public" for no token) or function(method, path) returning one
+         * @param {Object|Array<Object>} [options.docs] - Route metadata for getRoutes():
+         *        { method, path, summary, description, tag, query, body, responses, deprecated }.
+         *        method and path default to the handler's; prefix handlers pass one entry
+         *        per sub-route (e.g. "/model/element/{id}")
          */
-        function addHandler(path, method, handlerFn) {
+        function addHandler(path, method, handlerFn, options) {
             handlers.push({
                 path: path,
                 method: method,
-                handler: handlerFn
+                handler: handlerFn,
+                options: options || {}
             });
             return api; // Fluent API
         }
@@ -441,10 +935,13 @@
                 // Register handlers
                 for (var i = 0; i < handlers.length; i++) {
                     var h = handlers[i];
-                    httpServer.createContext(h.path, createHandler(h.path, h.method, h.handler));
+                    httpServer.createContext(h.path, createHandler(h.path, h.method, h.handler, h.options));
                 }
 
                 // Start server
+                if (typeof serverMetrics !== "undefined" && serverMetrics) {
+                    serverMetrics.reset();
+                }
                 httpServer.start();
                 state = "running";
 
@@ -466,6 +963,11 @@
                 state = "stopping";
                 log("Stopping server...");
 
+                // Close long-lived streams first so stop() does not wait on them
+                Object.keys(openStreams).forEach(function(streamId) {
+                    openStreams[streamId].close();
+                });
+
                 if (httpServer) {
                     httpServer.stop(0); // Stop immediately
                 }
@@ -531,13 +1033,132 @@
             };
         }
 
+        /**
+         * Describe every registered route for documentation (GET /openapi.json)
+         * @returns {Array<Object>} One entry per documented method/path:
+         *          { method, path, scope, summary, description, tag, query, body, responses }.
+         *          Handlers without docs are listed with their own method and path only.
+         */
+        function getRoutes() {
+            var routes = [];
+            for (var i = 0; i < handlers.length; i++) {
+                var h = handlers[i];
+                var docs = h.options.docs;
+                var entries = !docs ? [{}] : (Array.isArray(docs) ? docs : [docs]);
+                for (var j = 0; j < entries.length; j++) {
+                    var entry = entries[j];
+                    var route = {
+                        method: entry.method || h.method,
+                        path: entry.path || h.path,
+                        documented: !!docs
+                    };
+                    for (var key in entry) {
+                        if (entry.hasOwnProperty(key) && key !== "method" && key !== "path") {
+                            route[key] = entry[key];
+                        }
+                    }
+                    // Resolve dynamic scopes against the documented path ({id} matches [^/]+)
+                    route.scope = entry.scope || resolveRequiredScope(h.options, route.method, route.path);
+                    routes.push(route);
+                }
+            }
+            return routes;
+        }
+
+        /**
+         * Describe the route a request would run, without running it
+         * @param {string} requestMethod - HTTP method
+         * @param {string} requestPath - Request path (may be model-addressed)
+         * @returns {Object|null} { scope, path, modelId } or null when no handler matches.
+         *          path is the route path (without the model prefix)
+         */
+        function describeRoute(requestMethod, requestPath) {
+            var route = findRoute(requestPath);
+            if (!route) {
+                return null;
+            }
+            return {
+                scope: resolveRequiredScope(route.options, requestMethod, route.path),
+                path: route.path,
+                modelId: route.modelId
+            };
+        }
+
+        /**
+         * Run a request through the registered handlers in-process, without HTTP.
+         * Used by the monitor to replay recorded sessions. Rate limiting and
+         * authentication are not applied: the caller decides which requests are
+         * safe to run (see describeRoute). Streaming responses are not opened.
+         * Must be called on the display thread, like the HTTP handlers.
+         * @param {Object} req - { method, path, query, headers, body }
+         * @returns {Object} { statusCode, body, contentType, stream, requestId }
+         */
+        function dispatch(req) {
+            var requestId = "replay-" + generateRequestId();
+            var route = findRoute(req.path);
+            if (!route) {
+                return { statusCode: 404, requestId: requestId,
+                    body: { error: { code: "NotFound", message: "No handler for " + req.path } } };
+            }
+            if (route.method !== "*" && req.method !== route.method) {
+                return { statusCode: 405, requestId: requestId,
+                    body: { error: { code: "MethodNotAllowed", message: "Method " + req.method + " not allowed" } } };
+            }
+
+            var headers = {};
+            Object.keys(req.headers || {}).forEach(function(name) {
+                headers[name.toLowerCase()] = String(req.headers[name]);
+            });
+            var headerModelId = headers["x-model-id"] ? headers["x-model-id"].trim() : null;
+            var request = {
+                method: req.method,
+                path: route.path,
+                originalPath: req.path,
+                modelId: route.modelId || headerModelId || null,
+                query: req.query || {},
+                body: req.body === undefined ? null : req.body,
+                headers: headers,
+                requestId: requestId,
+                clientIP: "replay",
+                auth: null
+            };
+            var response = { statusCode: 200, body: {}, headers: {} };
+
+            try {
+                route.handler(request, response);
+            } catch (e) {
+                log("ERROR: Handler exception: " + e, requestId);
+                return { statusCode: 500, requestId: requestId,
+                    body: { error: { code: "InternalError", message: String(e) } } };
+            }
+            return {
+                statusCode: response.statusCode,
+                body: response.stream ? null : response.body,
+                contentType: response.contentType || null,
+                stream: !!response.stream,
+                requestId: requestId
+            };
+        }
+
+        /**
+         * Get number of currently open streaming responses
+         * @returns {number} Open stream count
+         */
+        function getOpenStreamCount() {
+            return Object.keys(openStreams).length;
+        }
+
         // Public API
         var api = {
             addHandler: addHandler,
             start: start,
             stop: stop,
             getState: getState,
-            getRateLimitStats: getRateLimitStats
+            getRateLimitStats: getRateLimitStats,
+            getOpenStreamCount: getOpenStreamCount,
+            getRoutes: getRoutes,
+            describeRoute: describeRoute,
+            dispatch: dispatch
         };
 
         return api;
@@ -0,0 +1,241 @@
+/**
+ * serverMetrics.js - Request and operation metrics for GET /metrics
+ *
+ * Counters and histograms are recorded by serverCore (requests, rate-limit
+ * rejections), idempotencyStore (key reservations and replays) and
+ * operationQueue (finished operations). render() writes them in the Prometheus
+ * text exposition format, together with gauges sampled at scrape time.
+ *
+ * Everything is recorded on the SWT display thread (the HTTP server's executor),
+ * so plain objects are enough. Counters start at zero when the server starts.
+ *
+ * @module server/serverMetrics
+ * @requires server/serverConfig (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.serverMetrics !== "undefined") {
+        return;
+    }
+
+    var PREFIX = "jarchi_api_";
+
+    // Defaults when serverConfig.metrics does not set them (seconds)
+    var DEFAULT_REQUEST_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+    var DEFAULT_OPERATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+    var counters = {};
+    var histograms = {};
+    var startedAt = Date.now();
+
+    function getConfig() {
+        var cfg = (typeof serverConfig !== "undefined" && serverConfig.metrics) ? serverConfig.metrics : {};
+        return {
+            enabled: cfg.enabled !== false,
+            requestBuckets: cfg.requestBuckets || DEFAULT_REQUEST_BUCKETS,
+            operationBuckets: cfg.operationBuckets || DEFAULT_OPERATION_BUCKETS
+        };
+    }
+
+    /**
+     * Stable key for a label set (label names sorted)
+     */
+    function labelKey(labels) {
+        return Object.keys(labels || {}).sort().map(function(name) {
+            return name + "=" + labels[name];
+        }).join(",");
+    }
+
+    function escapeLabel(value) {
+        return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+    }
+
+    function formatLabels(labels, extra) {
+        var parts = [];
+        Object.keys(labels || {}).sort().forEach(function(name) {
+            parts.push(name + "=\"" + escapeLabel(labels[name]) + "\"");
+        });
+        if (extra) {
+            parts.push(extra);
+        }
+        return parts.length > 0 ? "{" + parts.join(",") + "}" : "";
+    }
+
+    function formatNumber(value) {
+        if (value === Infinity) return "+Inf";
+        return String(Math.round(value * 1e6) / 1e6);
+    }
+
+    function increment(name, labels, amount) {
+        if (!getConfig().enabled) return;
+        var series = counters[name] || (counters[name] = {});
+        var key = labelKey(labels);
+        if (!series[key]) {
+            series[key] = { labels: labels || {}, value: 0 };
+        }
+        series[key].value += amount === undefined ? 1 : amount;
+    }
+
+    function observe(name, labels, value, buckets) {
+        if (!getConfig().enabled) return;
+        var series = histograms[name] || (histograms[name] = {});
+        var key = labelKey(labels);
+        var h = series[key];
+        if (!h) {
+            h = series[key] = { labels: labels || {}, buckets: buckets.slice(), counts: buckets.map(function() { return 0; }), sum: 0, count: 0 };
+        }
+        for (var i = 0; i < h.buckets.length; i++) {
+            if (value <= h.buckets[i]) {
+                h.counts[i]++;
+            }
+        }
+        h.sum += value;
+        h.count++;
+    }
+
+    // Metric descriptions: name (without prefix) -> [type, help]
+    var METRICS = {
+        "requests_total": ["counter", "HTTP requests by method, route and status"],
+        "request_duration_seconds": ["histogram", "HTTP request latency by method and route"],
+        "rate_limited_total": ["counter", "Requests rejected by the per-IP rate limit (429)"],
+        "idempotency_requests_total": ["counter", "POST /model/apply requests with an idempotencyKey by result (new, replay, conflict)"],
+        "operations_total": ["counter", "Finished /model/apply operations by status"],
+        "operation_changes_total": ["counter", "Changes processed by finished operations, by status"],
+        "operation_duration_seconds": ["histogram", "Operation processing time (started to finished) by status"],
+        "operation_queue_wait_seconds": ["histogram", "Time operations waited in the queue before processing"]
+    };
+
+    var serverMetrics = {
+        /**
+         * Clear all counters and histograms (called when the server starts)
+         */
+        reset: function() {
+            counters = {};
+            histograms = {};
+            startedAt = Date.now();
+        },
+
+        /**
+         * Record a finished HTTP request
+         * @param {string} method - HTTP method
+         * @param {string} route - Route template (e.g. "/views/{id}"), not the raw path
+         * @param {number} status - Response status code
+         * @param {number} durationMs - Handling time
+         */
+        recordRequest: function(method, route, status, durationMs) {
+            increment("requests_total", { method: method, route: route, status: String(status) });
+            observe("request_duration_seconds", { method: method, route: route }, durationMs / 1000,
+                getConfig().requestBuckets);
+        },
+
+        /**
+         * Record a request rejected by the rate limiter
+         */
+        recordRateLimited: function() {
+            increment("rate_limited_total", {});
+        },
+
+        /**
+         * Record an idempotency key reservation
+         * @param {string} result - "new", "replay" or "conflict"
+         */
+        recordIdempotency: function(result) {
+            increment("idempotency_requests_total", { result: result });
+        },
+
+        /**
+         * Record a finished operation
+         * @param {Object} operation - Operation descriptor (status, createdAt, startedAt, completedAt, changes)
+         */
+        recordOperation: function(operation) {
+            var status = operation.status;
+            var labels = { status: status };
+            increment("operations_total", labels);
+            increment("operation_changes_total", labels, operation.changes ? operation.changes.length : 0);
+            var created = operation.createdAt ? new Date(operation.createdAt).getTime() : null;
+            var started = operation.startedAt ? new Date(operation.startedAt).getTime() : null;
+            var completed = operation.completedAt ? new Date(operation.completedAt).getTime() : null;
+            var buckets = getConfig().operationBuckets;
+            if (started !== null && completed !== null) {
+                observe("operation_duration_seconds", labels, Math.max(0, completed - started) / 1000, buckets);
+            }
+            if (created !== null && started !== null) {
+                observe("operation_queue_wait_seconds", {}, Math.max(0, started - created) / 1000, buckets);
+            }
+        },
+
+        /**
+         * Render all metrics in the Prometheus text format (version 0.0.4)
+         * @param {Array<Object>} [gauges] - Values sampled at scrape time:
+         *        { name, help, value, labels }; entries with the same name are grouped
+         * @returns {string} Exposition text
+         */
+        render: function(gauges) {
+            var lines = [];
+
+            Object.keys(METRICS).forEach(function(name) {
+                var type = METRICS[name][0];
+                var full = PREFIX + name;
+                var series = type === "histogram" ? histograms[name] : counters[name];
+                lines.push("# HELP " + full + " " + METRICS[name][1]);
+                lines.push("# TYPE " + full + " " + type);
+                if (!series) return;
+                Object.keys(series).sort().forEach(function(key) {
+                    var s = series[key];
+                    if (type === "counter") {
+                        lines.push(full + formatLabels(s.labels) + " " + formatNumber(s.value));
+                        return;
+                    }
+                    for (var i = 0; i < s.buckets.length; i++) {
+                        lines.push(full + "_bucket" + formatLabels(s.labels, "le=\"" + formatNumber(s.buckets[i]) + "\"") +
+                            " " + s.counts[i]);
+                    }
+                    lines.push(full + "_bucket" + formatLabels(s.labels, "le=\"+Inf\"") + " " + s.count);
+                    lines.push(full + "_sum" + formatLabels(s.labels) + " " + formatNumber(s.sum));
+                    lines.push(full + "_count" + formatLabels(s.labels) + " " + s.count);
+                });
+            });
+
+            var all = [{ name: "uptime_seconds", help: "Seconds since the server started", value: (Date.now() - startedAt) / 1000 }]
+                .concat(gauges || []);
+            var seen = {};
+            all.forEach(function(g) {
+                if (!seen[g.name]) {
+                    seen[g.name] = true;
+                    lines.push("# HELP " + PREFIX + g.name + " " + g.help);
+                    lines.push("# TYPE " + PREFIX + g.name + " gauge");
+                    all.forEach(function(other) {
+                        if (other.name === g.name) {
+                            lines.push(PREFIX + g.name + formatLabels(other.labels) + " " + formatNumber(other.value));
+                        }
+                    });
+                }
+            });
+
+            return lines.join("\n") + "\n";
+        },
+
+        /**
+         * @returns {boolean} Whether metrics are collected (serverConfig.metrics.enabled)
+         */
+        isEnabled: function() {
+            return getConfig().enabled;
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.serverMetrics = serverMetrics;
+    } else if (typeof global !== "undefined") {
+        global.serverMetrics = serverMetrics;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = serverMetrics;
+    }
+
+})();
@@ -0,0 +1,296 @@
+/**
+ * recorderTab.js - Recorder tab for the server monitor dialog
+ *
+ * Starts and stops the request recorder and replays a recorded session
+ * against the current model in dry-run mode (see requestRecorder.js).
+ * Replay results are listed one row per request; rows whose response
+ * differs from the recording are highlighted, and selecting a row shows
+ * the differences and both response bodies.
+ *
+ * @module server/tabs/recorderTab
+ * @requires lib/swtImports
+ * @requires server/requestRecorder
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.recorderTab !== "undefined") {
+        return;
+    }
+
+    var REFRESH_INTERVAL_MS = 2000;
+
+    /**
+     * Format a replay result for the details pane
+     * @param {Object} result - requestRecorder.replay() result row
+     * @returns {string} Details text
+     */
+    function formatDetails(result) {
+        var lines = [];
+        lines.push("#" + result.seq + " " + result.method + " " + result.path);
+        lines.push("Result: " + result.outcome + (result.note ? " (" + result.note + ")" : ""));
+        if (result.differences.length > 0) {
+            lines.push("");
+            lines.push("Differences:");
+            result.differences.forEach(function(d) {
+                lines.push("  " + d);
+            });
+        }
+        lines.push("");
+        lines.push("Recorded (" + result.recordedStatus + "):");
+        lines.push(result.recordedBody !== null ? JSON.stringify(result.recordedBody, null, 2) : "(no body recorded)");
+        if (result.outcome !== "skipped") {
+            lines.push("");
+            lines.push("Replayed (" + result.replayStatus + "):");
+            lines.push(result.replayBody !== null ? JSON.stringify(result.replayBody, null, 2) : "(no body)");
+        }
+        return lines.join("\n");
+    }
+
+    var recorderTab = {
+        /**
+         * Create the Recorder tab content
+         * @param {TabFolder} tabFolder - Parent TabFolder widget
+         * @param {Display} display - SWT Display
+         * @param {Object} options - Options (unused)
+         * @returns {Object} { tabItem, composite, setServerState(state), dispose() }
+         */
+        create: function(tabFolder, display, options) {
+            var SWT = swtImports.SWT;
+            var TabItem = swtImports.TabItem;
+            var Composite = swtImports.Composite;
+            var GridLayout = swtImports.GridLayout;
+            var GridData = swtImports.GridData;
+            var Label = swtImports.Label;
+            var Button = swtImports.Button;
+            var Text = swtImports.Text;
+            var Table = swtImports.Table;
+            var TableItem = swtImports.TableItem;
+            var TableColumn = swtImports.TableColumn;
+            var SashForm = swtImports.SashForm;
+            var Font = swtImports.Font;
+            var Color = swtImports.Color;
+            var Runnable = Java.type("java.lang.Runnable");
+            var FileDialog = Java.type("org.eclipse.swt.widgets.FileDialog");
+            var BusyIndicator = Java.type("org.eclipse.swt.custom.BusyIndicator");
+            var MessageDialog = Java.type("org.eclipse.jface.dialogs.MessageDialog");
+
+            var serverState = null;
+            var disposed = false;
+            var results = [];
+
+            // Create tab item
+            var tabItem = new TabItem(tabFolder, SWT.NONE);
+            tabItem.setText("Recorder");
+
+            var composite = new Composite(tabFolder, SWT.NONE);
+            var layout = new GridLayout(1, false);
+            layout.marginWidth = 5;
+            layout.marginHeight = 5;
+            composite.setLayout(layout);
+            tabItem.setControl(composite);
+
+            // Status row: recording state + actions
+            var statusRow = new Composite(composite, SWT.NONE);
+            statusRow.setLayout(new GridLayout(3, false));
+            statusRow.setLayoutData(new GridData(SWT.FILL, SWT.CENTER, true, false));
+
+            var statusLabel = new Label(statusRow, SWT.NONE);
+            statusLabel.setLayoutData(new GridData(SWT.FILL, SWT.CENTER, true, false));
+
+            var recordButton = new Button(statusRow, SWT.PUSH);
+            var replayButton = new Button(statusRow, SWT.PUSH);
+            replayButton.setText("Replay...");
+
+            var summaryLabel = new Label(composite, SWT.NONE);
+            summaryLabel.setText("Replay a recorded session to compare its responses with the current model. " +
+                "Applies run as dry runs; requests that change the model are skipped.");
+            summaryLabel.setLayoutData(new GridData(SWT.FILL, SWT.CENTER, true, false));
+
+            // Results table above, details below
+            var sash = new SashForm(composite, SWT.VERTICAL);
+            sash.setLayoutData(new GridData(SWT.FILL, SWT.FILL, true, true));
+
+            var table = new Table(sash, SWT.BORDER | SWT.FULL_SELECTION | SWT.V_SCROLL | SWT.H_SCROLL);
+            table.setHeaderVisible(true);
+            table.setLinesVisible(true);
+            [["#", 50], ["Method", 70], ["Path", 380], ["Recorded", 80], ["Replayed", 80],
+             ["Result", 80], ["Note", 360]].forEach(function(col) {
+                var column = new TableColumn(table, SWT.NONE);
+                column.setText(col[0]);
+                column.setWidth(col[1]);
+            });
+
+            var detailsText = new Text(sash, SWT.MULTI | SWT.READ_ONLY | SWT.BORDER | SWT.V_SCROLL | SWT.H_SCROLL);
+            var fontData = detailsText.getFont().getFontData()[0];
+            var monoFont = new Font(display, "Consolas", fontData.getHeight(), SWT.NORMAL);
+            detailsText.setFont(monoFont);
+            sash.setWeights([3, 2]);
+
+            var differsColor = new Color(display, 255, 221, 221);
+            var skippedColor = display.getSystemColor(SWT.COLOR_DARK_GRAY);
+
+            function refreshStatus() {
+                if (disposed || statusLabel.isDisposed()) return;
+                var status = requestRecorder.getStatus();
+                if (status.active) {
+                    statusLabel.setText("Recording " + status.entries + " request(s) to " + status.filePath);
+                    recordButton.setText("Stop Recording");
+                } else {
+                    statusLabel.setText("Not recording" + (status.lastError ? " (last error: " + status.lastError + ")" : ""));
+                    recordButton.setText("Start Recording");
+                }
+                statusRow.layout();
+            }
+
+            function showResults(replay) {
+                results = replay.results;
+                table.removeAll();
+                detailsText.setText("");
+                results.forEach(function(result) {
+                    var item = new TableItem(table, SWT.NONE);
+                    item.setText(0, String(result.seq));
+                    item.setText(1, result.method);
+                    item.setText(2, result.path);
+                    item.setText(3, String(result.recordedStatus));
+                    item.setText(4, result.replayStatus !== null ? String(result.replayStatus) : "-");
+                    item.setText(5, result.outcome);
+                    item.setText(6, result.outcome === "differs" && result.differences.length > 0 ?
+                        result.differences[0] : result.note);
+                    if (result.outcome === "differs") {
+                        item.setBackground(differsColor);
+                    } else if (result.outcome === "skipped") {
+                        item.setForeground(skippedColor);
+                    }
+                });
+                var s = replay.summary;
+                summaryLabel.setText(s.total + " request(s) replayed: " + s.same + " same, " + s.differs +
+                    " different, " + s.skipped + " skipped");
+            }
+
+            recordButton.addListener(SWT.Selection, function() {
+                if (requestRecorder.isActive()) {
+                    requestRecorder.stop();
+                } else {
+                    var started = requestRecorder.start(serverState ? serverState.modelRef : null);
+                    if (!started.active) {
+                        MessageDialog.openError(tabFolder.getShell(), "Start Recording",
+                            "Could not start recording: " + started.reason);
+                    }
+                }
+                refreshStatus();
+            });
+
+            replayButton.addListener(SWT.Selection, function() {
+                var server = serverState ? serverState.serverInstance : null;
+                if (!server || server.getState() !== "running") {
+                    MessageDialog.openInformation(tabFolder.getShell(), "Replay", "The server is not running.");
+                    return;
+                }
+
+                var dialog = new FileDialog(tabFolder.getShell(), SWT.OPEN);
+                dialog.setFilterExtensions(["*.jsonl", "*.*"]);
+                dialog.setFilterNames(["Recorded Sessions (*.jsonl)", "All Files (*.*)"]);
+                dialog.setFilterPath(requestRecorder.getDirectory(serverState.modelRef));
+                var filePath = dialog.open();
+                if (!filePath) return;
+
+                var session;
+                try {
+                    session = requestRecorder.readSession(filePath);
+                } catch (e) {
+                    MessageDialog.openError(tabFolder.getShell(), "Replay", "Could not read " + filePath + ": " + e);
+                    return;
+                }
+                if (session.entries.length === 0) {
+                    MessageDialog.openInformation(tabFolder.getShell(), "Replay", "No recorded requests in " + filePath);
+                    return;
+                }
+                var question = "Replay " + session.entries.length + " request(s) against the current model?\n\n" +
+                    "POST /model/apply runs as a dry run; requests that change the model are skipped.";
+                if (session.session && serverState.modelRef &&
+                    session.session.modelId !== String(serverState.modelRef.getId())) {
+                    question += "\n\nThe session was recorded against another model (" +
+                        (session.session.modelName || session.session.modelId) + ").";
+                }
+                if (!MessageDialog.openConfirm(tabFolder.getShell(), "Replay", question)) {
+                    return;
+                }
+
+                BusyIndicator.showWhile(display, function() {
+                    showResults(requestRecorder.replay(server, session.entries));
+                });
+                if (session.skippedLines > 0) {
+                    summaryLabel.setText(summaryLabel.getText() + " (" + session.skippedLines + " unreadable line(s) ignored)");
+                }
+            });
+
+            table.addListener(SWT.Selection, function() {
+                var index = table.getSelectionIndex();
+                detailsText.setText(index >= 0 && results[index] ? formatDetails(results[index]) : "");
+            });
+
+            composite.addListener(SWT.Dispose, function() {
+                disposed = true;
+                if (monoFont && !monoFont.isDisposed()) {
+                    monoFont.dispose();
+                }
+                if (differsColor && !differsColor.isDisposed()) {
+                    differsColor.dispose();
+                }
+            });
+
+            // Self-rescheduling status refresh (request count while recording)
+            var RefreshRunnable = Java.extend(Runnable, {
+                run: function() {
+                    if (disposed) return;
+                    try {
+                        refreshStatus();
+                    } catch (e) {
+                        // Silently ignore
+                    }
+                    if (!disposed) {
+                        display.timerExec(REFRESH_INTERVAL_MS, new RefreshRunnable());
+                    }
+                }
+            });
+
+            refreshStatus();
+            display.timerExec(REFRESH_INTERVAL_MS, new RefreshRunnable());
+
+            return {
+                tabItem: tabItem,
+                composite: composite,
+
+                /**
+                 * Set server state reference (called after server starts)
+                 * @param {Object} state - Server state with modelRef and serverInstance
+                 */
+                setServerState: function(state) {
+                    serverState = state;
+                },
+
+                /**
+                 * Stop the refresh timer
+                 */
+                dispose: function() {
+                    disposed = true;
+                }
+            };
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.recorderTab = recorderTab;
+    } else if (typeof global !== "undefined") {
+        global.recorderTab = recorderTab;
+    }
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = recorderTab;
+    }
+
+})();
@@ -3,11 +3,13 @@
  *
  * Displays all server configuration values organized in groups.
  * Rate limiting and operation processing settings are editable at runtime
- * (session-only, not persisted). All other settings are read-only.
+ * (session-only, not persisted). API token management acts immediately and is
+ * saved to the tokens file. All other settings are read-only.
  *
  * @module server/tabs/settingsTab
  * @requires lib/swtImports
  * @requires server/serverConfig
+ * @requires server/authTokens (optional)
  */
 
 (function() {
@@ -111,6 +113,196 @@
         return group;
     }
 
+    /**
+     * Create the API token management group.
+     * Changes are applied to authTokens and saved to the tokens file immediately.
+     * @param {Composite} parent - Parent composite
+     * @param {Shell} shell - Shell for dialogs
+     */
+    function createAuthGroup(parent, shell) {
+        var SWT = swtImports.SWT;
+        var Label = swtImports.Label;
+        var Text = swtImports.Text;
+        var Button = swtImports.Button;
+        var Table = swtImports.Table;
+        var TableItem = swtImports.TableItem;
+        var TableColumn = swtImports.TableColumn;
+        var Composite = swtImports.Composite;
+        var RowLayout = swtImports.RowLayout;
+        var GridData = swtImports.GridData;
+        var MessageDialog = swtImports.MessageDialog;
+
+        var group = createGroup(parent, "Authentication (saved to tokens file)");
+
+        if (typeof authTokens === "undefined") {
+            createReadOnlyRow(group, "Status:", "Token support not loaded");
+            return group;
+        }
+
+        var enabledCheckbox = createCheckboxRow(group, "Require Bearer Token:", authTokens.isEnabled());
+        createReadOnlyRow(group, "Tokens File:", authTokens.getFilePath() || "(not loaded)");
+
+        // Token table spans both columns
+        var table = new Table(group, SWT.BORDER | SWT.FULL_SELECTION | SWT.SINGLE);
+        table.setHeaderVisible(true);
+        table.setLinesVisible(true);
+        var tableData = new GridData(SWT.FILL, SWT.TOP, true, false, 2, 1);
+        tableData.heightHint = 90;
+        table.setLayoutData(tableData);
+        var columns = [["Name", 110], ["Scopes", 150], ["Prefix", 80], ["Created", 150], ["Last Used", 150]];
+        for (var c = 0; c < columns.length; c++) {
+            var column = new TableColumn(table, SWT.NONE);
+            column.setText(columns[c][0]);
+            column.setWidth(columns[c][1]);
+        }
+
+        var nameField = createEditableRow(group, "Token Name:", "");
+
+        var scopeLabel = new Label(group, SWT.NONE);
+        scopeLabel.setText("Scopes:");
+        var scopeRow = new Composite(group, SWT.NONE);
+        scopeRow.setLayout(new RowLayout(SWT.HORIZONTAL));
+        var scopeChecks = {};
+        authTokens.SCOPES.forEach(function(scope) {
+            var check = new Button(scopeRow, SWT.CHECK);
+            check.setText(scope);
+            check.setSelection(scope === "read");
+            scopeChecks[scope] = check;
+        });
+
+        var buttonRow = new Composite(group, SWT.NONE);
+        buttonRow.setLayout(new RowLayout(SWT.HORIZONTAL));
+        buttonRow.setLayoutData(new GridData(SWT.RIGHT, SWT.CENTER, true, false, 2, 1));
+        var createButton = new Button(buttonRow, SWT.PUSH);
+        createButton.setText("Create Token");
+        var updateButton = new Button(buttonRow, SWT.PUSH);
+        updateButton.setText("Update Scopes");
+        var revokeButton = new Button(buttonRow, SWT.PUSH);
+        revokeButton.setText("Revoke");
+
+        function selectedScopes() {
+            return authTokens.SCOPES.filter(function(scope) {
+                return scopeChecks[scope].getSelection();
+            });
+        }
+
+        function selectedName() {
+            var selection = table.getSelection();
+            return selection.length > 0 ? String(selection[0].getText(0)) : null;
+        }
+
+        function refreshTable() {
+            table.removeAll();
+            authTokens.listTokens().forEach(function(token) {
+                var item = new TableItem(table, SWT.NONE);
+                item.setText(0, token.name);
+                item.setText(1, token.scopes.join(", "));
+                item.setText(2, token.prefix ? token.prefix + "..." : "");
+                item.setText(3, token.createdAt || "");
+                item.setText(4, token.lastUsedAt || "never (this session)");
+            });
+        }
+
+        function persist(successMessage) {
+            try {
+                authTokens.save();
+                if (typeof loggingQueue !== "undefined") {
+                    loggingQueue.log(successMessage + " (saved to " + authTokens.getFilePath() + ")");
+                }
+                return true;
+            } catch (e) {
+                MessageDialog.openError(shell, "Save Failed", "Could not write tokens file:\n" + e);
+                return false;
+            }
+        }
+
+        enabledCheckbox.addListener(SWT.Selection, function() {
+            var wantEnabled = enabledCheckbox.getSelection();
+            if (wantEnabled && authTokens.listTokens().length === 0) {
+                var proceed = MessageDialog.openConfirm(shell, "Enable Authentication",
+                    "No tokens are configured. Every API request will be rejected until you create one.\n\nEnable anyway?");
+                if (!proceed) {
+                    enabledCheckbox.setSelection(false);
+                    return;
+                }
+            }
+            authTokens.setEnabled(wantEnabled);
+            persist("Token authentication " + (wantEnabled ? "enabled" : "disabled"));
+        });
+
+        table.addListener(SWT.Selection, function() {
+            var name = selectedName();
+            if (!name) return;
+            var token = authTokens.listTokens().filter(function(t) { return t.name === name; })[0];
+            if (!token) return;
+            nameField.setText(token.name);
+            authTokens.SCOPES.forEach(function(scope) {
+                scopeChecks[scope].setSelection(token.scopes.indexOf(scope) !== -1);
+            });
+        });
+
+        createButton.addListener(SWT.Selection, function() {
+            var created;
+            try {
+                created = authTokens.createToken(String(nameField.getText()), selectedScopes());
+            } catch (e) {
+                MessageDialog.openError(shell, "Create Token", String(e.message || e));
+                return;
+            }
+            if (!persist("API token '" + created.summary.name + "' created")) {
+                authTokens.revokeToken(created.summary.name);
+                return;
+            }
+            refreshTable();
+
+            var Clipboard = Java.type("org.eclipse.swt.dnd.Clipboard");
+            var TextTransfer = Java.type("org.eclipse.swt.dnd.TextTransfer");
+            var clipboard = new Clipboard(shell.getDisplay());
+            try {
+                clipboard.setContents([created.token], [TextTransfer.getInstance()]);
+            } finally {
+                clipboard.dispose();
+            }
+            MessageDialog.openInformation(shell, "Token Created",
+                "Token for '" + created.summary.name + "' (copied to clipboard):\n\n" + created.token +
+                "\n\nStore it now - only its hash is saved and it cannot be shown again.");
+        });
+
+        updateButton.addListener(SWT.Selection, function() {
+            var name = selectedName();
+            if (!name) {
+                MessageDialog.openInformation(shell, "Update Scopes", "Select a token in the table first.");
+                return;
+            }
+            try {
+                authTokens.setScopes(name, selectedScopes());
+            } catch (e) {
+                MessageDialog.openError(shell, "Update Scopes", String(e.message || e));
+                return;
+            }
+            persist("API token '" + name + "' scopes updated");
+            refreshTable();
+        });
+
+        revokeButton.addListener(SWT.Selection, function() {
+            var name = selectedName();
+            if (!name) {
+                MessageDialog.openInformation(shell, "Revoke Token", "Select a token in the table first.");
+                return;
+            }
+            if (!MessageDialog.openConfirm(shell, "Revoke Token",
+                    "Revoke token '" + name + "'? Clients using it will be rejected immediately.")) {
+                return;
+            }
+            authTokens.revokeToken(name);
+            persist("API token '" + name + "' revoked");
+            refreshTable();
+        });
+
+        refreshTable();
+        return group;
+    }
+
     var settingsTab = {
         /**
          * Create the Settings tab content
@@ -218,6 +410,9 @@
                     serverConfig.security.headers[headerKeys[i]]);
             }
 
+            // --- Authentication Group (persisted) ---
+            createAuthGroup(innerComposite, tabFolder.getShell());
+
             // --- Logging Group (read-only) ---
             var loggingGroup = createGroup(innerComposite, "Logging");
             createReadOnlyRow(loggingGroup, "Max Lines:", serverConfig.logging.maxLines);
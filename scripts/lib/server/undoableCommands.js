@@ -106,13 +106,14 @@
                 }
             }
 
-            // If we couldn't find a matching editor, try the active editor
-            var activeEditor = page.getActiveEditor();
-            if (activeEditor && activeEditor.getAdapter) {
+            // No open editor: Archi keeps each loaded model's stack as a model adapter.
+            // Never fall back to another model's stack - with several models served
+            // by the API that would put commands on the wrong undo history.
+            if (model.getAdapter) {
                 var GEFCommandStack2 = Java.type("org.eclipse.gef.commands.CommandStack");
-                var stack = activeEditor.getAdapter(GEFCommandStack2.class);
-                if (stack) {
-                    return stack;
+                var modelStack = model.getAdapter(GEFCommandStack2.class);
+                if (modelStack) {
+                    return modelStack;
                 }
             }
 
@@ -1308,13 +1309,125 @@
     }
 
     // =========================================================================
+
+    /**
+     * Execute a batch of change operations as undoable GEF commands.
+     *
+     * batchConfig options (all optional):
+     *   - maxSubCommandsPerBatch, postExecuteVerify, granularity, duplicateStrategy
+     *   - atomic: if execution fails after some chunks were committed, undo them so
+     *     the model is left exactly as it was. Errors carry `atomic` rollback details.
+     *   - dryRun: build every command (resolving references and IDs) but execute
+     *     nothing. Results carry the IDs that would be created.
+     *   - provenance: { client, opId, planId } stamps the property names from
+     *     serverConfig.provenance.properties on every element and relationship the
+     *     batch creates or updates, in the same undo unit as the last change.
+     *
+     * Thrown errors are annotated with `opIndex` (the failing change, when known)
+     * and `phase` ("build" or "execute").
+     *
+     * @param {Object} model - IArchimateModel
+     * @param {string} label - Undo label
+     * @param {Array} operations - Change descriptors
+     * @param {Object} [batchConfig] - Options above
+     * @returns {Array} Per-operation results
+     */
     function executeBatch(model, label, operations, batchConfig) {
+        var progress = {
+            phase: "build",
+            opIndex: null,
+            opIndices: null,
+            committed: [],       // Command units executed and still on the command stack
+            createdOpIndex: {}   // created object ID -> change index
+        };
+        try {
+            return _executeBatchUnits(model, label, operations, batchConfig, progress);
+        } catch (e) {
+            var err = _annotateBatchError(e, progress);
+            if (batchConfig && batchConfig.atomic) {
+                var undone = progress.committed.length > 0 ? _rollbackCommitted(model, progress.committed) : 0;
+                err.atomic = {
+                    rolledBack: undone === progress.committed.length,
+                    committedUnits: progress.committed.length,
+                    undoneUnits: undone
+                };
+                if (!err.atomic.rolledBack) {
+                    err.message += " (atomic rollback incomplete: " + undone + " of " +
+                        progress.committed.length + " command units undone; another command is on top of the undo stack)";
+                }
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Attach failure context from executeBatch progress to a thrown error
+     * @private
+     */
+    function _annotateBatchError(e, progress) {
+        var err = e;
+        if (!(e instanceof Error)) {
+            err = new Error(e && e.message ? String(e.message) : String(e));
+            if (e && e.javaException) err.javaException = e.javaException;
+        }
+        if (typeof err.opIndex !== "number" && progress.opIndex !== null) {
+            err.opIndex = progress.opIndex;
+        }
+        if (progress.opIndices && !err.opIndices) {
+            err.opIndices = progress.opIndices;  // Changes in the command unit that failed
+        }
+        err.phase = progress.phase;
+        return err;
+    }
+
+    /**
+     * Undo committed command units, newest first. Stops at the first unit that is
+     * no longer on top of the undo stack (something else was executed since).
+     * @returns {number} Number of units undone
+     * @private
+     */
+    function _rollbackCommitted(model, committed) {
+        var commandStack = getCommandStack(model);
+        var undone = 0;
+        for (var k = committed.length - 1; k >= 0; k--) {
+            if (commandStack.getUndoCommand() !== committed[k]) break;
+            commandStack.undo();
+            undone++;
+        }
+        return undone;
+    }
+
+    /**
+     * Execute one command unit and record it for atomic rollback
+     * @private
+     */
+    function _executeUnit(model, command, progress, opBoundaryIndex, fromBoundary, toBoundary) {
+        progress.opIndices = opBoundaryIndex.slice(fromBoundary, toBoundary);
+        progress.opIndex = progress.opIndices.length === 1 ? progress.opIndices[0] : null;
+        executeCommand(model, command);
+        progress.committed.push(command);
+    }
+
+    /**
+     * Map a silent-rollback result back to the first change whose created object went missing
+     * @private
+     */
+    function _firstMissingOpIndex(rollback, progress) {
+        for (var m = 0; m < rollback.missingIds.length; m++) {
+            var idx = progress.createdOpIndex[rollback.missingIds[m]];
+            if (typeof idx === "number") return idx;
+        }
+        return null;
+    }
+
+    function _executeBatchUnits(model, label, operations, batchConfig, progress) {
         // Merge config: caller overrides > serverConfig > defaults
         var config = {
             maxSubCommandsPerBatch: 50,
             postExecuteVerify: true,
             granularity: null, // R2: "per-operation" to execute each op as its own CompoundCommand
-            defaultDuplicateStrategy: "error"
+            defaultDuplicateStrategy: "error",
+            dryRun: false
         };
         if (typeof serverConfig !== "undefined" && serverConfig.operations) {
             if (serverConfig.operations.maxSubCommandsPerBatch !== undefined) {
@@ -1337,6 +1450,7 @@
             if (batchConfig.duplicateStrategy !== undefined && batchConfig.duplicateStrategy !== null) {
                 config.defaultDuplicateStrategy = String(batchConfig.duplicateStrategy).toLowerCase();
             }
+            config.dryRun = batchConfig.dryRun === true;
         }
 
         if (config.defaultDuplicateStrategy !== "error" &&
@@ -1429,13 +1543,16 @@
         // R1: Track operation boundaries for operation-aligned chunking
         // Each entry is the sub-command index where a logical operation starts
         var opBoundaries = [];
+        var opBoundaryIndex = []; // change index for each boundary (failure reporting)
 
         // First pass: create all elements
         for (var i = 0; i < operations.length; i++) {
             var op = operations[i];
+            progress.opIndex = i;
 
             if (op.op === "createElement") {
                 opBoundaries.push(compound.size()); // R1: mark operation boundary
+                opBoundaryIndex.push(i);
                 var element = createElementByType(op.type);
 
                 // Set name
@@ -1486,9 +1603,11 @@
 
                 // Track for post-execution verification
                 createdElementIds.push(element.getId());
+                progress.createdOpIndex[element.getId()] = i;
             }
             else if (op.op === "createOrGetElement") {
                 opBoundaries.push(compound.size()); // R1: mark operation boundary
+                opBoundaryIndex.push(i);
                 var createSpec = op.create || {};
                 var matchSpec = op.match || {};
                 var strategy = resolveDuplicateStrategy(op, config.defaultDuplicateStrategy, true);
@@ -1561,6 +1680,7 @@
                     compound.add(coeAddCmd);
 
                     createdElementIds.push(selected.getId());
+                    progress.createdOpIndex[selected.getId()] = i;
                 }
 
                 if (tempId) {
@@ -1596,6 +1716,7 @@
 
         for (var j = 0; j < operations.length; j++) {
             var operation = operations[j];
+            progress.opIndex = j;
 
             // Deletes go to third pass so creates are fully committed first
             if (operation.op === "deleteConnectionFromView" || operation.op === "deleteElement" ||
@@ -1715,6 +1836,7 @@
 
                 // Track for post-execution verification
                 createdRelationshipIds.push(rel.getId());
+                progress.createdOpIndex[rel.getId()] = j;
             }
             else if (operation.op === "createOrGetRelationship") {
                 var createRel = operation.create || {};
@@ -1839,6 +1961,7 @@
                     );
                     compound.add(coRelAddCmd);
                     createdRelationshipIds.push(selectedRel.getId());
+                    progress.createdOpIndex[selectedRel.getId()] = j;
                 }
 
                 if (relTempId) {
@@ -2624,7 +2747,10 @@
                     op: "deleteElement",
                     id: elemId,
                     name: elemName,
-                    cascade: doCascade
+                    cascade: doCascade,
+                    cascadedRelationshipIds: doCascade ? relRefs.map(function(ref) {
+                        return ref.relationship.getId();
+                    }) : []
                 });
             }
             else if (operation.op === "deleteRelationship") {
@@ -3484,6 +3610,7 @@
             // R1: record boundary if this operation added sub-commands
             if (compound.size() > _opStartP2) {
                 opBoundaries.push(_opStartP2);
+                opBoundaryIndex.push(j);
             }
         }
 
@@ -3492,6 +3619,7 @@
         // the time the delete executes in the compound command).
         for (var p3 = 0; p3 < operations.length; p3++) {
             var op3 = operations[p3];
+            progress.opIndex = p3;
             var _opStartP3 = compound.size(); // R1: track operation boundary
             if (op3.op === "deleteConnectionFromView") {
                 var viewForConnDel3 = idMap[op3.viewId] || findElementById(model, op3.viewId);
@@ -3635,7 +3763,12 @@
                     });
                     compound.add(new DE3());
                 })(elemToDelete3, elemId3);
-                results.push({ op: "deleteElement", id: elemId3, name: elemName3, cascade: doCascade3 });
+                results.push({
+                    op: "deleteElement", id: elemId3, name: elemName3, cascade: doCascade3,
+                    cascadedRelationshipIds: doCascade3 ? relRefs3.map(function(ref) {
+                        return ref.relationship.getId();
+                    }) : []
+                });
             }
             else if (op3.op === "deleteRelationship") {
                 var relToDelete3 = idMap[op3.id] || findElementById(model, op3.id);
@@ -3713,9 +3846,15 @@
             // R1: record boundary if this delete added sub-commands
             if (compound.size() > _opStartP3) {
                 opBoundaries.push(_opStartP3);
+                opBoundaryIndex.push(p3);
             }
         }
 
+        // Provenance stamps join the last operation's command unit
+        if (batchConfig && batchConfig.provenance && !config.dryRun && opBoundaries.length > 0) {
+            _queueProvenance(model, results, batchConfig.provenance, queuePropertiesOnConcept);
+        }
+
         // --- Chunked Execution ---
         // R1: Add sentinel boundary for operation-aligned chunking
         opBoundaries.push(compound.size());
@@ -3726,13 +3865,27 @@
         var maxSubCmds = config.maxSubCommandsPerBatch;
         var totalSubCmds = compound.size();
 
+        if (config.dryRun) {
+            // Dry run: every command is built and every reference resolved, but nothing
+            // executes. Created EMF objects stay detached and are discarded.
+            for (var di = 0; di < results.length; di++) {
+                delete results[di].element;
+                delete results[di].relationship;
+                results[di].dryRun = true;
+            }
+            return results;
+        }
+
         if (totalSubCmds === 0) {
             return results;
         }
 
+        progress.phase = "execute";
+        progress.opIndex = null;
+
         if (totalSubCmds <= maxSubCmds || maxSubCmds <= 0) {
             // Small enough — execute as single compound command (original behavior)
-            executeCommand(model, compound);
+            _executeUnit(model, compound, progress, opBoundaryIndex, 0, opBoundaryIndex.length);
         } else if (config.granularity === "per-operation" && opBoundaries.length > 1) {
             // R2: Execute each operation as its own CompoundCommand for maximum isolation
             var commandList = compound.getCommands();
@@ -3744,7 +3897,7 @@
                     opChunk.add(commandList.get(ci));
                 }
 
-                executeCommand(model, opChunk);
+                _executeUnit(model, opChunk, progress, opBoundaryIndex, opI, opI + 1);
 
                 // Verify each operation wasn't silently rolled back
                 if (config.postExecuteVerify && createdElementIds.length + createdRelationshipIds.length > 0) {
@@ -3755,6 +3908,7 @@
 
                     var rollbackDetected = _verifyCreatedObjects(model, createdElementIds, createdRelationshipIds);
                     if (rollbackDetected) {
+                        progress.opIndex = _firstMissingOpIndex(rollbackDetected, progress);
                         throw new Error(
                             "Silent batch rollback detected after op " + (opI + 1) +
                             ": " + rollbackDetected.missing + " of " + rollbackDetected.total +
@@ -3801,7 +3955,7 @@
                     chunk.add(commandList.get(ci));
                 }
 
-                executeCommand(model, chunk);
+                _executeUnit(model, chunk, progress, opBoundaryIndex, opIdx - opsInChunk, opIdx);
 
                 // Verify chunk wasn't silently rolled back
                 if (config.postExecuteVerify && createdElementIds.length + createdRelationshipIds.length > 0) {
@@ -3813,6 +3967,7 @@
 
                     var rollbackDetected = _verifyCreatedObjects(model, createdElementIds, createdRelationshipIds);
                     if (rollbackDetected) {
+                        progress.opIndex = _firstMissingOpIndex(rollbackDetected, progress);
                         throw new Error(
                             "Silent batch rollback detected after chunk " + chunkIndex +
                             ": " + rollbackDetected.missing + " of " + rollbackDetected.total +
@@ -3836,6 +3991,7 @@
 
             var rollback = _verifyCreatedObjects(model, createdElementIds, createdRelationshipIds);
             if (rollback) {
+                progress.opIndex = _firstMissingOpIndex(rollback, progress);
                 throw new Error(
                     "Silent batch rollback detected: " + rollback.missing + " of " + rollback.total +
                     " created objects not found in model folders after execution. " +
@@ -3870,6 +4026,198 @@
         return results;
     }
 
+    /**
+     * Summarize executeBatch results as the IDs created, updated and deleted.
+     * Skipped results and reused concepts are left out; relationships removed by
+     * a cascading deleteElement are listed as deleted.
+     *
+     * @param {Array} results - Results from executeBatch()
+     * @returns {{created: Array<string>, updated: Array<string>, deleted: Array<string>}}
+     */
+    function summarizeChanges(results) {
+        var created = [];
+        var updated = [];
+        var deleted = [];
+        var seen = {};
+
+        function add(list, kind, id) {
+            if (!id) return;
+            id = String(id);
+            var prior = seen[id];
+            if (prior === "created" && kind === "updated") return;
+            if (prior === kind || prior === "deleted") return;
+            if (prior) {
+                var priorList = prior === "created" ? created : updated;
+                priorList.splice(priorList.indexOf(id), 1);
+                // Created and deleted within one batch: net effect is nothing
+                if (prior === "created" && kind === "deleted") {
+                    seen[id] = "deleted";
+                    return;
+                }
+            }
+            seen[id] = kind;
+            list.push(id);
+        }
+
+        for (var i = 0; i < (results || []).length; i++) {
+            var r = results[i];
+            if (!r || r.skipped) continue;
+            switch (r.op) {
+                case "createElement":
+                case "createRelationship":
+                    add(created, "created", r.realId);
+                    break;
+                case "createOrGetElement":
+                case "createOrGetRelationship":
+                    if (r.action !== "reused") add(created, "created", r.realId);
+                    break;
+                case "createFolder":
+                    add(created, "created", r.folderId);
+                    break;
+                case "createView":
+                    add(created, "created", r.viewId);
+                    break;
+                case "duplicateView":
+                    add(created, "created", r.newViewId);
+                    break;
+                case "createNote":
+                    add(created, "created", r.noteId);
+                    break;
+                case "createGroup":
+                    add(created, "created", r.groupId);
+                    break;
+                case "addToView":
+                    add(created, "created", r.visualId);
+                    break;
+                case "addConnectionToView":
+                    add(created, "created", r.connectionId);
+                    break;
+                case "updateElement":
+                case "updateRelationship":
+                case "setProperty":
+                case "moveToFolder":
+                    add(updated, "updated", r.id);
+                    break;
+                case "nestInView":
+                case "styleViewObject":
+                case "moveViewObject":
+                    add(updated, "updated", r.visualId);
+                    break;
+                case "styleConnection":
+                    add(updated, "updated", r.connectionId);
+                    break;
+                case "setViewRouter":
+                case "layoutView":
+                    add(updated, "updated", r.viewId);
+                    break;
+                case "deleteElement":
+                    add(deleted, "deleted", r.id);
+                    var cascaded = r.cascadedRelationshipIds || [];
+                    for (var k = 0; k < cascaded.length; k++) {
+                        add(deleted, "deleted", cascaded[k]);
+                    }
+                    break;
+                case "deleteRelationship":
+                    add(deleted, "deleted", r.id);
+                    break;
+                case "deleteView":
+                    add(deleted, "deleted", r.viewId);
+                    break;
+                case "deleteConnectionFromView":
+                    add(deleted, "deleted", r.connectionId);
+                    break;
+            }
+        }
+
+        return { created: created, updated: updated, deleted: deleted };
+    }
+
+    /**
+     * Provenance property names (serverConfig.provenance.properties over the defaults)
+     * @returns {Object} stamp -> property key (null: not stamped)
+     */
+    function getProvenanceProperties() {
+        var names = {
+            createdBy: "api:createdBy",
+            createdAt: "api:createdAt",
+            modifiedBy: "api:modifiedBy",
+            modifiedAt: "api:modifiedAt",
+            opId: "api:opId",
+            planId: "api:planId"
+        };
+        var configured = typeof serverConfig !== "undefined" && serverConfig.provenance ?
+            serverConfig.provenance.properties : null;
+        if (configured) {
+            for (var stamp in names) {
+                if (configured.hasOwnProperty(stamp)) names[stamp] = configured[stamp] || null;
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Queue provenance properties on the concepts a batch creates or updates
+     * @param {Object} model - IArchimateModel
+     * @param {Array} results - Per-operation results built so far
+     * @param {Object} provenance - { client, opId, planId }
+     * @param {Function} queueProperties - (concept, { key: value }) adds property commands
+     * @private
+     */
+    function _queueProvenance(model, results, provenance, queueProperties) {
+        var names = getProvenanceProperties();
+        var now = new Date().toISOString();
+        var changeSet = summarizeChanges(results);
+
+        // Created concepts are not in the model yet: take them from the results
+        var pending = {};
+        results.forEach(function(r) {
+            var concept = r && (r.element || r.relationship);
+            if (concept && typeof concept.getId === "function") pending[String(concept.getId())] = concept;
+        });
+
+        function stamp(id, created) {
+            var concept = pending[id] || findElementById(model, id);
+            // Elements and relationships only (views and folders have no concept provenance)
+            if (!concept || !concept.getProperties || isViewConcept(concept) || !concept.eClass ||
+                concept.eClass().getName() === "Folder") return;
+            var values = {};
+            if (created) {
+                if (names.createdBy && provenance.client) values[names.createdBy] = provenance.client;
+                if (names.createdAt) values[names.createdAt] = now;
+            }
+            if (names.modifiedBy && provenance.client) values[names.modifiedBy] = provenance.client;
+            if (names.modifiedAt) values[names.modifiedAt] = now;
+            if (names.opId && provenance.opId) values[names.opId] = provenance.opId;
+            if (names.planId && provenance.planId) values[names.planId] = provenance.planId;
+            queueProperties(concept, values);
+        }
+
+        changeSet.created.forEach(function(id) { stamp(id, true); });
+        changeSet.updated.forEach(function(id) { stamp(id, false); });
+    }
+
+    /**
+     * Read the provenance properties of a concept
+     * @param {Object} concept - Element or relationship
+     * @returns {Object} { createdBy, createdAt, modifiedBy, modifiedAt, opId, planId } (null when absent)
+     */
+    function readProvenance(concept) {
+        var names = getProvenanceProperties();
+        var values = {};
+        var props = concept && concept.getProperties ? concept.getProperties() : null;
+        for (var stamp in names) {
+            values[stamp] = null;
+            if (!names[stamp] || !props) continue;
+            for (var i = 0; i < props.size(); i++) {
+                if (props.get(i).getKey() === names[stamp]) {
+                    values[stamp] = String(props.get(i).getValue());
+                    break;
+                }
+            }
+        }
+        return values;
+    }
+
     /**
      * Verify that created objects actually exist in model folders after command execution.
      * Detects silent rollback by the GEF command stack.
@@ -4144,6 +4492,9 @@
         updateDocumentation: updateDocumentation,
         deleteElement: deleteElement,
         executeBatch: executeBatch,
+        summarizeChanges: summarizeChanges,
+        getProvenanceProperties: getProvenanceProperties,
+        readProvenance: readProvenance,
         findElementById: findElementById,
         findViewById: findViewById,
         getCommandStack: getCommandStack,
@@ -4152,22 +4503,37 @@
          * Register a listener on the model's command stack to detect external changes
          * (e.g., user pressing Ctrl+Z, or command stack rejecting a command).
          *
-         * The callback fires on any command stack event NOT initiated by executeBatch().
+         * The callback fires after every command stack execute, undo or redo, including
+         * the ones issued by executeBatch() - callers filter their own batches.
          * Typical use: trigger modelSnapshot.refreshSnapshot() on external undo/redo.
          *
          * @param {Object} model - IArchimateModel
-         * @param {Function} callback - Called with (eventType) on command stack changes.
-         *   eventType is a string: "execute", "undo", "redo", or "flush"
+         * @param {Function} callback - Called with (eventType, label) on command stack changes.
+         *   eventType is a string: "execute", "undo" or "redo"; label is the command label or null
          * @returns {Object} listener handle with .remove() method to unregister
          */
         registerCommandStackListener: function(model, callback) {
-            var CommandStackListener = Java.type("org.eclipse.gef.commands.CommandStackListener");
+            var CommandStackEventListener = Java.type("org.eclipse.gef.commands.CommandStackEventListener");
+            var GEFCommandStack = Java.type("org.eclipse.gef.commands.CommandStack");
             var commandStack = getCommandStack(model);
 
-            var listener = new (Java.extend(CommandStackListener, {
-                commandStackChanged: function(event) {
+            var listener = new (Java.extend(CommandStackEventListener, {
+                stackChanged: function(event) {
+                    var detail = event.getDetail();
+                    var eventType = null;
+                    if (detail === GEFCommandStack.POST_EXECUTE) {
+                        eventType = "execute";
+                    } else if (detail === GEFCommandStack.POST_UNDO) {
+                        eventType = "undo";
+                    } else if (detail === GEFCommandStack.POST_REDO) {
+                        eventType = "redo";
+                    }
+                    if (!eventType) return;
+
                     try {
-                        callback("changed");
+                        var command = event.getCommand();
+                        var label = command && command.getLabel() ? String(command.getLabel()) : null;
+                        callback(eventType, label);
                     } catch (e) {
                         // Swallow errors in callback to avoid crashing the command stack
                         if (typeof console !== "undefined" && console.error) {
@@ -4177,12 +4543,12 @@
                 }
             }))();
 
-            commandStack.addCommandStackListener(listener);
+            commandStack.addCommandStackEventListener(listener);
 
             return {
                 remove: function() {
                     try {
-                        commandStack.removeCommandStackListener(listener);
+                        commandStack.removeCommandStackEventListener(listener);
                     } catch (e) { /* ignore */ }
                 }
             };
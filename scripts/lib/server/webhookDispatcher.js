@@ -0,0 +1,410 @@
+/**
+ * webhookDispatcher.js - Outbound webhook delivery for finished operations
+ *
+ * POST /model/apply accepts a `callbackUrl`. When the operation reaches
+ * `complete` or `error`, operationQueue hands the final /ops/status body to
+ * this module, which POSTs it as JSON and retries with exponential backoff.
+ *
+ * Requests go out through java.net.http.HttpClient.sendAsync(), so the SWT
+ * Display thread never blocks on the network. The returned futures are polled
+ * from a Display.timerExec loop; no JavaScript runs on HttpClient threads.
+ *
+ * Callback URLs are limited to loopback hosts plus `webhooks.allowedHosts`,
+ * redirects are not followed, and every attempt is written to the monitor log.
+ *
+ * @module server/webhookDispatcher
+ * @requires server/serverConfig (optional)
+ * @requires server/loggingQueue (optional)
+ */
+
+(function() {
+    "use strict";
+
+    // Guard against double-loading
+    if (typeof globalThis !== "undefined" && typeof globalThis.webhookDispatcher !== "undefined") {
+        return;
+    }
+
+    var URI = Java.type("java.net.URI");
+
+    var LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]", "::1"];
+    var RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+    var MAX_RECENT = 100;
+
+    var httpClient = null;
+    var displayRef = null;
+    var running = false;
+    var timerScheduled = false;
+    var nextDeliveryId = 1;
+    var active = [];      // Deliveries waiting for a retry or an in-flight response
+    var recent = [];      // Finished deliveries, newest last
+    var totals = { delivered: 0, failed: 0, attempts: 0 };
+
+    function getConfig() {
+        var cfg = (typeof serverConfig !== "undefined" && serverConfig.webhooks) ? serverConfig.webhooks : {};
+        return {
+            enabled: cfg.enabled !== false,
+            allowedHosts: Array.isArray(cfg.allowedHosts) ? cfg.allowedHosts : [],
+            maxAttempts: cfg.maxAttempts || 5,
+            initialBackoffMs: cfg.initialBackoffMs || 1000,
+            maxBackoffMs: cfg.maxBackoffMs || 30000,
+            timeoutMs: cfg.timeoutMs || 10000,
+            maxPending: cfg.maxPending || 100,
+            pollIntervalMs: cfg.pollIntervalMs || 200
+        };
+    }
+
+    function logInfo(message) {
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.log(message);
+        }
+    }
+
+    function logWarn(message) {
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.warn(message);
+        }
+    }
+
+    function logError(message) {
+        if (typeof loggingQueue !== "undefined" && loggingQueue) {
+            loggingQueue.error(message);
+        }
+    }
+
+    function validationError(message) {
+        var err = new Error(message);
+        err.code = "ValidationError";
+        return err;
+    }
+
+    function getHttpClient(cfg) {
+        if (!httpClient) {
+            var HttpClient = Java.type("java.net.http.HttpClient");
+            var Duration = Java.type("java.time.Duration");
+            httpClient = HttpClient.newBuilder()
+                .connectTimeout(Duration.ofMillis(cfg.timeoutMs))
+                .followRedirects(Java.type("java.net.http.HttpClient$Redirect").NEVER)
+                .build();
+        }
+        return httpClient;
+    }
+
+    function backoffMs(cfg, attempt) {
+        var delay = cfg.initialBackoffMs * Math.pow(2, attempt - 1);
+        return Math.min(delay, cfg.maxBackoffMs);
+    }
+
+    function describeFailure(error) {
+        if (!error) return "unknown error";
+        var cause = error.getCause ? error.getCause() : null;
+        var target = cause || error;
+        var message = target.getMessage ? target.getMessage() : null;
+        var name = target.getClass ? String(target.getClass().getSimpleName()) : "Error";
+        return message ? name + ": " + message : name;
+    }
+
+    function updateTarget(delivery) {
+        if (!delivery.target) return;
+        delivery.target.status = delivery.status;
+        delivery.target.attempts = delivery.attempts;
+        delivery.target.lastStatusCode = delivery.lastStatusCode;
+        delivery.target.lastError = delivery.lastError;
+        delivery.target.nextAttemptAt = delivery.status === "pending" && delivery.nextAttemptAt ?
+            new Date(delivery.nextAttemptAt).toISOString() : null;
+        delivery.target.deliveredAt = delivery.deliveredAt;
+    }
+
+    function finish(delivery, status) {
+        delivery.status = status;
+        delivery.future = null;
+        if (status === "delivered") {
+            totals.delivered++;
+            delivery.deliveredAt = new Date().toISOString();
+        } else {
+            totals.failed++;
+        }
+        updateTarget(delivery);
+        recent.push(delivery);
+        if (recent.length > MAX_RECENT) {
+            recent.splice(0, recent.length - MAX_RECENT);
+        }
+    }
+
+    function send(delivery, cfg) {
+        var HttpRequest = Java.type("java.net.http.HttpRequest");
+        var BodyPublishers = Java.type("java.net.http.HttpRequest$BodyPublishers");
+        var BodyHandlers = Java.type("java.net.http.HttpResponse$BodyHandlers");
+        var Duration = Java.type("java.time.Duration");
+
+        delivery.attempts++;
+        totals.attempts++;
+        delivery.nextAttemptAt = null;
+        try {
+            var version = (typeof serverConfig !== "undefined" && serverConfig.server) ? serverConfig.server.version : "";
+            var request = HttpRequest.newBuilder(URI.create(delivery.url))
+                .timeout(Duration.ofMillis(cfg.timeoutMs))
+                .header("Content-Type", "application/json")
+                .header("User-Agent", "jarchi-model-api/" + version)
+                .header("X-Jarchi-Event", delivery.event)
+                .header("X-Jarchi-Delivery", delivery.id)
+                .header("X-Jarchi-Attempt", String(delivery.attempts))
+                .POST(BodyPublishers.ofString(delivery.body))
+                .build();
+            delivery.future = getHttpClient(cfg).sendAsync(request, BodyHandlers.discarding());
+        } catch (e) {
+            delivery.future = null;
+            handleFailure(delivery, cfg, null, describeFailure(e.javaException || e));
+        }
+    }
+
+    function handleFailure(delivery, cfg, statusCode, message) {
+        delivery.lastStatusCode = statusCode;
+        delivery.lastError = message;
+        var retryable = statusCode === null || RETRYABLE_STATUS.indexOf(statusCode) !== -1;
+        if (retryable && delivery.attempts < cfg.maxAttempts) {
+            var delay = backoffMs(cfg, delivery.attempts);
+            delivery.nextAttemptAt = Date.now() + delay;
+            updateTarget(delivery);
+            logWarn("Webhook " + delivery.id + " for " + delivery.operationId + " -> " + delivery.url +
+                " failed (attempt " + delivery.attempts + "/" + cfg.maxAttempts + ": " + message +
+                "), retrying in " + delay + "ms");
+            return;
+        }
+        finish(delivery, "failed");
+        logError("Webhook " + delivery.id + " for " + delivery.operationId + " -> " + delivery.url +
+            " FAILED after " + delivery.attempts + " attempt(s): " + message);
+    }
+
+    /**
+     * Check in-flight futures and due retries (Display thread)
+     */
+    function poll() {
+        var cfg = getConfig();
+        var now = Date.now();
+        var stillActive = [];
+
+        for (var i = 0; i < active.length; i++) {
+            var delivery = active[i];
+
+            if (delivery.future) {
+                if (!delivery.future.isDone()) {
+                    stillActive.push(delivery);
+                    continue;
+                }
+                var future = delivery.future;
+                delivery.future = null;
+                try {
+                    var statusCode = future.get().statusCode();
+                    if (statusCode >= 200 && statusCode < 300) {
+                        delivery.lastStatusCode = statusCode;
+                        delivery.lastError = null;
+                        finish(delivery, "delivered");
+                        logInfo("Webhook " + delivery.id + " for " + delivery.operationId + " -> " + delivery.url +
+                            " delivered (HTTP " + statusCode + ", attempt " + delivery.attempts + ")");
+                        continue;
+                    }
+                    handleFailure(delivery, cfg, statusCode, "HTTP " + statusCode);
+                } catch (e) {
+                    handleFailure(delivery, cfg, null, describeFailure(e.javaException || e));
+                }
+            } else if (delivery.nextAttemptAt !== null && delivery.nextAttemptAt <= now) {
+                send(delivery, cfg);
+            }
+
+            if (delivery.status === "pending") {
+                stillActive.push(delivery);
+            }
+        }
+
+        active = stillActive;
+    }
+
+    function schedule() {
+        if (timerScheduled || !running || !displayRef || active.length === 0) return;
+        timerScheduled = true;
+        displayRef.timerExec(getConfig().pollIntervalMs, function() {
+            timerScheduled = false;
+            if (!running) return;
+            try {
+                poll();
+            } catch (e) {
+                logError("Webhook dispatcher error: " + e);
+            }
+            schedule();
+        });
+    }
+
+    var webhookDispatcher = {
+        /**
+         * Check whether webhook delivery is enabled in serverConfig
+         * @returns {boolean}
+         */
+        isEnabled: function() {
+            return getConfig().enabled;
+        },
+
+        /**
+         * Validate a callback URL against the loopback/allowlist policy
+         * @param {*} url - Value from the request body
+         * @returns {string} Normalized URL
+         * @throws {Error} ValidationError when the URL is not acceptable
+         */
+        validateCallbackUrl: function(url) {
+            var cfg = getConfig();
+            if (!cfg.enabled) {
+                throw validationError("Webhooks are disabled (serverConfig.webhooks.enabled)");
+            }
+            if (typeof url !== "string" || url.trim() === "" || url.length > 2048) {
+                throw validationError("Invalid 'callbackUrl'. Must be an absolute http(s) URL of at most 2048 characters.");
+            }
+            var uri;
+            try {
+                uri = URI.create(url.trim());
+            } catch (e) {
+                throw validationError("Invalid 'callbackUrl': " + describeFailure(e.javaException || e));
+            }
+            var scheme = uri.getScheme() ? String(uri.getScheme()).toLowerCase() : "";
+            if (scheme !== "http" && scheme !== "https") {
+                throw validationError("Invalid 'callbackUrl'. Scheme must be http or https.");
+            }
+            if (uri.getRawUserInfo() !== null) {
+                throw validationError("Invalid 'callbackUrl'. Credentials in the URL are not allowed.");
+            }
+            var host = uri.getHost() ? String(uri.getHost()).toLowerCase() : "";
+            if (!host) {
+                throw validationError("Invalid 'callbackUrl'. Host is missing.");
+            }
+            var port = uri.getPort();
+            var hostPort = port === -1 ? host : host + ":" + port;
+            var allowed = LOOPBACK_HOSTS.indexOf(host) !== -1;
+            for (var i = 0; !allowed && i < cfg.allowedHosts.length; i++) {
+                var entry = String(cfg.allowedHosts[i]).toLowerCase();
+                allowed = entry === host || entry === hostPort;
+            }
+            if (!allowed) {
+                throw validationError("Invalid 'callbackUrl'. Host '" + hostPort +
+                    "' is not localhost and not in serverConfig.webhooks.allowedHosts.");
+            }
+            return String(uri.toString());
+        },
+
+        /**
+         * Queue a delivery. The first attempt is made on the next poll.
+         * @param {string} url - Validated callback URL
+         * @param {Object} payload - JSON body
+         * @param {Object} meta - { operationId, event, target } where target is an
+         *   object kept in sync with delivery status (e.g. operation.webhook)
+         * @returns {Object|null} Delivery summary, or null when dropped
+         */
+        enqueue: function(url, payload, meta) {
+            var cfg = getConfig();
+            meta = meta || {};
+            var delivery = {
+                id: "wh_" + Date.now() + "_" + (nextDeliveryId++),
+                url: url,
+                operationId: meta.operationId || null,
+                event: meta.event || "operation.finished",
+                body: JSON.stringify(payload),
+                target: meta.target || null,
+                status: "pending",
+                attempts: 0,
+                lastStatusCode: null,
+                lastError: null,
+                nextAttemptAt: Date.now(),
+                deliveredAt: null,
+                createdAt: new Date().toISOString(),
+                future: null
+            };
+
+            if (active.length >= cfg.maxPending) {
+                delivery.lastError = "Too many pending webhook deliveries (" + cfg.maxPending + ")";
+                finish(delivery, "failed");
+                logError("Webhook for " + delivery.operationId + " -> " + url + " dropped: " + delivery.lastError);
+                return this._summarize(delivery);
+            }
+            if (!running) {
+                delivery.lastError = "Webhook dispatcher is not running";
+                finish(delivery, "failed");
+                logError("Webhook for " + delivery.operationId + " -> " + url + " dropped: " + delivery.lastError);
+                return this._summarize(delivery);
+            }
+
+            updateTarget(delivery);
+            active.push(delivery);
+            logInfo("Webhook " + delivery.id + " queued for " + delivery.operationId + " -> " + url);
+            schedule();
+            return this._summarize(delivery);
+        },
+
+        /**
+         * Start the delivery loop
+         * @param {org.eclipse.swt.widgets.Display} display - SWT Display reference
+         */
+        start: function(display) {
+            displayRef = display;
+            running = true;
+            schedule();
+        },
+
+        /**
+         * Stop the delivery loop. Pending deliveries are abandoned.
+         */
+        stop: function() {
+            running = false;
+            if (active.length > 0) {
+                logWarn("Webhook dispatcher stopped with " + active.length + " pending deliver" +
+                    (active.length === 1 ? "y" : "ies"));
+                for (var i = 0; i < active.length; i++) {
+                    if (active[i].future) {
+                        try { active[i].future.cancel(true); } catch (e) { /* ignore */ }
+                    }
+                    active[i].lastError = "Server stopped before delivery";
+                    finish(active[i], "failed");
+                }
+            }
+            active = [];
+        },
+
+        /**
+         * Delivery statistics for /health
+         * @returns {Object}
+         */
+        getStats: function() {
+            return {
+                enabled: getConfig().enabled,
+                pending: active.length,
+                delivered: totals.delivered,
+                failed: totals.failed,
+                attempts: totals.attempts,
+                recent: recent.slice(-10).reverse().map(this._summarize)
+            };
+        },
+
+        _summarize: function(delivery) {
+            return {
+                id: delivery.id,
+                operationId: delivery.operationId,
+                url: delivery.url,
+                status: delivery.status,
+                attempts: delivery.attempts,
+                lastStatusCode: delivery.lastStatusCode,
+                lastError: delivery.lastError,
+                deliveredAt: delivery.deliveredAt
+            };
+        }
+    };
+
+    // Export globally for JArchi
+    if (typeof globalThis !== "undefined") {
+        globalThis.webhookDispatcher = webhookDispatcher;
+    } else if (typeof global !== "undefined") {
+        global.webhookDispatcher = webhookDispatcher;
+    }
+
+    // CommonJS for Node.js build tools
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = webhookDispatcher;
+    }
+
+})();